@@ -0,0 +1,22 @@
+namespace AppShell.Backend.Models;
+
+/// <summary>
+/// Files and folders dropped onto the file list, sorted by what the app does with them
+/// </summary>
+public record DroppedPaths(
+    List<string> Files,   // Matroska files, listed as they are
+    List<string> Folders, // scanned like a picked folder
+    int Skipped,          // files without a Matroska extension
+    int Unresolved        // items with no usable absolute path
+);
+
+/// <summary>
+/// What ResolveDroppedItemsAsync returns: the dropped Matroska files ready for the file list,
+/// the folders to scan, and how many items were left out
+/// </summary>
+public record DroppedItems(
+    List<FileListItem> Files,
+    List<string> Folders,
+    int Skipped,
+    int Unresolved
+);
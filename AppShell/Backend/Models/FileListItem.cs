@@ -0,0 +1,18 @@
+namespace AppShell.Backend.Models;
+
+/// <summary>
+/// A file as the file list shows it: picked, dropped or opened from a workspace
+/// </summary>
+public record FileListItem(string FullPath, string FileName, long? FileSize = null, DateTime? LastModifiedUtc = null)
+{
+    /// <summary>
+    /// Describes a file by its path, with size and modification time when it exists
+    /// </summary>
+    public static FileListItem FromPath(string path)
+    {
+        var file = new FileInfo(path);
+        return file.Exists
+            ? new FileListItem(path, file.Name, file.Length, file.LastWriteTimeUtc)
+            : new FileListItem(path, file.Name);
+    }
+}
@@ -0,0 +1,50 @@
+namespace AppShell.Backend.Models;
+
+/// <summary>
+/// Options for scanning a folder tree for Matroska files
+/// </summary>
+/// <remarks>
+/// Glob patterns are case-insensitive. A pattern ending in "/" matches folders (e.g. "Extras/"),
+/// a pattern containing "/" matches the path relative to the scanned folder, and any other
+/// pattern matches the file name (e.g. "*sample*"). "**" spans folders.
+/// </remarks>
+public record FolderScanOptions(
+    int? MaxDepth = null,
+    List<string>? Include = null,
+    List<string>? Exclude = null,
+    List<string>? Extensions = null
+)
+{
+    /// <summary>
+    /// Extensions scanned when none are given
+    /// </summary>
+    public static readonly IReadOnlyList<string> DefaultExtensions = new[] { ".mkv", ".mka", ".mks", ".webm" };
+}
+
+/// <summary>
+/// A file found by a folder scan
+/// </summary>
+public record FolderScanItem(
+    string FullPath,
+    string FileName,
+    string RelativeDirectory, // "/"-separated, empty for the scanned folder itself
+    long? FileSize = null,
+    DateTime? LastModifiedUtc = null
+);
+
+/// <summary>
+/// Handle returned when a folder scan starts
+/// </summary>
+public record FolderScanStarted(
+    string ScanId,
+    string RootPath
+);
+
+/// <summary>
+/// Files found since the previous read of a running scan
+/// </summary>
+public record FolderScanBatch(
+    List<FolderScanItem> Items,
+    bool IsComplete,
+    string? ErrorMessage = null
+);
@@ -0,0 +1,43 @@
+namespace AppShell.Backend.Models;
+
+/// <summary>
+/// A chapter of the file's first edition, as mkvextract writes it in Matroska chapter XML
+/// </summary>
+/// <remarks>
+/// Times are in nanoseconds from the start of the file. ChapterUid is kept as text so
+/// JavaScript does not round it; chapters without one get a new UID when written.
+/// </remarks>
+public record MkvChapter(
+    long StartNanoseconds,
+    long? EndNanoseconds,
+    List<MkvChapterName> Names,
+    string? ChapterUid = null
+);
+
+/// <summary>
+/// One display string of a chapter (ChapterDisplay)
+/// </summary>
+public record MkvChapterName(
+    string Name,
+    string? Language = null,     // ISO 639-2, e.g. "eng"; Matroska reads a missing one as "eng"
+    string? LanguageIetf = null  // BCP 47, e.g. "en-US"
+);
+
+/// <summary>
+/// Result of reading the chapters of an MKV file
+/// </summary>
+/// <remarks>
+/// Warnings name the parts of the chapter structure the editor cannot show (further
+/// editions, nested chapters), which writing the list back would drop.
+/// </remarks>
+public record MkvChapterList(
+    string FilePath,
+    List<MkvChapter> Chapters,
+    long? DurationNanoseconds = null,
+    bool IsValid = true,
+    string? ErrorMessage = null,
+    List<string> Warnings = null!
+)
+{
+    public List<string> Warnings { get; init; } = Warnings ?? new List<string>();
+}
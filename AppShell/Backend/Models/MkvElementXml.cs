@@ -0,0 +1,25 @@
+namespace AppShell.Backend.Models;
+
+/// <summary>
+/// Header elements mkvextract and mkvpropedit exchange as Matroska XML
+/// </summary>
+public enum MkvXmlElement
+{
+    Chapters,
+    Tags
+}
+
+/// <summary>
+/// An element of an MKV file as the XML mkvextract writes, kept verbatim
+/// </summary>
+/// <remarks>
+/// Snapshots taken before chapter and tag writes hold this, so that restoring one also brings back
+/// what the editors do not show (further editions, nested chapters, binary and chapter tags).
+/// Xml is empty when the file has no such element.
+/// </remarks>
+public record MkvElementXml(
+    string FilePath,
+    string Xml,
+    bool IsValid = true,
+    string? ErrorMessage = null
+);
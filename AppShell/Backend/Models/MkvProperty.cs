@@ -38,13 +38,22 @@ public enum MkvPropertyType
 /// <summary>
 /// Result of reading MKV file properties
 /// </summary>
+/// <remarks>
+/// FileSize and LastModifiedUtc let the frontend detect that the file changed on disk
+/// between reading it and writing edits back. HeaderValues holds the segment info properties
+/// mkvmerge reports, keyed by mkvpropedit property name (null when the file does not set one),
+/// so that a header snapshot can keep the values a change set overwrites.
+/// </remarks>
 public record MkvFileInfo(
     string FilePath,
     List<MkvProperty> Properties,
     List<MkvTrackInfo> Tracks,
     string? SegmentTitle = null,
     bool IsValid = true,
-    string? ErrorMessage = null
+    string? ErrorMessage = null,
+    long? FileSize = null,
+    DateTime? LastModifiedUtc = null,
+    Dictionary<string, string?>? HeaderValues = null
 );
 
 /// <summary>
@@ -59,7 +68,21 @@ public record MkvTrackInfo(
     string? LanguageLegacy,
     bool IsDefault,
     bool IsEnabled,
-    bool IsForced
+    bool IsForced,
+    bool IsHearingImpaired = false,
+    bool IsVisualImpaired = false,
+    bool IsCommentary = false,
+    bool IsOriginal = false,
+    bool IsTextDescriptions = false,
+    string? Codec = null,               // e.g. "AVC/H.264/MPEG-4p10", "FLAC"
+    string? CodecId = null,             // e.g. "V_MPEG4/ISO/AVC", "A_FLAC"
+    int? AudioChannels = null,
+    int? AudioSamplingFrequency = null, // Hz
+    int? AudioBitsPerSample = null,
+    string? PixelDimensions = null,     // "1920x1080"
+    string? DisplayDimensions = null,
+    string? TrackUid = null,            // 64-bit, kept as text so JavaScript does not round it
+    Dictionary<string, string?>? HeaderValues = null // by mkvpropedit property name, see MkvFileInfo
 );
 
 /// <summary>
@@ -0,0 +1,73 @@
+namespace AppShell.Backend.Models;
+
+/// <summary>
+/// A Matroska tag: the SimpleTags that apply to one target, either the whole file (global) or one track
+/// </summary>
+/// <remarks>
+/// TrackUid is null for global tags and kept as text so JavaScript does not round it.
+/// TargetTypeValue is the level of the target (50 is a movie or episode, 30 a track or chapter).
+/// </remarks>
+public record MkvTag(
+    List<MkvSimpleTag> SimpleTags,
+    string? TrackUid = null,
+    int? TargetTypeValue = null,
+    string? TargetType = null
+);
+
+/// <summary>
+/// One name/value pair of a tag, with the SimpleTags nested below it
+/// </summary>
+public record MkvSimpleTag(
+    string Name,
+    string? Value = null,
+    string? Language = null,     // ISO 639-2 (TagLanguage); Matroska reads a missing one as "und"
+    string? LanguageIetf = null, // BCP 47 (TagLanguageIETF)
+    bool IsDefault = true,
+    List<MkvSimpleTag> Children = null!
+)
+{
+    public List<MkvSimpleTag> Children { get; init; } = Children ?? new List<MkvSimpleTag>();
+}
+
+/// <summary>
+/// A tag or tag value the editor cannot show, which mkvpropedit removes along with the tags of its target
+/// </summary>
+/// <remarks>
+/// mkvpropedit files a tag under the first TrackUID of its targets, so TrackUid is that one,
+/// or null for a tag that goes with the global tags (chapter, edition and attachment targets).
+/// </remarks>
+public record MkvHiddenTag(
+    string? TrackUid,
+    string Description
+);
+
+/// <summary>
+/// Result of reading the tags of an MKV file
+/// </summary>
+/// <remarks>
+/// Warnings name the tags the editor cannot show (binary values, chapter, edition or
+/// attachment targets, tags for several tracks at once), and HiddenTags lists them.
+/// </remarks>
+public record MkvTagList(
+    string FilePath,
+    List<MkvTag> Tags,
+    bool IsValid = true,
+    string? ErrorMessage = null,
+    List<string> Warnings = null!,
+    List<MkvHiddenTag> HiddenTags = null!
+)
+{
+    public List<string> Warnings { get; init; } = Warnings ?? new List<string>();
+    public List<MkvHiddenTag> HiddenTags { get; init; } = HiddenTags ?? new List<MkvHiddenTag>();
+}
+
+/// <summary>
+/// The complete new tag set of one mkvpropedit --tags selector
+/// </summary>
+/// <param name="Selector">"global", or "track:N" with N counted from 1 like --edit</param>
+/// <param name="Tags">Tags replacing the existing ones; an empty list removes them.
+/// TrackUid is ignored, mkvpropedit targets the selected track itself.</param>
+public record MkvTagScope(
+    string Selector,
+    List<MkvTag> Tags
+);
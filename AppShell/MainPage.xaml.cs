@@ -9,15 +9,51 @@
 #if WINDOWS
       // Configure Windows title bar customization when the page loads
       this.Loaded += OnPageLoaded;
+      // Hand the paths of files dropped onto the page to the bridge
+      blazorWebView.BlazorWebViewInitialized += OnBlazorWebViewInitialized;
 #endif
     }
 
 #if WINDOWS
+    // Prefix of the web message the page posts with the files of a drop; the rest is the drop token
+    private const string DroppedFilesMessagePrefix = "mkvtool:dropped-files:";
+
     private void OnPageLoaded(object? sender, EventArgs e)
     {
       ConfigureTitleBar();
     }
 
+    private void OnBlazorWebViewInitialized(object? sender, Microsoft.AspNetCore.Components.WebView.BlazorWebViewInitializedEventArgs e)
+    {
+      e.WebView.CoreWebView2.WebMessageReceived += OnWebMessageReceived;
+    }
+
+    private void OnWebMessageReceived(Microsoft.Web.WebView2.Core.CoreWebView2 sender, Microsoft.Web.WebView2.Core.CoreWebView2WebMessageReceivedEventArgs args)
+    {
+      string? message;
+      try
+      {
+        message = args.TryGetWebMessageAsString();
+      }
+      catch (ArgumentException)
+      {
+        // Not a string message, so not one of ours
+        return;
+      }
+      if (message == null || !message.StartsWith(DroppedFilesMessagePrefix, StringComparison.Ordinal))
+      {
+        return;
+      }
+
+      // Pages only see file names; WebView2 gives the host the dropped files with their paths
+      var paths = (args.AdditionalObjects ?? Enumerable.Empty<object>())
+        .OfType<Microsoft.Web.WebView2.Core.CoreWebView2File>()
+        .Select(file => file.Path)
+        .ToList();
+      var droppedFiles = this.Handler?.MauiContext?.Services.GetService<AppShell.Services.IDroppedFileService>();
+      droppedFiles?.RegisterPaths(message.Substring(DroppedFilesMessagePrefix.Length), paths);
+    }
+
     private void ConfigureTitleBar()
     {
       try
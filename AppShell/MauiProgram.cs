@@ -48,6 +48,9 @@ namespace AppShell
             // Register application services
             builder.Services.AddScoped<IAppService, AppService>();
             builder.Services.AddScoped<IMkvService, MkvService>();
+            builder.Services.AddScoped<IFolderScanService, FolderScanService>();
+            // Singleton: the page registers drop paths that the bridge of any scope collects
+            builder.Services.AddSingleton<IDroppedFileService, DroppedFileService>();
             builder.Services.AddScoped<JsBridgeService>();
 
             // Register pages
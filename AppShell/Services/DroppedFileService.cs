@@ -0,0 +1,97 @@
+using System.Collections.Concurrent;
+using Microsoft.Extensions.Logging;
+using AppShell.Backend.Models;
+
+namespace AppShell.Services;
+
+/// <summary>
+/// Pairs the paths the host reads from a drop with the bridge call that asks for them
+/// </summary>
+public class DroppedFileService : IDroppedFileService
+{
+    private readonly ConcurrentDictionary<string, TaskCompletionSource<IReadOnlyList<string>>> _drops = new();
+    private readonly ILogger<DroppedFileService> _logger;
+
+    public DroppedFileService(ILogger<DroppedFileService> logger)
+    {
+        _logger = logger;
+    }
+
+    public string CreateToken(TimeSpan lifetime)
+    {
+        var token = Guid.NewGuid().ToString("N");
+        var drop = new TaskCompletionSource<IReadOnlyList<string>>(TaskCreationOptions.RunContinuationsAsynchronously);
+        _drops[token] = drop;
+        // The bridge call that collects the drop never comes if the post failed or the page reloaded
+        _ = Task.Delay(lifetime).ContinueWith(_ =>
+        {
+            if (_drops.TryRemove(new KeyValuePair<string, TaskCompletionSource<IReadOnlyList<string>>>(token, drop)))
+            {
+                _logger.LogInformation("Drop {Token} expired before it was collected", token);
+            }
+        }, TaskScheduler.Default);
+        return token;
+    }
+
+    public void RegisterPaths(string token, IReadOnlyList<string> paths)
+    {
+        if (!_drops.TryGetValue(token, out var drop))
+        {
+            // The wait timed out already, or the token was never handed out
+            _logger.LogWarning("Ignoring {Count} path(s) for unknown drop {Token}", paths.Count, token);
+            return;
+        }
+        _logger.LogInformation("Drop {Token} resolved to {Count} path(s)", token, paths.Count);
+        drop.TrySetResult(paths);
+    }
+
+    public async Task<IReadOnlyList<string>?> WaitForPathsAsync(string token, TimeSpan timeout)
+    {
+        if (!_drops.TryGetValue(token, out var drop)) return null;
+        try
+        {
+            var finished = await Task.WhenAny(drop.Task, Task.Delay(timeout));
+            return finished == drop.Task ? drop.Task.Result : null;
+        }
+        finally
+        {
+            _drops.TryRemove(token, out _);
+        }
+    }
+
+    public DroppedPaths Classify(IEnumerable<string> paths, IReadOnlyList<string>? extensions)
+    {
+        var allowed = new HashSet<string>(
+            (extensions is { Count: > 0 } ? extensions : FolderScanOptions.DefaultExtensions)
+                .Select(e => e.StartsWith('.') ? e : "." + e),
+            StringComparer.OrdinalIgnoreCase);
+
+        var files = new List<string>();
+        var folders = new List<string>();
+        int skipped = 0, unresolved = 0;
+        foreach (var path in paths.Distinct(StringComparer.OrdinalIgnoreCase))
+        {
+            if (string.IsNullOrWhiteSpace(path) || !Path.IsPathRooted(path))
+            {
+                unresolved++;
+            }
+            else if (Directory.Exists(path))
+            {
+                folders.Add(Path.GetFullPath(path));
+            }
+            else if (!File.Exists(path))
+            {
+                unresolved++;
+            }
+            else if (allowed.Contains(Path.GetExtension(path)))
+            {
+                files.Add(Path.GetFullPath(path));
+            }
+            else
+            {
+                skipped++;
+            }
+        }
+        return new DroppedPaths(files, folders, skipped, unresolved);
+    }
+}
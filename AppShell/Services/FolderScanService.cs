@@ -0,0 +1,241 @@
+using System.Collections.Concurrent;
+using System.Text;
+using System.Text.RegularExpressions;
+using Microsoft.Extensions.Logging;
+using AppShell.Backend.Models;
+
+namespace AppShell.Services;
+
+/// <summary>
+/// Scans folder trees for Matroska files on a background task; callers poll for new results
+/// </summary>
+public class FolderScanService : IFolderScanService
+{
+    private const int MaxItemsPerRead = 200;
+
+    private readonly ConcurrentDictionary<string, FolderScan> _scans = new();
+    private readonly ILogger<FolderScanService> _logger;
+
+    public FolderScanService(ILogger<FolderScanService> logger)
+    {
+        _logger = logger;
+    }
+
+    public string StartScan(string rootPath, FolderScanOptions options)
+    {
+        var scan = new FolderScan(Path.GetFullPath(rootPath));
+        _scans[scan.Id] = scan;
+        _logger.LogInformation("Starting folder scan {ScanId} of {RootPath}", scan.Id, scan.RootPath);
+        _ = Task.Run(() => RunScan(scan, options));
+        return scan.Id;
+    }
+
+    public FolderScanBatch ReadScan(string scanId)
+    {
+        if (!_scans.TryGetValue(scanId, out var scan))
+        {
+            return new FolderScanBatch(new List<FolderScanItem>(), true, "The scan was cancelled or has already finished");
+        }
+
+        // Read the flag before draining so items queued just before completion are not lost
+        var finished = scan.IsComplete;
+        var items = new List<FolderScanItem>();
+        while (items.Count < MaxItemsPerRead && scan.Results.TryDequeue(out var item))
+        {
+            items.Add(item);
+        }
+
+        var complete = finished && scan.Results.IsEmpty;
+        if (complete)
+        {
+            _scans.TryRemove(scanId, out _);
+        }
+        return new FolderScanBatch(items, complete, complete ? scan.ErrorMessage : null);
+    }
+
+    public void CancelScan(string scanId)
+    {
+        if (_scans.TryRemove(scanId, out var scan))
+        {
+            _logger.LogInformation("Cancelling folder scan {ScanId}", scanId);
+            scan.Cancellation.Cancel();
+        }
+    }
+
+    private void RunScan(FolderScan scan, FolderScanOptions options)
+    {
+        try
+        {
+            foreach (var path in EnumerateMatchingFiles(scan.RootPath, options, scan.Cancellation.Token))
+            {
+                var directory = Path.GetRelativePath(scan.RootPath, Path.GetDirectoryName(path)!);
+                var relativeDirectory = directory == "." ? string.Empty : directory.Replace('\\', '/');
+                var file = new FileInfo(path);
+                scan.Results.Enqueue(file.Exists
+                    ? new FolderScanItem(path, file.Name, relativeDirectory, file.Length, file.LastWriteTimeUtc)
+                    : new FolderScanItem(path, file.Name, relativeDirectory));
+            }
+        }
+        catch (OperationCanceledException)
+        {
+            // Cancelled by the user; nobody reads the results any more
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Folder scan {ScanId} failed", scan.Id);
+            scan.ErrorMessage = ex.Message;
+        }
+        finally
+        {
+            scan.IsComplete = true;
+        }
+    }
+
+    /// <summary>
+    /// Walks a folder tree depth-first in name order and yields files passing the filters
+    /// </summary>
+    public static IEnumerable<string> EnumerateMatchingFiles(string rootPath, FolderScanOptions options, CancellationToken cancellationToken = default)
+    {
+        var extensions = new HashSet<string>(
+            (options.Extensions is { Count: > 0 } ? options.Extensions : FolderScanOptions.DefaultExtensions)
+                .Select(e => e.StartsWith('.') ? e : "." + e),
+            StringComparer.OrdinalIgnoreCase);
+        var includes = ParsePatterns(options.Include);
+        var excludes = ParsePatterns(options.Exclude);
+
+        var pending = new Stack<(string Path, int Depth)>();
+        pending.Push((rootPath, 0));
+        while (pending.Count > 0)
+        {
+            cancellationToken.ThrowIfCancellationRequested();
+            var (directory, depth) = pending.Pop();
+
+            string[] files;
+            string[] subdirectories;
+            try
+            {
+                files = Directory.GetFiles(directory);
+                subdirectories = Directory.GetDirectories(directory);
+            }
+            catch (Exception ex) when (ex is UnauthorizedAccessException or IOException)
+            {
+                // Unreadable folders are skipped rather than failing the whole scan
+                continue;
+            }
+
+            Array.Sort(files, StringComparer.OrdinalIgnoreCase);
+            foreach (var file in files)
+            {
+                if (!extensions.Contains(Path.GetExtension(file))) continue;
+                var relativePath = ToRelativePath(rootPath, file);
+                var name = Path.GetFileName(file);
+                if (includes.Count > 0 && !includes.Any(p => p.DirectoryOnly ? IsInMatchingFolder(p, relativePath) : p.IsMatch(relativePath, name))) continue;
+                if (excludes.Any(p => !p.DirectoryOnly && p.IsMatch(relativePath, name))) continue;
+                yield return file;
+            }
+
+            if (options.MaxDepth is int maxDepth && depth >= maxDepth) continue;
+
+            // Pushed in reverse so folders are visited in name order
+            Array.Sort(subdirectories, StringComparer.OrdinalIgnoreCase);
+            for (var i = subdirectories.Length - 1; i >= 0; i--)
+            {
+                var subdirectory = subdirectories[i];
+                // Skip links so a loop in the tree cannot make the scan run forever
+                if (new DirectoryInfo(subdirectory).Attributes.HasFlag(FileAttributes.ReparsePoint)) continue;
+                var relativePath = ToRelativePath(rootPath, subdirectory);
+                if (excludes.Any(p => p.DirectoryOnly && p.IsMatch(relativePath, Path.GetFileName(subdirectory)))) continue;
+                pending.Push((subdirectory, depth + 1));
+            }
+        }
+    }
+
+    /// <summary>
+    /// Does a folder pattern match any folder the file is in, below the scanned folder?
+    /// </summary>
+    private static bool IsInMatchingFolder(GlobPattern pattern, string relativePath)
+    {
+        var parts = relativePath.Split('/');
+        for (var i = 1; i < parts.Length; i++)
+        {
+            if (pattern.IsMatch(string.Join('/', parts, 0, i), parts[i - 1])) return true;
+        }
+        return false;
+    }
+
+    private static string ToRelativePath(string rootPath, string path)
+    {
+        return Path.GetRelativePath(rootPath, path).Replace('\\', '/');
+    }
+
+    private static List<GlobPattern> ParsePatterns(List<string>? patterns)
+    {
+        return (patterns ?? new List<string>())
+            .Where(p => !string.IsNullOrWhiteSpace(p))
+            .Select(GlobPattern.Parse)
+            .ToList();
+    }
+
+    private sealed class FolderScan
+    {
+        public FolderScan(string rootPath)
+        {
+            RootPath = rootPath;
+        }
+
+        public string Id { get; } = Guid.NewGuid().ToString("N");
+        public string RootPath { get; }
+        public ConcurrentQueue<FolderScanItem> Results { get; } = new();
+        public CancellationTokenSource Cancellation { get; } = new();
+        public volatile bool IsComplete;
+        public string? ErrorMessage { get; set; }
+    }
+
+    private sealed record GlobPattern(Regex Regex, bool DirectoryOnly, bool MatchesPath)
+    {
+        public static GlobPattern Parse(string pattern)
+        {
+            var text = pattern.Trim().Replace('\\', '/');
+            var directoryOnly = text.EndsWith('/');
+            text = text.TrimEnd('/');
+            var matchesPath = text.Contains('/');
+            text = text.TrimStart('/');
+
+            var regex = new StringBuilder("^");
+            for (var i = 0; i < text.Length; i++)
+            {
+                var c = text[i];
+                if (c == '*' && i + 1 < text.Length && text[i + 1] == '*')
+                {
+                    // "**/" also matches no folder at all
+                    var followedBySlash = i + 2 < text.Length && text[i + 2] == '/';
+                    regex.Append(followedBySlash ? "(?:.*/)?" : ".*");
+                    i += followedBySlash ? 2 : 1;
+                }
+                else if (c == '*')
+                {
+                    regex.Append("[^/]*");
+                }
+                else if (c == '?')
+                {
+                    regex.Append("[^/]");
+                }
+                else
+                {
+                    regex.Append(Regex.Escape(c.ToString()));
+                }
+            }
+            regex.Append('$');
+
+            return new GlobPattern(
+                new Regex(regex.ToString(), RegexOptions.IgnoreCase | RegexOptions.CultureInvariant),
+                directoryOnly,
+                matchesPath);
+        }
+
+        public bool IsMatch(string relativePath, string name)
+        {
+            return Regex.IsMatch(MatchesPath ? relativePath : name);
+        }
+    }
+}
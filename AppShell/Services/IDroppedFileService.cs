@@ -0,0 +1,43 @@
+using AppShell.Backend.Models;
+
+namespace AppShell.Services;
+
+/// <summary>
+/// Service interface for resolving files dropped onto the WebView to absolute paths
+/// </summary>
+/// <remarks>
+/// Pages only see the names of dropped files. Where the WebView can hand the files to the
+/// host (WebView2), the page tags the drop with a token from CreateToken, the host registers
+/// the paths it reads under that token, and the bridge collects them.
+/// </remarks>
+public interface IDroppedFileService
+{
+    /// <summary>
+    /// Starts a tagged drop. Paths are only accepted for tokens made here and neither collected nor expired.
+    /// </summary>
+    /// <param name="lifetime">How long after creation the token is forgotten unless collected first</param>
+    /// <returns>Token for the page to send with the drop</returns>
+    string CreateToken(TimeSpan lifetime);
+
+    /// <summary>
+    /// Records the paths the host read from a tagged drop; unknown and expired tokens are ignored
+    /// </summary>
+    /// <param name="token">Token the page sent with the drop</param>
+    /// <param name="paths">Absolute paths of the dropped files and folders</param>
+    void RegisterPaths(string token, IReadOnlyList<string> paths);
+
+    /// <summary>
+    /// Waits for the paths of a tagged drop; the host and the page may report in either order
+    /// </summary>
+    /// <param name="token">Token the page sent with the drop</param>
+    /// <param name="timeout">How long to wait for the host</param>
+    /// <returns>The registered paths, or null for an unknown token or when none arrived in time</returns>
+    Task<IReadOnlyList<string>?> WaitForPathsAsync(string token, TimeSpan timeout);
+
+    /// <summary>
+    /// Sorts dropped paths into Matroska files and folders to scan
+    /// </summary>
+    /// <param name="paths">Dropped paths; relative or missing ones count as unresolved</param>
+    /// <param name="extensions">Extensions of the files to keep; the Matroska defaults when empty</param>
+    DroppedPaths Classify(IEnumerable<string> paths, IReadOnlyList<string>? extensions);
+}
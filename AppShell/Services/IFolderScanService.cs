@@ -0,0 +1,30 @@
+using AppShell.Backend.Models;
+
+namespace AppShell.Services;
+
+/// <summary>
+/// Service interface for scanning folder trees in the background
+/// </summary>
+public interface IFolderScanService
+{
+    /// <summary>
+    /// Starts scanning a folder; results are collected in the background
+    /// </summary>
+    /// <param name="rootPath">Folder to scan</param>
+    /// <param name="options">Depth, pattern and extension filters</param>
+    /// <returns>Scan id for ReadScan and CancelScan</returns>
+    string StartScan(string rootPath, FolderScanOptions options);
+
+    /// <summary>
+    /// Takes the files found since the previous call
+    /// </summary>
+    /// <param name="scanId">Id returned by StartScan</param>
+    /// <returns>New files and whether the scan has finished</returns>
+    FolderScanBatch ReadScan(string scanId);
+
+    /// <summary>
+    /// Stops a running scan and forgets its results
+    /// </summary>
+    /// <param name="scanId">Id returned by StartScan</param>
+    void CancelScan(string scanId);
+}
@@ -28,6 +28,61 @@ public interface IMkvService
     /// <returns>Result of the edit operation</returns>
     Task<MkvEditResult> ApplyChangesAsync(string filePath, List<MkvPropertyChange> changes);
 
+    /// <summary>
+    /// Builds the mkvpropedit argument list (unquoted) that ApplyChangesAsync runs
+    /// </summary>
+    /// <param name="filePath">Path to the MKV file to modify</param>
+    /// <param name="changes">List of changes to apply</param>
+    /// <returns>Arguments in order, starting with the file path</returns>
+    List<string> BuildEditArguments(string filePath, List<MkvPropertyChange> changes);
+
+    /// <summary>
+    /// Reads the chapters of the first edition with mkvextract, and the file duration
+    /// </summary>
+    /// <param name="filePath">Path to the MKV file</param>
+    /// <returns>Chapter list; empty for a file without chapters</returns>
+    Task<MkvChapterList> ReadChaptersAsync(string filePath);
+
+    /// <summary>
+    /// Replaces all chapters of an MKV file with mkvpropedit --chapters
+    /// </summary>
+    /// <param name="filePath">Path to the MKV file to modify</param>
+    /// <param name="chapters">New chapter list; an empty list removes the chapters</param>
+    /// <returns>Result of the edit operation</returns>
+    Task<MkvEditResult> ApplyChaptersAsync(string filePath, List<MkvChapter> chapters);
+
+    /// <summary>
+    /// Reads an element of the file as the Matroska XML mkvextract writes
+    /// </summary>
+    /// <param name="filePath">Path to the MKV file</param>
+    /// <param name="element">Element to extract</param>
+    /// <returns>The XML; empty when the file has no such element</returns>
+    Task<MkvElementXml> ReadElementXmlAsync(string filePath, MkvXmlElement element);
+
+    /// <summary>
+    /// Replaces an element of the file with Matroska XML, as read by ReadElementXmlAsync
+    /// </summary>
+    /// <param name="filePath">Path to the MKV file to modify</param>
+    /// <param name="element">Element to replace</param>
+    /// <param name="xml">New XML; empty removes the element</param>
+    /// <returns>Result of the edit operation</returns>
+    Task<MkvEditResult> WriteElementXmlAsync(string filePath, MkvXmlElement element, string xml);
+
+    /// <summary>
+    /// Reads the global and track tags with mkvextract
+    /// </summary>
+    /// <param name="filePath">Path to the MKV file</param>
+    /// <returns>Tag list; empty for a file without tags</returns>
+    Task<MkvTagList> ReadTagsAsync(string filePath);
+
+    /// <summary>
+    /// Replaces the tags of each given scope in a single mkvpropedit run (--tags global: / track:N:)
+    /// </summary>
+    /// <param name="filePath">Path to the MKV file to modify</param>
+    /// <param name="scopes">New tag sets; scopes left out are not touched</param>
+    /// <returns>Result of the edit operation</returns>
+    Task<MkvEditResult> ApplyTagsAsync(string filePath, List<MkvTagScope> scopes);
+
     /// <summary>
     /// Validates that an MKV file exists and is accessible
     /// </summary>
@@ -25,12 +25,20 @@ public class JsBridgeService
 {
     private readonly IAppService _appService;
     private readonly IMkvService _mkvService;
+    private readonly IFolderScanService _folderScanService;
+    private readonly IDroppedFileService _droppedFileService;
     private readonly ILogger<JsBridgeService> _logger;
 
-    public JsBridgeService(IAppService appService, IMkvService mkvService, ILogger<JsBridgeService> logger)
+    // How long a drop waits for the host to report the paths of its files, and how long its token lives
+    private static readonly TimeSpan DropPathsTimeout = TimeSpan.FromSeconds(5);
+
+    public JsBridgeService(IAppService appService, IMkvService mkvService, IFolderScanService folderScanService,
+        IDroppedFileService droppedFileService, ILogger<JsBridgeService> logger)
     {
         _appService = appService;
         _mkvService = mkvService;
+        _folderScanService = folderScanService;
+        _droppedFileService = droppedFileService;
         _logger = logger;
     }
 
@@ -67,7 +75,7 @@ public class JsBridgeService
 
             var fileTypes = new FilePickerFileType(new Dictionary<DevicePlatform, IEnumerable<string>>
             {
-                { DevicePlatform.WinUI, new[] { ".mkv" } },
+                { DevicePlatform.WinUI, FolderScanOptions.DefaultExtensions },
                 { DevicePlatform.MacCatalyst, new[] { "public.movie" } },
                 { DevicePlatform.iOS, new[] { "public.movie" } },
                 { DevicePlatform.Android, new[] { "video/*" } },
@@ -96,11 +104,11 @@ public class JsBridgeService
             var paths = picked
                 .Select(fr => fr.FullPath)
                 .Where(p => !string.IsNullOrWhiteSpace(p))
-                .Where(p => p!.EndsWith(".mkv", StringComparison.OrdinalIgnoreCase))
+                .Where(p => FolderScanOptions.DefaultExtensions.Contains(Path.GetExtension(p!), StringComparer.OrdinalIgnoreCase))
                 .Distinct()
                 .ToList()!;
 
-            var items = paths.Select(p => new FileListItem(p!, Path.GetFileName(p!))).ToList();
+            var items = paths.Select(p => FileListItem.FromPath(p!)).ToList();
             return JsonSerializer.Serialize(items);
         }
         catch (Exception ex)
@@ -126,9 +134,10 @@ public class JsBridgeService
                 return JsonSerializer.Serialize(Array.Empty<string>());
             }
 
-            var files = Directory.EnumerateFiles(folderPath, "*.mkv", SearchOption.TopDirectoryOnly)
+            var files = Directory.EnumerateFiles(folderPath, "*", SearchOption.TopDirectoryOnly)
+                .Where(p => FolderScanOptions.DefaultExtensions.Contains(Path.GetExtension(p), StringComparer.OrdinalIgnoreCase))
                 .OrderBy(f => f, StringComparer.OrdinalIgnoreCase)
-                .Select(p => new FileListItem(p, Path.GetFileName(p)))
+                .Select(FileListItem.FromPath)
                 .ToArray();
 
             return JsonSerializer.Serialize(files);
@@ -140,6 +149,102 @@ public class JsBridgeService
         }
     }
 
+    /// <summary>
+    /// Starts a recursive background scan of a folder, opening a native folder picker when none is given.
+    /// Returns FolderScanStarted JSON, or "null" if no folder was picked.
+    /// </summary>
+    [JSInvokable]
+    public async Task<string> StartFolderScanAsync(string optionsJson, string? folderPath = null)
+    {
+        try
+        {
+            _logger.LogInformation("Bridge: Starting folder scan of {FolderPath}", folderPath ?? "a picked folder");
+
+            var options = JsonSerializer.Deserialize<FolderScanOptions>(optionsJson ?? "{}") ?? new FolderScanOptions();
+            if (string.IsNullOrWhiteSpace(folderPath))
+            {
+                folderPath = await PickFolderAsync();
+            }
+            if (string.IsNullOrWhiteSpace(folderPath) || !Directory.Exists(folderPath))
+            {
+                return "null";
+            }
+
+            var scanId = _folderScanService.StartScan(folderPath, options);
+            return JsonSerializer.Serialize(new FolderScanStarted(scanId, folderPath));
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error starting folder scan");
+            throw;
+        }
+    }
+
+    /// <summary>
+    /// Returns the files a folder scan found since the last call as FolderScanBatch JSON
+    /// </summary>
+    [JSInvokable]
+    public Task<string> ReadFolderScanAsync(string scanId)
+    {
+        return Task.FromResult(JsonSerializer.Serialize(_folderScanService.ReadScan(scanId)));
+    }
+
+    /// <summary>
+    /// Stops a running folder scan
+    /// </summary>
+    [JSInvokable]
+    public Task CancelFolderScanAsync(string scanId)
+    {
+        _logger.LogInformation("Bridge: Cancelling folder scan {ScanId}", scanId);
+        _folderScanService.CancelScan(scanId);
+        return Task.CompletedTask;
+    }
+
+    /// <summary>
+    /// Starts a drop whose files the page posts to the host, returning the token to tag them with
+    /// </summary>
+    [JSInvokable]
+    public Task<string> CreateDropTokenAsync()
+    {
+        return Task.FromResult(_droppedFileService.CreateToken(DropPathsTimeout));
+    }
+
+    /// <summary>
+    /// Resolves items dropped onto the file list to absolute paths.
+    /// Returns DroppedItems JSON.
+    /// </summary>
+    /// <param name="token">Token from CreateDropTokenAsync the drop was posted with, or empty when it was not posted</param>
+    /// <param name="namesJson">JSON array of the names the page saw; used when the host reports nothing</param>
+    /// <param name="optionsJson">FolderScanOptions JSON whose extensions select the files to keep</param>
+    [JSInvokable]
+    public async Task<string> ResolveDroppedItemsAsync(string token, string namesJson, string optionsJson)
+    {
+        try
+        {
+            var names = JsonSerializer.Deserialize<List<string>>(namesJson ?? "[]") ?? new List<string>();
+            var options = JsonSerializer.Deserialize<FolderScanOptions>(optionsJson ?? "{}") ?? new FolderScanOptions();
+            _logger.LogInformation("Bridge: Resolving {Count} dropped item(s)", names.Count);
+
+            IReadOnlyList<string>? paths = null;
+            if (!string.IsNullOrEmpty(token))
+            {
+                paths = await _droppedFileService.WaitForPathsAsync(token, DropPathsTimeout);
+            }
+
+            var dropped = _droppedFileService.Classify(paths ?? names, options.Extensions);
+            return JsonSerializer.Serialize(new DroppedItems(
+                dropped.Files.Select(FileListItem.FromPath).ToList(),
+                dropped.Folders,
+                dropped.Skipped,
+                dropped.Unresolved));
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error resolving dropped items");
+            throw;
+        }
+    }
+
 #if WINDOWS
     private async Task<string?> PickFolderAsync()
     {
@@ -166,8 +271,6 @@ public class JsBridgeService
     }
 #endif
 
-    private record FileListItem(string FullPath, string FileName);
-
     /// <summary>
     /// Reads properties from an MKV file
     /// </summary>
@@ -227,4 +330,158 @@ public class JsBridgeService
             return JsonSerializer.Serialize(errorResult);
         }
     }
+
+    /// <summary>
+    /// Reads the chapters of an MKV file
+    /// </summary>
+    [JSInvokable]
+    public async Task<string> ReadMkvChaptersAsync(string filePath)
+    {
+        try
+        {
+            _logger.LogInformation("Bridge: Reading chapters of MKV file {FilePath}", filePath);
+            var chapters = await _mkvService.ReadChaptersAsync(filePath);
+            return JsonSerializer.Serialize(chapters);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error reading MKV chapters");
+            var errorResult = new MkvChapterList(filePath, new List<MkvChapter>(), IsValid: false, ErrorMessage: ex.Message);
+            return JsonSerializer.Serialize(errorResult);
+        }
+    }
+
+    /// <summary>
+    /// Replaces the chapters of an MKV file (mkvpropedit --chapters)
+    /// </summary>
+    [JSInvokable]
+    public async Task<string> ApplyMkvChaptersAsync(string filePath, string chaptersJson)
+    {
+        try
+        {
+            _logger.LogInformation("Bridge: Writing chapters to MKV file {FilePath}", filePath);
+            var chapters = JsonSerializer.Deserialize<List<MkvChapter>>(chaptersJson);
+            var result = await _mkvService.ApplyChaptersAsync(filePath, chapters ?? new List<MkvChapter>());
+            return JsonSerializer.Serialize(result);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error writing MKV chapters");
+            var errorResult = new MkvEditResult(false, ex.Message);
+            return JsonSerializer.Serialize(errorResult);
+        }
+    }
+
+    /// <summary>
+    /// Reads chapters or tags of an MKV file as the Matroska XML mkvextract writes
+    /// </summary>
+    [JSInvokable]
+    public async Task<string> ReadMkvElementXmlAsync(string filePath, string element)
+    {
+        try
+        {
+            _logger.LogInformation("Bridge: Reading {Element} XML of MKV file {FilePath}", element, filePath);
+            // TryParse also takes numbers, including ones that name no element
+            if (!Enum.TryParse<MkvXmlElement>(element, ignoreCase: true, out var parsed) || !Enum.IsDefined(parsed))
+            {
+                return JsonSerializer.Serialize(new MkvElementXml(filePath, string.Empty,
+                    IsValid: false, ErrorMessage: $"Unknown element: {element}"));
+            }
+
+            var result = await _mkvService.ReadElementXmlAsync(filePath, parsed);
+            return JsonSerializer.Serialize(result);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error reading MKV element XML");
+            var errorResult = new MkvElementXml(filePath, string.Empty, IsValid: false, ErrorMessage: ex.Message);
+            return JsonSerializer.Serialize(errorResult);
+        }
+    }
+
+    /// <summary>
+    /// Replaces chapters or tags of an MKV file with XML read by ReadMkvElementXmlAsync
+    /// </summary>
+    [JSInvokable]
+    public async Task<string> WriteMkvElementXmlAsync(string filePath, string element, string xml)
+    {
+        try
+        {
+            _logger.LogInformation("Bridge: Writing {Element} XML to MKV file {FilePath}", element, filePath);
+            // TryParse also takes numbers, including ones that name no element
+            if (!Enum.TryParse<MkvXmlElement>(element, ignoreCase: true, out var parsed) || !Enum.IsDefined(parsed))
+            {
+                return JsonSerializer.Serialize(new MkvEditResult(false, $"Unknown element: {element}"));
+            }
+
+            var result = await _mkvService.WriteElementXmlAsync(filePath, parsed, xml ?? string.Empty);
+            return JsonSerializer.Serialize(result);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error writing MKV element XML");
+            var errorResult = new MkvEditResult(false, ex.Message);
+            return JsonSerializer.Serialize(errorResult);
+        }
+    }
+
+    /// <summary>
+    /// Reads the global and track tags of an MKV file
+    /// </summary>
+    [JSInvokable]
+    public async Task<string> ReadMkvTagsAsync(string filePath)
+    {
+        try
+        {
+            _logger.LogInformation("Bridge: Reading tags of MKV file {FilePath}", filePath);
+            var tags = await _mkvService.ReadTagsAsync(filePath);
+            return JsonSerializer.Serialize(tags);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error reading MKV tags");
+            var errorResult = new MkvTagList(filePath, new List<MkvTag>(), IsValid: false, ErrorMessage: ex.Message);
+            return JsonSerializer.Serialize(errorResult);
+        }
+    }
+
+    /// <summary>
+    /// Replaces the tags of the given scopes (mkvpropedit --tags global: / track:N:)
+    /// </summary>
+    [JSInvokable]
+    public async Task<string> ApplyMkvTagsAsync(string filePath, string scopesJson)
+    {
+        try
+        {
+            _logger.LogInformation("Bridge: Writing tags to MKV file {FilePath}", filePath);
+            var scopes = JsonSerializer.Deserialize<List<MkvTagScope>>(scopesJson);
+            var result = await _mkvService.ApplyTagsAsync(filePath, scopes ?? new List<MkvTagScope>());
+            return JsonSerializer.Serialize(result);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error writing MKV tags");
+            var errorResult = new MkvEditResult(false, ex.Message);
+            return JsonSerializer.Serialize(errorResult);
+        }
+    }
+
+    /// <summary>
+    /// Returns the mkvpropedit arguments ApplyMkvChangesAsync would run, as a JSON array of strings
+    /// </summary>
+    [JSInvokable]
+    public Task<string> GetMkvPropEditArgumentsAsync(string filePath, string changesJson)
+    {
+        try
+        {
+            var changes = JsonSerializer.Deserialize<List<MkvPropertyChange>>(changesJson);
+            var args = _mkvService.BuildEditArguments(filePath, changes ?? new List<MkvPropertyChange>());
+            return Task.FromResult(JsonSerializer.Serialize(args));
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error building mkvpropedit arguments");
+            throw;
+        }
+    }
 }
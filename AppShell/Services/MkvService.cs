@@ -1,8 +1,10 @@
 using AppShell.Backend.Models;
 using Microsoft.Extensions.Logging;
 using System.Diagnostics;
+using System.Text;
 using System.Text.Json;
 using System.Text.RegularExpressions;
+using System.Xml.Linq;
 
 namespace AppShell.Services;
 
@@ -87,6 +89,8 @@ public class MkvService : IMkvService
             }
 
             var tracks = ParseTrackInfo(identifyResult.StandardOutput);
+            var segmentTitle = ParseSegmentTitle(identifyResult.StandardOutput);
+            var segmentHeaderValues = ParseSegmentHeaderValues(identifyResult.StandardOutput);
             
             // Get all available properties that can be edited
             var availableProperties = await GetAvailablePropertiesAsync();
@@ -107,7 +111,9 @@ public class MkvService : IMkvService
             _logger.LogInformation("Successfully read MKV file with {TrackCount} tracks and {PropertyCount} properties", 
                 tracks.Count, properties.Count);
 
-            return new MkvFileInfo(filePath, properties, tracks);
+            var fileInfo = new FileInfo(filePath);
+            return new MkvFileInfo(filePath, properties, tracks, segmentTitle,
+                FileSize: fileInfo.Length, LastModifiedUtc: fileInfo.LastWriteTimeUtc, HeaderValues: segmentHeaderValues);
         }
         catch (Exception ex)
         {
@@ -128,68 +134,602 @@ public class MkvService : IMkvService
 
         try
         {
-            var args = new List<string> { $"\"{filePath}\"" };
-            
-            // Group changes by section and build command arguments
-            var changesBySection = changes.GroupBy(c => c.Section);
-            
-            foreach (var sectionGroup in changesBySection)
+            var commandLine = string.Join(" ", BuildEditArguments(filePath, changes).Select(QuoteArgument));
+            _logger.LogInformation("Executing mkvpropedit with args: {Args}", commandLine);
+
+            var result = await RunMkvPropEditAsync(commandLine);
+            return CreateEditResult(result);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error applying changes");
+            return new MkvEditResult(false, ex.Message);
+        }
+    }
+
+    public async Task<MkvChapterList> ReadChaptersAsync(string filePath)
+    {
+        _logger.LogInformation("Reading chapters from MKV file: {FilePath}", filePath);
+
+        if (!await IsValidMkvFileAsync(filePath))
+        {
+            return new MkvChapterList(filePath, new List<MkvChapter>(),
+                IsValid: false, ErrorMessage: "File is not a valid MKV file");
+        }
+
+        try
+        {
+            var xml = await ExtractXmlAsync(filePath, "chapters");
+            var warnings = new List<string>();
+            var chapters = string.IsNullOrWhiteSpace(xml) ? new List<MkvChapter>() : ParseChapterXml(xml, warnings);
+
+            var identifyResult = await RunMkvMergeAsync($"-J {QuoteArgument(filePath)}");
+            var duration = identifyResult.ExitCode == 0 ? ParseDuration(identifyResult.StandardOutput) : null;
+
+            _logger.LogInformation("Read {Count} chapters", chapters.Count);
+            return new MkvChapterList(filePath, chapters, duration, Warnings: warnings);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error reading chapters");
+            return new MkvChapterList(filePath, new List<MkvChapter>(), IsValid: false, ErrorMessage: ex.Message);
+        }
+    }
+
+    public async Task<MkvEditResult> ApplyChaptersAsync(string filePath, List<MkvChapter> chapters)
+    {
+        _logger.LogInformation("Writing {Count} chapters to MKV file: {FilePath}", chapters.Count, filePath);
+
+        // An empty file name makes mkvpropedit remove the chapters
+        var xmlPath = chapters.Count > 0 ? CreateTempXmlPath("chapters") : string.Empty;
+        try
+        {
+            if (chapters.Count > 0)
+            {
+                await File.WriteAllTextAsync(xmlPath, BuildChapterXml(chapters), new UTF8Encoding(false));
+            }
+
+            var commandLine = string.Join(" ", new[] { filePath, "--chapters", xmlPath }.Select(QuoteArgument));
+            _logger.LogInformation("Executing mkvpropedit with args: {Args}", commandLine);
+
+            var result = await RunMkvPropEditAsync(commandLine);
+            return CreateEditResult(result);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error writing chapters");
+            return new MkvEditResult(false, ex.Message);
+        }
+        finally
+        {
+            if (xmlPath.Length > 0) DeleteTempFile(xmlPath);
+        }
+    }
+
+    public async Task<MkvElementXml> ReadElementXmlAsync(string filePath, MkvXmlElement element)
+    {
+        _logger.LogInformation("Reading {Element} XML from MKV file: {FilePath}", element, filePath);
+
+        if (!await IsValidMkvFileAsync(filePath))
+        {
+            return new MkvElementXml(filePath, string.Empty,
+                IsValid: false, ErrorMessage: "File is not a valid MKV file");
+        }
+
+        try
+        {
+            return new MkvElementXml(filePath, await ExtractXmlAsync(filePath, GetExtractMode(element)));
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error reading {Element} XML", element);
+            return new MkvElementXml(filePath, string.Empty, IsValid: false, ErrorMessage: ex.Message);
+        }
+    }
+
+    public async Task<MkvEditResult> WriteElementXmlAsync(string filePath, MkvXmlElement element, string xml)
+    {
+        _logger.LogInformation("Writing {Element} XML to MKV file: {FilePath}", element, filePath);
+
+        // An empty file name makes mkvpropedit remove the element
+        var xmlPath = string.Empty;
+        try
+        {
+            if (!string.IsNullOrWhiteSpace(xml))
+            {
+                xmlPath = CreateTempXmlPath(GetExtractMode(element));
+                await File.WriteAllTextAsync(xmlPath, xml, new UTF8Encoding(false));
+            }
+
+            var args = element switch
+            {
+                MkvXmlElement.Chapters => new[] { filePath, "--chapters", xmlPath },
+                MkvXmlElement.Tags => new[] { filePath, "--tags", $"all:{xmlPath}" },
+                _ => throw new ArgumentOutOfRangeException(nameof(element), element, null)
+            };
+            var commandLine = string.Join(" ", args.Select(QuoteArgument));
+            _logger.LogInformation("Executing mkvpropedit with args: {Args}", commandLine);
+
+            var result = await RunMkvPropEditAsync(commandLine);
+            return CreateEditResult(result);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error writing {Element} XML", element);
+            return new MkvEditResult(false, ex.Message);
+        }
+        finally
+        {
+            if (xmlPath.Length > 0) DeleteTempFile(xmlPath);
+        }
+    }
+
+    public async Task<MkvTagList> ReadTagsAsync(string filePath)
+    {
+        _logger.LogInformation("Reading tags from MKV file: {FilePath}", filePath);
+
+        if (!await IsValidMkvFileAsync(filePath))
+        {
+            return new MkvTagList(filePath, new List<MkvTag>(),
+                IsValid: false, ErrorMessage: "File is not a valid MKV file");
+        }
+
+        try
+        {
+            var xml = await ExtractXmlAsync(filePath, "tags");
+            var warnings = new List<string>();
+            var hiddenTags = new List<MkvHiddenTag>();
+            var tags = string.IsNullOrWhiteSpace(xml) ? new List<MkvTag>() : ParseTagXml(xml, warnings, hiddenTags);
+
+            _logger.LogInformation("Read {Count} tags", tags.Count);
+            return new MkvTagList(filePath, tags, Warnings: warnings, HiddenTags: hiddenTags);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error reading tags");
+            return new MkvTagList(filePath, new List<MkvTag>(), IsValid: false, ErrorMessage: ex.Message);
+        }
+    }
+
+    public async Task<MkvEditResult> ApplyTagsAsync(string filePath, List<MkvTagScope> scopes)
+    {
+        _logger.LogInformation("Writing tags of {Count} scopes to MKV file: {FilePath}", scopes.Count, filePath);
+
+        if (!scopes.Any())
+        {
+            return new MkvEditResult(true);
+        }
+
+        var tempFiles = new List<string>();
+        try
+        {
+            var args = new List<string> { filePath };
+            foreach (var scope in scopes)
             {
-                // Add edit selector for this section
-                if (sectionGroup.Key != "info") // info is default, no need to specify
+                if (scope.Selector != "global" && !Regex.IsMatch(scope.Selector, @"^track:\d+$"))
                 {
-                    args.Add($"--edit {sectionGroup.Key}");
+                    return new MkvEditResult(false, $"Unknown tag selector '{scope.Selector}'");
                 }
 
-                // Add all changes for this section
-                foreach (var change in sectionGroup)
+                // An empty file name makes mkvpropedit remove the tags of the selector
+                var xmlPath = string.Empty;
+                if (scope.Tags.Count > 0)
                 {
-                    switch (change.ChangeType)
-                    {
-                        case MkvPropertyChangeType.Set:
-                            args.Add($"--set {change.PropertyName}={change.NewValue}");
-                            break;
-                        case MkvPropertyChangeType.Delete:
-                            args.Add($"--delete {change.PropertyName}");
-                            break;
-                        case MkvPropertyChangeType.Add:
-                            args.Add($"--add {change.PropertyName}={change.NewValue}");
-                            break;
-                    }
+                    xmlPath = CreateTempXmlPath("tags");
+                    tempFiles.Add(xmlPath);
+                    await File.WriteAllTextAsync(xmlPath, BuildTagXml(scope.Tags, includeTrackUids: false), new UTF8Encoding(false));
                 }
+                args.Add("--tags");
+                args.Add($"{scope.Selector}:{xmlPath}");
             }
 
-            var commandLine = string.Join(" ", args);
+            var commandLine = string.Join(" ", args.Select(QuoteArgument));
             _logger.LogInformation("Executing mkvpropedit with args: {Args}", commandLine);
 
             var result = await RunMkvPropEditAsync(commandLine);
-            
-            var warnings = ParseWarnings(result.StandardOutput + result.StandardError);
-            
-            if (result.ExitCode == 0)
+            return CreateEditResult(result);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error writing tags");
+            return new MkvEditResult(false, ex.Message);
+        }
+        finally
+        {
+            tempFiles.ForEach(DeleteTempFile);
+        }
+    }
+
+    /// <summary>
+    /// Reads global and single-track tags from Matroska tag XML.
+    /// Tags the editor cannot show are left out, reported in warnings and listed in hiddenTags.
+    /// </summary>
+    public static List<MkvTag> ParseTagXml(string xml, List<string> warnings, List<MkvHiddenTag>? hiddenTags = null)
+    {
+        var tags = new List<MkvTag>();
+        var otherTargets = 0;
+        var binaryValues = 0;
+
+        foreach (var tag in XDocument.Parse(xml).Root?.Elements("Tag") ?? Enumerable.Empty<XElement>())
+        {
+            var targets = tag.Element("Targets");
+            var trackUids = targets?.Elements("TrackUID").Select(e => e.Value.Trim()).ToList() ?? new List<string>();
+            var otherTarget = targets == null ? null
+                : targets.Elements("EditionUID").Any() ? "an edition"
+                : targets.Elements("ChapterUID").Any() ? "a chapter"
+                : targets.Elements("AttachmentUID").Any() ? "an attachment"
+                : null;
+            if (otherTarget != null || trackUids.Count > 1)
             {
-                _logger.LogInformation("Successfully applied changes to MKV file");
-                return new MkvEditResult(true, Warnings: warnings);
+                otherTargets++;
+                var names = string.Join(", ", tag.Elements("Simple").Select(e => e.Element("Name")?.Value).Where(n => !string.IsNullOrEmpty(n)));
+                hiddenTags?.Add(new MkvHiddenTag(trackUids.FirstOrDefault(),
+                    $"Tag for {otherTarget ?? $"{trackUids.Count} tracks"}{(names.Length > 0 ? $" ({names})" : string.Empty)}"));
+                continue;
             }
-            else if (result.ExitCode == 1)
+
+            var binaryNames = new List<string>();
+            var simpleTags = ParseSimpleTags(tag.Elements("Simple"), binaryNames);
+            binaryValues += binaryNames.Count;
+            foreach (var name in binaryNames)
             {
-                _logger.LogWarning("Changes applied with warnings. Exit code: {ExitCode}", result.ExitCode);
-                return new MkvEditResult(true, "Operation completed with warnings", warnings, result.ExitCode);
+                hiddenTags?.Add(new MkvHiddenTag(trackUids.FirstOrDefault(), $"Binary value of {(name.Length > 0 ? name : "an unnamed tag")}"));
             }
-            else
+
+            int? targetTypeValue = int.TryParse(targets?.Element("TargetTypeValue")?.Value, out var level) ? level : null;
+            tags.Add(new MkvTag(simpleTags, trackUids.FirstOrDefault(), targetTypeValue, targets?.Element("TargetType")?.Value));
+        }
+
+        if (otherTargets > 0)
+        {
+            warnings.Add(otherTargets == 1
+                ? "1 tag for chapters, editions, attachments or several tracks is not shown; writing the global tags may remove it."
+                : $"{otherTargets} tags for chapters, editions, attachments or several tracks are not shown; writing the global tags may remove them.");
+        }
+        if (binaryValues > 0)
+        {
+            warnings.Add(binaryValues == 1
+                ? "1 binary tag value is not shown, and writing its tags removes it."
+                : $"{binaryValues} binary tag values are not shown, and writing their tags removes them.");
+        }
+
+        return tags;
+    }
+
+    private static List<MkvSimpleTag> ParseSimpleTags(IEnumerable<XElement> elements, List<string> binaryNames)
+    {
+        var simpleTags = new List<MkvSimpleTag>();
+        foreach (var simple in elements)
+        {
+            if (simple.Element("Binary") != null)
             {
-                _logger.LogError("Failed to apply changes. Exit code: {ExitCode}, Error: {Error}", 
-                    result.ExitCode, result.StandardError);
-                return new MkvEditResult(false, result.StandardError, warnings, result.ExitCode);
+                binaryNames.Add(simple.Element("Name")?.Value ?? string.Empty);
+                continue;
             }
+
+            simpleTags.Add(new MkvSimpleTag(
+                simple.Element("Name")?.Value ?? string.Empty,
+                simple.Element("String")?.Value,
+                simple.Element("TagLanguage")?.Value,
+                simple.Element("TagLanguageIETF")?.Value,
+                simple.Element("DefaultLanguage")?.Value != "0",
+                ParseSimpleTags(simple.Elements("Simple"), binaryNames)));
         }
-        catch (Exception ex)
+        return simpleTags;
+    }
+
+    /// <summary>
+    /// Builds Matroska tag XML, as mkvextract writes it
+    /// </summary>
+    /// <param name="tags">Tags to write</param>
+    /// <param name="includeTrackUids">False for mkvpropedit --tags track:N:, which sets the target itself</param>
+    public static string BuildTagXml(IEnumerable<MkvTag> tags, bool includeTrackUids = true)
+    {
+        var root = new XElement("Tags");
+        foreach (var tag in tags)
         {
-            _logger.LogError(ex, "Error applying changes");
-            return new MkvEditResult(false, ex.Message);
+            var targets = new XElement("Targets");
+            if (tag.TargetTypeValue != null)
+            {
+                targets.Add(new XElement("TargetTypeValue", tag.TargetTypeValue));
+            }
+            if (!string.IsNullOrEmpty(tag.TargetType))
+            {
+                targets.Add(new XElement("TargetType", tag.TargetType));
+            }
+            if (includeTrackUids && !string.IsNullOrEmpty(tag.TrackUid))
+            {
+                targets.Add(new XElement("TrackUID", tag.TrackUid));
+            }
+
+            var element = new XElement("Tag", targets);
+            element.Add(tag.SimpleTags.Select(BuildSimpleTag));
+            root.Add(element);
+        }
+
+        var document = new XDocument(new XDeclaration("1.0", "UTF-8", null), root);
+        return document.Declaration + Environment.NewLine + document.ToString();
+    }
+
+    private static XElement BuildSimpleTag(MkvSimpleTag simpleTag)
+    {
+        var element = new XElement("Simple", new XElement("Name", simpleTag.Name));
+        if (simpleTag.Value != null)
+        {
+            element.Add(new XElement("String", simpleTag.Value));
+        }
+        if (!string.IsNullOrEmpty(simpleTag.Language))
+        {
+            element.Add(new XElement("TagLanguage", simpleTag.Language));
+        }
+        if (!string.IsNullOrEmpty(simpleTag.LanguageIetf))
+        {
+            element.Add(new XElement("TagLanguageIETF", simpleTag.LanguageIetf));
+        }
+        if (!simpleTag.IsDefault)
+        {
+            element.Add(new XElement("DefaultLanguage", 0));
+        }
+        element.Add(simpleTag.Children.Select(BuildSimpleTag));
+        return element;
+    }
+
+    /// <summary>
+    /// Reads the chapters of the first edition from Matroska chapter XML.
+    /// Further editions and nested chapters are left out and reported in warnings.
+    /// </summary>
+    public static List<MkvChapter> ParseChapterXml(string xml, List<string> warnings)
+    {
+        var editions = XDocument.Parse(xml).Root?.Elements("EditionEntry").ToList() ?? new List<XElement>();
+        if (editions.Count == 0)
+        {
+            return new List<MkvChapter>();
+        }
+        if (editions.Count > 1)
+        {
+            warnings.Add($"The file has {editions.Count} editions; only the first is shown, and writing replaces all of them.");
+        }
+
+        var chapters = new List<MkvChapter>();
+        var nested = 0;
+        foreach (var atom in editions[0].Elements("ChapterAtom"))
+        {
+            nested += atom.Descendants("ChapterAtom").Count();
+
+            var start = ParseChapterTimestamp(atom.Element("ChapterTimeStart")?.Value);
+            if (start == null)
+            {
+                warnings.Add("A chapter without a valid start time was left out.");
+                continue;
+            }
+
+            var names = atom.Elements("ChapterDisplay")
+                .Select(display => new MkvChapterName(
+                    display.Element("ChapterString")?.Value ?? string.Empty,
+                    display.Element("ChapterLanguage")?.Value,
+                    display.Element("ChapLanguageIETF")?.Value))
+                .ToList();
+
+            chapters.Add(new MkvChapter(
+                start.Value,
+                ParseChapterTimestamp(atom.Element("ChapterTimeEnd")?.Value),
+                names,
+                atom.Element("ChapterUID")?.Value));
+        }
+
+        if (nested > 0)
+        {
+            warnings.Add(nested == 1
+                ? "1 nested chapter is not shown, and writing removes it."
+                : $"{nested} nested chapters are not shown, and writing removes them.");
+        }
+
+        return chapters.OrderBy(c => c.StartNanoseconds).ToList();
+    }
+
+    /// <summary>
+    /// Builds Matroska chapter XML with one edition holding the chapters in start order
+    /// </summary>
+    public static string BuildChapterXml(IEnumerable<MkvChapter> chapters)
+    {
+        var edition = new XElement("EditionEntry");
+        foreach (var chapter in chapters.OrderBy(c => c.StartNanoseconds))
+        {
+            var atom = new XElement("ChapterAtom");
+            if (!string.IsNullOrEmpty(chapter.ChapterUid))
+            {
+                atom.Add(new XElement("ChapterUID", chapter.ChapterUid));
+            }
+            atom.Add(new XElement("ChapterTimeStart", FormatChapterTimestamp(chapter.StartNanoseconds)));
+            if (chapter.EndNanoseconds != null)
+            {
+                atom.Add(new XElement("ChapterTimeEnd", FormatChapterTimestamp(chapter.EndNanoseconds.Value)));
+            }
+            foreach (var name in chapter.Names)
+            {
+                var display = new XElement("ChapterDisplay", new XElement("ChapterString", name.Name));
+                if (!string.IsNullOrEmpty(name.Language))
+                {
+                    display.Add(new XElement("ChapterLanguage", name.Language));
+                }
+                if (!string.IsNullOrEmpty(name.LanguageIetf))
+                {
+                    display.Add(new XElement("ChapLanguageIETF", name.LanguageIetf));
+                }
+                atom.Add(display);
+            }
+            edition.Add(atom);
+        }
+
+        var document = new XDocument(new XDeclaration("1.0", "UTF-8", null), new XElement("Chapters", edition));
+        return document.Declaration + Environment.NewLine + document.ToString();
+    }
+
+    /// <summary>
+    /// Parses a chapter time such as "00:01:30.500000000" to nanoseconds
+    /// </summary>
+    private static long? ParseChapterTimestamp(string? value)
+    {
+        var match = Regex.Match(value?.Trim() ?? string.Empty, @"^(\d+):(\d{1,2}):(\d{1,2})(?:\.(\d{1,9}))?$");
+        if (!match.Success)
+        {
+            return null;
+        }
+
+        var seconds = long.Parse(match.Groups[1].Value) * 3600
+            + long.Parse(match.Groups[2].Value) * 60
+            + long.Parse(match.Groups[3].Value);
+        var fraction = match.Groups[4].Success ? long.Parse(match.Groups[4].Value.PadRight(9, '0')) : 0;
+        return seconds * 1_000_000_000 + fraction;
+    }
+
+    private static string FormatChapterTimestamp(long nanoseconds)
+    {
+        var seconds = nanoseconds / 1_000_000_000;
+        return $"{seconds / 3600:D2}:{seconds / 60 % 60:D2}:{seconds % 60:D2}.{nanoseconds % 1_000_000_000:D9}";
+    }
+
+    private static long? ParseDuration(string identifyOutput)
+    {
+        try
+        {
+            using var doc = JsonDocument.Parse(identifyOutput);
+            if (doc.RootElement.TryGetProperty("container", out var container) &&
+                container.TryGetProperty("properties", out var properties) &&
+                properties.TryGetProperty("duration", out var duration) &&
+                duration.TryGetInt64(out var value))
+            {
+                return value;
+            }
+        }
+        catch (JsonException)
+        {
+            // Without a duration the editor cannot generate chapters up to the end
+        }
+        return null;
+    }
+
+    private static string GetExtractMode(MkvXmlElement element)
+    {
+        return element switch
+        {
+            MkvXmlElement.Chapters => "chapters",
+            MkvXmlElement.Tags => "tags",
+            _ => throw new ArgumentOutOfRangeException(nameof(element), element, null)
+        };
+    }
+
+    /// <summary>
+    /// Runs mkvextract in chapters or tags mode and returns the XML it wrote
+    /// </summary>
+    /// <returns>The XML; empty when the file has nothing to extract</returns>
+    /// <exception cref="InvalidOperationException">When mkvextract fails</exception>
+    private async Task<string> ExtractXmlAsync(string filePath, string mode)
+    {
+        var xmlPath = CreateTempXmlPath(mode);
+        try
+        {
+            var result = await RunMkvExtractAsync($"{QuoteArgument(filePath)} {mode} {QuoteArgument(xmlPath)}");
+            if (result.ExitCode > 1)
+            {
+                throw new InvalidOperationException(
+                    $"Failed to extract {mode}: {result.StandardOutput} {result.StandardError}".Trim());
+            }
+
+            // mkvextract writes no file at all when there is nothing to extract
+            return File.Exists(xmlPath) ? await File.ReadAllTextAsync(xmlPath) : string.Empty;
+        }
+        finally
+        {
+            DeleteTempFile(xmlPath);
+        }
+    }
+
+    private static string CreateTempXmlPath(string kind)
+    {
+        return Path.Combine(Path.GetTempPath(), $"mkvtool-{kind}-{Guid.NewGuid():N}.xml");
+    }
+
+    private void DeleteTempFile(string path)
+    {
+        try
+        {
+            if (File.Exists(path)) File.Delete(path);
+        }
+        catch (IOException ex)
+        {
+            _logger.LogWarning(ex, "Could not delete temporary file {Path}", path);
+        }
+    }
+
+    /// <summary>
+    /// Maps an mkvpropedit run to an edit result: exit code 0 is success, 1 success with warnings
+    /// </summary>
+    private MkvEditResult CreateEditResult(ProcessResult result)
+    {
+        var warnings = ParseWarnings(result.StandardOutput + result.StandardError);
+
+        if (result.ExitCode == 0)
+        {
+            _logger.LogInformation("Successfully applied changes to MKV file");
+            return new MkvEditResult(true, Warnings: warnings);
+        }
+        else if (result.ExitCode == 1)
+        {
+            _logger.LogWarning("Changes applied with warnings. Exit code: {ExitCode}", result.ExitCode);
+            return new MkvEditResult(true, "Operation completed with warnings", warnings, result.ExitCode);
+        }
+        else
+        {
+            _logger.LogError("Failed to apply changes. Exit code: {ExitCode}, Error: {Error}", 
+                result.ExitCode, result.StandardError);
+            return new MkvEditResult(false, result.StandardError, warnings, result.ExitCode);
         }
     }
 
+    public List<string> BuildEditArguments(string filePath, List<MkvPropertyChange> changes)
+    {
+        var args = new List<string> { filePath };
+
+        // Group changes by section; info goes first because it is the selector
+        // mkvpropedit starts with, so it needs no --edit of its own
+        var changesBySection = changes
+            .GroupBy(c => c.Section)
+            .OrderBy(g => g.Key == "info" ? 0 : 1);
+
+        foreach (var sectionGroup in changesBySection)
+        {
+            // Add edit selector for this section
+            if (sectionGroup.Key != "info")
+            {
+                args.Add("--edit");
+                args.Add(sectionGroup.Key);
+            }
+
+            // Add all changes for this section
+            foreach (var change in sectionGroup)
+            {
+                switch (change.ChangeType)
+                {
+                    case MkvPropertyChangeType.Set:
+                        args.Add("--set");
+                        args.Add($"{change.PropertyName}={change.NewValue}");
+                        break;
+                    case MkvPropertyChangeType.Delete:
+                        args.Add("--delete");
+                        args.Add(change.PropertyName);
+                        break;
+                    case MkvPropertyChangeType.Add:
+                        args.Add("--add");
+                        args.Add($"{change.PropertyName}={change.NewValue}");
+                        break;
+                }
+            }
+        }
+
+        return args;
+    }
+
     public async Task<bool> IsValidMkvFileAsync(string filePath)
     {
         if (!File.Exists(filePath))
@@ -199,9 +739,9 @@ public class MkvService : IMkvService
         }
 
         var extension = Path.GetExtension(filePath).ToLowerInvariant();
-        if (extension != ".mkv")
+        if (!FolderScanOptions.DefaultExtensions.Contains(extension))
         {
-            _logger.LogDebug("File does not have .mkv extension: {FilePath}", filePath);
+            _logger.LogDebug("File does not have a Matroska extension: {FilePath}", filePath);
             return false;
         }
 
@@ -234,20 +774,30 @@ public class MkvService : IMkvService
 
     private async Task<ProcessResult> RunMkvMergeAsync(string arguments)
     {
-        var mkvMergePath = Path.Combine(Path.GetDirectoryName(_mkvPropEditPath)!, "mkvmerge.exe");
+        return await RunProcessAsync(ResolveToolPath("mkvmerge"), arguments);
+    }
+
+    private async Task<ProcessResult> RunMkvExtractAsync(string arguments)
+    {
+        return await RunProcessAsync(ResolveToolPath("mkvextract"), arguments);
+    }
+
+    /// <summary>
+    /// Finds a MKVToolNix tool next to mkvpropedit.exe, falling back to the system PATH
+    /// </summary>
+    private string ResolveToolPath(string toolName)
+    {
+        var toolPath = Path.Combine(Path.GetDirectoryName(_mkvPropEditPath)!, toolName + ".exe");
         
-        if (!File.Exists(mkvMergePath))
+        if (!File.Exists(toolPath))
         {
-            _logger.LogWarning("mkvmerge.exe not found at: {Path}, trying system PATH", mkvMergePath);
+            _logger.LogWarning("{Tool}.exe not found at: {Path}, trying system PATH", toolName, toolPath);
             // Try to use system PATH
-            mkvMergePath = "mkvmerge";
-        }
-        else
-        {
-            _logger.LogDebug("Using mkvmerge.exe at: {Path}", mkvMergePath);
+            return toolName;
         }
 
-        return await RunProcessAsync(mkvMergePath, arguments);
+        _logger.LogDebug("Using {Tool}.exe at: {Path}", toolName, toolPath);
+        return toolPath;
     }
 
     private async Task<ProcessResult> RunProcessAsync(string fileName, string arguments)
@@ -287,6 +837,44 @@ public class MkvService : IMkvService
 #endif
     }
 
+    /// <summary>
+    /// Quotes a single command-line argument so values containing spaces or quotes
+    /// (track names, titles) reach mkvpropedit as one argument
+    /// </summary>
+    private static string QuoteArgument(string value)
+    {
+        if (value.Length > 0 && value.IndexOfAny(new[] { ' ', '\t', '\n', '\v', '"' }) < 0)
+        {
+            return value;
+        }
+
+        var sb = new StringBuilder("\"");
+        var backslashes = 0;
+        foreach (var c in value)
+        {
+            if (c == '\\')
+            {
+                backslashes++;
+                continue;
+            }
+
+            // Backslashes are only special when they precede a quote
+            if (c == '"')
+            {
+                sb.Append('\\', backslashes * 2 + 1);
+            }
+            else
+            {
+                sb.Append('\\', backslashes);
+            }
+            sb.Append(c);
+            backslashes = 0;
+        }
+        sb.Append('\\', backslashes * 2);
+        sb.Append('"');
+        return sb.ToString();
+    }
+
     private List<MkvProperty> ParsePropertyList(string output)
     {
         var properties = new List<MkvProperty>();
@@ -412,6 +1000,29 @@ public class MkvService : IMkvService
                               enabledElement.GetBoolean();
                 var isForced = properties.TryGetProperty("forced_track", out var forcedElement) && 
                              forcedElement.GetBoolean();
+                var isHearingImpaired = properties.TryGetProperty("flag_hearing_impaired", out var hearingImpairedElement) &&
+                                      hearingImpairedElement.GetBoolean();
+                var isVisualImpaired = properties.TryGetProperty("flag_visual_impaired", out var visualImpairedElement) &&
+                                     visualImpairedElement.GetBoolean();
+                var isCommentary = properties.TryGetProperty("flag_commentary", out var commentaryElement) &&
+                                 commentaryElement.GetBoolean();
+                var isOriginal = properties.TryGetProperty("flag_original", out var originalElement) &&
+                               originalElement.GetBoolean();
+                var isTextDescriptions = properties.TryGetProperty("flag_text_descriptions", out var textDescriptionsElement) &&
+                                       textDescriptionsElement.GetBoolean();
+
+                // Extract codec and stream details for the track inspector
+                var codec = trackElement.TryGetProperty("codec", out var codecElement) ? codecElement.GetString() : null;
+                var codecId = GetStringProperty(properties, "codec_id");
+                var audioChannels = GetIntProperty(properties, "audio_channels");
+                var audioSamplingFrequency = GetIntProperty(properties, "audio_sampling_frequency");
+                var audioBitsPerSample = GetIntProperty(properties, "audio_bits_per_sample");
+                var pixelDimensions = GetStringProperty(properties, "pixel_dimensions");
+                var displayDimensions = GetStringProperty(properties, "display_dimensions");
+                var trackUid = properties.TryGetProperty("uid", out var uidElement) && uidElement.ValueKind == JsonValueKind.Number
+                    ? uidElement.GetRawText()
+                    : null;
+                var headerValues = ReadHeaderValues(properties, TrackHeaderValueSources);
 
                 tracks.Add(new MkvTrackInfo(
                     TrackNumber: trackId,
@@ -422,7 +1033,21 @@ public class MkvService : IMkvService
                     LanguageLegacy: languageLegacy,
                     IsDefault: isDefault,
                     IsEnabled: isEnabled,
-                    IsForced: isForced
+                    IsForced: isForced,
+                    IsHearingImpaired: isHearingImpaired,
+                    IsVisualImpaired: isVisualImpaired,
+                    IsCommentary: isCommentary,
+                    IsOriginal: isOriginal,
+                    IsTextDescriptions: isTextDescriptions,
+                    Codec: codec,
+                    CodecId: codecId,
+                    AudioChannels: audioChannels,
+                    AudioSamplingFrequency: audioSamplingFrequency,
+                    AudioBitsPerSample: audioBitsPerSample,
+                    PixelDimensions: pixelDimensions,
+                    DisplayDimensions: displayDimensions,
+                    TrackUid: trackUid,
+                    HeaderValues: headerValues
                 ));
             }
         }
@@ -436,6 +1061,110 @@ public class MkvService : IMkvService
         return tracks;
     }
 
+    private static string? GetStringProperty(JsonElement properties, string name)
+    {
+        return properties.TryGetProperty(name, out var element) && element.ValueKind == JsonValueKind.String
+            ? element.GetString()
+            : null;
+    }
+
+    private static int? GetIntProperty(JsonElement properties, string name)
+    {
+        return properties.TryGetProperty(name, out var element) && element.ValueKind == JsonValueKind.Number &&
+               element.TryGetInt32(out var value)
+            ? value
+            : null;
+    }
+
+    private string? ParseSegmentTitle(string output)
+    {
+        try
+        {
+            var jsonDoc = JsonDocument.Parse(output);
+            if (jsonDoc.RootElement.TryGetProperty("container", out var container) &&
+                container.TryGetProperty("properties", out var properties) &&
+                properties.TryGetProperty("title", out var titleElement))
+            {
+                return titleElement.GetString();
+            }
+        }
+        catch (JsonException ex)
+        {
+            _logger.LogWarning(ex, "Failed to read segment title from mkvmerge identify output");
+        }
+
+        return null;
+    }
+
+    private Dictionary<string, string?>? ParseSegmentHeaderValues(string output)
+    {
+        try
+        {
+            var jsonDoc = JsonDocument.Parse(output);
+            if (jsonDoc.RootElement.TryGetProperty("container", out var container) &&
+                container.TryGetProperty("properties", out var properties))
+            {
+                return ReadHeaderValues(properties, SegmentHeaderValueSources);
+            }
+        }
+        catch (JsonException ex)
+        {
+            _logger.LogWarning(ex, "Failed to read segment properties from mkvmerge identify output");
+        }
+
+        return null;
+    }
+
+    // Header properties mkvmerge -J reports, by mkvpropedit property name: the JSON property holding
+    // the value and, for "WxH" dimensions, which half of it (-1 for the whole value)
+    private static readonly (string Property, string JsonName, int Part)[] SegmentHeaderValueSources =
+    {
+        ("date", "date_utc", -1),
+        ("muxing-application", "muxing_application", -1),
+        ("writing-application", "writing_application", -1)
+    };
+
+    private static readonly (string Property, string JsonName, int Part)[] TrackHeaderValueSources =
+    {
+        ("codec-id", "codec_id", -1),
+        ("codec-delay", "codec_delay", -1),
+        ("default-duration", "default_duration", -1),
+        ("pixel-width", "pixel_dimensions", 0),
+        ("pixel-height", "pixel_dimensions", 1),
+        ("display-width", "display_dimensions", 0),
+        ("display-height", "display_dimensions", 1),
+        ("display-unit", "display_unit", -1),
+        ("stereo-mode", "stereo_mode", -1),
+        ("sampling-frequency", "audio_sampling_frequency", -1),
+        ("channels", "audio_channels", -1),
+        ("bit-depth", "audio_bits_per_sample", -1)
+    };
+
+    /// <summary>
+    /// Current values of the header properties mkvmerge reports, as mkvpropedit would take them back
+    /// </summary>
+    /// <returns>Every property of <paramref name="sources"/>; null for the ones the file does not set</returns>
+    private static Dictionary<string, string?> ReadHeaderValues(JsonElement properties,
+        IEnumerable<(string Property, string JsonName, int Part)> sources)
+    {
+        var values = new Dictionary<string, string?>();
+        foreach (var (property, jsonName, part) in sources)
+        {
+            string? value = null;
+            if (properties.TryGetProperty(jsonName, out var element) && element.ValueKind != JsonValueKind.Null)
+            {
+                value = element.ValueKind == JsonValueKind.String ? element.GetString() : element.GetRawText();
+                if (part >= 0)
+                {
+                    var halves = value?.Split('x');
+                    value = halves is { Length: 2 } ? halves[part] : null;
+                }
+            }
+            values[property] = value;
+        }
+        return values;
+    }
+
     private List<MkvTrackInfo> ParseTracksFromBasicIdentifyOutput(string output)
     {
         var tracks = new List<MkvTrackInfo>();
@@ -4,13 +4,16 @@ console.log('Pure JavaScript Frontend - Loading...');
 
 /**
  * Frontend Bridge Interface - Clean abstraction for backend communication
- * This interface can be easily swapped for different backends (Web API, SignalR, etc.)
+ * Calls go through a transport (see transports.js), so the backend can be swapped
  */
 class AppBridge {
     constructor() {
-        this.bridgeService = null;
+        this.transport = null;
         this.isInitialized = false;
         this.lastUsedDirKey = 'mkvtool:lastUsedDirectory';
+        this.snapshots = new HeaderSnapshotStore();
+        // Settles once a transport is connected, so startup work can wait for the backend
+        this.ready = new Promise(resolve => { this.resolveReady = resolve; });
         console.log('Bridge interface initialized');
     }
 
@@ -27,13 +30,16 @@ class AppBridge {
     }
 
     /**
-     * Initialize the bridge with the C# JSInterop service
-     * @param {object} dotNetBridgeService - .NET object reference for JSInterop
+     * Initialize the bridge with a transport
+     * @param {object} transport - Bridge transport, or a .NET object reference for JSInterop
      */
-    initialize(dotNetBridgeService) {
-        this.bridgeService = dotNetBridgeService;
+    initialize(transport) {
+        this.transport = typeof transport.invoke === 'function'
+            ? transport
+            : new DotNetBridgeTransport(transport);
         this.isInitialized = true;
-        console.log('Bridge connected to .NET backend');
+        this.resolveReady();
+        console.log(`Bridge connected to ${this.transport.name || 'custom'} backend`);
     }
 
     // MKV-specific bridge methods
@@ -48,7 +54,7 @@ class AppBridge {
         }
         
         try {
-            const result = await this.bridgeService.invokeMethodAsync('GetAvailableMkvPropertiesAsync');
+            const result = await this.transport.invoke('GetAvailableMkvPropertiesAsync');
             return JSON.parse(result);
         } catch (error) {
             console.error('Get available MKV properties failed:', error);
@@ -73,7 +79,7 @@ class AppBridge {
                 try { window.localStorage.setItem(this.lastUsedDirKey, dir); } catch {}
             }
 
-            const result = await this.bridgeService.invokeMethodAsync('ReadMkvFileAsync', filePath);
+            const result = await this.transport.invoke('ReadMkvFileAsync', filePath);
             return JSON.parse(result);
         } catch (error) {
             console.error('Read MKV file failed:', error);
@@ -92,7 +98,7 @@ class AppBridge {
         }
         
         try {
-            return await this.bridgeService.invokeMethodAsync('IsValidMkvFileAsync', filePath);
+            return await this.transport.invoke('IsValidMkvFileAsync', filePath);
         } catch (error) {
             console.error('MKV file validation failed:', error);
             throw error;
@@ -100,7 +106,7 @@ class AppBridge {
     }
 
     /**
-     * Apply changes to an MKV file
+     * Apply changes to an MKV file, after storing a snapshot of its header
      * @param {string} filePath - Path to the MKV file
      * @param {Array} changes - Array of property changes
      * @returns {Promise<object>} Edit result
@@ -111,8 +117,9 @@ class AppBridge {
         }
         
         try {
+            await this.captureHeaderSnapshot(filePath, changes);
             const changesJson = JSON.stringify(changes);
-            const result = await this.bridgeService.invokeMethodAsync('ApplyMkvChangesAsync', filePath, changesJson);
+            const result = await this.transport.invoke('ApplyMkvChangesAsync', filePath, changesJson);
             return JSON.parse(result);
         } catch (error) {
             console.error('Apply MKV changes failed:', error);
@@ -120,13 +127,211 @@ class AppBridge {
         }
     }
 
+    /**
+     * Read the chapters of the first edition, and the file duration
+     * @param {string} filePath - Path to the MKV file
+     * @returns {Promise<object>} MkvChapterList: { FilePath, Chapters, DurationNanoseconds, IsValid, ErrorMessage, Warnings }
+     */
+    async readMkvChapters(filePath) {
+        if (!this.isInitialized) {
+            throw new Error('Bridge not initialized');
+        }
+
+        try {
+            const result = await this.transport.invoke('ReadMkvChaptersAsync', filePath);
+            return JSON.parse(result);
+        } catch (error) {
+            console.error('Read MKV chapters failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Replace all chapters of an MKV file (mkvpropedit --chapters)
+     * @param {string} filePath - Path to the MKV file
+     * @param {Array} chapters - MkvChapter objects; an empty list removes the chapters
+     * @returns {Promise<object>} Edit result
+     */
+    async applyMkvChapters(filePath, chapters) {
+        if (!this.isInitialized) {
+            throw new Error('Bridge not initialized');
+        }
+
+        try {
+            await this.captureXmlSnapshot(filePath, 'chapters', `${chapters.length} chapter${chapters.length === 1 ? '' : 's'}`);
+            const result = await this.transport.invoke('ApplyMkvChaptersAsync', filePath, JSON.stringify(chapters));
+            return JSON.parse(result);
+        } catch (error) {
+            console.error('Apply MKV chapters failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Read chapters or tags as the Matroska XML mkvextract writes, including what the editors do not show
+     * @param {string} filePath - Path to the MKV file
+     * @param {string} element - 'chapters' or 'tags'
+     * @returns {Promise<object>} MkvElementXml: { FilePath, Xml, IsValid, ErrorMessage }; Xml is empty when there are none
+     */
+    async readMkvElementXml(filePath, element) {
+        if (!this.isInitialized) {
+            throw new Error('Bridge not initialized');
+        }
+
+        try {
+            const result = await this.transport.invoke('ReadMkvElementXmlAsync', filePath, element);
+            return JSON.parse(result);
+        } catch (error) {
+            console.error('Read MKV element XML failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Replace chapters or tags with XML from readMkvElementXml, after storing a snapshot of the current XML
+     * @param {string} filePath - Path to the MKV file
+     * @param {string} element - 'chapters' or 'tags'
+     * @param {string} xml - New XML; empty removes the element
+     * @param {string} summary - What is being written, for the history
+     * @returns {Promise<object>} Edit result
+     */
+    async writeMkvElementXml(filePath, element, xml, summary) {
+        if (!this.isInitialized) {
+            throw new Error('Bridge not initialized');
+        }
+
+        try {
+            await this.captureXmlSnapshot(filePath, element, summary);
+            const result = await this.transport.invoke('WriteMkvElementXmlAsync', filePath, element, xml);
+            return JSON.parse(result);
+        } catch (error) {
+            console.error('Write MKV element XML failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Read the global and track tags
+     * @param {string} filePath - Path to the MKV file
+     * @returns {Promise<object>} MkvTagList: { FilePath, Tags, IsValid, ErrorMessage, Warnings, HiddenTags: [{ TrackUid, Description }] }
+     */
+    async readMkvTags(filePath) {
+        if (!this.isInitialized) {
+            throw new Error('Bridge not initialized');
+        }
+
+        try {
+            const result = await this.transport.invoke('ReadMkvTagsAsync', filePath);
+            return JSON.parse(result);
+        } catch (error) {
+            console.error('Read MKV tags failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Replace the tags of some scopes (mkvpropedit --tags global: / track:N:)
+     * @param {string} filePath - Path to the MKV file
+     * @param {Array} scopes - { Selector: 'global' | 'track:N', Tags: MkvTag list }; an empty list removes the tags
+     * @returns {Promise<object>} Edit result
+     */
+    async applyMkvTags(filePath, scopes) {
+        if (!this.isInitialized) {
+            throw new Error('Bridge not initialized');
+        }
+
+        try {
+            await this.captureXmlSnapshot(filePath, 'tags', `tags for ${scopes.map(scope => scope.Selector).join(', ')}`);
+            const result = await this.transport.invoke('ApplyMkvTagsAsync', filePath, JSON.stringify(scopes));
+            return JSON.parse(result);
+        } catch (error) {
+            console.error('Apply MKV tags failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Store the header of a file as it is before a write. Nothing is written when
+     * this fails, so every edit can be rolled back from the history.
+     * @param {string} filePath - Path to the MKV file
+     * @param {Array} changes - Changes about to be written
+     * @returns {Promise<object|null>} The stored snapshot; null for a file that cannot be read as MKV
+     */
+    async captureHeaderSnapshot(filePath, changes) {
+        try {
+            const info = JSON.parse(await this.transport.invoke('ReadMkvFileAsync', filePath));
+            if (!info || info.IsValid === false) return null; // mkvpropedit reports the problem itself
+            return await this.snapshots.add({
+                path: filePath,
+                takenAt: new Date().toISOString(),
+                changes,
+                header: createHeaderSnapshot(info, changes)
+            });
+        } catch (error) {
+            throw new Error(`No header snapshot could be taken, so nothing was written: ${error?.message || error}`);
+        }
+    }
+
+    /**
+     * Store the chapter or tag XML of a file as it is before a write, verbatim, so that a
+     * restore also brings back what the editors cannot show. Nothing is written when this fails.
+     * @param {string} filePath - Path to the MKV file
+     * @param {string} element - 'chapters' or 'tags'
+     * @param {string} summary - What is about to be written
+     * @returns {Promise<object>} The stored snapshot
+     */
+    async captureXmlSnapshot(filePath, element, summary) {
+        try {
+            const current = JSON.parse(await this.transport.invoke('ReadMkvElementXmlAsync', filePath, element));
+            if (!current || current.IsValid === false) throw new Error(current?.ErrorMessage || 'The file could not be read');
+            return await this.snapshots.add({
+                path: filePath,
+                takenAt: new Date().toISOString(),
+                element,
+                summary,
+                xml: current.Xml || ''
+            });
+        } catch (error) {
+            throw new Error(`No ${element} snapshot could be taken, so nothing was written: ${error?.message || error}`);
+        }
+    }
+
+    /**
+     * Header, chapter and tag snapshots of a file, newest first
+     * @param {string} filePath - Path to the MKV file
+     * @returns {Promise<Array>} { id, path, takenAt, changes, header: { title, tracks } }, or { id, path, takenAt, element, summary, xml }
+     */
+    async getHeaderSnapshots(filePath) {
+        return this.snapshots.list(filePath);
+    }
+
+    /**
+     * Get the mkvpropedit arguments applyMkvChanges would run for a change list
+     * @param {string} filePath - Path to the MKV file
+     * @param {Array} changes - Array of property changes
+     * @returns {Promise<Array<string>>} Unquoted arguments, starting with the file path
+     */
+    async getMkvPropEditArguments(filePath, changes) {
+        if (!this.isInitialized) {
+            throw new Error('Bridge not initialized');
+        }
+        
+        try {
+            const result = await this.transport.invoke('GetMkvPropEditArgumentsAsync', filePath, JSON.stringify(changes));
+            return JSON.parse(result);
+        } catch (error) {
+            console.error('Get mkvpropedit arguments failed:', error);
+            throw error;
+        }
+    }
+
     /**
      * Native pickers via backend bridge
      */
     async pickMkvFiles() {
         if (!this.isInitialized) throw new Error('Bridge not initialized');
         try {
-            const json = await this.bridgeService.invokeMethodAsync('PickMkvFilesAsync');
+            const json = await this.transport.invoke('PickMkvFilesAsync');
             const items = JSON.parse(json);
             const normalized = Array.isArray(items) ? items.map(x => (
                 typeof x === 'string' ? { FullPath: x, FileName: x.split(/[\\/]/).pop() } : x
@@ -145,7 +350,7 @@ class AppBridge {
     async pickMkvFolder() {
         if (!this.isInitialized) throw new Error('Bridge not initialized');
         try {
-            const json = await this.bridgeService.invokeMethodAsync('PickMkvFolderAsync');
+            const json = await this.transport.invoke('PickMkvFolderAsync');
             const items = JSON.parse(json);
             const normalized = Array.isArray(items) ? items.map(x => (
                 typeof x === 'string' ? { FullPath: x, FileName: x.split(/[\\/]/).pop() } : x
@@ -161,6 +366,70 @@ class AppBridge {
         }
     }
 
+    /**
+     * Start scanning a folder recursively in the background, picking it first when none is given
+     * @param {object} options - FolderScanOptions: { MaxDepth, Include, Exclude, Extensions }
+     * @param {string|null} [folderPath] - Folder to scan instead of a picked one
+     * @returns {Promise<object|null>} { ScanId, RootPath }, or null if no folder was picked
+     */
+    async startFolderScan(options, folderPath = null) {
+        if (!this.isInitialized) throw new Error('Bridge not initialized');
+        const json = await this.transport.invoke('StartFolderScanAsync', JSON.stringify(options || {}), folderPath);
+        const scan = JSON.parse(json);
+        if (scan && scan.RootPath) {
+            try { window.localStorage.setItem(this.lastUsedDirKey, scan.RootPath); } catch {}
+        }
+        return scan;
+    }
+
+    /**
+     * Resolve files and folders dropped onto the page to absolute paths.
+     * Pages only see file names, so under WebView2 the File objects are posted to the host,
+     * which reads their paths and hands them to the bridge under a token the bridge issued.
+     * @param {Array<File>} files - dataTransfer.files of the drop
+     * @param {object} options - FolderScanOptions; its Extensions select the files to keep
+     * @returns {Promise<object>} DroppedItems: { Files: FileListItem[], Folders: string[], Skipped, Unresolved }
+     */
+    async resolveDroppedFiles(files, options) {
+        if (!this.isInitialized) throw new Error('Bridge not initialized');
+        const list = Array.from(files || []);
+        const webview = window.chrome && window.chrome.webview;
+        let token = '';
+        if (list.length && webview && typeof webview.postMessageWithAdditionalObjects === 'function') {
+            token = await this.transport.invoke('CreateDropTokenAsync');
+            webview.postMessageWithAdditionalObjects(`mkvtool:dropped-files:${token}`, list);
+        }
+        // Electron-style hosts expose file.path; elsewhere the name is all there is
+        const names = list.map(file => file.path || file.name);
+        const json = await this.transport.invoke('ResolveDroppedItemsAsync', token, JSON.stringify(names), JSON.stringify(options || {}));
+        const result = JSON.parse(json) || {};
+        return {
+            Files: Array.isArray(result.Files) ? result.Files : [],
+            Folders: Array.isArray(result.Folders) ? result.Folders : [],
+            Skipped: result.Skipped || 0,
+            Unresolved: result.Unresolved || 0
+        };
+    }
+
+    /**
+     * Take the files a folder scan found since the previous read
+     * @param {string} scanId - Id returned by startFolderScan
+     * @returns {Promise<object>} FolderScanBatch: { Items, IsComplete, ErrorMessage }
+     */
+    async readFolderScan(scanId) {
+        if (!this.isInitialized) throw new Error('Bridge not initialized');
+        return JSON.parse(await this.transport.invoke('ReadFolderScanAsync', scanId));
+    }
+
+    /**
+     * Stop a running folder scan
+     * @param {string} scanId - Id returned by startFolderScan
+     */
+    async cancelFolderScan(scanId) {
+        if (!this.isInitialized) throw new Error('Bridge not initialized');
+        await this.transport.invoke('CancelFolderScanAsync', scanId);
+    }
+
     /**
      * Get the last used directory for file picking
      * @returns {Promise<string|null>} Last used directory path
@@ -203,19 +472,24 @@ window.appBridge = new AppBridge();
  */
 window.initializeBridge = function(dotNetBridgeService) {
     console.log('Bridge initialization called from .NET');
-    
-    // Ensure DOM is ready before initializing bridge
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', () => {
-            window.appBridge.initialize(dotNetBridgeService);
-            exposeBridgeMethods();
-        });
-    } else {
-        window.appBridge.initialize(dotNetBridgeService);
-        exposeBridgeMethods();
-    }
+    window.appBridge.initialize(dotNetBridgeService);
+    exposeBridgeMethods();
 };
 
+/**
+ * Pick a transport when running outside the MAUI WebView (nothing calls initializeBridge there)
+ * ?bridge=http&api=<base url> talks to an HTTP backend; anything else uses the in-memory mock
+ */
+function initializeStandaloneBridge() {
+    const params = new URLSearchParams(window.location.search);
+    const transport = params.get('bridge') === 'http'
+        ? new HttpBridgeTransport(params.get('api') || `${window.location.origin}/api/bridge`)
+        : new MockBridgeTransport();
+    window.appBridge.initialize(transport);
+    exposeBridgeMethods();
+    console.warn(`No .NET host detected - using the ${transport.name} bridge transport`);
+}
+
 function exposeBridgeMethods() {
     // Expose bridge methods globally for easy access
     window.bridgeService = {
@@ -224,8 +498,20 @@ function exposeBridgeMethods() {
         readMkvFile: (filePath) => window.appBridge.readMkvFile(filePath),
         isValidMkvFile: (filePath) => window.appBridge.isValidMkvFile(filePath),
         applyMkvChanges: (filePath, changes) => window.appBridge.applyMkvChanges(filePath, changes),
+        getMkvPropEditArguments: (filePath, changes) => window.appBridge.getMkvPropEditArguments(filePath, changes),
+        getHeaderSnapshots: (filePath) => window.appBridge.getHeaderSnapshots(filePath),
+        readMkvChapters: (filePath) => window.appBridge.readMkvChapters(filePath),
+        applyMkvChapters: (filePath, chapters) => window.appBridge.applyMkvChapters(filePath, chapters),
+        readMkvElementXml: (filePath, element) => window.appBridge.readMkvElementXml(filePath, element),
+        writeMkvElementXml: (filePath, element, xml, summary) => window.appBridge.writeMkvElementXml(filePath, element, xml, summary),
+        readMkvTags: (filePath) => window.appBridge.readMkvTags(filePath),
+        applyMkvTags: (filePath, scopes) => window.appBridge.applyMkvTags(filePath, scopes),
         pickMkvFiles: () => window.appBridge.pickMkvFiles(),
-        pickMkvFolder: () => window.appBridge.pickMkvFolder()
+        pickMkvFolder: () => window.appBridge.pickMkvFolder(),
+        startFolderScan: (options, folderPath) => window.appBridge.startFolderScan(options, folderPath),
+        resolveDroppedFiles: (files, options) => window.appBridge.resolveDroppedFiles(files, options),
+        readFolderScan: (scanId) => window.appBridge.readFolderScan(scanId),
+        cancelFolderScan: (scanId) => window.appBridge.cancelFolderScan(scanId)
     };
     
     console.log('Global bridge methods exposed (including MKV methods)');
@@ -249,9 +535,12 @@ function hideLoading() {
     const loading = document.getElementById('loading');
     if (loading) loading.classList.add('hidden');
     
-    // Re-enable all buttons
+    // Re-enable all buttons (Save/Discard follow the pending-changes state instead)
     const buttons = document.querySelectorAll('.bridge-demo button, .panel-header button');
-    buttons.forEach(btn => btn.disabled = false);
+    buttons.forEach(btn => {
+        if (btn.dataset.pendingAction) return;
+        btn.disabled = false;
+    });
 }
 
 function showResult(data) {
@@ -265,490 +554,7925 @@ function showResult(data) {
 }
 
 /**
- * MKV-specific test functions
+ * Notification center - toasts plus a log that lasts for the browser session
  */
+class NotificationCenter {
+    constructor() {
+        this.storageKey = 'mkvtool:notifications';
+        this.maxEntries = 200;
+        this.entries = this.load();
+        this.unread = 0;
+        this.toastContainer = null;
+        this.logList = null;
+        this.badge = null;
+    }
 
-// HARDCODED TEST FILE PATH - Change this to an actual MKV file path on your system
-const TEST_MKV_FILE = "C:\\Users\\Nathan\\Desktop\\test.mkv"; // Update this path to an actual MKV file
+    load() {
+        try {
+            const parsed = JSON.parse(window.sessionStorage.getItem(this.storageKey) || '[]');
+            return Array.isArray(parsed) ? parsed : [];
+        } catch {
+            return [];
+        }
+    }
 
-async function testMkvProperties() {
-    showLoading();
-    
-    try {
-        const result = await window.bridgeService.getAvailableMkvProperties();
-        showResult(result);
-        console.log('Available MKV properties:', result);
-    } catch (error) {
-        showResult({ error: error.message });
-        console.error('Get MKV properties failed:', error);
-    } finally {
-        hideLoading();
+    save() {
+        try { window.sessionStorage.setItem(this.storageKey, JSON.stringify(this.entries)); } catch {}
     }
-}
 
-async function testReadMkvFile() {
-    showLoading();
-    
-    try {
-        console.log(`Testing with file: ${TEST_MKV_FILE}`);
-        
-        // First validate the file
-        const isValid = await window.bridgeService.isValidMkvFile(TEST_MKV_FILE);
-        console.log('File validation result:', isValid);
-        
-        if (!isValid) {
-            showResult({ 
-                error: `File is not valid or not found: ${TEST_MKV_FILE}`,
-                suggestion: "Update TEST_MKV_FILE variable in app.js to point to an actual MKV file"
-            });
+    /**
+     * Connect the DOM elements the center renders into
+     * @param {object} elements - { toastContainer, logList, badge }
+     */
+    attach(elements) {
+        Object.assign(this, elements);
+        this.renderLog();
+    }
+
+    /**
+     * Record a notification and show it as a toast
+     * @param {object} entry - { level: 'success'|'info'|'warning'|'error', title, message, details, toast }
+     */
+    notify({ level = 'info', title = '', message = '', details = '', toast = true }) {
+        const entry = { id: Date.now() + Math.random(), time: new Date().toISOString(), level, title, message, details };
+        this.entries.push(entry);
+        if (this.entries.length > this.maxEntries) this.entries.splice(0, this.entries.length - this.maxEntries);
+        this.save();
+        this.unread++;
+        this.renderLog();
+        if (toast) this.showToast(entry);
+        const log = level === 'error' ? console.error : level === 'warning' ? console.warn : console.log;
+        log(`[${level}] ${title}: ${message}`, details || '');
+        return entry;
+    }
+
+    showToast(entry) {
+        if (!this.toastContainer) return;
+        const toast = document.createElement('div');
+        toast.className = `toast toast-${entry.level}`;
+        toast.setAttribute('role', entry.level === 'error' ? 'alert' : 'status');
+        toast.appendChild(this.buildEntryContent(entry));
+
+        const close = document.createElement('button');
+        close.type = 'button';
+        close.className = 'toast-close';
+        close.textContent = '×';
+        close.setAttribute('aria-label', 'Dismiss');
+        close.addEventListener('click', () => toast.remove());
+        toast.appendChild(close);
+        this.toastContainer.appendChild(toast);
+
+        // Failures stay until dismissed; keep at most a handful on screen
+        const timeout = { success: 4000, info: 4000, warning: 8000 }[entry.level];
+        if (timeout) setTimeout(() => toast.remove(), timeout);
+        while (this.toastContainer.children.length > 5) this.toastContainer.firstChild.remove();
+    }
+
+    buildEntryContent(entry) {
+        const content = document.createElement('div');
+        content.className = 'notification-content';
+        if (entry.title) {
+            const title = document.createElement('strong');
+            title.textContent = entry.title;
+            title.title = entry.title;
+            content.appendChild(title);
+        }
+        if (entry.message) {
+            const message = document.createElement('div');
+            message.textContent = entry.message;
+            content.appendChild(message);
+        }
+        if (entry.details) {
+            const details = document.createElement('pre');
+            details.className = 'notification-details';
+            details.textContent = entry.details;
+            content.appendChild(details);
+        }
+        return content;
+    }
+
+    renderLog() {
+        if (this.badge) {
+            this.badge.textContent = this.unread ? String(this.unread) : '';
+            this.badge.classList.toggle('hidden', !this.unread);
+        }
+        if (!this.logList) return;
+        this.logList.innerHTML = '';
+        if (!this.entries.length) {
+            const empty = document.createElement('li');
+            empty.className = 'notification-empty';
+            empty.textContent = 'Nothing yet this session.';
+            this.logList.appendChild(empty);
             return;
         }
-        
-        // Read the file properties
-        const result = await window.bridgeService.readMkvFile(TEST_MKV_FILE);
-        showResult(result);
-        console.log('MKV file info:', result);
-        
-        // Also save to info.json for inspection
-        await saveToInfoJson(result);
-        
-    } catch (error) {
-        showResult({ 
-            error: error.message,
-            testFile: TEST_MKV_FILE,
-            suggestion: "Make sure the TEST_MKV_FILE path points to a valid MKV file"
-        });
-        console.error('Read MKV file failed:', error);
-    } finally {
-        hideLoading();
+        for (const entry of this.entries.slice().reverse()) {
+            const li = document.createElement('li');
+            li.className = `notification notification-${entry.level}`;
+            const time = document.createElement('time');
+            time.dateTime = entry.time;
+            time.textContent = new Date(entry.time).toLocaleTimeString();
+            li.append(time, this.buildEntryContent(entry));
+            this.logList.appendChild(li);
+        }
     }
-}
 
-async function testMkvValidation() {
-    showLoading();
-    
-    try {
-        const result = await window.bridgeService.isValidMkvFile(TEST_MKV_FILE);
-        showResult({ 
-            filePath: TEST_MKV_FILE,
-            isValid: result,
-            message: result ? "File is a valid MKV" : "File is not valid or not found"
-        });
-        console.log('MKV validation result:', result);
-    } catch (error) {
-        showResult({ error: error.message });
-        console.error('MKV validation failed:', error);
-    } finally {
-        hideLoading();
+    markRead() {
+        this.unread = 0;
+        this.renderLog();
     }
-}
 
-async function saveToInfoJson(data) {
-    try {
-        // Create a blob with the JSON data
-        const jsonData = JSON.stringify(data, null, 2);
-        const blob = new Blob([jsonData], { type: 'application/json' });
-        
-        // Create download link
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = 'mkv-info.json';
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
-        
-        console.log('✅ MKV info saved to mkv-info.json');
-    } catch (error) {
-        console.error('Failed to save info.json:', error);
+    clear() {
+        this.entries = [];
+        this.unread = 0;
+        this.save();
+        this.renderLog();
     }
 }
 
+window.notifications = new NotificationCenter();
+
 /**
- * Initialize the pure JavaScript UI
+ * Background job queue for bridge calls
  */
+
+const JobStatus = Object.freeze({
+    Queued: 'queued',
+    Running: 'running',
+    Done: 'done',
+    Failed: 'failed',
+    Cancelled: 'cancelled'
+});
+
+// Jobs reading or writing different files run side by side up to this limit
+const JOB_CONCURRENCY = 3;
+
+class JobCancelledError extends Error {
+    constructor() {
+        super('Cancelled');
+        this.name = 'JobCancelledError';
+    }
+}
+
+/**
+ * Runs async jobs with limited concurrency; jobs for the same file never overlap
+ *
+ * A job's run() should do all of its follow-up work (rendering, notifications) so that
+ * retrying a failed job repeats it completely.
+ */
+class JobQueue {
+    constructor(concurrency = JOB_CONCURRENCY) {
+        this.concurrency = concurrency;
+        this.jobs = [];
+        this.nextId = 1;
+        this.generation = 0; // bumped when work starts after an idle period; progress covers one generation
+        this.listeners = new Set();
+    }
+
+    /**
+     * @param {object} job - { path, kind ('load'|'read'|'write'), label, run: () => Promise }
+     * @returns {Promise} Resolves with run()'s result; rejects with its error or JobCancelledError
+     */
+    enqueue({ path = null, kind = '', label = '', run }) {
+        if (this.isIdle()) {
+            this.generation++;
+            // Finished jobs from the previous run are no longer interesting; failures stay retryable
+            this.jobs = this.jobs.filter(j => j.status === JobStatus.Failed);
+        }
+        const job = { id: this.nextId++, path, kind, label, run, status: JobStatus.Queued, error: null, generation: this.generation };
+        this.jobs.push(job);
+        const promise = this.track(job);
+        this.pump();
+        return promise;
+    }
+
+    track(job) {
+        return new Promise((resolve, reject) => {
+            job.resolve = resolve;
+            job.reject = reject;
+        });
+    }
+
+    isIdle() {
+        return !this.jobs.some(j => j.status === JobStatus.Queued || j.status === JobStatus.Running);
+    }
+
+    pump() {
+        let running = this.jobs.filter(j => j.status === JobStatus.Running);
+        for (const job of this.jobs) {
+            if (running.length >= this.concurrency) break;
+            if (job.status !== JobStatus.Queued) continue;
+            if (job.path && running.some(r => r.path === job.path)) continue;
+            this.start(job);
+            running = running.concat(job);
+        }
+        this.emit();
+    }
+
+    async start(job) {
+        job.status = JobStatus.Running;
+        try {
+            const result = await job.run();
+            job.status = JobStatus.Done;
+            job.resolve(result);
+        } catch (error) {
+            job.status = JobStatus.Failed;
+            job.error = error;
+            job.reject(error);
+        }
+        this.pump();
+    }
+
+    /**
+     * Cancel a job that has not started yet
+     */
+    cancel(id) {
+        const job = this.jobs.find(j => j.id === id && j.status === JobStatus.Queued);
+        if (!job) return;
+        job.status = JobStatus.Cancelled;
+        job.reject(new JobCancelledError());
+        this.pump();
+    }
+
+    cancelQueued() {
+        this.cancelWhere(() => true);
+    }
+
+    /**
+     * Cancel every queued job matching a predicate
+     * @param {function(object): boolean} predicate
+     */
+    cancelWhere(predicate) {
+        this.jobs.filter(j => j.status === JobStatus.Queued && predicate(j)).forEach(j => this.cancel(j.id));
+    }
+
+    /**
+     * Run a failed job again
+     * @returns {Promise|undefined} Settles like the promise from enqueue
+     */
+    retry(id) {
+        const job = this.jobs.find(j => j.id === id && j.status === JobStatus.Failed);
+        if (!job) return undefined;
+        if (this.isIdle()) this.generation++;
+        job.status = JobStatus.Queued;
+        job.error = null;
+        job.generation = this.generation;
+        // Move it to the back so it runs after work that is already waiting
+        this.jobs.splice(this.jobs.indexOf(job), 1);
+        this.jobs.push(job);
+        const promise = this.track(job);
+        promise.catch(() => {}); // Outcome shows up in the job status
+        this.pump();
+        return promise;
+    }
+
+    retryFailed() {
+        this.jobs.filter(j => j.status === JobStatus.Failed).forEach(j => this.retry(j.id));
+    }
+
+    /**
+     * Is a job of this kind waiting or running for the file?
+     */
+    hasActiveJob(path, kind) {
+        return this.jobs.some(j => j.path === path && j.kind === kind &&
+            (j.status === JobStatus.Queued || j.status === JobStatus.Running));
+    }
+
+    /**
+     * Most recent job for a file, for per-file status display
+     */
+    latestJobForPath(path) {
+        for (let i = this.jobs.length - 1; i >= 0; i--) {
+            if (this.jobs[i].path === path) return this.jobs[i];
+        }
+        return null;
+    }
+
+    /**
+     * @returns {object} { total, finished, running, queued, failed } - failed counts every generation
+     */
+    getProgress() {
+        const current = this.jobs.filter(j => j.generation === this.generation);
+        const count = status => current.filter(j => j.status === status).length;
+        return {
+            total: current.length,
+            finished: count(JobStatus.Done) + count(JobStatus.Failed) + count(JobStatus.Cancelled),
+            running: count(JobStatus.Running),
+            queued: count(JobStatus.Queued),
+            failed: this.jobs.filter(j => j.status === JobStatus.Failed).length
+        };
+    }
+
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    emit() {
+        this.listeners.forEach(listener => listener(this));
+    }
+}
+
+window.jobQueue = new JobQueue();
+
+/**
+ * Turn an MkvEditResult into a notification level and text
+ * @param {object} result - MkvEditResult from applyMkvChanges
+ * @param {number} changeCount - Number of changes that were sent
+ * @returns {object} { success, level, message, details }
+ */
+function summarizeEditResult(result, changeCount) {
+    const applied = `${changeCount} change${changeCount === 1 ? '' : 's'}`;
+    const warnings = (result && result.Warnings) || [];
+    if (!result || result.Success === false) {
+        const exitCode = result && result.ExitCode ? ` (exit code ${result.ExitCode})` : '';
+        return {
+            success: false,
+            level: 'error',
+            message: `mkvpropedit failed${exitCode}; ${applied} not applied`,
+            details: [(result && result.ErrorMessage) || 'No error output', ...warnings].join('\n').trim()
+        };
+    }
+    // mkvpropedit exits with 1 when it succeeded but printed warnings
+    if (result.ExitCode === 1 || warnings.length) {
+        return {
+            success: true,
+            level: 'warning',
+            message: `Applied ${applied} with ${warnings.length || 'some'} warning${warnings.length === 1 ? '' : 's'}`,
+            details: warnings.join('\n')
+        };
+    }
+    return { success: true, level: 'success', message: `Applied ${applied}`, details: '' };
+}
+
+/**
+ * MKV-specific test functions
+ */
+
+// HARDCODED TEST FILE PATH - Change this to an actual MKV file path on your system
+const TEST_MKV_FILE = "C:\\Users\\Nathan\\Desktop\\test.mkv"; // Update this path to an actual MKV file
+
+async function testMkvProperties() {
+    showLoading();
+    
+    try {
+        const result = await window.bridgeService.getAvailableMkvProperties();
+        showResult(result);
+        console.log('Available MKV properties:', result);
+    } catch (error) {
+        showResult({ error: error.message });
+        console.error('Get MKV properties failed:', error);
+    } finally {
+        hideLoading();
+    }
+}
+
+async function testReadMkvFile() {
+    showLoading();
+    
+    try {
+        console.log(`Testing with file: ${TEST_MKV_FILE}`);
+        
+        // First validate the file
+        const isValid = await window.bridgeService.isValidMkvFile(TEST_MKV_FILE);
+        console.log('File validation result:', isValid);
+        
+        if (!isValid) {
+            showResult({ 
+                error: `File is not valid or not found: ${TEST_MKV_FILE}`,
+                suggestion: "Update TEST_MKV_FILE variable in app.js to point to an actual MKV file"
+            });
+            return;
+        }
+        
+        // Read the file properties
+        const result = await window.bridgeService.readMkvFile(TEST_MKV_FILE);
+        showResult(result);
+        console.log('MKV file info:', result);
+        
+        // Also save to info.json for inspection
+        await saveToInfoJson(result);
+        
+    } catch (error) {
+        showResult({ 
+            error: error.message,
+            testFile: TEST_MKV_FILE,
+            suggestion: "Make sure the TEST_MKV_FILE path points to a valid MKV file"
+        });
+        console.error('Read MKV file failed:', error);
+    } finally {
+        hideLoading();
+    }
+}
+
+async function testMkvValidation() {
+    showLoading();
+    
+    try {
+        const result = await window.bridgeService.isValidMkvFile(TEST_MKV_FILE);
+        showResult({ 
+            filePath: TEST_MKV_FILE,
+            isValid: result,
+            message: result ? "File is a valid MKV" : "File is not valid or not found"
+        });
+        console.log('MKV validation result:', result);
+    } catch (error) {
+        showResult({ error: error.message });
+        console.error('MKV validation failed:', error);
+    } finally {
+        hideLoading();
+    }
+}
+
+async function saveToInfoJson(data) {
+    try {
+        downloadFile(JSON.stringify(data, null, 2), 'mkv-info.json', 'application/json');
+        console.log('✅ MKV info saved to mkv-info.json');
+    } catch (error) {
+        console.error('Failed to save info.json:', error);
+    }
+}
+
+/**
+ * Offer text content as a browser download
+ * @param {string} content - File contents
+ * @param {string} fileName - Suggested file name
+ * @param {string} mimeType - e.g. 'application/json'
+ */
+function downloadFile(content, fileName, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    
+    // Create download link
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Change tracking helpers
+ */
+
+// mkvpropedit change types (mirrors MkvPropertyChangeType on the backend)
+const MkvChangeType = Object.freeze({ Set: 0, Delete: 1, Add: 2 });
+
+// Track state keys mapped to the mkvpropedit property they write
+const TRACK_FLAG_PROPERTIES = {
+    enabled: 'flag-enabled',
+    default: 'flag-default',
+    forced: 'flag-forced',
+    hearingImpaired: 'flag-hearing-impaired',
+    visualImpaired: 'flag-visual-impaired',
+    commentary: 'flag-commentary',
+    original: 'flag-original',
+    textDescriptions: 'flag-text-descriptions'
+};
+
+// Column headers for the flag columns, in display order
+const TRACK_FLAG_LABELS = {
+    enabled: 'Enabled',
+    default: 'Default',
+    forced: 'Forced',
+    hearingImpaired: 'Hearing impaired',
+    visualImpaired: 'Visual impaired',
+    commentary: 'Commentary',
+    original: 'Original',
+    textDescriptions: 'Text descriptions'
+};
+
+// Flag columns shown until the user picks their own
+const DEFAULT_FLAG_COLUMNS = ['enabled', 'default', 'forced'];
+
+// Editable text fields on the track state mapped to their mkvpropedit property
+// (an empty value is written as a Delete so the element is removed, not blanked)
+const TRACK_TEXT_PROPERTIES = {
+    langIetf: 'language-ietf',
+    langLegacy: 'language',
+    name: 'name'
+};
+
+// Segment info property backing the title field
+const SEGMENT_TITLE_PROPERTY = 'title';
+
+/**
+ * Find the track state key that owns an mkvpropedit property
+ * @param {string} propertyName - e.g. 'flag-default', 'language'
+ * @returns {string|null} Track state key, or null for properties edited only in the property editor
+ */
+function getTrackFieldForProperty(propertyName) {
+    const all = { ...TRACK_FLAG_PROPERTIES, ...TRACK_TEXT_PROPERTIES };
+    return Object.keys(all).find(key => all[key] === propertyName) || null;
+}
+
+/**
+ * List the keys whose value differs between the on-disk and edited track
+ * @param {object} original - Track state as read from the file
+ * @param {object} edited - Track state including unsaved edits
+ * @returns {string[]} Changed keys (e.g. ['default', 'langIetf'])
+ */
+function getChangedTrackFields(original, edited) {
+    if (!original || !edited) return [];
+    const flags = Object.keys(TRACK_FLAG_PROPERTIES)
+        .filter(key => (original[key] === true) !== (edited[key] === true));
+    const texts = Object.keys(TRACK_TEXT_PROPERTIES)
+        .filter(key => (original[key] || '') !== (edited[key] || ''));
+    return flags.concat(texts);
+}
+
+/**
+ * Build one batched change set for mkvpropedit from the edited track state
+ * @param {Array} originalTracks - Track states as read from the file
+ * @param {Array} editedTracks - Track states including unsaved edits
+ * @returns {Array} MkvPropertyChange objects for applyMkvChanges
+ */
+function buildTrackChanges(originalTracks, editedTracks) {
+    const changes = [];
+    for (const edited of editedTracks || []) {
+        const original = (originalTracks || []).find(t => t.sequentialTrackNumber === edited.sequentialTrackNumber);
+        for (const key of getChangedTrackFields(original, edited)) {
+            const section = `track:${edited.sequentialTrackNumber}`;
+            if (key in TRACK_FLAG_PROPERTIES) {
+                changes.push({
+                    PropertyName: TRACK_FLAG_PROPERTIES[key],
+                    Section: section,
+                    ChangeType: MkvChangeType.Set,
+                    NewValue: edited[key] === true ? '1' : '0'
+                });
+            } else if (edited[key]) {
+                changes.push({
+                    PropertyName: TRACK_TEXT_PROPERTIES[key],
+                    Section: section,
+                    ChangeType: MkvChangeType.Set,
+                    NewValue: edited[key]
+                });
+            } else {
+                changes.push({
+                    PropertyName: TRACK_TEXT_PROPERTIES[key],
+                    Section: section,
+                    ChangeType: MkvChangeType.Delete
+                });
+            }
+        }
+    }
+    return changes;
+}
+
+/**
+ * Build the change for an edited segment title
+ * @param {string} originalTitle - Title as read from the file
+ * @param {string} editedTitle - Title including unsaved edits
+ * @returns {Array} Zero or one MkvPropertyChange on the info section
+ */
+function buildSegmentChanges(originalTitle, editedTitle) {
+    if ((originalTitle || '') === (editedTitle || '')) return [];
+    if (!editedTitle) {
+        return [{ PropertyName: SEGMENT_TITLE_PROPERTY, Section: 'info', ChangeType: MkvChangeType.Delete }];
+    }
+    return [{
+        PropertyName: SEGMENT_TITLE_PROPERTY,
+        Section: 'info',
+        ChangeType: MkvChangeType.Set,
+        NewValue: editedTitle
+    }];
+}
+
+/**
+ * Convert the tracks of a readMkvFile result into the frontend track state format
+ * @param {object} info - MkvFileInfo from readMkvFile
+ * @returns {Array} Track states numbered for mkvpropedit's track:N selectors
+ */
+function toTrackStates(info) {
+    const tracks = (info && (info.Tracks || info.tracks)) || [];
+    if (!Array.isArray(tracks)) return [];
+    return tracks.map((t, index) => ({
+        trackNumber: t.TrackNumber ?? t.id ?? t.Id ?? '',
+        sequentialTrackNumber: index + 1, // Sequential numbering starting from 1
+        trackType: t.TrackType ?? t.type ?? t.Type ?? '',
+        langIetf: t.LanguageIetf ?? ((t.properties && t.properties.language_ietf) || ''),
+        langLegacy: t.LanguageLegacy ?? ((t.properties && t.properties.language) || ''),
+        name: t.Name ?? ((t.properties && t.properties.track_name) || ''),
+        enabled: t.IsEnabled ?? t.enabled ?? t.Enabled,
+        default: t.IsDefault ?? t.default ?? t.Default,
+        forced: t.IsForced ?? t.forced ?? t.Forced,
+        hearingImpaired: t.IsHearingImpaired ?? t.hearingImpaired ?? false,
+        visualImpaired: t.IsVisualImpaired ?? t.visualImpaired ?? false,
+        commentary: t.IsCommentary ?? t.commentary ?? false,
+        original: t.IsOriginal ?? t.original ?? false,
+        textDescriptions: t.IsTextDescriptions ?? t.textDescriptions ?? false,
+        // Read-only stream details, shared by every copy of the state
+        details: {
+            codec: t.Codec ?? '',
+            codecId: t.CodecId ?? '',
+            channels: t.AudioChannels ?? null,
+            samplingFrequency: t.AudioSamplingFrequency ?? null,
+            bitsPerSample: t.AudioBitsPerSample ?? null,
+            pixelDimensions: t.PixelDimensions ?? '',
+            displayDimensions: t.DisplayDimensions ?? '',
+            uid: t.TrackUid ?? ''
+        }
+    }));
+}
+
+// Common channel layouts by channel count
+const CHANNEL_LAYOUTS = { 1: 'mono', 2: 'stereo', 6: '5.1', 8: '7.1' };
+
+/**
+ * @param {number} channels
+ * @returns {string} e.g. "6 (5.1)"
+ */
+function formatChannels(channels) {
+    return CHANNEL_LAYOUTS[channels] ? `${channels} (${CHANNEL_LAYOUTS[channels]})` : String(channels);
+}
+
+/**
+ * @param {number} hz
+ * @returns {string} e.g. "48 kHz", "44.1 kHz"
+ */
+function formatSamplingFrequency(hz) {
+    return `${Number((hz / 1000).toFixed(3))} kHz`;
+}
+
+/**
+ * Rows of the track inspector, in display order; fields the file does not have are left out
+ * @param {object} track - Track state from toTrackStates
+ * @returns {Array<[string, string]>} [label, value]
+ */
+function getTrackDetailRows(track) {
+    const d = track.details || {};
+    const language = [track.langIetf, track.langLegacy].filter(Boolean).join(' / ');
+    const rows = [
+        ['Track ID', String(track.trackNumber)],
+        ['Type', track.trackType],
+        ['Name', track.name || ''],
+        ['Language', language],
+        ['Codec', d.codec],
+        ['Codec ID', d.codecId],
+        ['Channels', d.channels ? formatChannels(d.channels) : ''],
+        ['Sample rate', d.samplingFrequency ? formatSamplingFrequency(d.samplingFrequency) : ''],
+        ['Bit depth', d.bitsPerSample ? `${d.bitsPerSample} bit` : ''],
+        ['Pixel size', d.pixelDimensions],
+        // Only worth a row when it differs (anamorphic video)
+        ['Display size', d.displayDimensions && d.displayDimensions !== d.pixelDimensions ? d.displayDimensions : ''],
+        ['Track UID', d.uid]
+    ];
+    return rows.filter(([, value]) => value);
+}
+
+/**
+ * One-line stream description for row tooltips, e.g. "FLAC, 2 (stereo), 48 kHz, 24 bit"
+ * @param {object} track - Track state from toTrackStates
+ * @returns {string}
+ */
+function describeTrackDetails(track) {
+    const d = track.details || {};
+    return [
+        d.codec || d.codecId,
+        d.pixelDimensions,
+        d.channels ? formatChannels(d.channels) : '',
+        d.samplingFrequency ? formatSamplingFrequency(d.samplingFrequency) : '',
+        d.bitsPerSample ? `${d.bitsPerSample} bit` : ''
+    ].filter(Boolean).join(', ');
+}
+
+/**
+ * Batch edit helpers
+ */
+
+// What a batch operation does to each matching track
+const BatchAction = Object.freeze({
+    FlagOn: 'flag-on',
+    FlagOff: 'flag-off',
+    Language: 'language',
+    Name: 'name'
+});
+
+const BATCH_ACTION_LABELS = {
+    [BatchAction.FlagOn]: 'Turn flag on',
+    [BatchAction.FlagOff]: 'Turn flag off',
+    [BatchAction.Language]: 'Set language',
+    [BatchAction.Name]: 'Set name'
+};
+
+/**
+ * Does a track satisfy a match rule? Empty criteria match every track.
+ * @param {object} track - Track state
+ * @param {object} match - { trackType, language, name } (name is a case-insensitive substring)
+ * @returns {boolean}
+ */
+function trackMatchesRule(track, match) {
+    if (!match) return true;
+    if (match.trackType && track.trackType !== match.trackType) return false;
+    if (match.language && getTrackLanguageKey(track) !== normalizeLanguageKey(match.language)) return false;
+    if (match.name && !(track.name || '').toLowerCase().includes(match.name.toLowerCase())) return false;
+    return true;
+}
+
+/**
+ * Run batch operations in order against one file's tracks
+ * @param {Array} tracks - Track states as read from the file (left untouched)
+ * @param {Array} operations - { match, action, flag, value } entries
+ * @param {object} policy - Flag exclusivity policy used for flag actions
+ * @param {Array<string>} [notes] - Receives a line for every matched track an operation left alone
+ * @returns {Array} Edited track states
+ */
+function applyBatchOperations(tracks, operations, policy, notes = []) {
+    let edited = tracks.map(t => ({ ...t }));
+    for (const op of operations || []) {
+        // Match against the state before this operation so it cannot chase its own edits
+        const targets = edited.filter(t => trackMatchesRule(t, op.match)).map(t => t.sequentialTrackNumber);
+        // An exclusive flag goes to the first match of each policy group; later ones would take it away again
+        const flagged = new Map();
+        for (const seq of targets) {
+            const track = edited.find(t => t.sequentialTrackNumber === seq);
+            switch (op.action) {
+                case BatchAction.FlagOn:
+                case BatchAction.FlagOff: {
+                    // Video tracks cannot be modified (same rule as the tracks table)
+                    if (!op.flag || track.trackType.toLowerCase() === 'video') break;
+                    const group = op.action === BatchAction.FlagOn ? getFlagPolicyGroup(track, op.flag, policy) : null;
+                    if (group !== null && flagged.has(group)) {
+                        notes.push(`${describeLintTrack(track)} also matches, but only ${describeLintTrack(flagged.get(group))} ` +
+                            `gets ${TRACK_FLAG_LABELS[op.flag] || op.flag} (${FLAG_POLICY_LABELS[policy[op.flag]].toLowerCase()})`);
+                        break;
+                    }
+                    if (group !== null) flagged.set(group, track);
+                    edited = applyFlagPolicy(edited, seq, op.flag, op.action === BatchAction.FlagOn, policy);
+                    break;
+                }
+                case BatchAction.Language: {
+                    const tag = canonicalizeLanguageTag(op.value);
+                    edited = edited.map(t => t.sequentialTrackNumber === seq
+                        ? { ...t, langIetf: tag, langLegacy: deriveLegacyLanguage(tag) }
+                        : t);
+                    break;
+                }
+                case BatchAction.Name:
+                    edited = edited.map(t => t.sequentialTrackNumber === seq ? { ...t, name: op.value || '' } : t);
+                    break;
+            }
+        }
+    }
+    return edited;
+}
+
+/**
+ * Human-readable one-liner for a change, used in previews
+ * @param {object} change - MkvPropertyChange
+ * @param {Array} tracks - Track states of the file the change targets
+ * @returns {string}
+ */
+function describeChange(change, tracks) {
+    let target = change.Section === 'info' ? 'Segment' : change.Section;
+    const match = /^track:(\d+)$/.exec(change.Section);
+    if (match) {
+        const track = (tracks || []).find(t => t.sequentialTrackNumber === Number(match[1]));
+        if (track) {
+            const language = track.langIetf || track.langLegacy || 'und';
+            target = `Track ${track.trackNumber} (${track.trackType}, ${language}${track.name ? `, "${track.name}"` : ''})`;
+        }
+    }
+    if (change.ChangeType === MkvChangeType.Delete) return `${target}: remove ${change.PropertyName}`;
+    return `${target}: ${change.PropertyName} = ${change.NewValue}`;
+}
+
+/**
+ * Conflict detection helpers
+ */
+
+const TRACK_FIELD_LABELS = {
+    langIetf: 'Language (IETF)',
+    langLegacy: 'Language',
+    name: 'Name',
+    ...TRACK_FLAG_LABELS
+};
+
+/**
+ * Fingerprint of a file as read: size, modification time and the header snapshot
+ * @param {object} info - MkvFileInfo from readMkvFile
+ * @returns {object} { size, modified, header }
+ */
+function createFileFingerprint(info) {
+    return {
+        size: (info && info.FileSize) ?? null,
+        modified: (info && info.LastModifiedUtc) ?? null,
+        header: JSON.stringify({ title: (info && info.SegmentTitle) || '', tracks: toTrackStates(info) })
+    };
+}
+
+/**
+ * List what differs between two fingerprints
+ * @returns {Array<string>} Human-readable reasons; empty when they match
+ */
+function compareFingerprints(expected, actual) {
+    const reasons = [];
+    if (!expected || !actual) return reasons;
+    if (expected.size !== actual.size) reasons.push('file size');
+    if (expected.modified !== actual.modified) reasons.push('modification time');
+    if (expected.header !== actual.header) reasons.push('track headers');
+    return reasons;
+}
+
+/**
+ * Workspace helpers
+ */
+
+// Workspace opened when none has been saved yet
+const DEFAULT_WORKSPACE_NAME = 'Default';
+
+// The open workspace is saved this long after the last change to it
+const WORKSPACE_SAVE_DELAY_MS = 1000;
+
+/**
+ * Short digest of a text (32-bit FNV-1a)
+ * @param {string} text
+ * @returns {string} 8 hex digits
+ */
+function hashText(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * A fingerprint small enough to keep for every file of a workspace: the header becomes a digest.
+ * Compare it with compareFingerprints against another compacted fingerprint.
+ * @param {object} fingerprint - From createFileFingerprint
+ * @returns {object} { size, modified, header }
+ */
+function compactFingerprint(fingerprint) {
+    return { ...fingerprint, header: hashText(fingerprint.header) };
+}
+
+/**
+ * Header snapshot helpers
+ */
+
+// Track state keys a snapshot keeps (stream details cannot be edited, so they are left out)
+const HEADER_SNAPSHOT_FIELDS = ['sequentialTrackNumber', 'trackNumber', 'trackType',
+    ...Object.keys(TRACK_TEXT_PROPERTIES), ...Object.keys(TRACK_FLAG_PROPERTIES)];
+
+/**
+ * Is a change to the segment title or to a track field, which every header snapshot keeps?
+ * @param {object} change - MkvPropertyChange
+ */
+function isHeaderFieldChange(change) {
+    return change.Section === 'info'
+        ? change.PropertyName === SEGMENT_TITLE_PROPERTY
+        : getTrackFieldForProperty(change.PropertyName) !== null;
+}
+
+/**
+ * Current value of a property-editor property, from the HeaderValues of a readMkvFile result
+ * @param {object} info - MkvFileInfo from readMkvFile
+ * @param {string} section - 'info' or 'track:N'
+ * @param {string} propertyName - e.g. 'display-width'
+ * @returns {string|null|undefined} null when the file does not set it, undefined when it cannot be read
+ */
+function getHeaderValue(info, section, propertyName) {
+    const match = /^track:(\d+)$/.exec(section);
+    const owner = match ? ((info && info.Tracks) || [])[Number(match[1]) - 1] : (section === 'info' ? info : null);
+    const values = owner && owner.HeaderValues;
+    return values && Object.prototype.hasOwnProperty.call(values, propertyName) ? values[propertyName] : undefined;
+}
+
+/**
+ * The editable header state of a file: segment title, the languages, names and flags of its tracks,
+ * and the values a change set is about to overwrite in the property editor's other properties
+ * @param {object} info - MkvFileInfo from readMkvFile
+ * @param {Array} [changes] - MkvPropertyChange objects about to be written
+ * @returns {object} { title, tracks, properties }, properties being { section, name, value } with a null
+ *   value for a property the file does not set; properties whose value cannot be read are left out
+ */
+function createHeaderSnapshot(info, changes = []) {
+    const properties = [];
+    for (const change of changes) {
+        if (isHeaderFieldChange(change)) continue;
+        if (properties.some(p => p.section === change.Section && p.name === change.PropertyName)) continue;
+        const value = getHeaderValue(info, change.Section, change.PropertyName);
+        if (value !== undefined) properties.push({ section: change.Section, name: change.PropertyName, value });
+    }
+    return {
+        title: (info && info.SegmentTitle) || '',
+        tracks: toTrackStates(info).map(track => Object.fromEntries(HEADER_SNAPSHOT_FIELDS.map(key => [key, track[key]]))),
+        properties
+    };
+}
+
+/**
+ * Change set that turns a file back into the header state of a snapshot
+ * @param {object} header - { title, tracks, properties } from createHeaderSnapshot
+ * @param {object} info - MkvFileInfo of the file as it is now
+ * @returns {Array} MkvPropertyChange objects; empty when the file already matches
+ * @throws {Error} When the file cannot be read or its tracks no longer line up with the snapshot
+ */
+function buildRestoreChanges(header, info) {
+    if (!info || info.IsValid === false) throw new Error((info && info.ErrorMessage) || 'The file could not be read');
+    const current = createHeaderSnapshot(info);
+    if (!haveSameTrackLayout(header.tracks, current.tracks)) {
+        throw new Error('The track layout has changed since this snapshot was taken');
+    }
+    const propertyChanges = (header.properties || [])
+        .filter(p => getHeaderValue(info, p.section, p.name) !== p.value)
+        .map(p => (p.value === null
+            ? { PropertyName: p.name, Section: p.section, ChangeType: MkvChangeType.Delete }
+            : { PropertyName: p.name, Section: p.section, ChangeType: MkvChangeType.Set, NewValue: p.value }));
+    return buildSegmentChanges(current.title, header.title)
+        .concat(buildTrackChanges(current.tracks, header.tracks), propertyChanges);
+}
+
+/**
+ * Do two track lists describe the same tracks (count, order and types)?
+ */
+function haveSameTrackLayout(a, b) {
+    return a.length === b.length && a.every((t, i) => t.trackType === b[i].trackType);
+}
+
+/**
+ * Three-way comparison of the loaded, on-disk and edited header states
+ * @param {object} original - { title, tracks } as loaded
+ * @param {object} disk - { title, tracks } as re-read before saving
+ * @param {object} mine - { title, tracks } including unsaved edits
+ * @returns {Array} { label, field, original, disk, mine, conflict } for every field either side changed
+ */
+function buildConflictRows(original, disk, mine) {
+    const rows = [];
+    const format = value => (typeof value === 'boolean' ? (value ? 'Yes' : 'No') : (value || '—'));
+    const add = (label, field, values) => {
+        const theirsChanged = values.original !== values.disk;
+        const mineChanged = values.original !== values.mine;
+        if (!theirsChanged && !mineChanged) return;
+        rows.push({
+            label,
+            field,
+            original: format(values.original),
+            disk: format(values.disk),
+            mine: format(values.mine),
+            conflict: theirsChanged && mineChanged && values.disk !== values.mine
+        });
+    };
+
+    add('Segment', 'Title', { original: original.title || '', disk: disk.title || '', mine: mine.title || '' });
+    for (const track of original.tracks) {
+        const seq = track.sequentialTrackNumber;
+        const onDisk = disk.tracks.find(t => t.sequentialTrackNumber === seq);
+        const edited = mine.tracks.find(t => t.sequentialTrackNumber === seq);
+        if (!onDisk || !edited) continue;
+        for (const key of Object.keys(TRACK_FIELD_LABELS)) {
+            const read = t => (key in TRACK_FLAG_PROPERTIES ? t[key] === true : t[key] || '');
+            add(`Track ${track.trackNumber} (${track.trackType})`, TRACK_FIELD_LABELS[key], {
+                original: read(track),
+                disk: read(onDisk),
+                mine: read(edited)
+            });
+        }
+    }
+    return rows;
+}
+
+/**
+ * Profile helpers
+ */
+
+// Track types a profile can hold language preferences for
+const PROFILE_TRACK_TYPES = ['audio', 'subtitles'];
+
+// Seeded on first run so the profile workflow has a working example
+const EXAMPLE_PROFILES = [{
+    name: 'Japanese audio, English subtitles',
+    rules: {
+        audio: [
+            { language: 'jpn', name: '', default: true, forced: false },
+            { language: 'eng', name: '', default: true, forced: false }
+        ],
+        subtitles: [
+            { language: 'eng', name: 'Signs', default: false, forced: true },
+            { language: 'eng', name: '', default: true, forced: false }
+        ]
+    }
+}];
+
+/**
+ * Validate a profile (e.g. from an imported JSON file) and fill in optional fields
+ * @param {object} raw - { name, rules: { audio: [...], subtitles: [...] } }
+ * @returns {object} Normalized profile
+ * @throws {Error} When the profile is malformed
+ */
+function normalizeProfile(raw) {
+    if (!raw || typeof raw !== 'object') throw new Error('A profile must be a JSON object');
+    const name = String(raw.name || '').trim();
+    if (!name) throw new Error('Every profile needs a name');
+
+    const rules = {};
+    for (const trackType of PROFILE_TRACK_TYPES) {
+        const entries = raw.rules && raw.rules[trackType];
+        if (entries == null) {
+            rules[trackType] = [];
+            continue;
+        }
+        if (!Array.isArray(entries)) throw new Error(`${name}: "${trackType}" must be a list of preferences`);
+        rules[trackType] = entries.map((entry, index) => {
+            const language = String((entry && entry.language) || '').trim();
+            if (!isValidLanguageTag(language)) {
+                throw new Error(`${name}: ${trackType} preference ${index + 1} has an invalid language "${language}"`);
+            }
+            return {
+                language,
+                name: String(entry.name || ''),
+                default: entry.default !== false,
+                forced: entry.forced === true
+            };
+        });
+    }
+    return { name, rules };
+}
+
+/**
+ * Apply a profile's ordered language preferences to one file's tracks
+ *
+ * Per track type, each preference claims the first unclaimed matching track (preferences
+ * with a name filter claim first so "eng Signs" is not taken by a plain "eng"). The
+ * highest-priority claimed preference that allows it becomes the default track, forced
+ * follows the preference, and unclaimed tracks of that type lose both flags. Types where
+ * nothing matched are left alone.
+ * @param {Array} tracks - Track states as read from the file (left untouched)
+ * @param {object} profile - Normalized profile
+ * @returns {Array} Edited track states
+ */
+function applyProfile(tracks, profile) {
+    let edited = tracks.map(t => ({ ...t }));
+    for (const trackType of PROFILE_TRACK_TYPES) {
+        const entries = (profile.rules && profile.rules[trackType]) || [];
+        const ofType = edited.filter(t => t.trackType === trackType);
+        const claimedBy = new Map(); // sequentialTrackNumber -> preference
+        const claimOrder = entries.filter(e => e.name).concat(entries.filter(e => !e.name));
+        for (const entry of claimOrder) {
+            const track = ofType.find(t => !claimedBy.has(t.sequentialTrackNumber) &&
+                trackMatchesRule(t, { language: entry.language, name: entry.name }));
+            if (track) claimedBy.set(track.sequentialTrackNumber, entry);
+        }
+        if (!claimedBy.size) continue;
+
+        let defaultSeq = null;
+        for (const entry of entries) {
+            if (entry.default === false) continue;
+            const claimed = Array.from(claimedBy.entries()).find(([, e]) => e === entry);
+            if (claimed) {
+                defaultSeq = claimed[0];
+                break;
+            }
+        }
+
+        edited = edited.map(t => {
+            if (t.trackType !== trackType) return t;
+            const entry = claimedBy.get(t.sequentialTrackNumber);
+            return { ...t, default: t.sequentialTrackNumber === defaultSeq, forced: !!(entry && entry.forced) };
+        });
+    }
+    return edited;
+}
+
+/**
+ * Resolve a profile into the concrete change set for a file
+ * @param {object} profile - Normalized profile
+ * @param {object} info - MkvFileInfo from readMkvFile
+ * @returns {Array} MkvPropertyChange objects for applyMkvChanges
+ */
+function resolveProfileChanges(profile, info) {
+    const tracks = toTrackStates(info);
+    return buildTrackChanges(tracks, applyProfile(tracks, profile));
+}
+
+/**
+ * Layout comparison helpers
+ */
+
+/**
+ * Key tracks are aligned on across files: type and normalized language
+ * @param {object} track - Track state
+ * @returns {string} e.g. 'audio:jpn'
+ */
+function getTrackLayoutKey(track) {
+    return `${track.trackType}:${getTrackLanguageKey(track)}`;
+}
+
+/**
+ * @param {Array} tracks - Track states of one file
+ * @returns {string} Layout keys in track order, e.g. 'video:und|audio:jpn|subtitles:eng'
+ */
+function getLayoutSignature(tracks) {
+    return tracks.map(getTrackLayoutKey).join('|');
+}
+
+/**
+ * Pick the layout most files share; a tie goes to the layout seen first
+ * @param {Array<Array>} layouts - Track states per file
+ * @returns {string|null} Layout signature, or null when there are no files
+ */
+function findMajorityLayout(layouts) {
+    const counts = new Map();
+    for (const tracks of layouts) {
+        const signature = getLayoutSignature(tracks);
+        counts.set(signature, (counts.get(signature) || 0) + 1);
+    }
+    let best = null;
+    for (const [signature, count] of counts) {
+        if (best === null || count > counts.get(best)) best = signature;
+    }
+    return best;
+}
+
+/**
+ * Pair tracks with the reference tracks of the same type and language. Within one type and
+ * language, tracks with the same name pair first and the rest pair in order of appearance
+ * (the second unnamed English audio track pairs with the reference's second one).
+ * @param {Array} referenceTracks - Track states of the reference file
+ * @param {Array} tracks - Track states of the file being compared
+ * @returns {Map<number, object>} sequentialTrackNumber -> reference track
+ */
+function matchTracksByLayout(referenceTracks, tracks) {
+    const unpaired = new Map(); // layout key -> reference tracks not yet paired
+    for (const track of referenceTracks) {
+        const key = getTrackLayoutKey(track);
+        if (!unpaired.has(key)) unpaired.set(key, []);
+        unpaired.get(key).push(track);
+    }
+    const nameOf = track => (track.name || '').trim().toLowerCase();
+    const matches = new Map();
+    const pair = (track, candidate) => {
+        const candidates = unpaired.get(getTrackLayoutKey(track));
+        candidates.splice(candidates.indexOf(candidate), 1);
+        matches.set(track.sequentialTrackNumber, candidate);
+    };
+    for (const track of tracks) {
+        const candidates = unpaired.get(getTrackLayoutKey(track)) || [];
+        const named = nameOf(track) && candidates.find(c => nameOf(c) === nameOf(track));
+        if (named) pair(track, named);
+    }
+    for (const track of tracks) {
+        if (matches.has(track.sequentialTrackNumber)) continue;
+        const candidates = unpaired.get(getTrackLayoutKey(track)) || [];
+        if (candidates.length) pair(track, candidates[0]);
+    }
+    return matches;
+}
+
+/**
+ * Carry the edits of one file over to another file, pairing tracks by type and language
+ * like the layout comparison does. Segment (info) edits belong to the edited file and are
+ * not carried over.
+ * @param {Array} referenceTracks - Track states of the edited file as read from disk
+ * @param {Array} editedTracks - Track states of the edited file, including unsaved edits
+ * @param {Array} propertyChanges - Property editor changes of the edited file
+ * @param {Array} tracks - Track states of the file to carry the edits to
+ * @returns {{changes: Array, unmatched: number}} unmatched counts edited tracks without a
+ *   partner in the other file; the changes are empty then, as they would land on the wrong tracks
+ */
+function carryOverTrackChanges(referenceTracks, editedTracks, propertyChanges, tracks) {
+    const partners = new Map(); // reference sequentialTrackNumber -> paired track of the other file
+    for (const [seq, reference] of matchTracksByLayout(referenceTracks, tracks)) {
+        partners.set(reference.sequentialTrackNumber, tracks.find(t => t.sequentialTrackNumber === seq));
+    }
+    const trackChanges = propertyChanges.filter(c => /^track:\d+$/.test(c.Section));
+    const editedSeqs = new Set(trackChanges.map(c => Number(c.Section.slice('track:'.length))));
+    for (const edited of editedTracks) {
+        const original = referenceTracks.find(t => t.sequentialTrackNumber === edited.sequentialTrackNumber);
+        if (getChangedTrackFields(original, edited).length) editedSeqs.add(edited.sequentialTrackNumber);
+    }
+    const unmatched = Array.from(editedSeqs).filter(seq => !partners.has(seq)).length;
+    if (unmatched) return { changes: [], unmatched };
+
+    const resolved = tracks.map(track => ({ ...track }));
+    for (const seq of editedSeqs) {
+        const original = referenceTracks.find(t => t.sequentialTrackNumber === seq);
+        const edited = editedTracks.find(t => t.sequentialTrackNumber === seq);
+        const target = resolved.find(t => t.sequentialTrackNumber === partners.get(seq).sequentialTrackNumber);
+        for (const key of getChangedTrackFields(original, edited)) target[key] = edited[key];
+    }
+    const remapped = trackChanges.map(change => ({
+        ...change,
+        Section: `track:${partners.get(Number(change.Section.slice('track:'.length))).sequentialTrackNumber}`
+    }));
+    return { changes: buildTrackChanges(tracks, resolved).concat(remapped), unmatched: 0 };
+}
+
+/**
+ * Do two tracks carry the same flags?
+ */
+function haveSameFlags(a, b) {
+    return Object.keys(TRACK_FLAG_PROPERTIES).every(key => (a[key] === true) === (b[key] === true));
+}
+
+/**
+ * Copy every flag of a reference file onto the paired tracks of another file. Tracks without
+ * a partner keep their flags, except that they give up the default to a paired track of their type.
+ * @param {Array} referenceTracks - Track states of the file to copy from
+ * @param {Array} tracks - Track states of the file to change (left untouched)
+ * @returns {Array} New track states
+ */
+function copyFlagsFromReference(referenceTracks, tracks) {
+    const matches = matchTracksByLayout(referenceTracks, tracks);
+    const edited = tracks.map(track => {
+        const reference = matches.get(track.sequentialTrackNumber);
+        if (!reference) return { ...track };
+        const flags = {};
+        for (const key of Object.keys(TRACK_FLAG_PROPERTIES)) flags[key] = reference[key] === true;
+        return { ...track, ...flags };
+    });
+    const defaultTypes = new Set(edited
+        .filter(t => matches.has(t.sequentialTrackNumber) && t.default)
+        .map(t => t.trackType));
+    return edited.map(track => (!matches.has(track.sequentialTrackNumber) && defaultTypes.has(track.trackType)
+        ? { ...track, default: false }
+        : track));
+}
+
+/**
+ * Align the tracks of several files by position against the majority layout
+ * @param {Array} files - { path, tracks, error } per file
+ * @returns {object} { majority, reference, rowCount, columns } where each column is
+ *   { file, matchesMajority, cells: [{ track, layoutDiff, flagDiff }] }
+ */
+function buildLayoutComparison(files) {
+    const readable = files.filter(f => !f.error);
+    const majority = findMajorityLayout(readable.map(f => f.tracks));
+    const majorityKeys = majority ? majority.split('|') : [];
+    const reference = readable.find(f => getLayoutSignature(f.tracks) === majority) || null;
+    const rowCount = Math.max(0, ...files.map(f => f.tracks.length));
+
+    const columns = files.map(file => {
+        const matches = reference ? matchTracksByLayout(reference.tracks, file.tracks) : new Map();
+        const cells = [];
+        for (let i = 0; i < rowCount; i++) {
+            const track = file.tracks[i] || null;
+            const partner = track && matches.get(track.sequentialTrackNumber);
+            cells.push({
+                track,
+                layoutDiff: !file.error && (track ? getTrackLayoutKey(track) : null) !== (majorityKeys[i] || null),
+                flagDiff: !!(partner && !haveSameFlags(track, partner))
+            });
+        }
+        return { file, matchesMajority: !file.error && getLayoutSignature(file.tracks) === majority, cells };
+    });
+    return { majority, reference, rowCount, columns };
+}
+
+/**
+ * Flags a track has set, for the comparison cells ('Disabled' stands in for a cleared enabled flag)
+ * @param {object} track - Track state
+ * @returns {string}
+ */
+function describeTrackFlags(track) {
+    const labels = Object.keys(TRACK_FLAG_LABELS)
+        .filter(key => key !== 'enabled' && track[key] === true)
+        .map(key => TRACK_FLAG_LABELS[key]);
+    if (track.enabled === false) labels.unshift('Disabled');
+    return labels.join(', ');
+}
+
+/**
+ * Track description for screen-reader labels, e.g. 'track 2 (audio, ja, "English")'
+ * @param {object} track - Track state
+ * @returns {string}
+ */
+function describeTrackForLabel(track) {
+    const parts = [track.trackType];
+    if (!isUndeterminedLanguage(track)) parts.push(track.langIetf || track.langLegacy);
+    if (track.name) parts.push(`"${track.name}"`);
+    return `track ${track.trackNumber} (${parts.join(', ')})`;
+}
+
+/**
+ * Header checks
+ */
+
+/**
+ * @param {object} track - Track state
+ * @returns {string} e.g. 'Track 2 (audio)'
+ */
+function describeLintTrack(track) {
+    return `Track ${track.trackNumber} (${track.trackType})`;
+}
+
+/**
+ * A language that tells nothing: empty or 'und' in both language elements
+ */
+function isUndeterminedLanguage(track) {
+    return [track.langIetf, track.langLegacy].every(language => !language || language.toLowerCase() === 'und');
+}
+
+/**
+ * Build an issue whose fix edits the listed tracks
+ * @param {string} key - Stable id of the problem within its file, used to find it again before fixing
+ * @param {string} message
+ * @param {Array} concerned - Track states the problem is about
+ * @param {string|null} fixLabel - What the fix does; null when there is no safe fix
+ * @param {Array|null} fixedTracks - Track states with the fix applied
+ */
+function createLintIssue(key, message, concerned, fixLabel, fixedTracks) {
+    return {
+        key,
+        message,
+        tracks: concerned.map(t => t.sequentialTrackNumber),
+        fix: fixLabel && fixedTracks ? { label: fixLabel, tracks: fixedTracks } : null
+    };
+}
+
+// Rules run over every loaded file; check() maps track states to the issues it finds
+const LINT_RULES = [
+    {
+        id: 'multiple-defaults',
+        label: 'Several default tracks of one type',
+        check(tracks) {
+            const issues = [];
+            for (const type of new Set(tracks.map(t => t.trackType))) {
+                const defaults = tracks.filter(t => t.trackType === type && t.default === true);
+                if (defaults.length < 2) continue;
+                const keep = defaults.find(t => t.enabled !== false) || defaults[0];
+                issues.push(createLintIssue(
+                    `multiple-defaults:${type}`,
+                    `${defaults.length} ${type} tracks are default (tracks ${defaults.map(t => t.trackNumber).join(', ')})`,
+                    defaults,
+                    `Keep only track ${keep.trackNumber} as default`,
+                    tracks.map(t => (t.trackType === type && t !== keep ? { ...t, default: false } : { ...t }))
+                ));
+            }
+            return issues;
+        }
+    },
+    {
+        id: 'no-default-audio',
+        label: 'No default audio track',
+        check(tracks) {
+            const audio = tracks.filter(t => t.trackType === 'audio');
+            if (!audio.length || audio.some(t => t.default === true)) return [];
+            const target = audio.find(t => t.enabled !== false) || audio[0];
+            return [createLintIssue(
+                'no-default-audio',
+                'None of the audio tracks is default',
+                audio,
+                `Make track ${target.trackNumber} default`,
+                tracks.map(t => (t === target ? { ...t, default: true } : { ...t }))
+            )];
+        }
+    },
+    {
+        id: 'undetermined-language',
+        label: 'Undetermined language',
+        check(tracks) {
+            return tracks
+                .filter(t => (t.trackType === 'audio' || t.trackType === 'subtitles') && isUndeterminedLanguage(t))
+                .map(track => {
+                    // Only fixable when the track name spells the language out
+                    const guess = findLanguageInName(track.name);
+                    return createLintIssue(
+                        `undetermined-language:${track.sequentialTrackNumber}`,
+                        `${describeLintTrack(track)} has an undetermined language`,
+                        [track],
+                        guess ? `Set the language to "${guess}" from the track name` : null,
+                        guess && tracks.map(t => (t === track
+                            ? { ...t, langIetf: guess, langLegacy: deriveLegacyLanguage(guess) }
+                            : { ...t }))
+                    );
+                });
+        }
+    },
+    {
+        id: 'forced-without-audio',
+        label: 'Forced subtitles without audio in their language',
+        check(tracks) {
+            const audioLanguages = new Set(tracks.filter(t => t.trackType === 'audio').map(getTrackLanguageKey));
+            return tracks
+                .filter(t => t.trackType === 'subtitles' && t.forced === true && !isUndeterminedLanguage(t) &&
+                    !audioLanguages.has(getTrackLanguageKey(t)))
+                .map(track => createLintIssue(
+                    `forced-without-audio:${track.sequentialTrackNumber}`,
+                    `${describeLintTrack(track)} is forced, but no audio track is in ${getTrackLanguageKey(track)}`,
+                    [track],
+                    'Clear the forced flag',
+                    tracks.map(t => (t === track ? { ...t, forced: false } : { ...t }))
+                ));
+        }
+    },
+    {
+        id: 'language-mismatch',
+        label: 'IETF and legacy languages disagree',
+        check(tracks) {
+            const issues = [];
+            for (const track of tracks) {
+                if (!track.langIetf) continue; // files from before IETF tags only carry the legacy element
+                const fromIetf = deriveLegacyLanguage(track.langIetf);
+                const legacy = normalizeLanguageKey(track.langLegacy || 'und');
+                if (fromIetf === legacy) continue;
+                const ietfIsUnd = track.langIetf.toLowerCase() === 'und';
+                // A tag without an ISO 639-2 equivalent cannot be checked
+                if (fromIetf === 'und' && !ietfIsUnd) continue;
+                const fixed = ietfIsUnd
+                    ? { langIetf: deriveIetfFromLegacy(track.langLegacy) }
+                    : { langLegacy: fromIetf };
+                issues.push(createLintIssue(
+                    `language-mismatch:${track.sequentialTrackNumber}`,
+                    `${describeLintTrack(track)} is "${track.langIetf}" (IETF) but "${track.langLegacy || 'und'}" (legacy)`,
+                    [track],
+                    ietfIsUnd ? `Set the IETF language to "${fixed.langIetf}"` : `Set the legacy language to "${fixed.langLegacy}"`,
+                    tracks.map(t => (t === track ? { ...t, ...fixed } : { ...t }))
+                ));
+            }
+            return issues;
+        }
+    },
+    {
+        id: 'disabled-default',
+        label: 'Default track that is disabled',
+        check(tracks) {
+            return tracks
+                .filter(t => t.default === true && t.enabled === false)
+                .map(track => createLintIssue(
+                    `disabled-default:${track.sequentialTrackNumber}`,
+                    `${describeLintTrack(track)} is default but disabled`,
+                    [track],
+                    'Enable the track',
+                    tracks.map(t => (t === track ? { ...t, enabled: true } : { ...t }))
+                ));
+        }
+    }
+];
+
+/**
+ * Run the enabled rules over one file
+ * @param {Array} tracks - Track states as read from the file
+ * @param {Set<string>} [disabledRules] - Rule ids switched off
+ * @returns {Array} { ruleId, key, message, tracks (sequential numbers), fix: { label, tracks } | null }
+ */
+function lintTracks(tracks, disabledRules = new Set()) {
+    return LINT_RULES
+        .filter(rule => !disabledRules.has(rule.id))
+        .flatMap(rule => rule.check(tracks).map(issue => ({ ruleId: rule.id, ...issue })));
+}
+
+/**
+ * Track report helpers
+ */
+
+const ReportFormat = Object.freeze({
+    Csv: 'csv',
+    Json: 'json',
+    Markdown: 'markdown'
+});
+
+const REPORT_FORMATS = {
+    [ReportFormat.Csv]: { label: 'CSV (spreadsheets)', extension: 'csv', mimeType: 'text/csv' },
+    [ReportFormat.Json]: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+    [ReportFormat.Markdown]: { label: 'Markdown table', extension: 'md', mimeType: 'text/markdown' }
+};
+
+/**
+ * One row per track, with the header check results of the file attached to the tracks they concern
+ * @param {Array} files - { path, tracks, error } per file, in report order
+ * @param {Set<string>} [disabledRules] - Header check rule ids switched off
+ * @returns {Array} { path, trackId, track, type, languageIetf, language, name, codec, flags, issues, error };
+ *   a file that could not be read, or has no tracks, gets a single row without track fields
+ */
+function buildReportRows(files, disabledRules = new Set()) {
+    const rows = [];
+    for (const file of files) {
+        const empty = { path: file.path, trackId: null, track: null, type: '', languageIetf: '', language: '', name: '', codec: '', flags: null };
+        if (file.error) {
+            rows.push({ ...empty, issues: [], error: file.error });
+            continue;
+        }
+        const issues = lintTracks(file.tracks, disabledRules);
+        if (!file.tracks.length) {
+            rows.push({ ...empty, issues: issues.map(i => i.message), error: '' });
+            continue;
+        }
+        for (const track of file.tracks) {
+            const flags = {};
+            for (const key of Object.keys(TRACK_FLAG_PROPERTIES)) flags[key] = track[key] === true;
+            rows.push({
+                path: file.path,
+                trackId: track.trackNumber,
+                track: track.sequentialTrackNumber,
+                type: track.trackType,
+                languageIetf: track.langIetf || '',
+                language: track.langLegacy || '',
+                name: track.name || '',
+                codec: (track.details && (track.details.codec || track.details.codecId)) || '',
+                flags,
+                issues: issues
+                    .filter(i => !i.tracks.length || i.tracks.includes(track.sequentialTrackNumber))
+                    .map(i => i.message),
+                error: ''
+            });
+        }
+    }
+    return rows;
+}
+
+/**
+ * Quote a CSV field when it holds a separator, quote or line break (RFC 4180). Text that a
+ * spreadsheet would run as a formula (starting with =, +, -, @, tab or CR) gets a leading '.
+ * @param {*} value
+ * @returns {string}
+ */
+function quoteCsvField(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @param {Array} rows - From buildReportRows
+ * @returns {string} CSV with a header row, one column per flag; starts with a BOM so spreadsheets read it as UTF-8
+ */
+function formatCsvReport(rows) {
+    const flagKeys = Object.keys(TRACK_FLAG_PROPERTIES);
+    const header = ['File', 'Track ID', 'Track', 'Type', 'Language (IETF)', 'Language', 'Name', 'Codec',
+        ...flagKeys.map(key => TRACK_FLAG_LABELS[key]), 'Issues', 'Error'];
+    const lines = [header.map(quoteCsvField).join(',')];
+    for (const row of rows) {
+        const flags = flagKeys.map(key => (row.flags ? (row.flags[key] ? 'yes' : 'no') : ''));
+        lines.push([row.path, row.trackId, row.track, row.type, row.languageIetf, row.language, row.name, row.codec,
+            ...flags, row.issues.join('; '), row.error].map(quoteCsvField).join(','));
+    }
+    return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * @param {Array} rows - From buildReportRows
+ * @param {Date} [generatedAt]
+ * @returns {string} Pretty-printed JSON
+ */
+function formatJsonReport(rows, generatedAt = new Date()) {
+    return JSON.stringify({
+        generatedAt: generatedAt.toISOString(),
+        files: new Set(rows.map(r => r.path)).size,
+        tracks: rows
+    }, null, 2);
+}
+
+/**
+ * Escape a Markdown table cell: pipes and line breaks would end the cell, and angle brackets
+ * would let a track name render as HTML. Line breaks become the only raw HTML, <br>.
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeMarkdownCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return text.replace(/[\\|<>]/g, '\\$&').replace(/\r?\n/g, '<br>');
+}
+
+/**
+ * @param {Array} rows - From buildReportRows
+ * @param {Date} [generatedAt]
+ * @returns {string} Markdown document with a summary line and one table
+ */
+function formatMarkdownReport(rows, generatedAt = new Date()) {
+    const files = new Set(rows.map(r => r.path)).size;
+    const tracks = rows.filter(r => r.track !== null).length;
+    const flagged = rows.filter(r => r.issues.length || r.error).length;
+    const lines = [
+        '# Track report',
+        '',
+        `Generated ${generatedAt.toISOString()}: ${files} file${files === 1 ? '' : 's'}, ` +
+            `${tracks} track${tracks === 1 ? '' : 's'}, ${flagged} row${flagged === 1 ? '' : 's'} with issues.`,
+        '',
+        '| File | Track ID | Type | Language (IETF) | Language | Name | Codec | Flags | Issues |',
+        '| --- | ---: | --- | --- | --- | --- | --- | --- | --- |'
+    ];
+    for (const row of rows) {
+        const flags = row.flags ? describeTrackFlags(row.flags) : '';
+        const issues = row.error ? [`Error: ${row.error}`, ...row.issues] : row.issues;
+        lines.push(`| ${[row.path, row.trackId, row.type, row.languageIetf, row.language, row.name, row.codec, flags]
+            .map(escapeMarkdownCell).concat(issues.map(escapeMarkdownCell).join('<br>')).join(' | ')} |`);
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * @param {Array} rows - From buildReportRows
+ * @param {string} format - ReportFormat value
+ * @returns {string}
+ */
+function formatReport(rows, format) {
+    if (format === ReportFormat.Json) return formatJsonReport(rows);
+    if (format === ReportFormat.Markdown) return formatMarkdownReport(rows);
+    return formatCsvReport(rows);
+}
+
+/**
+ * Command preview helpers
+ */
+
+const CommandShell = Object.freeze({
+    Posix: 'posix',
+    PowerShell: 'powershell'
+});
+
+/**
+ * Quote one argument for a POSIX shell (single quotes; embedded ' becomes '\'')
+ * @param {string} value
+ * @returns {string}
+ */
+function quotePosixArgument(value) {
+    const text = String(value);
+    if (/^[A-Za-z0-9_\-.,:=+@%/]+$/.test(text)) return text;
+    return `'${text.replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Quote one argument for PowerShell (single quotes; PowerShell also treats the
+ * typographic single quotes as quote characters, so those are doubled as well)
+ * @param {string} value
+ * @returns {string}
+ */
+function quotePowerShellArgument(value) {
+    const text = String(value);
+    if (/^[A-Za-z0-9_\-.:=+/\\]+$/.test(text)) return text;
+    return `'${text.replace(/['\u2018\u2019\u201A\u201B]/g, '$&$&')}'`;
+}
+
+/**
+ * Format an mkvpropedit call, one --edit group per line
+ * @param {Array<string>} args - Unquoted arguments from getMkvPropEditArguments
+ * @param {string} shell - CommandShell value
+ * @returns {string}
+ */
+function formatMkvPropEditCommand(args, shell) {
+    const powerShell = shell === CommandShell.PowerShell;
+    const quote = powerShell ? quotePowerShellArgument : quotePosixArgument;
+    const continuation = powerShell ? ' `' : ' \\';
+    const lines = [[powerShell ? '& mkvpropedit' : 'mkvpropedit', quote(args[0])]];
+    for (let i = 1; i < args.length; i++) {
+        if (args[i] === '--edit') lines.push([]);
+        lines[lines.length - 1].push(quote(args[i]));
+    }
+    return lines.map(parts => parts.join(' ')).join(`${continuation}\n    `);
+}
+
+/**
+ * Build a script that runs mkvpropedit for each file, continuing past failures
+ * @param {Array} entries - { args } per file, args as from getMkvPropEditArguments
+ * @param {string} shell - CommandShell value
+ * @returns {string}
+ */
+function buildMkvPropEditScript(entries, shell) {
+    const stamp = new Date().toISOString();
+    const count = `${entries.length} file${entries.length === 1 ? '' : 's'}`;
+    // mkvpropedit exits with 1 for warnings and 2 for errors
+    if (shell === CommandShell.PowerShell) {
+        return [
+            `# mkvpropedit script exported by MKV Header Tool on ${stamp} (${count})`,
+            '# Arguments containing double quotes need PowerShell 7.3 or later.',
+            "$PSNativeCommandArgumentPassing = 'Standard'",
+            '$failed = 0',
+            '',
+            ...entries.map(entry => `${formatMkvPropEditCommand(entry.args, shell)}\nif ($LASTEXITCODE -gt 1) { $failed++ }\n`),
+            'if ($failed -gt 0) {',
+            '    Write-Error "$failed file(s) failed"',
+            '    exit 2',
+            '}',
+            ''
+        ].join('\n');
+    }
+    return [
+        '#!/bin/sh',
+        `# mkvpropedit script exported by MKV Header Tool on ${stamp} (${count})`,
+        'failed=0',
+        '',
+        ...entries.map(entry => `${formatMkvPropEditCommand(entry.args, shell)} \\\n    || [ $? -eq 1 ] || failed=$((failed + 1))\n`),
+        'if [ "$failed" -gt 0 ]; then',
+        '    echo "$failed file(s) failed" >&2',
+        '    exit 2',
+        'fi',
+        ''
+    ].join('\n');
+}
+
+/**
+ * Chapter helpers
+ */
+
+const NS_PER_SECOND = 1e9;
+
+// Chapter states get a key of their own so rows can be matched while times are edited
+let nextChapterKey = 1;
+
+/**
+ * Format a chapter time as HH:MM:SS.mmm, with all nine digits when it is not on a millisecond
+ * @param {number} ns - Nanoseconds from the start of the file
+ * @returns {string}
+ */
+function formatChapterTime(ns) {
+    const seconds = Math.floor(ns / NS_PER_SECOND);
+    const fraction = Math.round(ns - seconds * NS_PER_SECOND);
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    const digits = fraction % 1e6 === 0 ? pad(fraction / 1e6, 3) : pad(fraction, 9);
+    return `${pad(Math.floor(seconds / 3600))}:${pad(Math.floor(seconds / 60) % 60)}:${pad(seconds % 60)}.${digits}`;
+}
+
+/**
+ * Parse a chapter time: HH:MM:SS.fff, MM:SS.fff or plain seconds, up to nine decimals
+ * @param {string} text
+ * @param {boolean} [signed] - Accept a leading + or - (for offsets)
+ * @returns {number|null} Nanoseconds, or null when the text is not a time
+ */
+function parseChapterTime(text, signed = false) {
+    const match = /^([+-])?(?:(?:(\d+):)?(\d+):)?(\d+)(?:\.(\d{1,9}))?$/.exec(String(text || '').trim());
+    if (!match || (match[1] && !signed)) return null;
+    const [, sign, hours, minutes, seconds, fraction] = match;
+    if (minutes !== undefined && hours !== undefined && (Number(minutes) > 59 || Number(seconds) > 59)) return null;
+    if (minutes !== undefined && hours === undefined && Number(seconds) > 59) return null;
+    const ns = ((Number(hours || 0) * 60 + Number(minutes || 0)) * 60 + Number(seconds)) * NS_PER_SECOND
+        + Number((fraction || '').padEnd(9, '0'));
+    return sign === '-' ? -ns : ns;
+}
+
+/**
+ * Editable chapter states from MkvChapter objects, in start order
+ * @param {Array} chapters - MkvChapter list from readMkvChapters
+ * @returns {Array} { key, start, end, names: [{ name, language, languageIetf }], uid }
+ */
+function toChapterStates(chapters) {
+    return (chapters || []).map(chapter => ({
+        key: nextChapterKey++,
+        start: chapter.StartNanoseconds || 0,
+        end: chapter.EndNanoseconds ?? null,
+        names: (chapter.Names || []).map(name => ({
+            name: name.Name || '',
+            language: name.Language || null,
+            languageIetf: name.LanguageIetf || null
+        })),
+        uid: chapter.ChapterUid || null
+    })).sort((a, b) => a.start - b.start);
+}
+
+/**
+ * MkvChapter objects for applyMkvChapters, in start order
+ * @param {Array} states - Chapter states
+ * @returns {Array}
+ */
+function fromChapterStates(states) {
+    return states.slice().sort((a, b) => a.start - b.start).map(chapter => ({
+        StartNanoseconds: chapter.start,
+        EndNanoseconds: chapter.end,
+        Names: chapter.names.map(name => ({ Name: name.name, Language: name.language, LanguageIetf: name.languageIetf })),
+        ChapterUid: chapter.uid
+    }));
+}
+
+/**
+ * A new chapter with one name
+ * @returns {object} Chapter state
+ */
+function createChapterState(start, name, language = null, languageIetf = null) {
+    return { key: nextChapterKey++, start, end: null, names: [{ name, language, languageIetf }], uid: null };
+}
+
+/**
+ * Problems that keep a chapter list from being written
+ * @param {Array} states - Chapter states
+ * @returns {Array<string>}
+ */
+function validateChapters(states) {
+    const problems = [];
+    states.slice().sort((a, b) => a.start - b.start).forEach((chapter, index) => {
+        if (chapter.end !== null && chapter.end <= chapter.start) {
+            problems.push(`Chapter ${index + 1} ends before it starts`);
+        }
+    });
+    return problems;
+}
+
+/**
+ * Move every chapter by an offset; times that would fall before the start are clamped to 0
+ * @param {Array} states - Chapter states
+ * @param {number} offset - Nanoseconds, negative to move earlier
+ * @returns {Array} Shifted copies
+ */
+function shiftChapters(states, offset) {
+    return states.map(chapter => {
+        const start = Math.max(0, chapter.start + offset);
+        const end = chapter.end === null ? null : Math.max(0, chapter.end + offset);
+        return { ...chapter, start, end: end !== null && end > start ? end : null };
+    });
+}
+
+/**
+ * Chapters at a fixed interval from 0 up to (not including) the duration
+ * @param {number} duration - File duration in nanoseconds
+ * @param {number} interval - Nanoseconds between chapters
+ * @param {string|null} [languageIetf] - Language of the generated names
+ * @returns {Array} Chapter states named "Chapter 01", "Chapter 02", ...
+ */
+function generateChapters(duration, interval, languageIetf = null) {
+    const count = Math.max(1, Math.ceil(duration / interval));
+    const width = Math.max(2, String(count).length);
+    const language = languageIetf ? deriveLegacyLanguage(languageIetf) : null;
+    return Array.from({ length: count }, (_, i) =>
+        createChapterState(i * interval, `Chapter ${String(i + 1).padStart(width, '0')}`, language, languageIetf));
+}
+
+/**
+ * Parse OGM (simple) chapters: CHAPTER01=00:00:00.000 and CHAPTER01NAME=Intro line pairs
+ * @param {string} text
+ * @returns {Array} Chapter states
+ * @throws {Error} On a line that is neither, or a chapter without a valid time
+ */
+function parseOgmChapters(text) {
+    const byNumber = new Map();
+    const get = number => {
+        if (!byNumber.has(number)) byNumber.set(number, { time: null, name: '' });
+        return byNumber.get(number);
+    };
+    String(text).replace(/^\uFEFF/, '').split(/\r?\n/).forEach((line, index) => {
+        if (!line.trim()) return;
+        const match = /^CHAPTER(\d+)(NAME)?=(.*)$/i.exec(line.trim());
+        if (!match) throw new Error(`Line ${index + 1} is not an OGM chapter line: ${line.trim()}`);
+        const entry = get(Number(match[1]));
+        if (match[2]) {
+            entry.name = match[3];
+        } else {
+            entry.time = parseChapterTime(match[3]);
+            if (entry.time === null) throw new Error(`Line ${index + 1} has no valid time: ${match[3]}`);
+        }
+    });
+    return Array.from(byNumber.entries())
+        .sort(([a], [b]) => a - b)
+        .map(([number, entry]) => {
+            if (entry.time === null) throw new Error(`CHAPTER${String(number).padStart(2, '0')} has a name but no time`);
+            return createChapterState(entry.time, entry.name);
+        })
+        .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Format chapters as OGM text. OGM has no end times or languages, so those are left out.
+ * @param {Array} states - Chapter states
+ * @returns {string}
+ */
+function formatOgmChapters(states) {
+    const sorted = states.slice().sort((a, b) => a.start - b.start);
+    const width = Math.max(2, String(sorted.length).length);
+    return sorted.map((chapter, i) => {
+        const number = String(i + 1).padStart(width, '0');
+        // OGM times stop at milliseconds
+        const time = formatChapterTime(Math.round(chapter.start / 1e6) * 1e6);
+        return `CHAPTER${number}=${time}\nCHAPTER${number}NAME=${chapter.names[0]?.name || ''}\n`;
+    }).join('');
+}
+
+/**
+ * Parse Matroska chapter XML: the top-level chapters of the first edition
+ * @param {string} text
+ * @returns {Array} Chapter states
+ * @throws {Error} When the text is not chapter XML
+ */
+function parseChapterXml(text) {
+    const doc = new DOMParser().parseFromString(String(text).replace(/^\uFEFF/, ''), 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length || doc.documentElement.nodeName !== 'Chapters') {
+        throw new Error('Not a Matroska chapter XML file');
+    }
+    const child = (element, name) => Array.from(element.children).find(c => c.nodeName === name);
+    const edition = child(doc.documentElement, 'EditionEntry');
+    if (!edition) return [];
+    return Array.from(edition.children).filter(c => c.nodeName === 'ChapterAtom').map(atom => {
+        const start = parseChapterTime(child(atom, 'ChapterTimeStart')?.textContent);
+        if (start === null) throw new Error('A chapter has no valid ChapterTimeStart');
+        const endText = child(atom, 'ChapterTimeEnd')?.textContent;
+        const end = endText ? parseChapterTime(endText) : null;
+        if (endText && end === null) throw new Error('A chapter has an invalid ChapterTimeEnd');
+        return {
+            key: nextChapterKey++,
+            start,
+            end,
+            names: Array.from(atom.children).filter(c => c.nodeName === 'ChapterDisplay').map(display => ({
+                name: child(display, 'ChapterString')?.textContent || '',
+                language: child(display, 'ChapterLanguage')?.textContent || null,
+                languageIetf: child(display, 'ChapLanguageIETF')?.textContent || null
+            })),
+            uid: child(atom, 'ChapterUID')?.textContent || null
+        };
+    }).sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Format chapters as Matroska chapter XML (one edition), as mkvextract writes it
+ * @param {Array} states - Chapter states
+ * @returns {string}
+ */
+function formatChapterXml(states) {
+    const escape = value => String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    const lines = ['<?xml version="1.0" encoding="UTF-8"?>', '<!DOCTYPE Chapters SYSTEM "matroskachapters.dtd">', '<Chapters>', '  <EditionEntry>'];
+    for (const chapter of states.slice().sort((a, b) => a.start - b.start)) {
+        lines.push('    <ChapterAtom>');
+        if (chapter.uid) lines.push(`      <ChapterUID>${escape(chapter.uid)}</ChapterUID>`);
+        lines.push(`      <ChapterTimeStart>${formatChapterTime(chapter.start)}</ChapterTimeStart>`);
+        if (chapter.end !== null) lines.push(`      <ChapterTimeEnd>${formatChapterTime(chapter.end)}</ChapterTimeEnd>`);
+        for (const name of chapter.names) {
+            lines.push('      <ChapterDisplay>', `        <ChapterString>${escape(name.name)}</ChapterString>`);
+            if (name.language) lines.push(`        <ChapterLanguage>${escape(name.language)}</ChapterLanguage>`);
+            if (name.languageIetf) lines.push(`        <ChapLanguageIETF>${escape(name.languageIetf)}</ChapLanguageIETF>`);
+            lines.push('      </ChapterDisplay>');
+        }
+        lines.push('    </ChapterAtom>');
+    }
+    lines.push('  </EditionEntry>', '</Chapters>', '');
+    return lines.join('\n');
+}
+
+/**
+ * Read a chapter file in either format, told apart by its first character
+ * @param {string} text - OGM text or Matroska XML
+ * @returns {Array} Chapter states
+ */
+function parseChapterFile(text) {
+    return String(text).replace(/^\uFEFF/, '').trimStart().startsWith('<')
+        ? parseChapterXml(text)
+        : parseOgmChapters(text);
+}
+
+/**
+ * Tag helpers
+ */
+
+// Tag and SimpleTag states get keys of their own so rows can be matched while they are edited
+let nextTagKey = 1;
+
+// Statistics mkvmerge stores as track tags (BPS, DURATION, ... and the _STATISTICS_ bookkeeping).
+// They describe the streams as muxed, so they go stale once another tool has changed the file.
+const STATISTICS_TAG_PATTERN = /^(BPS|DURATION|NUMBER_OF_FRAMES|NUMBER_OF_BYTES)(-[a-z]{3})?$|^_STATISTICS_/;
+
+/**
+ * Is this SimpleTag name one of the statistics mkvmerge writes?
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isStatisticsTag(name) {
+    return STATISTICS_TAG_PATTERN.test(name || '');
+}
+
+function toSimpleTagStates(simpleTags) {
+    return (simpleTags || []).map(simple => ({
+        key: nextTagKey++,
+        name: simple.Name || '',
+        value: simple.Value || null,
+        language: simple.Language || null,
+        languageIetf: simple.LanguageIetf || null,
+        isDefault: simple.IsDefault !== false,
+        children: toSimpleTagStates(simple.Children)
+    }));
+}
+
+function fromSimpleTagStates(states) {
+    return states.map(simple => ({
+        Name: simple.name,
+        Value: simple.value,
+        Language: simple.language,
+        LanguageIetf: simple.languageIetf,
+        IsDefault: simple.isDefault,
+        Children: fromSimpleTagStates(simple.children)
+    }));
+}
+
+/**
+ * Editable tag states from MkvTag objects. Each gets the scope of the mkvpropedit --tags
+ * selector that writes it: 'global', or 'track:N' for the track with its TrackUid.
+ * @param {Array} tags - MkvTag list from readMkvTags or parseTagXml
+ * @param {Array} tracks - Track states of the file
+ * @returns {{states: Array, unmatched: number}} unmatched counts the tags for tracks the file does not have
+ */
+function toTagStates(tags, tracks) {
+    const states = [];
+    let unmatched = 0;
+    for (const tag of tags || []) {
+        let scope = 'global';
+        if (tag.TrackUid) {
+            const track = (tracks || []).find(t => t.details && t.details.uid === tag.TrackUid);
+            if (!track) {
+                unmatched++;
+                continue;
+            }
+            scope = `track:${track.sequentialTrackNumber}`;
+        }
+        states.push({
+            key: nextTagKey++,
+            scope,
+            trackUid: tag.TrackUid || null,
+            targetTypeValue: tag.TargetTypeValue ?? null,
+            targetType: tag.TargetType || null,
+            simpleTags: toSimpleTagStates(tag.SimpleTags)
+        });
+    }
+    return { states, unmatched };
+}
+
+/**
+ * MkvTag objects for applyMkvTags or export; tags left without SimpleTags are dropped
+ * @param {Array} states - Tag states
+ * @param {string|null} [scope] - Only the tags of this scope
+ * @returns {Array} MkvTag list
+ */
+function fromTagStates(states, scope = null) {
+    return states
+        .filter(tag => (scope === null || tag.scope === scope) && tag.simpleTags.length)
+        .map(tag => ({
+            SimpleTags: fromSimpleTagStates(tag.simpleTags),
+            TrackUid: tag.trackUid,
+            TargetTypeValue: tag.targetTypeValue,
+            TargetType: tag.targetType
+        }));
+}
+
+/**
+ * An empty tag for a scope. Global tags describe the whole file (level 50); track tags
+ * leave the level out like the ones mkvmerge writes.
+ * @param {string} scope - 'global' or 'track:N'
+ * @param {string|null} trackUid - TrackUid of the track of a 'track:N' scope
+ * @returns {object} Tag state
+ */
+function createTagState(scope, trackUid = null) {
+    return {
+        key: nextTagKey++,
+        scope,
+        trackUid: scope === 'global' ? null : trackUid,
+        targetTypeValue: scope === 'global' ? 50 : null,
+        targetType: null,
+        simpleTags: []
+    };
+}
+
+function createSimpleTagState(name = '', value = null) {
+    return { key: nextTagKey++, name, value, language: null, languageIetf: null, isDefault: true, children: [] };
+}
+
+// Names of the Matroska target levels, for tags that do not give a TargetType
+const TAG_TARGET_LEVELS = Object.freeze({
+    70: 'Collection',
+    60: 'Season / volume',
+    50: 'Movie / episode / album',
+    40: 'Part / session',
+    30: 'Track / song / chapter',
+    20: 'Scene / movement',
+    10: 'Shot'
+});
+
+/**
+ * Distinct scopes, the global one first and tracks in track order
+ * @param {string[]} scopes - 'global' or 'track:N'
+ * @returns {string[]}
+ */
+function sortTagScopes(scopes) {
+    const order = scope => scope === 'global' ? 0 : Number(scope.slice('track:'.length));
+    return Array.from(new Set(scopes)).sort((a, b) => order(a) - order(b));
+}
+
+/**
+ * Problems that keep the tags from being written
+ * @param {Array} states - Tag states
+ * @returns {string[]}
+ */
+function validateTags(states) {
+    const unnamed = states.reduce((count, tag) => count + tag.simpleTags.filter(s => !s.name.trim()).length, 0);
+    if (!unnamed) return [];
+    return [unnamed === 1 ? '1 tag has no name' : `${unnamed} tags have no name`];
+}
+
+/**
+ * Remove the statistics tags of every scope
+ * @param {Array} states - Tag states
+ * @returns {{states: Array, removed: number}}
+ */
+function clearStatisticsTags(states) {
+    let removed = 0;
+    const cleared = states.map(tag => {
+        const kept = tag.simpleTags.filter(simple => !isStatisticsTag(simple.name));
+        removed += tag.simpleTags.length - kept.length;
+        return { ...tag, simpleTags: kept };
+    }).filter(tag => tag.simpleTags.length);
+    return { states: cleared, removed };
+}
+
+/**
+ * Hidden tags a write of some scopes removes: those filed under the global tags or under a written track
+ * @param {Array} hiddenTags - MkvHiddenTag list from readMkvTags
+ * @param {string[]} selectors - 'global' or 'track:N' scopes about to be written
+ * @param {Array} tracks - Track states, to find the scope of a track UID
+ * @returns {Array} MkvHiddenTag list
+ */
+function getRemovedHiddenTags(hiddenTags, selectors, tracks) {
+    return (hiddenTags || []).filter(hidden => {
+        if (!hidden.TrackUid) return selectors.includes('global');
+        const track = (tracks || []).find(t => t.details && t.details.uid === hidden.TrackUid);
+        return !!track && selectors.includes(`track:${track.sequentialTrackNumber}`);
+    });
+}
+
+/**
+ * Parse Matroska tag XML into MkvTag objects
+ * @param {string} text - File contents
+ * @returns {{tags: Array, skipped: number}} skipped counts tags for chapters, editions,
+ *   attachments or several tracks, and binary values, which the editor does not handle
+ * @throws {Error} When the text is not tag XML
+ */
+function parseTagXml(text) {
+    const doc = new DOMParser().parseFromString(String(text).replace(/^\uFEFF/, ''), 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length || doc.documentElement.nodeName !== 'Tags') {
+        throw new Error('Not a Matroska tag XML file');
+    }
+    const children = (parent, name) => Array.from(parent.children).filter(c => c.nodeName === name);
+    const child = (parent, name) => children(parent, name)[0];
+    let skipped = 0;
+    const parseSimpleTags = parent => children(parent, 'Simple').flatMap(simple => {
+        if (child(simple, 'Binary')) {
+            skipped++;
+            return [];
+        }
+        return [{
+            Name: child(simple, 'Name')?.textContent || '',
+            Value: child(simple, 'String')?.textContent ?? null,
+            Language: child(simple, 'TagLanguage')?.textContent || null,
+            LanguageIetf: child(simple, 'TagLanguageIETF')?.textContent || null,
+            IsDefault: child(simple, 'DefaultLanguage')?.textContent !== '0',
+            Children: parseSimpleTags(simple)
+        }];
+    });
+
+    const tags = [];
+    for (const tag of children(doc.documentElement, 'Tag')) {
+        const targets = child(tag, 'Targets');
+        const trackUids = targets ? children(targets, 'TrackUID').map(e => e.textContent.trim()) : [];
+        if (targets && (trackUids.length > 1 ||
+            ['EditionUID', 'ChapterUID', 'AttachmentUID'].some(name => child(targets, name)))) {
+            skipped++;
+            continue;
+        }
+        const level = targets && parseInt(child(targets, 'TargetTypeValue')?.textContent, 10);
+        tags.push({
+            SimpleTags: parseSimpleTags(tag),
+            TrackUid: trackUids[0] || null,
+            TargetTypeValue: Number.isInteger(level) ? level : null,
+            TargetType: (targets && child(targets, 'TargetType')?.textContent) || null
+        });
+    }
+    return { tags, skipped };
+}
+
+/**
+ * Format MkvTag objects as Matroska tag XML, as mkvextract writes it
+ * @param {Array} tags - MkvTag list
+ * @returns {string}
+ */
+function formatTagXml(tags) {
+    const escape = value => String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    const lines = ['<?xml version="1.0" encoding="UTF-8"?>', '<!DOCTYPE Tags SYSTEM "matroskatags.dtd">', '<Tags>'];
+    const pushSimple = (simple, indent) => {
+        lines.push(`${indent}<Simple>`, `${indent}  <Name>${escape(simple.Name)}</Name>`);
+        if (simple.Value !== null && simple.Value !== undefined) lines.push(`${indent}  <String>${escape(simple.Value)}</String>`);
+        if (simple.Language) lines.push(`${indent}  <TagLanguage>${escape(simple.Language)}</TagLanguage>`);
+        if (simple.LanguageIetf) lines.push(`${indent}  <TagLanguageIETF>${escape(simple.LanguageIetf)}</TagLanguageIETF>`);
+        if (simple.IsDefault === false) lines.push(`${indent}  <DefaultLanguage>0</DefaultLanguage>`);
+        for (const nested of simple.Children || []) pushSimple(nested, `${indent}  `);
+        lines.push(`${indent}</Simple>`);
+    };
+    for (const tag of tags) {
+        lines.push('  <Tag>', '    <Targets>');
+        if (tag.TargetTypeValue !== null && tag.TargetTypeValue !== undefined) lines.push(`      <TargetTypeValue>${tag.TargetTypeValue}</TargetTypeValue>`);
+        if (tag.TargetType) lines.push(`      <TargetType>${escape(tag.TargetType)}</TargetType>`);
+        if (tag.TrackUid) lines.push(`      <TrackUID>${escape(tag.TrackUid)}</TrackUID>`);
+        lines.push('    </Targets>');
+        for (const simple of tag.SimpleTags) pushSimple(simple, '    ');
+        lines.push('  </Tag>');
+    }
+    lines.push('</Tags>', '');
+    return lines.join('\n');
+}
+
+/**
+ * Property editor helpers
+ */
+
+// MkvPropertyType values as serialized by the backend
+const MkvPropertyType = Object.freeze({
+    Boolean: 0,
+    String: 1,
+    Integer: 2,
+    UnsignedInteger: 3,
+    Float: 4,
+    Binary: 5,
+    Unknown: 6
+});
+
+/**
+ * Accept either the numeric or the named form of an MkvPropertyType
+ * @param {number|string} type
+ * @returns {number}
+ */
+function normalizePropertyType(type) {
+    if (typeof type === 'number') return type;
+    if (typeof type === 'string' && Object.prototype.hasOwnProperty.call(MkvPropertyType, type)) {
+        return MkvPropertyType[type];
+    }
+    return MkvPropertyType.Unknown;
+}
+
+/**
+ * Does a boolean property value mean "on"? mkvmerge reports true/false, mkvpropedit takes 1/0.
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isTrueValue(value) {
+    return /^(1|true|yes)$/i.test(String(value).trim());
+}
+
+/**
+ * Validate a raw input value against an mkvpropedit property type
+ * @param {number|string} type - MkvPropertyType of the property
+ * @param {string} value - Value as typed by the user
+ * @returns {string|null} Error message, or null when the value is acceptable
+ */
+function validatePropertyValue(type, value) {
+    const text = value == null ? '' : String(value).trim();
+    switch (normalizePropertyType(type)) {
+        case MkvPropertyType.Boolean:
+            return /^(0|1|true|false|yes|no)$/i.test(text) ? null : 'Expected a boolean (0 or 1)';
+        case MkvPropertyType.Integer:
+            return /^[-+]?\d+$/.test(text) ? null : 'Expected a whole number';
+        case MkvPropertyType.UnsignedInteger:
+            return /^\+?\d+$/.test(text) ? null : 'Expected a non-negative whole number';
+        case MkvPropertyType.Float:
+            return /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(text) ? null : 'Expected a number';
+        case MkvPropertyType.String:
+            return null;
+        default:
+            return 'This property type cannot be edited here';
+    }
+}
+
+/**
+ * Key used to stage at most one change per property and section
+ * @param {string} section - mkvpropedit edit selector ('info', 'track:N')
+ * @param {string} propertyName
+ * @returns {string}
+ */
+function propertyChangeKey(section, propertyName) {
+    return `${section}|${propertyName}`;
+}
+
+/**
+ * Initialize the pure JavaScript UI
+ */
+// File extensions a folder scan can look for (FolderScanOptions.DefaultExtensions on the backend)
+const SCAN_EXTENSIONS = ['.mkv', '.mka', '.mks', '.webm'];
+
+const DEFAULT_SCAN_OPTIONS = { MaxDepth: null, Include: [], Exclude: [], Extensions: SCAN_EXTENSIONS };
+
+// How often a running folder scan is asked for new files
+const SCAN_POLL_INTERVAL_MS = 150;
+
+/**
+ * Split a folder-scan pattern textarea into one glob per line
+ * @param {string} text
+ * @returns {string[]}
+ */
+function parsePatternLines(text) {
+    return String(text || '').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+}
+
+// What the status badge of a listed file shows
+const FileStatus = Object.freeze({
+    NotLoaded: 'not-loaded',
+    Loaded: 'loaded',
+    Modified: 'modified',
+    Saved: 'saved',
+    Changed: 'changed',
+    Error: 'error'
+});
+
+const FILE_STATUS_BADGES = {
+    [FileStatus.NotLoaded]: { symbol: '○', label: 'Not loaded' },
+    [FileStatus.Loaded]: { symbol: '●', label: 'Loaded' },
+    [FileStatus.Modified]: { symbol: '✎', label: 'Unsaved edits' },
+    [FileStatus.Saved]: { symbol: '✓', label: 'Saved' },
+    [FileStatus.Changed]: { symbol: '≠', label: 'Changed on disk' },
+    [FileStatus.Error]: { symbol: '!', label: 'Error' }
+};
+
+// Orders the file list can be sorted in
+const FILE_SORT_LABELS = { name: 'Name', folder: 'Folder', size: 'Size', modified: 'Modified' };
+
+// Every file list row is this tall (see .list li); the virtual list positions rows by it
+const FILE_ROW_HEIGHT = 32;
+
+// Rows rendered above and below the visible part of the file list
+const FILE_LIST_OVERSCAN = 10;
+
+// Type-ahead in the file list starts over after this pause between keys
+const TYPE_AHEAD_RESET_MS = 700;
+
+const FILE_NAME_COLLATOR = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+/**
+ * Compact track count, e.g. "1V 3A 5S"
+ * @param {Array} tracks - MkvTrackInfo list
+ * @returns {string}
+ */
+function summarizeTracks(tracks) {
+    const counts = { video: 0, audio: 0, subtitles: 0 };
+    for (const track of tracks || []) {
+        if (track.TrackType in counts) counts[track.TrackType]++;
+    }
+    return [['video', 'V'], ['audio', 'A'], ['subtitles', 'S']]
+        .filter(([type]) => counts[type])
+        .map(([type, letter]) => `${counts[type]}${letter}`)
+        .join(' ');
+}
+
+/**
+ * A folder and the folders above it, outermost first: 'a/b' -> ['a', 'a/b']
+ * @param {string} folder - '/'-separated; '' is the scan root
+ * @returns {string[]}
+ */
+function getFolderChain(folder) {
+    if (!folder) return [];
+    const parts = folder.split('/');
+    return parts.map((_, i) => parts.slice(0, i + 1).join('/'));
+}
+
+/**
+ * Folder a listed file is sorted under: its scan folder, or the directory it was picked from
+ * @param {object} entry - File list entry
+ * @returns {string}
+ */
+function getEntryFolder(entry) {
+    if (entry.folder != null) return entry.folder;
+    return entry.path.replace(/\\/g, '/').split('/').slice(0, -1).join('/');
+}
+
+/**
+ * Order folders name by name so every folder comes straight after its parent
+ */
+function compareFolders(a, b, descending) {
+    const left = a ? a.split('/') : [];
+    const right = b ? b.split('/') : [];
+    for (let i = 0; i < Math.min(left.length, right.length); i++) {
+        const result = FILE_NAME_COLLATOR.compare(left[i], right[i]);
+        if (result) return descending ? -result : result;
+    }
+    return left.length - right.length;
+}
+
+/**
+ * Sort comparator for file list entries
+ * @param {string} key - One of FILE_SORT_LABELS
+ */
+function compareFileEntries(a, b, key, descending) {
+    let result = 0;
+    if (key === 'folder') {
+        const folders = compareFolders(getEntryFolder(a), getEntryFolder(b), descending);
+        if (folders) return folders;
+    } else if (key === 'size') {
+        result = (a.size ?? -1) - (b.size ?? -1);
+    } else if (key === 'modified') {
+        result = (a.modified ?? 0) - (b.modified ?? 0);
+    }
+    if (!result) result = FILE_NAME_COLLATOR.compare(a.name, b.name);
+    if (!result) result = a.path < b.path ? -1 : a.path > b.path ? 1 : 0;
+    return descending ? -result : result;
+}
+
 function initializeUI() {
     const appDiv = document.getElementById('app');
     if (!appDiv) {
         console.error('App container not found!');
         return;
     }
-    console.log('Hydrating static UI...');
+    console.log('Hydrating static UI...');
+
+    // Wire up picker buttons and list rendering
+    const pickFileBtn = document.getElementById('btnSelectFiles');
+    const pickFolderBtn = document.getElementById('btnSelectFolder');
+    const selectedFilesUl = document.getElementById('fileList');
+    const selectedPathEl = document.getElementById('selected-file-path');
+    const tracksWrapper = document.getElementById('tracks-wrapper');
+    const tracksBody = document.getElementById('tracks-body');
+    const saveBtn = document.getElementById('btnSave');
+    const discardBtn = document.getElementById('btnDiscard');
+    const pendingStatusEl = document.getElementById('pending-status');
+    const tracksHeadRow = document.querySelector('#tracks-table thead tr');
+    const columnPickerList = document.getElementById('column-picker-list');
+    const flagColumnsKey = 'mkvtool:flagColumns';
+    let visibleFlagColumns = loadFlagColumns();
+    const flagPolicyKey = 'mkvtool:flagPolicy';
+    let flagPolicy = loadFlagPolicy();
+    const settingsBtn = document.getElementById('btnSettings');
+    const settingsDialog = document.getElementById('settings-dialog');
+    const flagPolicyTable = document.getElementById('flag-policy-table');
+    const resetPolicyBtn = document.getElementById('btnResetPolicy');
+    const selectionCountEl = document.getElementById('selection-count');
+    const batchBtn = document.getElementById('btnBatchEdit');
+    const batchDialog = document.getElementById('batch-dialog');
+    const batchTitleEl = document.getElementById('batch-title');
+    const batchOperationsEl = document.getElementById('batch-operations');
+    const batchOutputEl = document.getElementById('batch-output');
+    const addOperationBtn = document.getElementById('btnAddOperation');
+    const batchPreviewBtn = document.getElementById('btnBatchPreview');
+    const batchApplyBtn = document.getElementById('btnBatchApply');
+    const compareBtn = document.getElementById('btnCompare');
+    const reportBtn = document.getElementById('btnExportReport');
+    const reportDialog = document.getElementById('report-dialog');
+    const reportTitleEl = document.getElementById('report-title');
+    const reportFormatSelect = document.getElementById('report-format');
+    const reportMessageEl = document.getElementById('report-message');
+    const runReportBtn = document.getElementById('btnRunReport');
+    const reportFormatKey = 'mkvtool:reportFormat';
+    const compareDialog = document.getElementById('compare-dialog');
+    const compareTitleEl = document.getElementById('compare-title');
+    const compareSummaryEl = document.getElementById('compare-summary');
+    const compareTableEl = document.getElementById('compare-table');
+    const profileSelect = document.getElementById('profile-select');
+    const applyProfileBtn = document.getElementById('btnApplyProfile');
+    const manageProfilesBtn = document.getElementById('btnManageProfiles');
+    const profilesDialog = document.getElementById('profiles-dialog');
+    const profileManageSelect = document.getElementById('profile-manage-select');
+    const profileEditorEl = document.getElementById('profile-editor');
+    const profileMessageEl = document.getElementById('profile-message');
+    const newProfileBtn = document.getElementById('btnNewProfile');
+    const deleteProfileBtn = document.getElementById('btnDeleteProfile');
+    const importProfilesBtn = document.getElementById('btnImportProfiles');
+    const exportProfilesBtn = document.getElementById('btnExportProfiles');
+    const profileImportInput = document.getElementById('profile-import-input');
+    const scanDialog = document.getElementById('scan-dialog');
+    const scanDepthInput = document.getElementById('scan-depth');
+    const scanIncludeInput = document.getElementById('scan-include');
+    const scanExcludeInput = document.getElementById('scan-exclude');
+    const scanExtensionsEl = document.getElementById('scan-extensions');
+    const startScanBtn = document.getElementById('btnStartScan');
+    const scanBar = document.getElementById('scan-bar');
+    const scanSummaryEl = document.getElementById('scan-summary');
+    const stopScanBtn = document.getElementById('btnStopScan');
+    const scanOptionsKey = 'mkvtool:scanOptions';
+    const fileFilterInput = document.getElementById('file-filter');
+    const fileSortSelect = document.getElementById('file-sort');
+    const sortDirectionBtn = document.getElementById('btnSortDirection');
+    const fileCountEl = document.getElementById('file-count');
+    const fileSortKey = 'mkvtool:fileSort';
+    const lintPanel = document.getElementById('lint-panel');
+    const lintCountEl = document.getElementById('lint-count');
+    const lintRulesEl = document.getElementById('lint-rules');
+    const lintIssuesEl = document.getElementById('lint-issues');
+    const lintRulesKey = 'mkvtool:lintRules';
+    const workspacesBtn = document.getElementById('btnWorkspaces');
+    const workspacesDialog = document.getElementById('workspaces-dialog');
+    const workspaceListEl = document.getElementById('workspace-list');
+    const workspaceNameInput = document.getElementById('workspace-name');
+    const saveWorkspaceAsBtn = document.getElementById('btnSaveWorkspaceAs');
+    const newWorkspaceBtn = document.getElementById('btnNewWorkspace');
+    const workspaceMessageEl = document.getElementById('workspace-message');
+    const workspacesKey = 'mkvtool:workspaces';
+    const announcerEl = document.getElementById('announcer');
+    const lastWorkspaceKey = 'mkvtool:lastWorkspace';
+    let activeScanId = null;     // folder scan whose results are still streaming into the list
+    const jobBar = document.getElementById('job-bar');
+    const jobProgress = document.getElementById('job-progress');
+    const jobSummaryEl = document.getElementById('job-summary');
+    const cancelJobsBtn = document.getElementById('btnCancelJobs');
+    const retryJobsBtn = document.getElementById('btnRetryJobs');
+    const notificationsBtn = document.getElementById('btnNotifications');
+    const historyBtn = document.getElementById('btnHistory');
+    const historyDialog = document.getElementById('history-dialog');
+    const historyTitleEl = document.getElementById('history-title');
+    const historySummaryEl = document.getElementById('history-summary');
+    const historyListEl = document.getElementById('history-list');
+    const notificationsDialog = document.getElementById('notifications-dialog');
+    const clearNotificationsBtn = document.getElementById('btnClearNotifications');
+    const conflictDialog = document.getElementById('conflict-dialog');
+    const conflictSummaryEl = document.getElementById('conflict-summary');
+    const conflictTableEl = document.getElementById('conflict-table');
+    const conflictRebaseBtn = document.getElementById('btnConflictRebase');
+    const conflictOverwriteBtn = document.getElementById('btnConflictOverwrite');
+    const conflictReloadBtn = document.getElementById('btnConflictReload');
+    const commandPreview = document.getElementById('command-preview');
+    const commandShellSelect = document.getElementById('command-shell');
+    const commandTextEl = document.getElementById('command-text');
+    const copyCommandBtn = document.getElementById('btnCopyCommand');
+    const exportScriptBtn = document.getElementById('btnExportScript');
+    const batchExportScriptBtn = document.getElementById('btnBatchExportScript');
+    const segmentTitleBar = document.getElementById('segment-title-bar');
+    const segmentTitleInput = document.getElementById('segment-title');
+    const segmentEditor = document.getElementById('segment-editor');
+    const segmentPropertiesEl = document.getElementById('segment-properties');
+    const trackInspector = document.getElementById('track-inspector');
+    const trackInspectorTitle = document.getElementById('track-inspector-title');
+    const trackInspectorList = document.getElementById('track-inspector-list');
+    const trackInspectorHint = document.getElementById('track-inspector-hint');
+    const detailsEl = document.getElementById('details');
+    const tracksTabBtn = document.getElementById('tab-tracks');
+    const chaptersTabBtn = document.getElementById('tab-chapters');
+    const chapterCountEl = document.getElementById('chapter-count');
+    const chaptersBody = document.getElementById('chapters-body');
+    const chapterMessageEl = document.getElementById('chapter-message');
+    const addChapterBtn = document.getElementById('btnAddChapter');
+    const chapterShiftInput = document.getElementById('chapter-shift');
+    const shiftChaptersBtn = document.getElementById('btnShiftChapters');
+    const chapterIntervalInput = document.getElementById('chapter-interval');
+    const generateChaptersBtn = document.getElementById('btnGenerateChapters');
+    const importChaptersBtn = document.getElementById('btnImportChapters');
+    const exportChaptersXmlBtn = document.getElementById('btnExportChaptersXml');
+    const exportChaptersOgmBtn = document.getElementById('btnExportChaptersOgm');
+    const chapterImportInput = document.getElementById('chapter-import-input');
+    const revertChaptersBtn = document.getElementById('btnRevertChapters');
+    const writeChaptersBtn = document.getElementById('btnWriteChapters');
+    const tagsTabBtn = document.getElementById('tab-tags');
+    const tagCountEl = document.getElementById('tag-count');
+    const tagScopeSelect = document.getElementById('tag-scope');
+    const tagsBody = document.getElementById('tags-body');
+    const tagMessageEl = document.getElementById('tag-message');
+    const addTagBtn = document.getElementById('btnAddTag');
+    const clearStatisticsTagsBtn = document.getElementById('btnClearStatisticsTags');
+    const importTagsBtn = document.getElementById('btnImportTags');
+    const exportTagsBtn = document.getElementById('btnExportTags');
+    const tagImportInput = document.getElementById('tag-import-input');
+    const revertTagsBtn = document.getElementById('btnRevertTags');
+    const writeTagsBtn = document.getElementById('btnWriteTags');
+    const detailsTabKey = 'mkvtool:detailsTab';
+    const lastDirDiv = null; // lastDir not shown in the new layout
+    let selectedPath = null;   // file highlighted in the list
+    let lastLoadedPath = null; // track last loaded details path
+    let loadDebounceId = 0;    // debounce timer id
+    const multiSelectedPaths = new Set(); // files picked with Ctrl/Shift-click for batch edits
+    let activeRowKey = null;   // file list row the keyboard cursor is on
+    let nextFileRowId = 1;     // ids for aria-activedescendant
+    let typeAhead = '';
+    let typeAheadTimer = 0;
+    let activeTrackCell = null; // { seq, column } of the tracks table cell that has (or last had) focus
+
+    // File list model; only the rows in view are in the DOM
+    let fileEntries = [];                  // { path, name, folder, size, modified, status, summary, error } in arrival order
+    const fileEntriesByPath = new Map();
+    const collapsedGroups = new Set();     // scan folders folded away in the tree
+    let fileSort = loadFileSort();         // { key, descending }
+    let fileFilter = '';
+    let emptyListText = 'No files selected';
+    let listedEntries = null;              // filtered and sorted entries; null when stale
+    let fileRows = null;                   // rows after grouping and folding; null when stale
+    let renderedRows = new Map();          // row key -> li in the DOM
+    let fileListFrame = 0;
+    const loadedInfos = new Map();         // path -> MkvFileInfo from the latest read, for the header checks
+    let disabledLintRules = loadDisabledLintRules();
+    let lintFrame = 0;
+    let workspaceName = loadLastWorkspaceName();
+    let workspaceReady = false;            // autosave stays off until the last workspace is restored
+    let workspaceGeneration = 0;           // bumped per restore; older restores stop touching the list
+    let workspaceSaveTimer = 0;
+    let workspaceSaveFailed = false;
+    let detailsTab = loadDetailsTab();     // 'tracks', 'chapters' or 'tags'
+    let chapterFilePath = null;            // file the chapter editor belongs to
+    let chaptersLoaded = false;
+    let chapterLoadPath = null;            // file whose chapters are being read
+    let loadedChapters = [];               // chapter states as last read from disk
+    let currentChapters = [];              // working copy, in start order
+    let chapterDuration = null;            // file duration in ns, for generating chapters
+    let chapterWarnings = [];              // parts of the chapter structure the editor does not show
+    let chapterError = '';
+    let chapterNote = '';                  // outcome of the last shift, generate or import
+    const invalidChapterInputs = new Map(); // `${chapter key}:${start|end}` -> rejected raw input
+    let tagFilePath = null;                // file the tag editor belongs to
+    let tagsLoaded = false;
+    let tagLoadPath = null;                // file whose tags are being read
+    let loadedTags = [];                   // tag states as last read from disk
+    let currentTags = [];                  // working copy
+    let tagScope = 'global';               // target shown: 'global' or 'track:N'
+    let tagWarnings = [];                  // tags the editor does not show
+    let tagError = '';
+    let tagNote = '';                      // outcome of the last import or statistics clean-up
+    const invalidTagInputs = new Map();    // `${SimpleTag key}:language` -> rejected raw input
+    const listTopSpacer = createListSpacer();
+    const listBottomSpacer = createListSpacer();
+    const listPlaceholder = document.createElement('li');
+    listPlaceholder.dataset.placeholder = 'true';
+    listPlaceholder.className = 'hidden';
+    listPlaceholder.setAttribute('role', 'option');
+    listPlaceholder.setAttribute('aria-disabled', 'true');
+    if (selectedFilesUl) selectedFilesUl.append(listTopSpacer, listPlaceholder, listBottomSpacer);
+
+    populateLanguageSuggestions();
+    renderTrackHeader();
+    renderColumnPicker();
+    if (settingsBtn) settingsBtn.addEventListener('click', openSettings);
+    if (resetPolicyBtn) {
+        resetPolicyBtn.addEventListener('click', () => {
+            flagPolicy = { ...DEFAULT_FLAG_POLICY };
+            saveFlagPolicy();
+            renderFlagPolicySettings();
+        });
+    }
+
+    function renderLastDir() { /* no-op in the two-panel layout */ }
+
+    function renderFiles(items, emptyText = 'No files selected') {
+        fileEntries = [];
+        fileEntriesByPath.clear();
+        activeRowKey = null;
+        loadedInfos.clear();
+        scheduleLintRender();
+        collapsedGroups.clear();
+        emptyListText = emptyText;
+        // Clear selection and displayed path on each render
+        clearSelectionAndPath();
+        clearMultiSelection();
+        if (selectedFilesUl) selectedFilesUl.scrollTop = 0;
+        appendFiles(Array.isArray(items) ? items : []);
+        renderFileWindow();
+    }
+
+    /**
+     * Add files to the list without touching the selection. Items carrying a
+     * RelativeDirectory (folder scans) are grouped under their subfolder.
+     * @param {Array} items - paths or { FullPath, FileName, RelativeDirectory?, FileSize?, LastModifiedUtc? }
+     */
+    function appendFiles(items) {
+        for (const item of items) {
+            const picked = typeof item === 'string' ? { FullPath: item } : item;
+            const path = picked.FullPath;
+            if (!path || fileEntriesByPath.has(path)) continue;
+            const entry = {
+                path,
+                name: picked.FileName || path.split(/[\\/]/).pop(),
+                folder: picked.RelativeDirectory ?? null,
+                size: picked.FileSize ?? null,
+                modified: picked.LastModifiedUtc ? Date.parse(picked.LastModifiedUtc) : null,
+                status: FileStatus.NotLoaded,
+                summary: '',
+                error: ''
+            };
+            fileEntries.push(entry);
+            fileEntriesByPath.set(path, entry);
+        }
+        invalidateFileRows();
+    }
+
+    function createListSpacer() {
+        const li = document.createElement('li');
+        li.className = 'list-spacer';
+        li.setAttribute('aria-hidden', 'true');
+        return li;
+    }
+
+    /**
+     * Re-filter and re-sort on the next render
+     */
+    function invalidateFileRows() {
+        listedEntries = null;
+        fileRows = null;
+        scheduleFileListRender();
+        scheduleWorkspaceSave();
+    }
+
+    function scheduleFileListRender() {
+        if (fileListFrame) return;
+        const schedule = window.requestAnimationFrame || (callback => setTimeout(callback, 16));
+        fileListFrame = schedule(() => {
+            fileListFrame = 0;
+            renderFileWindow();
+        });
+    }
+
+    /**
+     * Entries passing the filter, in sort order
+     * @returns {Array<object>}
+     */
+    function getListedEntries() {
+        if (!listedEntries) {
+            const terms = fileFilter.toLowerCase().split(/\s+/).filter(Boolean);
+            listedEntries = fileEntries
+                .filter(entry => {
+                    const text = `${entry.folder ? entry.folder + '/' : ''}${entry.name}`.toLowerCase();
+                    return terms.every(term => text.includes(term));
+                })
+                .sort((a, b) => compareFileEntries(a, b, fileSort.key, fileSort.descending));
+        }
+        return listedEntries;
+    }
+
+    /**
+     * What the list shows, top to bottom. Sorting by folder turns scanned files into a
+     * tree with a header per subfolder.
+     * @returns {Array<object>} { key, depth, entry } for files, { key, depth, folder, count } for headers
+     */
+    function getFileRows() {
+        if (fileRows) return fileRows;
+        const entries = getListedEntries();
+        if (fileSort.key !== 'folder') {
+            fileRows = entries.map(entry => ({ key: entry.path, depth: 0, entry }));
+            return fileRows;
+        }
+
+        const counts = new Map(); // folder -> matching files at any depth below it
+        for (const entry of entries) {
+            for (const folder of getFolderChain(entry.folder)) counts.set(folder, (counts.get(folder) || 0) + 1);
+        }
+        const isFolded = (folder, includeSelf) => Array.from(collapsedGroups)
+            .some(collapsed => folder.startsWith(collapsed + '/') || (includeSelf && folder === collapsed));
+
+        fileRows = [];
+        const headed = new Set();
+        for (const entry of entries) {
+            if (entry.folder == null) {
+                fileRows.push({ key: entry.path, depth: 0, entry });
+                continue;
+            }
+            const chain = getFolderChain(entry.folder);
+            for (const folder of chain) {
+                if (headed.has(folder)) continue;
+                headed.add(folder);
+                if (!isFolded(folder, false)) {
+                    fileRows.push({ key: `folder:${folder}`, depth: folder.split('/').length - 1, folder, count: counts.get(folder) });
+                }
+            }
+            if (!isFolded(entry.folder, true)) fileRows.push({ key: entry.path, depth: chain.length, entry });
+        }
+        return fileRows;
+    }
+
+    /**
+     * Render the rows in view, reusing the li of rows that stay so clicks in progress are not lost
+     */
+    function renderFileWindow() {
+        if (!selectedFilesUl) return;
+        const rows = getFileRows();
+        renderFileCount();
+        if (!rows.length) {
+            for (const li of renderedRows.values()) li.remove();
+            renderedRows.clear();
+            listTopSpacer.style.height = listBottomSpacer.style.height = '0px';
+            listPlaceholder.textContent = fileEntries.length ? 'No files match the filter' : emptyListText;
+            listPlaceholder.classList.remove('hidden');
+            return;
+        }
+        listPlaceholder.classList.add('hidden');
+
+        const viewport = selectedFilesUl.clientHeight || FILE_ROW_HEIGHT * 20;
+        const scrollTop = selectedFilesUl.scrollTop;
+        const first = Math.max(0, Math.floor(scrollTop / FILE_ROW_HEIGHT) - FILE_LIST_OVERSCAN);
+        const last = Math.min(rows.length, Math.ceil((scrollTop + viewport) / FILE_ROW_HEIGHT) + FILE_LIST_OVERSCAN);
+        listTopSpacer.style.height = `${first * FILE_ROW_HEIGHT}px`;
+        listBottomSpacer.style.height = `${(rows.length - last) * FILE_ROW_HEIGHT}px`;
+
+        const rendered = new Map();
+        let previous = listTopSpacer;
+        for (let i = first; i < last; i++) {
+            const row = rows[i];
+            const li = renderedRows.get(row.key) || (row.entry ? createFileRow() : createGroupRow());
+            if (row.entry) updateFileRow(li, row); else updateGroupRow(li, row);
+            // Only part of the list is in the DOM, so tell screen readers where a row sits
+            li.setAttribute('aria-posinset', String(i + 1));
+            li.setAttribute('aria-setsize', String(rows.length));
+            li.classList.toggle('active', row.key === activeRowKey);
+            if (previous.nextSibling !== li) previous.after(li);
+            previous = li;
+            rendered.set(row.key, li);
+        }
+        for (const [key, li] of renderedRows) {
+            if (!rendered.has(key)) li.remove();
+        }
+        renderedRows = rendered;
+        const activeLi = rendered.get(activeRowKey);
+        if (activeLi) selectedFilesUl.setAttribute('aria-activedescendant', activeLi.id);
+        else selectedFilesUl.removeAttribute('aria-activedescendant');
+    }
+
+    function createFileRow() {
+        const li = document.createElement('li');
+        li.className = 'file-row';
+        li.id = `file-row-${nextFileRowId++}`;
+        li.setAttribute('role', 'option');
+        const name = document.createElement('span');
+        name.className = 'file-name';
+        const summary = document.createElement('span');
+        summary.className = 'file-summary';
+        const status = document.createElement('span');
+        status.className = 'file-status';
+        status.setAttribute('aria-hidden', 'true');
+        const badge = document.createElement('button');
+        badge.type = 'button';
+        badge.className = 'job-badge hidden';
+        badge.addEventListener('click', (e) => {
+            // Do not select the file
+            e.stopPropagation();
+            const id = Number(badge.dataset.jobId);
+            if (badge.dataset.status === JobStatus.Queued) window.jobQueue.cancel(id);
+            if (badge.dataset.status === JobStatus.Failed) window.jobQueue.retry(id);
+        });
+        li.append(name, summary, status, badge);
+        return li;
+    }
+
+    function updateFileRow(li, row) {
+        const { entry } = row;
+        const [name, summary, statusEl, badge] = li.children;
+        const picked = multiSelectedPaths.has(entry.path);
+        li.dataset.fullpath = entry.path;
+        li.style.setProperty('--depth', row.depth);
+        li.title = entry.error ? `${entry.path}\n${entry.error}` : entry.path;
+        li.classList.toggle('selected', entry.path === selectedPath);
+        li.classList.toggle('multi-selected', picked);
+        li.setAttribute('aria-selected', String(picked || entry.path === selectedPath));
+        name.textContent = entry.name;
+        summary.textContent = entry.summary;
+
+        const status = getFileStatus(entry);
+        li.dataset.status = status;
+        statusEl.textContent = FILE_STATUS_BADGES[status].symbol;
+        statusEl.title = entry.error && status === FileStatus.Error ? `Error: ${entry.error}`
+            : entry.error && status === FileStatus.Changed ? entry.error : FILE_STATUS_BADGES[status].label;
+        li.setAttribute('aria-label', [entry.name, statusEl.title, entry.summary].filter(Boolean).join(', '));
+
+        // Latest background job: queued jobs can be cancelled and failed ones retried
+        const job = window.jobQueue.latestJobForPath(entry.path);
+        const jobStatus = job && job.status !== JobStatus.Done && job.status !== JobStatus.Cancelled ? job.status : '';
+        badge.classList.toggle('hidden', !jobStatus);
+        if (!jobStatus) {
+            delete li.dataset.jobStatus;
+            return;
+        }
+        li.dataset.jobStatus = jobStatus;
+        badge.dataset.status = jobStatus;
+        badge.dataset.jobId = String(job.id);
+        badge.disabled = jobStatus === JobStatus.Running;
+        if (jobStatus === JobStatus.Queued) {
+            badge.textContent = 'Queued ×';
+            badge.title = 'Cancel';
+        } else if (jobStatus === JobStatus.Running) {
+            badge.textContent = `${job.label}...`;
+            badge.title = '';
+        } else {
+            badge.textContent = 'Failed ↻';
+            badge.title = `${job.label} failed: ${job.error?.message || job.error}. Click to retry.`;
+        }
+    }
+
+    function createGroupRow() {
+        const li = document.createElement('li');
+        li.className = 'group-header';
+        li.dataset.groupHeader = 'true';
+        li.id = `file-row-${nextFileRowId++}`;
+        li.setAttribute('role', 'option');
+        const name = document.createElement('span');
+        name.className = 'file-name';
+        const count = document.createElement('span');
+        count.className = 'file-summary';
+        li.append(name, count);
+        return li;
+    }
+
+    function updateGroupRow(li, row) {
+        const [name, count] = li.children;
+        li.dataset.group = row.folder;
+        li.title = row.folder;
+        li.style.setProperty('--depth', row.depth);
+        li.setAttribute('aria-expanded', String(!collapsedGroups.has(row.folder)));
+        name.textContent = row.folder.split('/').pop();
+        count.textContent = String(row.count);
+        li.setAttribute('aria-label', `Folder ${name.textContent}, ${row.count} file${row.count === 1 ? '' : 's'}, ${collapsedGroups.has(row.folder) ? 'collapsed' : 'expanded'}`);
+    }
+
+    function renderFileCount() {
+        if (!fileCountEl) return;
+        const total = fileEntries.length;
+        const listed = getListedEntries().length;
+        if (!total) fileCountEl.textContent = '';
+        else fileCountEl.textContent = listed === total ? `${total} file${total === 1 ? '' : 's'}` : `${listed} of ${total} files`;
+    }
+
+    /**
+     * Status badge of a listed file; unsaved edits only exist for the file on the right
+     * @returns {string} FileStatus value
+     */
+    function getFileStatus(entry) {
+        if (entry.path === currentFilePath && (hasPendingChanges() || hasChapterEdits() || hasTagEdits())) return FileStatus.Modified;
+        return entry.status;
+    }
+
+    /**
+     * Take the track summary, size and date from a freshly read MkvFileInfo and keep it for the header checks
+     * @param {string} path
+     * @param {object} info - MkvFileInfo
+     */
+    function recordFileInfo(path, info) {
+        const entry = fileEntriesByPath.get(path);
+        if (!entry || !info) return;
+        if (info.IsValid === false) loadedInfos.delete(path); else loadedInfos.set(path, info);
+        scheduleLintRender();
+        if (info.IsValid === false) {
+            entry.status = FileStatus.Error;
+            entry.error = info.ErrorMessage || 'File is not a valid MKV file';
+        } else {
+            entry.summary = summarizeTracks(info.Tracks);
+            // "Saved" stays until the list is replaced
+            if (entry.status !== FileStatus.Saved) entry.status = FileStatus.Loaded;
+            entry.error = '';
+        }
+        const size = info.FileSize ?? entry.size;
+        const modified = info.LastModifiedUtc ? Date.parse(info.LastModifiedUtc) : entry.modified;
+        const reorder = (fileSort.key === 'size' && size !== entry.size) || (fileSort.key === 'modified' && modified !== entry.modified);
+        entry.size = size;
+        entry.modified = modified;
+        if (reorder) invalidateFileRows(); else scheduleFileListRender();
+    }
+
+    /**
+     * @param {string} path
+     * @param {string} status - FileStatus value
+     * @param {string} [error] - Shown on hover for FileStatus.Error
+     */
+    function setFileStatus(path, status, error = '') {
+        const entry = fileEntriesByPath.get(path);
+        if (!entry) return;
+        entry.status = status;
+        entry.error = error;
+        scheduleFileListRender();
+    }
+
+    /**
+     * Fold or unfold a scanned subfolder
+     * @param {string} folder
+     */
+    function toggleGroup(folder) {
+        if (collapsedGroups.has(folder)) collapsedGroups.delete(folder); else collapsedGroups.add(folder);
+        fileRows = null;
+        renderFileWindow();
+        scheduleWorkspaceSave();
+    }
+
+    function loadFileSort() {
+        try {
+            const saved = JSON.parse(window.localStorage.getItem(fileSortKey) || 'null');
+            if (saved && saved.key in FILE_SORT_LABELS) return { key: saved.key, descending: !!saved.descending };
+        } catch {}
+        return { key: 'folder', descending: false };
+    }
+
+    function saveFileSort() {
+        try { window.localStorage.setItem(fileSortKey, JSON.stringify(fileSort)); } catch {}
+    }
+
+    function renderSortControls() {
+        if (fileSortSelect) {
+            if (!fileSortSelect.options.length) {
+                for (const [key, label] of Object.entries(FILE_SORT_LABELS)) fileSortSelect.add(new Option(label, key));
+            }
+            fileSortSelect.value = fileSort.key;
+        }
+        if (sortDirectionBtn) {
+            sortDirectionBtn.textContent = fileSort.descending ? '↓' : '↑';
+            sortDirectionBtn.title = fileSort.descending ? 'Descending' : 'Ascending';
+        }
+    }
+
+    function setSelectedPath(path) {
+        if (!path || selectedPath === path) return;
+        selectedPath = path;
+        renderSelectedPath(path);
+        renderFileWindow();
+        scheduleWorkspaceSave();
+    }
+
+    function clearMultiSelection() {
+        multiSelectedPaths.clear();
+        renderMultiSelection();
+    }
+
+    function renderMultiSelection() {
+        if (selectionCountEl) {
+            const count = multiSelectedPaths.size;
+            selectionCountEl.textContent = count > 1 ? `${count} files selected` : '';
+        }
+        renderFileWindow();
+    }
+
+    /**
+     * Ctrl/Cmd-click: add or remove one file from the batch selection
+     * @param {string} path
+     */
+    function toggleMultiSelect(path) {
+        if (!multiSelectedPaths.size && selectedPath) {
+            multiSelectedPaths.add(selectedPath);
+        }
+        if (multiSelectedPaths.has(path)) multiSelectedPaths.delete(path); else multiSelectedPaths.add(path);
+        renderMultiSelection();
+    }
+
+    /**
+     * Shift-click: select every file shown between the current file and the clicked one
+     * @param {string} path
+     */
+    function selectRange(path) {
+        const paths = getFileRows().filter(row => row.entry).map(row => row.entry.path);
+        const from = paths.indexOf(selectedPath);
+        const to = paths.indexOf(path);
+        if (from < 0 || to < 0) return;
+        multiSelectedPaths.clear();
+        for (let i = Math.min(from, to); i <= Math.max(from, to); i++) {
+            multiSelectedPaths.add(paths[i]);
+        }
+        renderMultiSelection();
+    }
+
+    /**
+     * Files passing the filter, in list order (including those in folded folders)
+     * @returns {string[]}
+     */
+    function getListedPaths() {
+        return getListedEntries().map(entry => entry.path);
+    }
+
+    /**
+     * Files a batch edit runs on: the multi-selection, or the whole list when nothing is picked
+     * @returns {string[]}
+     */
+    function getBatchTargetPaths() {
+        const all = getListedPaths();
+        return multiSelectedPaths.size ? all.filter(p => multiSelectedPaths.has(p)) : all;
+    }
+
+    function getSelectedPath() {
+        return selectedPath;
+    }
+
+    function renderSelectedPath(path) {
+        if (!selectedPathEl) return;
+        const text = path || '';
+        selectedPathEl.textContent = text;
+        selectedPathEl.title = text;
+    }
+
+    /**
+     * Fill the autocomplete lists used by the language columns
+     */
+    function populateLanguageSuggestions() {
+        const lists = [
+            ['bcp47-tags', getLanguageTagSuggestions()],
+            ['iso639-2-codes', getLegacyLanguageSuggestions()]
+        ];
+        for (const [id, entries] of lists) {
+            const datalist = document.getElementById(id);
+            if (!datalist) continue;
+            datalist.innerHTML = '';
+            for (const entry of entries) {
+                const option = document.createElement('option');
+                option.value = entry.value;
+                option.label = entry.label;
+                datalist.appendChild(option);
+            }
+        }
+    }
+
+    /**
+     * Read the chosen flag columns from browser storage
+     * @returns {string[]} Track state keys in display order
+     */
+    function loadFlagColumns() {
+        try {
+            const stored = JSON.parse(window.localStorage.getItem(flagColumnsKey) || 'null');
+            if (Array.isArray(stored)) {
+                return Object.keys(TRACK_FLAG_LABELS).filter(key => stored.includes(key));
+            }
+        } catch {}
+        return DEFAULT_FLAG_COLUMNS.slice();
+    }
+
+    function saveFlagColumns() {
+        try { window.localStorage.setItem(flagColumnsKey, JSON.stringify(visibleFlagColumns)); } catch {}
+        scheduleWorkspaceSave();
+    }
+
+    /**
+     * Rebuild the flag column headers to match the visible column choice
+     */
+    function renderTrackHeader() {
+        if (!tracksHeadRow) return;
+        tracksHeadRow.querySelectorAll('th[data-flag]').forEach(th => th.remove());
+        for (const key of visibleFlagColumns) {
+            const th = document.createElement('th');
+            th.className = key === 'enabled' ? 'col-enabled' : 'col-flag';
+            th.dataset.flag = key;
+            th.textContent = TRACK_FLAG_LABELS[key];
+            tracksHeadRow.appendChild(th);
+        }
+    }
+
+    /**
+     * Render the column chooser checkboxes
+     */
+    function renderColumnPicker() {
+        if (!columnPickerList) return;
+        columnPickerList.innerHTML = '';
+        for (const key of Object.keys(TRACK_FLAG_LABELS)) {
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = visibleFlagColumns.includes(key);
+            checkbox.addEventListener('change', () => {
+                const chosen = new Set(visibleFlagColumns);
+                if (checkbox.checked) chosen.add(key); else chosen.delete(key);
+                visibleFlagColumns = Object.keys(TRACK_FLAG_LABELS).filter(k => chosen.has(k));
+                saveFlagColumns();
+                renderTrackHeader();
+                if (currentFilePath) {
+                    renderTracksFromState();
+                } else {
+                    clearTracks();
+                }
+            });
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(` ${TRACK_FLAG_LABELS[key]}`));
+            columnPickerList.appendChild(label);
+        }
+    }
+
+    /**
+     * Read the flag exclusivity policy from browser storage, filling gaps with defaults
+     * @returns {object} Track state key -> FlagPolicy mode
+     */
+    function loadFlagPolicy() {
+        const policy = { ...DEFAULT_FLAG_POLICY };
+        try {
+            const stored = JSON.parse(window.localStorage.getItem(flagPolicyKey) || 'null');
+            if (stored && typeof stored === 'object') {
+                for (const key of Object.keys(policy)) {
+                    if (Object.values(FlagPolicy).includes(stored[key])) policy[key] = stored[key];
+                }
+            }
+        } catch {}
+        return policy;
+    }
+
+    function saveFlagPolicy() {
+        try { window.localStorage.setItem(flagPolicyKey, JSON.stringify(flagPolicy)); } catch {}
+    }
+
+    /**
+     * Render one policy selector per flag in the settings dialog
+     */
+    function renderFlagPolicySettings() {
+        if (!flagPolicyTable) return;
+        flagPolicyTable.innerHTML = '';
+        for (const key of Object.keys(TRACK_FLAG_LABELS)) {
+            const tr = document.createElement('tr');
+            const th = document.createElement('th');
+            th.scope = 'row';
+            const selectId = `flag-policy-${key}`;
+            const label = document.createElement('label');
+            label.htmlFor = selectId;
+            label.textContent = TRACK_FLAG_LABELS[key];
+            th.appendChild(label);
+            tr.appendChild(th);
+
+            const td = document.createElement('td');
+            const select = document.createElement('select');
+            select.id = selectId;
+            for (const mode of Object.values(FlagPolicy)) {
+                const option = document.createElement('option');
+                option.value = mode;
+                option.textContent = FLAG_POLICY_LABELS[mode];
+                select.appendChild(option);
+            }
+            select.value = flagPolicy[key] || FlagPolicy.Free;
+            select.addEventListener('change', () => {
+                flagPolicy = { ...flagPolicy, [key]: select.value };
+                saveFlagPolicy();
+            });
+            td.appendChild(select);
+            tr.appendChild(td);
+            flagPolicyTable.appendChild(tr);
+        }
+    }
+
+    function openSettings() {
+        if (!settingsDialog) return;
+        renderFlagPolicySettings();
+        if (typeof settingsDialog.showModal === 'function') {
+            settingsDialog.showModal();
+        } else {
+            settingsDialog.setAttribute('open', '');
+        }
+    }
+
+    function getTrackColumnCount() {
+        return document.querySelectorAll('#tracks-table thead th').length || 1;
+    }
+
+    function clearTracks() {
+        if (!tracksBody) return;
+        currentTracks = [];
+        loadedTracks = [];
+        loadedSegmentTitle = '';
+        currentSegmentTitle = '';
+        currentFilePath = null;
+        loadedFingerprint = null;
+        loadedInfo = null;
+        inspectedTrackSeq = null;
+        syncChapterEditor();
+        syncTagEditor();
+        resetPropertyEdits();
+        renderSegmentTitle();
+        renderSegmentEditor();
+        updatePendingUI();
+        tracksBody.innerHTML = '';
+        const tr = document.createElement('tr');
+        tr.className = 'placeholder';
+        const td = document.createElement('td');
+        td.colSpan = getTrackColumnCount();
+        td.textContent = 'No file selected';
+        tr.appendChild(td);
+        tracksBody.appendChild(tr);
+        // Hide raw JSON panel if visible
+        const resultDisplay = document.getElementById('result-display');
+        if (resultDisplay && !resultDisplay.classList.contains('hidden')) {
+            resultDisplay.classList.add('hidden');
+        }
+    }
+
+    function clearSelectionAndPath() {
+        selectedPath = null;
+        lastLoadedPath = null;
+        renderSelectedPath('');
+        scheduleFileListRender();
+    }
+
+    function requestLoadSelected(delayMs = 200) {
+        if (loadDebounceId) {
+            clearTimeout(loadDebounceId);
+            loadDebounceId = 0;
+        }
+        loadDebounceId = setTimeout(loadSelectedInternal, delayMs);
+    }
+
+    async function loadSelectedInternal() {
+        loadDebounceId = 0;
+        const path = getSelectedPath();
+        if (!path) return;
+        if (path === lastLoadedPath) return; // no-op if already loaded
+        // Only the latest selection matters; drop loads that have not started yet
+        window.jobQueue.cancelWhere(job => job.kind === 'load');
+        window.jobQueue.enqueue({
+            path,
+            kind: 'load',
+            label: 'Reading',
+            run: async () => {
+                try {
+                    const info = await window.bridgeService.readMkvFile(path);
+                    // The selection may have moved on while this job waited
+                    if (getSelectedPath() !== path || lastLoadedPath === path) return info;
+                    renderTracks(info, path);
+                    if (info && info.IsValid === false) throw new Error(info.ErrorMessage || 'File is not a valid MKV file');
+                    lastLoadedPath = path;
+                    const count = currentTracks.length;
+                    announce(`${path.split(/[\\/]/).pop()} loaded, ${count} track${count === 1 ? '' : 's'}`);
+                    return info;
+                } catch (err) {
+                    setFileStatus(path, FileStatus.Error, err?.message || String(err));
+                    window.notifications.notify({
+                        level: 'error',
+                        title: path.split(/[\\/]/).pop(),
+                        message: 'Could not read the file',
+                        details: err?.message || String(err)
+                    });
+                    throw err;
+                }
+            }
+        }).catch(() => {}); // Reported above and in the file list
+    }
+
+    async function handlePickFiles() {
+        const files = await window.bridgeService.pickMkvFiles();
+        if (Array.isArray(files) && files.length > 0) {
+            if (!confirmDiscardPending()) return;
+            stopFolderScan();
+            clearTracks();
+            clearSelectionAndPath();
+            renderFiles(files);
+            renderLastDir();
+        }
+    }
+
+    function loadScanOptions() {
+        try {
+            const raw = window.localStorage.getItem(scanOptionsKey);
+            if (raw) return { ...DEFAULT_SCAN_OPTIONS, ...JSON.parse(raw) };
+        } catch {}
+        return { ...DEFAULT_SCAN_OPTIONS };
+    }
+
+    function saveScanOptions(options) {
+        try { window.localStorage.setItem(scanOptionsKey, JSON.stringify(options)); } catch {}
+    }
+
+    function openScanDialog() {
+        if (!scanDialog) return;
+        const options = loadScanOptions();
+        scanDepthInput.value = options.MaxDepth == null ? '' : String(options.MaxDepth);
+        scanIncludeInput.value = (options.Include || []).join('\n');
+        scanExcludeInput.value = (options.Exclude || []).join('\n');
+        scanExtensionsEl.innerHTML = '';
+        for (const ext of SCAN_EXTENSIONS) {
+            const label = document.createElement('label');
+            const box = document.createElement('input');
+            box.type = 'checkbox';
+            box.value = ext;
+            box.checked = (options.Extensions || []).includes(ext);
+            label.append(box, ` ${ext}`);
+            scanExtensionsEl.appendChild(label);
+        }
+        if (typeof scanDialog.showModal === 'function') {
+            scanDialog.showModal();
+        } else {
+            scanDialog.setAttribute('open', '');
+        }
+    }
+
+    function readScanOptionsForm() {
+        const depth = scanDepthInput.value.trim();
+        const extensions = Array.from(scanExtensionsEl.querySelectorAll('input:checked')).map(box => box.value);
+        return {
+            MaxDepth: depth === '' ? null : Math.max(0, Math.floor(Number(depth)) || 0),
+            Include: parsePatternLines(scanIncludeInput.value),
+            Exclude: parsePatternLines(scanExcludeInput.value),
+            Extensions: extensions.length ? extensions : SCAN_EXTENSIONS
+        };
+    }
+
+    async function handleStartScan() {
+        const options = readScanOptionsForm();
+        saveScanOptions(options);
+        if (scanDialog) {
+            if (typeof scanDialog.close === 'function') scanDialog.close(); else scanDialog.removeAttribute('open');
+        }
+
+        let scan;
+        try {
+            scan = await window.bridgeService.startFolderScan(options);
+        } catch (err) {
+            window.notifications.notify({ level: 'error', title: 'Folder scan', message: 'Could not start the scan', details: err?.message || String(err) });
+            return;
+        }
+        if (!scan) return;
+        if (!confirmDiscardPending()) {
+            window.bridgeService.cancelFolderScan(scan.ScanId).catch(() => {});
+            return;
+        }
+        stopFolderScan();
+        clearTracks();
+        clearSelectionAndPath();
+        renderFiles([], 'Scanning...');
+        renderLastDir();
+        activeScanId = scan.ScanId;
+        pollFolderScan(scan);
+    }
+
+    /**
+     * Pull results from a running scan into the list until it completes or is stopped
+     * @param {object} scan - { ScanId, RootPath }
+     * @param {object} [options]
+     * @param {boolean} [options.merge] - Add to files already listed: results are grouped under
+     *   the scanned folder's name, and finding nothing leaves the list as it is
+     * @returns {Promise<boolean>} False when the scan was stopped or replaced before it finished
+     */
+    async function pollFolderScan(scan, { merge = false } = {}) {
+        const rootName = scan.RootPath.split(/[\\/]/).filter(Boolean).pop() || scan.RootPath;
+        const folders = new Set();
+        let found = 0;
+        const renderStatus = (text) => {
+            if (scanSummaryEl) scanSummaryEl.textContent = text;
+        };
+        if (scanBar) scanBar.classList.remove('hidden');
+        renderStatus(`Scanning ${rootName}...`);
+        try {
+            while (activeScanId === scan.ScanId) {
+                const batch = await window.bridgeService.readFolderScan(scan.ScanId);
+                if (activeScanId !== scan.ScanId) return false; // stopped, or replaced by another list
+                let items = Array.isArray(batch.Items) ? batch.Items : [];
+                if (merge) {
+                    items = items.map(item => ({
+                        ...item,
+                        RelativeDirectory: item.RelativeDirectory ? `${rootName}/${item.RelativeDirectory}` : rootName
+                    }));
+                }
+                appendFiles(items);
+                found += items.length;
+                for (const item of items) folders.add(item.RelativeDirectory);
+                renderStatus(`Scanning ${rootName}... ${found} file${found === 1 ? '' : 's'} found`);
+                if (batch.IsComplete) {
+                    if (batch.ErrorMessage) {
+                        window.notifications.notify({ level: 'warning', title: rootName, message: 'The folder scan stopped early', details: batch.ErrorMessage });
+                    }
+                    break;
+                }
+                await new Promise(resolve => setTimeout(resolve, SCAN_POLL_INTERVAL_MS));
+            }
+        } catch (err) {
+            if (activeScanId !== scan.ScanId) return false;
+            window.notifications.notify({ level: 'error', title: rootName, message: 'The folder scan failed', details: err?.message || String(err) });
+        }
+        if (activeScanId !== scan.ScanId) return false;
+        activeScanId = null;
+        if (scanBar) scanBar.classList.add('hidden');
+        if (!found) {
+            if (merge) {
+                window.notifications.notify({ level: 'info', title: rootName, message: 'No matching files found', toast: false });
+            } else {
+                renderFiles([], 'No matching files found');
+            }
+            return true;
+        }
+        window.notifications.notify({
+            level: 'info',
+            title: rootName,
+            message: `Found ${found} file${found === 1 ? '' : 's'} in ${folders.size} folder${folders.size === 1 ? '' : 's'}`,
+            toast: false
+        });
+        return true;
+    }
+
+    /**
+     * Does a drag carry files from the OS (rather than text or an element of the page)?
+     * @param {DragEvent} event
+     */
+    function isFileDrag(event) {
+        return !!event.dataTransfer && Array.from(event.dataTransfer.types || []).includes('Files');
+    }
+
+    /**
+     * Merge files and folders dropped onto the list into it. Files are added as they are;
+     * folders are scanned one after another with the saved scan options.
+     * @param {FileList|Array<File>} droppedFiles
+     */
+    async function handleDroppedFiles(droppedFiles) {
+        if (!droppedFiles || !droppedFiles.length) return;
+        const options = loadScanOptions();
+        let dropped;
+        try {
+            dropped = await window.bridgeService.resolveDroppedFiles(droppedFiles, options);
+        } catch (err) {
+            window.notifications.notify({ level: 'error', title: 'Drop', message: 'Could not resolve the dropped items', details: err?.message || String(err) });
+            return;
+        }
+
+        const added = dropped.Files.filter(item => !fileEntriesByPath.has(item.FullPath)).length;
+        appendFiles(dropped.Files);
+        if (added) {
+            window.notifications.notify({ level: 'info', title: 'Drop', message: `Added ${added} file${added === 1 ? '' : 's'}`, toast: false });
+        }
+        const ignored = [];
+        if (dropped.Skipped) ignored.push(`${dropped.Skipped} non-Matroska file${dropped.Skipped === 1 ? '' : 's'}`);
+        if (dropped.Unresolved) ignored.push(`${dropped.Unresolved} item${dropped.Unresolved === 1 ? '' : 's'} without a usable path`);
+        if (ignored.length) {
+            window.notifications.notify({ level: 'warning', title: 'Drop', message: `Ignored ${ignored.join(' and ')}` });
+        }
+
+        if (!dropped.Folders.length) return;
+        stopFolderScan();
+        for (const folder of dropped.Folders) {
+            let scan;
+            try {
+                scan = await window.bridgeService.startFolderScan(options, folder);
+            } catch (err) {
+                window.notifications.notify({ level: 'error', title: 'Folder scan', message: 'Could not start the scan', details: err?.message || String(err) });
+                continue;
+            }
+            if (!scan) continue;
+            // A newer drop or scan owns the list now
+            if (activeScanId) {
+                window.bridgeService.cancelFolderScan(scan.ScanId).catch(() => {});
+                return;
+            }
+            activeScanId = scan.ScanId;
+            if (!await pollFolderScan(scan, { merge: true })) return;
+        }
+    }
+
+    /**
+     * Stop streaming scan results; files already listed stay
+     */
+    function stopFolderScan() {
+        const scanId = activeScanId;
+        if (!scanId) return;
+        activeScanId = null;
+        if (scanBar) scanBar.classList.add('hidden');
+        window.bridgeService.cancelFolderScan(scanId).catch(() => {});
+        if (!fileEntries.length) renderFiles([]);
+    }
+
+    renderSortControls();
+    if (fileSortSelect) {
+        fileSortSelect.addEventListener('change', () => {
+            fileSort = { ...fileSort, key: fileSortSelect.value };
+            saveFileSort();
+            invalidateFileRows();
+        });
+    }
+    if (sortDirectionBtn) {
+        sortDirectionBtn.addEventListener('click', () => {
+            fileSort = { ...fileSort, descending: !fileSort.descending };
+            saveFileSort();
+            renderSortControls();
+            invalidateFileRows();
+        });
+    }
+    if (fileFilterInput) {
+        fileFilterInput.addEventListener('input', () => {
+            fileFilter = fileFilterInput.value;
+            invalidateFileRows();
+        });
+    }
+    if (selectedFilesUl) {
+        selectedFilesUl.addEventListener('scroll', scheduleFileListRender, { passive: true });
+        if (typeof ResizeObserver === 'function') new ResizeObserver(scheduleFileListRender).observe(selectedFilesUl);
+    }
+
+    if (pickFileBtn) pickFileBtn.addEventListener('click', handlePickFiles);
+    // Files dropped anywhere else would make the WebView navigate to them
+    document.addEventListener('dragover', (event) => { if (isFileDrag(event)) event.preventDefault(); });
+    document.addEventListener('drop', (event) => { if (isFileDrag(event)) event.preventDefault(); });
+    if (selectedFilesUl) {
+        selectedFilesUl.addEventListener('dragover', (event) => {
+            if (!isFileDrag(event)) return;
+            event.preventDefault();
+            event.dataTransfer.dropEffect = 'copy';
+            selectedFilesUl.classList.add('drop-target');
+        });
+        selectedFilesUl.addEventListener('dragleave', (event) => {
+            if (!selectedFilesUl.contains(event.relatedTarget)) selectedFilesUl.classList.remove('drop-target');
+        });
+        selectedFilesUl.addEventListener('drop', (event) => {
+            selectedFilesUl.classList.remove('drop-target');
+            if (!isFileDrag(event)) return;
+            event.preventDefault();
+            handleDroppedFiles(event.dataTransfer.files);
+        });
+    }
+    if (pickFolderBtn) pickFolderBtn.addEventListener('click', openScanDialog);
+    if (startScanBtn) startScanBtn.addEventListener('click', handleStartScan);
+    if (stopScanBtn) stopScanBtn.addEventListener('click', stopFolderScan);
+    if (saveBtn) {
+        saveBtn.dataset.pendingAction = 'save';
+        saveBtn.addEventListener('click', () => saveChanges());
+    }
+    if (discardBtn) {
+        discardBtn.dataset.pendingAction = 'discard';
+        discardBtn.addEventListener('click', discardChanges);
+    }
+    if (segmentTitleInput) {
+        segmentTitleInput.addEventListener('input', () => {
+            currentSegmentTitle = segmentTitleInput.value;
+            updatePendingUI();
+        });
+    }
+
+    // Warn before the window closes with unsaved edits
+    window.addEventListener('beforeunload', (e) => {
+        if (!hasPendingChanges()) return;
+        e.preventDefault();
+        e.returnValue = '';
+    });
+
+    // Event delegation for list interactions
+    if (selectedFilesUl) {
+        selectedFilesUl.addEventListener('click', (e) => {
+            const li = e.target && e.target.closest('li');
+            if (!li || !selectedFilesUl.contains(li)) return;
+            if (li.dataset.groupHeader === 'true') {
+                activeRowKey = `folder:${li.dataset.group}`;
+                toggleGroup(li.dataset.group);
+                return;
+            }
+            const path = li.dataset.fullpath;
+            if (!path) return; // placeholder or spacer
+            activeRowKey = path;
+            if (e.ctrlKey || e.metaKey) {
+                toggleMultiSelect(path);
+                return;
+            }
+            if (e.shiftKey && selectedPath) {
+                selectRange(path);
+                return;
+            }
+            if (path !== selectedPath && !confirmDiscardPending()) return;
+            clearMultiSelection();
+            setSelectedPath(path);
+            // Debounced load on single-click (helps avoid double-load on double-click)
+            requestLoadSelected(200);
+        });
+
+        selectedFilesUl.addEventListener('dblclick', async (e) => {
+            const li = e.target && e.target.closest('li');
+            if (!li || !selectedFilesUl.contains(li)) return;
+            const path = li.dataset.groupHeader === 'true' ? null : li.dataset.fullpath;
+            if (!path) return;
+            if (e.ctrlKey || e.metaKey || e.shiftKey) return;
+            if (path !== selectedPath && !confirmDiscardPending()) return;
+            setSelectedPath(path);
+            // Immediate load on double-click
+            requestLoadSelected(0);
+        });
+    }
+
+    // Keyboard navigation of the file list. The list keeps focus itself and points
+    // aria-activedescendant at the row under the keyboard cursor, as rows come and go while scrolling.
+
+    function getActiveRowIndex() {
+        const rows = getFileRows();
+        const index = rows.findIndex(row => row.key === activeRowKey);
+        return index >= 0 ? index : rows.findIndex(row => row.key === selectedPath);
+    }
+
+    /**
+     * Put the keyboard cursor on a row and scroll it into view
+     * @param {number} index - Row index; clamped to the list
+     */
+    function moveActiveRow(index) {
+        const rows = getFileRows();
+        if (!rows.length) return;
+        const target = Math.max(0, Math.min(rows.length - 1, index));
+        activeRowKey = rows[target].key;
+        const top = target * FILE_ROW_HEIGHT;
+        if (top < selectedFilesUl.scrollTop) {
+            selectedFilesUl.scrollTop = top;
+        } else if (top + FILE_ROW_HEIGHT > selectedFilesUl.scrollTop + selectedFilesUl.clientHeight) {
+            selectedFilesUl.scrollTop = top + FILE_ROW_HEIGHT - selectedFilesUl.clientHeight;
+        }
+        renderFileWindow();
+    }
+
+    /**
+     * Jump to the next row whose name starts with what was typed; repeating one letter cycles through its rows
+     * @param {string} key - Printable key just pressed
+     */
+    function typeAheadTo(key) {
+        clearTimeout(typeAheadTimer);
+        typeAheadTimer = setTimeout(() => { typeAhead = ''; }, TYPE_AHEAD_RESET_MS);
+        typeAhead += key.toLowerCase();
+        const cycling = [...typeAhead].every(c => c === typeAhead[0]);
+        const prefix = cycling ? typeAhead[0] : typeAhead;
+        const rows = getFileRows();
+        const start = getActiveRowIndex();
+        // A longer prefix may still match the current row; a single letter moves on
+        const offset = cycling ? 1 : 0;
+        for (let i = 0; i < rows.length; i++) {
+            const index = (Math.max(start, 0) + offset + i) % rows.length;
+            const row = rows[index];
+            const label = row.entry ? row.entry.name : row.folder.split('/').pop();
+            if (label.toLowerCase().startsWith(prefix)) {
+                moveActiveRow(index);
+                return;
+            }
+        }
+    }
+
+    /**
+     * Select a file and load it right away, like a double-click
+     * @param {string} path
+     * @returns {boolean} False when the user kept unsaved edits instead
+     */
+    function openFile(path) {
+        if (path !== selectedPath && !confirmDiscardPending()) return false;
+        activeRowKey = path;
+        clearMultiSelection();
+        setSelectedPath(path);
+        requestLoadSelected(0);
+        return true;
+    }
+
+    /**
+     * Open the next or previous file in list order (files in folded folders are skipped)
+     * @param {number} step - 1 or -1
+     */
+    function openAdjacentFile(step) {
+        const rows = getFileRows();
+        const files = rows.filter(row => row.entry).map(row => row.entry.path);
+        if (!files.length) return;
+        const index = files.indexOf(selectedPath);
+        const next = files[index < 0 ? (step > 0 ? 0 : files.length - 1) : index + step];
+        if (!next || !openFile(next)) return;
+        moveActiveRow(rows.findIndex(row => row.key === next));
+    }
+
+    function handleFileListKeydown(e) {
+        // Keys on the job badge buttons inside rows belong to them
+        if (e.target !== selectedFilesUl || e.altKey || e.ctrlKey || e.metaKey) return;
+        const rows = getFileRows();
+        const index = getActiveRowIndex();
+        const row = rows[index];
+        const page = Math.max(1, Math.floor(selectedFilesUl.clientHeight / FILE_ROW_HEIGHT) - 1);
+        switch (e.key) {
+            case 'ArrowDown': moveActiveRow(index + 1); break;
+            case 'ArrowUp': moveActiveRow(index < 0 ? 0 : index - 1); break;
+            case 'PageDown': moveActiveRow(index + page); break;
+            case 'PageUp': moveActiveRow(index - page); break;
+            case 'Home': moveActiveRow(0); break;
+            case 'End': moveActiveRow(rows.length - 1); break;
+            case 'ArrowRight':
+            case 'ArrowLeft': {
+                if (!row) return;
+                const expand = e.key === 'ArrowRight';
+                if (row.folder != null && collapsedGroups.has(row.folder) === expand) {
+                    toggleGroup(row.folder);
+                } else if (!expand && row.entry && row.entry.folder != null) {
+                    // Left on a file goes to the header of its folder
+                    moveActiveRow(rows.findIndex(r => r.key === `folder:${row.entry.folder}`));
+                }
+                break;
+            }
+            case 'Enter':
+                if (!row) return;
+                if (row.entry) openFile(row.entry.path); else toggleGroup(row.folder);
+                break;
+            case ' ':
+                if (!row) return;
+                if (row.entry) toggleMultiSelect(row.entry.path); else toggleGroup(row.folder);
+                break;
+            default:
+                if (e.key.length !== 1 || !e.key.trim()) return;
+                typeAheadTo(e.key);
+        }
+        e.preventDefault();
+    }
+
+    if (selectedFilesUl) {
+        selectedFilesUl.addEventListener('keydown', handleFileListKeydown);
+        // No scrolling here: focus from a click must not move rows under the pointer
+        selectedFilesUl.addEventListener('focus', () => {
+            const rows = getFileRows();
+            if (!rows.length) return;
+            activeRowKey = rows[Math.max(0, getActiveRowIndex())].key;
+            renderFileWindow();
+        });
+    }
+
+    /**
+     * Speak a short status through the live region. Save results need no call: their toasts
+     * already land in the toast container's live region.
+     * @param {string} text
+     */
+    function announce(text) {
+        if (!announcerEl) return;
+        // Clear first so repeating the same text is announced again
+        announcerEl.textContent = '';
+        setTimeout(() => { announcerEl.textContent = text; }, 50);
+    }
+
+    // App-wide shortcuts; open dialogs keep their own keys
+    document.addEventListener('keydown', (e) => {
+        if (e.defaultPrevented || !(e.ctrlKey || e.metaKey) || e.altKey) return;
+        if (document.querySelector('dialog[open]')) return;
+        const key = e.key.toLowerCase();
+        if (key === 's' && !e.shiftKey) {
+            e.preventDefault();
+            if (detailsTab === 'chapters') {
+                if (writeChaptersBtn && !writeChaptersBtn.disabled) writeChapters();
+            } else if (detailsTab === 'tags') {
+                if (writeTagsBtn && !writeTagsBtn.disabled) writeTags();
+            } else if (saveBtn && !saveBtn.disabled) {
+                saveChanges();
+            }
+        } else if (key === 'd' && e.shiftKey) {
+            e.preventDefault();
+            if (detailsTab === 'chapters') {
+                if (revertChaptersBtn && !revertChaptersBtn.disabled && window.confirm('Revert the unsaved chapter edits?')) revertChapters();
+            } else if (detailsTab === 'tags') {
+                if (revertTagsBtn && !revertTagsBtn.disabled && window.confirm('Revert the unsaved tag edits?')) revertTags();
+            } else if (discardBtn && !discardBtn.disabled && confirmDiscardPending()) {
+                discardChanges();
+            }
+        } else if (e.key === 'PageDown' || e.key === 'PageUp') {
+            e.preventDefault();
+            openAdjacentFile(e.key === 'PageDown' ? 1 : -1);
+        }
+    });
+    renderLastDir();
+
+    // Batch edit state
+    let batchOperations = [];
+    let batchPlan = [];     // [{ path, tracks, changes, notes, error }] from the last preview
+    let batchRunning = false;
+
+    function createBatchOperation() {
+        return { match: { trackType: '', language: '', name: '' }, action: BatchAction.FlagOn, flag: 'default', value: '' };
+    }
+
+    function openBatchDialog() {
+        if (!batchDialog) return;
+        // A run in progress keeps its plan and output
+        if (batchRunning) {
+            showBatchDialog();
+            return;
+        }
+        const targets = getBatchTargetPaths();
+        if (!targets.length) return;
+        if (!batchOperations.length) batchOperations = [createBatchOperation()];
+        if (batchTitleEl) {
+            const scope = multiSelectedPaths.size ? 'selected' : 'listed';
+            batchTitleEl.textContent = `Batch edit ${targets.length} ${scope} file${targets.length === 1 ? '' : 's'}`;
+        }
+        setBatchDialogMode('operations');
+        invalidateBatchPlan();
+        renderBatchOperations();
+        showBatchDialog();
+    }
+
+    function showBatchDialog() {
+        if (batchDialog.open) return;
+        if (typeof batchDialog.showModal === 'function') {
+            batchDialog.showModal();
+        } else {
+            batchDialog.setAttribute('open', '');
+        }
+    }
+
+    /**
+     * The batch dialog either edits operations or previews a profile run or a flag copy
+     * @param {'operations'|'profile'|'copy'} mode
+     */
+    function setBatchDialogMode(mode) {
+        if (!batchDialog) return;
+        batchDialog.dataset.mode = mode;
+        const editing = mode === 'operations';
+        batchDialog.querySelectorAll('.batch-operations-only').forEach(el => el.classList.toggle('hidden', !editing));
+        if (batchPreviewBtn) batchPreviewBtn.classList.toggle('hidden', !editing);
+    }
+
+    /**
+     * Any edit to the operations makes the previous preview stale
+     */
+    function invalidateBatchPlan() {
+        batchPlan = [];
+        if (batchApplyBtn) batchApplyBtn.disabled = true;
+        if (batchExportScriptBtn) batchExportScriptBtn.disabled = true;
+        if (batchOutputEl) batchOutputEl.innerHTML = '';
+    }
+
+    /**
+     * Validate the operations before previewing
+     * @returns {string|null} Error message, or null when every operation is complete
+     */
+    function validateBatchOperations() {
+        if (!batchOperations.length) return 'Add at least one operation';
+        for (const [index, op] of batchOperations.entries()) {
+            if (op.match.language && !isValidLanguageTag(op.match.language)) {
+                return `Operation ${index + 1}: "${op.match.language}" is not a valid language`;
+            }
+            if (op.action === BatchAction.Language && !isValidLanguageTag(op.value)) {
+                return `Operation ${index + 1}: enter a valid BCP 47 language tag`;
+            }
+        }
+        return null;
+    }
+
+    function renderBatchOperations() {
+        if (!batchOperationsEl) return;
+        batchOperationsEl.innerHTML = '';
+        batchOperations.forEach((op, index) => {
+            const row = document.createElement('div');
+            row.className = 'batch-operation';
+
+            const typeSelect = document.createElement('select');
+            typeSelect.setAttribute('aria-label', `Track type for operation ${index + 1}`);
+            for (const [value, text] of [['', 'Any type'], ['video', 'Video'], ['audio', 'Audio'], ['subtitles', 'Subtitles']]) {
+                typeSelect.appendChild(new Option(text, value));
+            }
+            typeSelect.value = op.match.trackType;
+            typeSelect.addEventListener('change', () => { op.match.trackType = typeSelect.value; invalidateBatchPlan(); });
+
+            const languageInput = document.createElement('input');
+            languageInput.type = 'text';
+            languageInput.placeholder = 'any language';
+            languageInput.setAttribute('list', 'bcp47-tags');
+            languageInput.setAttribute('aria-label', `Language for operation ${index + 1}`);
+            languageInput.value = op.match.language;
+            languageInput.addEventListener('input', () => { op.match.language = languageInput.value.trim(); invalidateBatchPlan(); });
+
+            const nameInput = document.createElement('input');
+            nameInput.type = 'text';
+            nameInput.placeholder = 'name contains';
+            nameInput.setAttribute('aria-label', `Name filter for operation ${index + 1}`);
+            nameInput.value = op.match.name;
+            nameInput.addEventListener('input', () => { op.match.name = nameInput.value; invalidateBatchPlan(); });
+
+            const actionSelect = document.createElement('select');
+            actionSelect.setAttribute('aria-label', `Action for operation ${index + 1}`);
+            for (const action of Object.values(BatchAction)) {
+                actionSelect.appendChild(new Option(BATCH_ACTION_LABELS[action], action));
+            }
+            actionSelect.value = op.action;
+
+            const flagSelect = document.createElement('select');
+            flagSelect.setAttribute('aria-label', `Flag for operation ${index + 1}`);
+            for (const key of Object.keys(TRACK_FLAG_LABELS)) {
+                flagSelect.appendChild(new Option(TRACK_FLAG_LABELS[key], key));
+            }
+            flagSelect.value = op.flag;
+            flagSelect.addEventListener('change', () => { op.flag = flagSelect.value; invalidateBatchPlan(); });
+
+            const valueInput = document.createElement('input');
+            valueInput.type = 'text';
+            valueInput.setAttribute('aria-label', `Value for operation ${index + 1}`);
+            valueInput.value = op.value;
+            valueInput.addEventListener('input', () => { op.value = valueInput.value; invalidateBatchPlan(); });
+
+            function syncActionFields() {
+                const isFlag = op.action === BatchAction.FlagOn || op.action === BatchAction.FlagOff;
+                flagSelect.classList.toggle('hidden', !isFlag);
+                valueInput.classList.toggle('hidden', isFlag);
+                if (op.action === BatchAction.Language) {
+                    valueInput.placeholder = 'e.g. en, ja, pt-BR';
+                    valueInput.setAttribute('list', 'bcp47-tags');
+                } else {
+                    valueInput.placeholder = 'empty removes the name';
+                    valueInput.removeAttribute('list');
+                }
+            }
+            actionSelect.addEventListener('change', () => {
+                op.action = actionSelect.value;
+                syncActionFields();
+                invalidateBatchPlan();
+            });
+            syncActionFields();
+
+            const removeBtn = document.createElement('button');
+            removeBtn.type = 'button';
+            removeBtn.textContent = 'Remove';
+            removeBtn.addEventListener('click', () => {
+                batchOperations.splice(index, 1);
+                invalidateBatchPlan();
+                renderBatchOperations();
+            });
+
+            const matchLabel = document.createElement('span');
+            matchLabel.className = 'batch-label';
+            matchLabel.textContent = `${index + 1}. Tracks:`;
+            const thenLabel = document.createElement('span');
+            thenLabel.className = 'batch-label';
+            thenLabel.textContent = 'then';
+
+            row.append(matchLabel, typeSelect, languageInput, nameInput, thenLabel, actionSelect, flagSelect, valueInput, removeBtn);
+            batchOperationsEl.appendChild(row);
+        });
+    }
+
+    function renderBatchMessage(text) {
+        if (!batchOutputEl) return;
+        batchOutputEl.innerHTML = '';
+        const p = document.createElement('p');
+        p.className = 'batch-message';
+        p.textContent = text;
+        batchOutputEl.appendChild(p);
+    }
+
+    /**
+     * Read every target file and show the change set each one would receive
+     */
+    async function previewBatch() {
+        if (batchRunning) return;
+        const error = validateBatchOperations();
+        if (error) {
+            invalidateBatchPlan();
+            renderBatchMessage(error);
+            return;
+        }
+        await buildBatchPlan((tracks, notes) => applyBatchOperations(tracks, batchOperations, flagPolicy, notes));
+    }
+
+    /**
+     * Read files through the job queue, recording what each read found in the file list
+     * @param {string[]} paths
+     * @param {function(number): void} [onProgress] - Called with the number of files read so far
+     * @returns {Promise<Array>} { path, tracks, error } per path, in the given order
+     */
+    async function readTrackStates(paths, onProgress) {
+        let read = 0;
+        const outcomes = await Promise.allSettled(paths.map(path => window.jobQueue.enqueue({
+            path,
+            kind: 'read',
+            label: 'Reading',
+            run: () => window.bridgeService.readMkvFile(path)
+        }).finally(() => onProgress && onProgress(++read))));
+
+        return outcomes.map((outcome, index) => {
+            const path = paths[index];
+            const info = outcome.value;
+            if (outcome.status === 'rejected') {
+                const cancelled = outcome.reason instanceof JobCancelledError;
+                const error = cancelled ? 'Cancelled' : outcome.reason?.message || String(outcome.reason);
+                if (!cancelled) setFileStatus(path, FileStatus.Error, error);
+                return { path, tracks: [], error };
+            }
+            recordFileInfo(path, info);
+            if (info && info.IsValid === false) {
+                return { path, tracks: [], error: info.ErrorMessage || 'Could not read file' };
+            }
+            return { path, tracks: toTrackStates(info), error: null };
+        });
+    }
+
+    /**
+     * Read every target file and compute its change set
+     * @param {function(Array, Array<string>): Array} resolveTracks - Maps on-disk track states to edited ones; may push
+     *   lines for the preview onto its second argument
+     * @param {string[]} [targets] - Files to plan for; the batch targets by default
+     */
+    async function buildBatchPlan(resolveTracks, targets = getBatchTargetPaths()) {
+        batchRunning = true;
+        if (batchPreviewBtn) batchPreviewBtn.disabled = true;
+        batchPlan = [];
+        try {
+            renderBatchMessage(`Reading ${targets.length} file${targets.length === 1 ? '' : 's'}...`);
+            const files = await readTrackStates(targets, read => renderBatchMessage(`Read ${read} of ${targets.length}...`));
+            for (const { path, tracks, error } of files) {
+                const notes = [];
+                const changes = error ? [] : buildTrackChanges(tracks, resolveTracks(tracks, notes));
+                batchPlan.push({ path, tracks, changes, notes, error });
+            }
+        } finally {
+            batchRunning = false;
+            if (batchPreviewBtn) batchPreviewBtn.disabled = false;
+        }
+
+        renderBatchPlan();
+        if (batchApplyBtn) {
+            const count = batchPlan.filter(p => p.changes.length).length;
+            batchApplyBtn.disabled = count === 0;
+            batchApplyBtn.textContent = count ? `Apply to ${count} file${count === 1 ? '' : 's'}` : 'Apply';
+        }
+        if (batchExportScriptBtn) batchExportScriptBtn.disabled = !batchPlan.some(p => p.changes.length);
+    }
+
+    /**
+     * Render the per-file preview, or the per-file results once a run has finished
+     * @param {Map<string, object>} [results] - path -> { success, message }
+     */
+    function renderBatchPlan(results) {
+        if (!batchOutputEl) return;
+        batchOutputEl.innerHTML = '';
+
+        if (results) {
+            const values = Array.from(results.values());
+            const succeeded = values.filter(r => r.success).length;
+            const failed = values.length - succeeded;
+            const summary = document.createElement('p');
+            summary.className = 'batch-message';
+            summary.textContent = `${succeeded} succeeded, ${failed} failed, ${batchPlan.length - values.length} unchanged`;
+            batchOutputEl.appendChild(summary);
+        }
+
+        const list = document.createElement('ul');
+        list.className = 'batch-plan';
+        for (const entry of batchPlan) {
+            const li = document.createElement('li');
+            const result = results && results.get(entry.path);
+            const title = document.createElement('div');
+            title.className = 'batch-file';
+            title.textContent = entry.path.split(/[\\/]/).pop();
+            title.title = entry.path;
+            li.appendChild(title);
+
+            const detail = document.createElement('div');
+            detail.className = 'batch-detail';
+            if (result) {
+                li.classList.add(result.success ? 'success' : 'failure');
+                detail.textContent = result.message;
+            } else if (entry.error) {
+                li.classList.add('failure');
+                detail.textContent = entry.error;
+            } else if (!entry.changes.length) {
+                li.classList.add('unchanged');
+                detail.textContent = ['No changes', ...entry.notes].join('\n');
+            } else {
+                detail.textContent = entry.changes.map(c => describeChange(c, entry.tracks)).concat(entry.notes).join('\n');
+            }
+            li.appendChild(detail);
+            list.appendChild(li);
+        }
+        batchOutputEl.appendChild(list);
+    }
+
+    /**
+     * Apply the previewed change sets file by file and report the outcome of each
+     */
+    async function applyBatch() {
+        if (batchRunning) return;
+        const work = batchPlan.filter(p => p.changes.length);
+        if (!work.length) return;
+        if (currentFilePath && work.some(p => p.path === currentFilePath) && !confirmDiscardPending()) return;
+
+        batchRunning = true;
+        if (batchApplyBtn) batchApplyBtn.disabled = true;
+        if (batchPreviewBtn) batchPreviewBtn.disabled = true;
+        const results = new Map();
+        try {
+            let applied = 0;
+            renderBatchMessage(`Applying ${work.length} change set${work.length === 1 ? '' : 's'}...`);
+            const outcomes = await Promise.allSettled(work.map(entry => window.jobQueue.enqueue({
+                path: entry.path,
+                kind: 'write',
+                label: 'Saving',
+                run: async () => {
+                    let summary;
+                    try {
+                        const result = await window.bridgeService.applyMkvChanges(entry.path, entry.changes);
+                        summary = summarizeEditResult(result, entry.changes.length);
+                    } catch (err) {
+                        summary = { success: false, level: 'error', message: 'The change set could not be sent', details: err?.message || String(err) };
+                    }
+                    // One log entry per file; the toast below summarizes the run
+                    window.notifications.notify({
+                        level: summary.level,
+                        title: entry.path.split(/[\\/]/).pop(),
+                        message: summary.message,
+                        details: summary.details,
+                        toast: summary.level === 'error'
+                    });
+                    if (!summary.success) throw new Error(summary.details ? `${summary.message}: ${summary.details}` : summary.message);
+                    return summary;
+                }
+            }).finally(() => renderBatchMessage(`Applied ${++applied} of ${work.length}...`))));
+
+            outcomes.forEach((outcome, index) => {
+                const { path } = work[index];
+                if (outcome.status === 'fulfilled') {
+                    results.set(path, { success: true, message: outcome.value.message });
+                    setFileStatus(path, FileStatus.Saved);
+                } else {
+                    const cancelled = outcome.reason instanceof JobCancelledError;
+                    const message = cancelled ? 'Cancelled' : outcome.reason?.message || String(outcome.reason);
+                    results.set(path, { success: false, message });
+                    if (!cancelled) setFileStatus(path, FileStatus.Error, message);
+                }
+            });
+        } finally {
+            batchRunning = false;
+            if (batchPreviewBtn) batchPreviewBtn.disabled = false;
+        }
+
+        const failed = Array.from(results.values()).filter(r => !r.success).length;
+        window.notifications.notify({
+            level: failed ? 'error' : 'success',
+            title: 'Batch edit',
+            message: `${results.size - failed} of ${results.size} file${results.size === 1 ? '' : 's'} updated` +
+                (failed ? `, ${failed} failed` : '')
+        });
+
+        renderBatchPlan(results);
+        // The open file is re-read once, after the run, rather than from inside its write job
+        if (currentFilePath && results.has(currentFilePath)) {
+            await refreshCurrentFileData();
+        }
+    }
+
+    // Background jobs: overall progress (per-file badges are part of the file rows)
+    let currentFileSaving = false;
+
+    function renderJobProgress() {
+        if (!jobBar) return;
+        const progress = window.jobQueue.getProgress();
+        const busy = progress.running + progress.queued > 0;
+        jobBar.classList.toggle('hidden', !busy && !progress.failed);
+        if (jobProgress) {
+            jobProgress.max = Math.max(progress.total, 1);
+            jobProgress.value = busy ? progress.finished : jobProgress.max;
+        }
+        if (jobSummaryEl) {
+            const parts = [];
+            if (busy) parts.push(`${progress.finished} of ${progress.total} done`);
+            if (progress.queued) parts.push(`${progress.queued} queued`);
+            if (progress.failed) parts.push(`${progress.failed} failed`);
+            jobSummaryEl.textContent = parts.join(', ');
+        }
+        if (cancelJobsBtn) cancelJobsBtn.disabled = !progress.queued;
+        if (retryJobsBtn) retryJobsBtn.disabled = !progress.failed;
+    }
+
+    window.jobQueue.subscribe(() => {
+        scheduleFileListRender();
+        renderJobProgress();
+        // Save stays disabled while the current file is being written
+        const saving = !!currentFilePath && window.jobQueue.hasActiveJob(currentFilePath, 'write');
+        if (saving !== currentFileSaving) {
+            currentFileSaving = saving;
+            updatePendingUI();
+        }
+    });
+    if (cancelJobsBtn) cancelJobsBtn.addEventListener('click', () => window.jobQueue.cancelQueued());
+    if (retryJobsBtn) retryJobsBtn.addEventListener('click', () => window.jobQueue.retryFailed());
+
+    // Notification log
+    window.notifications.attach({
+        toastContainer: document.getElementById('toast-container'),
+        logList: document.getElementById('notification-log'),
+        badge: document.getElementById('notification-badge')
+    });
+    if (notificationsBtn && notificationsDialog) {
+        notificationsBtn.addEventListener('click', () => {
+            window.notifications.markRead();
+            if (typeof notificationsDialog.showModal === 'function') {
+                notificationsDialog.showModal();
+            } else {
+                notificationsDialog.setAttribute('open', '');
+            }
+        });
+    }
+    if (clearNotificationsBtn) clearNotificationsBtn.addEventListener('click', () => window.notifications.clear());
+
+    // Command preview and script export
+    const commandShellKey = 'mkvtool:commandShell';
+    let commandShell = loadCommandShell();
+    let commandPreviewToken = 0;
+
+    function loadCommandShell() {
+        try {
+            const stored = window.localStorage.getItem(commandShellKey);
+            if (Object.values(CommandShell).includes(stored)) return stored;
+        } catch {}
+        return /^Win/.test(navigator.platform || '') ? CommandShell.PowerShell : CommandShell.Posix;
+    }
+
+    function saveCommandShell() {
+        try { window.localStorage.setItem(commandShellKey, commandShell); } catch {}
+    }
+
+    /**
+     * Show the mkvpropedit call the backend would run for the pending edits
+     * (only fetched while the panel is open)
+     */
+    async function renderCommandPreview() {
+        if (!commandPreview) return;
+        commandPreview.classList.toggle('hidden', !currentFilePath);
+        const changes = currentFilePath && !invalidPropertyValues.size ? getPendingChanges() : [];
+        if (copyCommandBtn) copyCommandBtn.disabled = !changes.length;
+        if (exportScriptBtn) exportScriptBtn.disabled = !changes.length;
+        if (!commandPreview.open || !commandTextEl) return;
+
+        const token = ++commandPreviewToken;
+        if (!currentFilePath) {
+            commandTextEl.textContent = '';
+        } else if (invalidPropertyValues.size) {
+            commandTextEl.textContent = 'Fix the invalid values to see the command.';
+        } else if (!changes.length) {
+            commandTextEl.textContent = 'No pending changes.';
+        } else {
+            try {
+                const args = await window.bridgeService.getMkvPropEditArguments(currentFilePath, changes);
+                if (token !== commandPreviewToken) return;
+                commandTextEl.textContent = formatMkvPropEditCommand(args, commandShell);
+            } catch (error) {
+                if (token !== commandPreviewToken) return;
+                commandTextEl.textContent = `Could not build the command: ${error?.message || error}`;
+            }
+        }
+    }
+
+    async function copyCommand() {
+        const text = commandTextEl ? commandTextEl.textContent : '';
+        if (!text || !getPendingChanges().length) return;
+        try {
+            await navigator.clipboard.writeText(text);
+        } catch {
+            // Clipboard API unavailable (e.g. insecure context): copy through a selection instead
+            const range = document.createRange();
+            range.selectNodeContents(commandTextEl);
+            const selection = window.getSelection();
+            selection.removeAllRanges();
+            selection.addRange(range);
+            document.execCommand('copy');
+            selection.removeAllRanges();
+        }
+        if (copyCommandBtn) {
+            copyCommandBtn.textContent = 'Copied';
+            setTimeout(() => { copyCommandBtn.textContent = 'Copy'; }, 1500);
+        }
+    }
+
+    /**
+     * Export a script for a set of files
+     * @param {Array} plan - { path, changes } per file; files without changes are skipped
+     */
+    async function exportScript(plan) {
+        const work = plan.filter(p => p.changes.length);
+        if (!work.length) return;
+        try {
+            const entries = [];
+            for (const entry of work) {
+                entries.push({ args: await window.bridgeService.getMkvPropEditArguments(entry.path, entry.changes) });
+            }
+            const powerShell = commandShell === CommandShell.PowerShell;
+            downloadFile(
+                buildMkvPropEditScript(entries, commandShell),
+                powerShell ? 'mkvpropedit-edits.ps1' : 'mkvpropedit-edits.sh',
+                'text/plain'
+            );
+        } catch (error) {
+            window.notifications.notify({ level: 'error', title: 'Script export', message: 'Could not build the script', details: error?.message || String(error) });
+        }
+    }
+
+    /**
+     * Export the pending edits for every listed file. Each other file gets its own change set,
+     * with the edited tracks paired to its tracks by type and language; files where an edited
+     * track has no partner are left out, and the segment edits only go to the open file.
+     */
+    async function exportScriptForListedFiles() {
+        const changes = getPendingChanges();
+        if (!changes.length || invalidPropertyValues.size || !currentFilePath) return;
+        const sourcePath = currentFilePath;
+        const referenceTracks = loadedTracks;
+        const editedTracks = currentTracks;
+        const propertyChanges = Array.from(pendingPropertyChanges.values());
+        const others = getListedPaths().filter(path => path !== sourcePath);
+
+        const plan = [{ path: sourcePath, changes }];
+        const skipped = [];
+        for (const { path, tracks, error } of await readTrackStates(others)) {
+            if (error) {
+                skipped.push(`${path.split(/[\\/]/).pop()}: ${error}`);
+                continue;
+            }
+            const carried = carryOverTrackChanges(referenceTracks, editedTracks, propertyChanges, tracks);
+            if (carried.unmatched) {
+                skipped.push(`${path.split(/[\\/]/).pop()}: no track of the same type and language for ${carried.unmatched} edited track${carried.unmatched === 1 ? '' : 's'}`);
+                continue;
+            }
+            plan.push({ path, changes: carried.changes });
+        }
+        await exportScript(plan);
+
+        const segmentEdits = changes.some(c => c.Section === 'info');
+        if (skipped.length || (segmentEdits && others.length)) {
+            window.notifications.notify({
+                level: skipped.length ? 'warning' : 'info',
+                title: 'Script export',
+                message: [
+                    skipped.length ? `Left out ${skipped.length} file${skipped.length === 1 ? '' : 's'} whose tracks do not match the edited ones.` : '',
+                    segmentEdits ? `Segment edits such as the title are only in the commands for ${sourcePath.split(/[\\/]/).pop()}.` : ''
+                ].filter(Boolean).join(' '),
+                details: skipped.join('\n')
+            });
+        }
+    }
+
+    if (commandShellSelect) {
+        commandShellSelect.value = commandShell;
+        commandShellSelect.addEventListener('change', () => {
+            commandShell = commandShellSelect.value;
+            saveCommandShell();
+            renderCommandPreview();
+        });
+    }
+    if (commandPreview) commandPreview.addEventListener('toggle', renderCommandPreview);
+    if (copyCommandBtn) copyCommandBtn.addEventListener('click', copyCommand);
+    if (exportScriptBtn) exportScriptBtn.addEventListener('click', exportScriptForListedFiles);
+    if (batchExportScriptBtn) batchExportScriptBtn.addEventListener('click', () => exportScript(batchPlan));
+
+    // Profiles (named language preferences, persisted in browser storage)
+    const profilesKey = 'mkvtool:profiles';
+    let profiles = loadProfiles();
+    let editingProfileIndex = profiles.length ? 0 : -1;
+
+    function loadProfiles() {
+        try {
+            const stored = window.localStorage.getItem(profilesKey);
+            if (stored == null) return EXAMPLE_PROFILES.map(p => JSON.parse(JSON.stringify(p)));
+            const parsed = JSON.parse(stored);
+            return Array.isArray(parsed) ? parsed.filter(p => p && typeof p === 'object') : [];
+        } catch {
+            return [];
+        }
+    }
+
+    function saveProfiles() {
+        try { window.localStorage.setItem(profilesKey, JSON.stringify(profiles)); } catch {}
+    }
+
+    function renderProfileSelects() {
+        for (const select of [profileSelect, profileManageSelect]) {
+            if (!select) continue;
+            const previous = select.value;
+            select.innerHTML = '';
+            if (!profiles.length) {
+                select.appendChild(new Option('(no profiles)', ''));
+                select.disabled = true;
+                continue;
+            }
+            select.disabled = false;
+            profiles.forEach((profile, index) => {
+                select.appendChild(new Option(profile.name || `Profile ${index + 1}`, String(index)));
+            });
+            if (select === profileManageSelect) {
+                select.value = String(editingProfileIndex);
+            } else if (previous && Number(previous) < profiles.length) {
+                select.value = previous;
+            }
+        }
+        if (applyProfileBtn) applyProfileBtn.disabled = !profiles.length;
+    }
+
+    function setProfileMessage(text) {
+        if (profileMessageEl) profileMessageEl.textContent = text || '';
+    }
+
+    function openProfilesDialog() {
+        if (!profilesDialog) return;
+        if (editingProfileIndex >= profiles.length) editingProfileIndex = profiles.length - 1;
+        setProfileMessage('');
+        renderProfileSelects();
+        renderProfileEditor();
+        if (typeof profilesDialog.showModal === 'function') {
+            profilesDialog.showModal();
+        } else {
+            profilesDialog.setAttribute('open', '');
+        }
+    }
+
+    /**
+     * Render the editor for the profile chosen in the manage dialog
+     */
+    function renderProfileEditor() {
+        if (!profileEditorEl) return;
+        profileEditorEl.innerHTML = '';
+        const profile = profiles[editingProfileIndex];
+        if (!profile) {
+            const note = document.createElement('p');
+            note.className = 'property-editor-note';
+            note.textContent = 'No profile selected. Create one or import a JSON file.';
+            profileEditorEl.appendChild(note);
+            return;
+        }
+        if (!profile.rules) profile.rules = {};
+
+        const nameRow = document.createElement('div');
+        nameRow.className = 'profile-name';
+        const nameLabel = document.createElement('label');
+        nameLabel.htmlFor = 'profile-name-input';
+        nameLabel.textContent = 'Name';
+        const nameInput = document.createElement('input');
+        nameInput.id = 'profile-name-input';
+        nameInput.type = 'text';
+        nameInput.value = profile.name || '';
+        nameInput.addEventListener('input', () => {
+            profile.name = nameInput.value;
+            saveProfiles();
+            renderProfileSelects();
+        });
+        nameRow.append(nameLabel, nameInput);
+        profileEditorEl.appendChild(nameRow);
+
+        for (const trackType of PROFILE_TRACK_TYPES) {
+            if (!Array.isArray(profile.rules[trackType])) profile.rules[trackType] = [];
+            const entries = profile.rules[trackType];
+            const section = document.createElement('section');
+            section.className = 'profile-section';
+            const heading = document.createElement('h3');
+            heading.textContent = trackType === 'audio' ? 'Audio preferences' : 'Subtitle preferences';
+            section.appendChild(heading);
+
+            entries.forEach((entry, index) => {
+                const row = document.createElement('div');
+                row.className = 'profile-entry';
+
+                const rank = document.createElement('span');
+                rank.className = 'batch-label';
+                rank.textContent = `${index + 1}.`;
+
+                const languageInput = document.createElement('input');
+                languageInput.type = 'text';
+                languageInput.placeholder = 'language';
+                languageInput.setAttribute('list', 'bcp47-tags');
+                languageInput.setAttribute('aria-label', `${trackType} preference ${index + 1} language`);
+                languageInput.value = entry.language || '';
+                languageInput.classList.toggle('invalid', !!entry.language && !isValidLanguageTag(entry.language));
+                languageInput.addEventListener('input', () => {
+                    entry.language = languageInput.value.trim();
+                    languageInput.classList.toggle('invalid', !isValidLanguageTag(entry.language));
+                    saveProfiles();
+                });
+
+                const nameFilter = document.createElement('input');
+                nameFilter.type = 'text';
+                nameFilter.placeholder = 'name contains';
+                nameFilter.setAttribute('aria-label', `${trackType} preference ${index + 1} name filter`);
+                nameFilter.value = entry.name || '';
+                nameFilter.addEventListener('input', () => { entry.name = nameFilter.value; saveProfiles(); });
+
+                const flagToggle = (label, key, checked) => {
+                    const wrapper = document.createElement('label');
+                    wrapper.className = 'profile-flag';
+                    const checkbox = document.createElement('input');
+                    checkbox.type = 'checkbox';
+                    checkbox.checked = checked;
+                    checkbox.addEventListener('change', () => { entry[key] = checkbox.checked; saveProfiles(); });
+                    wrapper.append(checkbox, document.createTextNode(` ${label}`));
+                    return wrapper;
+                };
+
+                const moveButton = (text, title, delta) => {
+                    const button = document.createElement('button');
+                    button.type = 'button';
+                    button.textContent = text;
+                    button.title = title;
+                    button.disabled = index + delta < 0 || index + delta >= entries.length;
+                    button.addEventListener('click', () => {
+                        entries.splice(index + delta, 0, entries.splice(index, 1)[0]);
+                        saveProfiles();
+                        renderProfileEditor();
+                    });
+                    return button;
+                };
+
+                const removeBtn = document.createElement('button');
+                removeBtn.type = 'button';
+                removeBtn.textContent = 'Remove';
+                removeBtn.addEventListener('click', () => {
+                    entries.splice(index, 1);
+                    saveProfiles();
+                    renderProfileEditor();
+                });
+
+                row.append(
+                    rank, languageInput, nameFilter,
+                    flagToggle('Default', 'default', entry.default !== false),
+                    flagToggle('Forced', 'forced', entry.forced === true),
+                    moveButton('↑', 'Higher priority', -1), moveButton('↓', 'Lower priority', 1), removeBtn
+                );
+                section.appendChild(row);
+            });
+
+            const addBtn = document.createElement('button');
+            addBtn.type = 'button';
+            addBtn.className = 'batch-add';
+            addBtn.textContent = trackType === 'audio' ? 'Add audio preference' : 'Add subtitle preference';
+            addBtn.addEventListener('click', () => {
+                entries.push({ language: '', name: '', default: true, forced: false });
+                saveProfiles();
+                renderProfileEditor();
+            });
+            section.appendChild(addBtn);
+            profileEditorEl.appendChild(section);
+        }
+    }
+
+    function createProfile() {
+        profiles.push({ name: `Profile ${profiles.length + 1}`, rules: { audio: [], subtitles: [] } });
+        editingProfileIndex = profiles.length - 1;
+        saveProfiles();
+        renderProfileSelects();
+        renderProfileEditor();
+    }
+
+    function deleteProfile() {
+        const profile = profiles[editingProfileIndex];
+        if (!profile) return;
+        if (!window.confirm(`Delete the profile "${profile.name}"?`)) return;
+        profiles.splice(editingProfileIndex, 1);
+        editingProfileIndex = Math.min(editingProfileIndex, profiles.length - 1);
+        saveProfiles();
+        renderProfileSelects();
+        renderProfileEditor();
+    }
+
+    /**
+     * Import one profile or a list of profiles; names that already exist are replaced
+     * @param {File} file - JSON file chosen by the user
+     */
+    async function importProfiles(file) {
+        try {
+            const parsed = JSON.parse(await file.text());
+            const imported = (Array.isArray(parsed) ? parsed : [parsed]).map(normalizeProfile);
+            for (const profile of imported) {
+                const existing = profiles.findIndex(p => p.name === profile.name);
+                if (existing >= 0) profiles[existing] = profile; else profiles.push(profile);
+            }
+            editingProfileIndex = profiles.findIndex(p => p.name === imported[imported.length - 1].name);
+            saveProfiles();
+            renderProfileSelects();
+            renderProfileEditor();
+            setProfileMessage(`Imported ${imported.length} profile${imported.length === 1 ? '' : 's'}`);
+        } catch (error) {
+            setProfileMessage(`Import failed: ${error.message}`);
+        }
+    }
+
+    function exportProfiles() {
+        try {
+            const normalized = profiles.map(normalizeProfile);
+            downloadFile(JSON.stringify(normalized, null, 2), 'mkv-profiles.json', 'application/json');
+            setProfileMessage(`Exported ${normalized.length} profile${normalized.length === 1 ? '' : 's'}`);
+        } catch (error) {
+            setProfileMessage(`Export failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Preview the selected profile against the batch targets in the batch dialog
+     */
+    async function applySelectedProfile() {
+        if (!batchDialog || batchRunning) return;
+        const raw = profiles[Number(profileSelect && profileSelect.value)];
+        if (!raw) return;
+        const targets = getBatchTargetPaths();
+        if (!targets.length) return;
+
+        if (batchTitleEl) {
+            batchTitleEl.textContent = `Apply profile "${raw.name}" to ${targets.length} file${targets.length === 1 ? '' : 's'}`;
+        }
+        setBatchDialogMode('profile');
+        invalidateBatchPlan();
+        showBatchDialog();
+
+        let profile;
+        try {
+            profile = normalizeProfile(raw);
+        } catch (error) {
+            renderBatchMessage(`The profile cannot be applied: ${error.message}`);
+            return;
+        }
+        await buildBatchPlan(tracks => applyProfile(tracks, profile));
+    }
+
+    renderProfileSelects();
+    if (applyProfileBtn) applyProfileBtn.addEventListener('click', applySelectedProfile);
+    if (manageProfilesBtn) manageProfilesBtn.addEventListener('click', openProfilesDialog);
+    if (profileManageSelect) {
+        profileManageSelect.addEventListener('change', () => {
+            editingProfileIndex = Number(profileManageSelect.value);
+            renderProfileEditor();
+        });
+    }
+    if (newProfileBtn) newProfileBtn.addEventListener('click', createProfile);
+    if (deleteProfileBtn) deleteProfileBtn.addEventListener('click', deleteProfile);
+    if (exportProfilesBtn) exportProfilesBtn.addEventListener('click', exportProfiles);
+    if (importProfilesBtn && profileImportInput) {
+        importProfilesBtn.addEventListener('click', () => profileImportInput.click());
+        profileImportInput.addEventListener('change', () => {
+            const file = profileImportInput.files && profileImportInput.files[0];
+            if (file) importProfiles(file);
+            profileImportInput.value = '';
+        });
+    }
+
+    if (batchBtn) batchBtn.addEventListener('click', openBatchDialog);
+    if (addOperationBtn) {
+        addOperationBtn.addEventListener('click', () => {
+            batchOperations.push(createBatchOperation());
+            invalidateBatchPlan();
+            renderBatchOperations();
+        });
+    }
+    if (batchPreviewBtn) batchPreviewBtn.addEventListener('click', previewBatch);
+    if (batchApplyBtn) batchApplyBtn.addEventListener('click', applyBatch);
+
+    // Layout comparison
+    let comparedFiles = []; // { path, tracks, error } per compared file, in list order
+    let comparing = false;
+
+    /**
+     * Read the batch targets and show their track layouts side by side
+     */
+    async function openCompareDialog() {
+        if (!compareDialog || comparing) return;
+        const targets = getBatchTargetPaths();
+        if (targets.length < 2) {
+            window.notifications.notify({
+                level: 'info',
+                title: 'Nothing to compare',
+                message: 'Pick at least two files, or list at least two, to compare their track layouts.'
+            });
+            return;
+        }
+        if (compareTitleEl) {
+            const scope = multiSelectedPaths.size ? 'selected' : 'listed';
+            compareTitleEl.textContent = `Compare track layouts of ${targets.length} ${scope} files`;
+        }
+        comparedFiles = [];
+        renderComparison();
+        setCompareSummary(`Reading ${targets.length} files...`);
+        if (!compareDialog.open) {
+            if (typeof compareDialog.showModal === 'function') {
+                compareDialog.showModal();
+            } else {
+                compareDialog.setAttribute('open', '');
+            }
+        }
+
+        comparing = true;
+        try {
+            comparedFiles = await readTrackStates(targets, read => setCompareSummary(`Read ${read} of ${targets.length}...`));
+        } finally {
+            comparing = false;
+        }
+        renderComparison();
+    }
+
+    function setCompareSummary(text) {
+        if (compareSummaryEl) compareSummaryEl.textContent = text;
+    }
+
+    /**
+     * Render one column per file and one row per track position
+     */
+    function renderComparison() {
+        if (!compareTableEl) return;
+        compareTableEl.innerHTML = '';
+        if (!comparedFiles.length) return;
+
+        const comparison = buildLayoutComparison(comparedFiles);
+        const readable = comparison.columns.filter(c => !c.file.error);
+        const outliers = readable.filter(c => !c.matchesMajority).length;
+        if (!readable.length) {
+            setCompareSummary('None of the files could be read.');
+        } else if (!outliers) {
+            setCompareSummary(`All ${readable.length} readable files share the same track layout.`);
+        } else {
+            setCompareSummary(`${outliers} of ${readable.length} files differ from the layout most files share. ` +
+                'Tracks are paired by type and language when flags are copied.');
+        }
+
+        const thead = document.createElement('thead');
+        const headRow = document.createElement('tr');
+        const corner = document.createElement('th');
+        corner.textContent = '#';
+        headRow.appendChild(corner);
+        for (const column of comparison.columns) {
+            const th = document.createElement('th');
+            th.className = column.file.error ? 'unreadable' : (column.matchesMajority ? 'majority' : 'outlier');
+            th.title = column.file.path;
+
+            const name = document.createElement('div');
+            name.className = 'compare-file';
+            name.textContent = column.file.path.split(/[\\/]/).pop();
+            const badge = document.createElement('div');
+            badge.className = 'compare-badge';
+            badge.textContent = column.file.error
+                ? `Unreadable: ${column.file.error}`
+                : (column.matchesMajority ? 'Majority layout' : 'Differs');
+            const copyBtn = document.createElement('button');
+            copyBtn.type = 'button';
+            copyBtn.textContent = 'Copy flags from this file';
+            copyBtn.title = 'Preview giving the files whose flags differ the flags of this one';
+            copyBtn.disabled = !!column.file.error;
+            copyBtn.addEventListener('click', () => copyFlagsFrom(column.file.path));
+
+            th.append(name, badge, copyBtn);
+            headRow.appendChild(th);
+        }
+        thead.appendChild(headRow);
+
+        const tbody = document.createElement('tbody');
+        for (let i = 0; i < comparison.rowCount; i++) {
+            const tr = document.createElement('tr');
+            const position = document.createElement('th');
+            position.textContent = String(i + 1);
+            tr.appendChild(position);
+            for (const column of comparison.columns) {
+                const cell = column.cells[i];
+                const td = document.createElement('td');
+                td.classList.toggle('layout-diff', cell.layoutDiff);
+                td.classList.toggle('flag-diff', cell.flagDiff);
+                if (cell.track) {
+                    const track = cell.track;
+                    const layout = document.createElement('div');
+                    layout.className = 'compare-layout';
+                    layout.textContent = `${track.trackType} · ${track.langIetf || track.langLegacy || 'und'}`;
+                    const name = document.createElement('div');
+                    name.className = 'compare-name';
+                    name.textContent = track.name || '—';
+                    const flags = document.createElement('div');
+                    flags.className = 'compare-flags';
+                    flags.textContent = describeTrackFlags(track) || 'No flags';
+                    td.append(layout, name, flags);
+                    td.title = describeTrackDetails(track);
+                } else if (!column.file.error) {
+                    td.textContent = 'No track';
+                }
+                tr.appendChild(td);
+            }
+            tbody.appendChild(tr);
+        }
+        compareTableEl.append(thead, tbody);
+    }
+
+    /**
+     * Preview copying the flags of one compared file onto the others in the batch dialog
+     * @param {string} path - Reference file
+     */
+    async function copyFlagsFrom(path) {
+        const reference = comparedFiles.find(f => f.path === path);
+        if (!reference || reference.error || !batchDialog || batchRunning) return;
+        const name = path.split(/[\\/]/).pop();
+        // Only the files whose paired tracks carry other flags; the rest would get no changes
+        const targets = comparedFiles
+            .filter(f => f.path !== path && !f.error &&
+                buildTrackChanges(f.tracks, copyFlagsFromReference(reference.tracks, f.tracks)).length > 0)
+            .map(f => f.path);
+        if (!targets.length) {
+            window.notifications.notify({ level: 'info', title: 'Copy flags', message: `The other compared files already have the flags of ${name}.` });
+            return;
+        }
+
+        if (typeof compareDialog.close === 'function') compareDialog.close(); else compareDialog.removeAttribute('open');
+        if (batchTitleEl) {
+            batchTitleEl.textContent = `Copy flags from "${name}" to the ${targets.length} file${targets.length === 1 ? '' : 's'} whose flags differ`;
+        }
+        setBatchDialogMode('copy');
+        invalidateBatchPlan();
+        showBatchDialog();
+        await buildBatchPlan(tracks => copyFlagsFromReference(reference.tracks, tracks), targets);
+    }
+
+    if (compareBtn) compareBtn.addEventListener('click', openCompareDialog);
+
+    // Header checks
+    const LINT_ISSUE_LIMIT = 200; // rows rendered; the count still covers every issue
+
+    function loadDisabledLintRules() {
+        try {
+            const saved = JSON.parse(window.localStorage.getItem(lintRulesKey) || '[]');
+            if (Array.isArray(saved)) return new Set(saved.filter(id => LINT_RULES.some(rule => rule.id === id)));
+        } catch {}
+        return new Set();
+    }
+
+    function saveDisabledLintRules() {
+        try { window.localStorage.setItem(lintRulesKey, JSON.stringify(Array.from(disabledLintRules))); } catch {}
+    }
+
+    function scheduleLintRender() {
+        if (lintFrame) return;
+        const schedule = window.requestAnimationFrame || (callback => setTimeout(callback, 16));
+        lintFrame = schedule(() => {
+            lintFrame = 0;
+            renderLintIssues();
+        });
+    }
+
+    function renderLintRules() {
+        if (!lintRulesEl) return;
+        lintRulesEl.innerHTML = '';
+        for (const rule of LINT_RULES) {
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = !disabledLintRules.has(rule.id);
+            checkbox.addEventListener('change', () => {
+                if (checkbox.checked) disabledLintRules.delete(rule.id); else disabledLintRules.add(rule.id);
+                saveDisabledLintRules();
+                renderLintIssues();
+            });
+            label.append(checkbox, ` ${rule.label}`);
+            lintRulesEl.appendChild(label);
+        }
+    }
+
+    /**
+     * Run the enabled rules over every file read so far and list what they find
+     */
+    function renderLintIssues() {
+        if (!lintPanel) return;
+        const checked = fileEntries.filter(entry => loadedInfos.has(entry.path));
+        lintPanel.classList.toggle('hidden', !checked.length);
+        if (lintIssuesEl) lintIssuesEl.innerHTML = '';
+
+        let total = 0;
+        let filesWithIssues = 0;
+        for (const entry of checked) {
+            const issues = lintTracks(toTrackStates(loadedInfos.get(entry.path)), disabledLintRules);
+            if (!issues.length) continue;
+            filesWithIssues++;
+            for (const issue of issues) {
+                if (lintIssuesEl && total < LINT_ISSUE_LIMIT) lintIssuesEl.appendChild(createLintIssueRow(entry, issue));
+                total++;
+            }
+        }
+        if (lintIssuesEl && total > LINT_ISSUE_LIMIT) {
+            const more = document.createElement('li');
+            more.className = 'lint-more';
+            more.textContent = `${total - LINT_ISSUE_LIMIT} more not shown`;
+            lintIssuesEl.appendChild(more);
+        }
+        if (lintCountEl) {
+            const files = `${checked.length} file${checked.length === 1 ? '' : 's'}`;
+            lintCountEl.textContent = total
+                ? `(${total} issue${total === 1 ? '' : 's'} in ${filesWithIssues} of ${files})`
+                : `(no issues in ${files})`;
+            lintCountEl.classList.toggle('has-issues', total > 0);
+        }
+    }
+
+    function createLintIssueRow(entry, issue) {
+        const li = document.createElement('li');
+        li.dataset.rule = issue.ruleId;
+
+        const file = document.createElement('button');
+        file.type = 'button';
+        file.className = 'lint-file';
+        file.textContent = entry.name;
+        file.title = `Open ${entry.path}`;
+        file.addEventListener('click', () => {
+            if (entry.path !== selectedPath && !confirmDiscardPending()) return;
+            clearMultiSelection();
+            setSelectedPath(entry.path);
+            requestLoadSelected(0);
+        });
+
+        const message = document.createElement('span');
+        message.className = 'lint-message';
+        message.textContent = issue.message;
+        li.append(file, message);
+
+        if (issue.fix) {
+            const fixBtn = document.createElement('button');
+            fixBtn.type = 'button';
+            fixBtn.className = 'lint-fix';
+            fixBtn.textContent = issue.fix.label;
+            fixBtn.disabled = window.jobQueue.hasActiveJob(entry.path, 'write');
+            fixBtn.addEventListener('click', () => {
+                fixBtn.disabled = true;
+                fixLintIssue(entry.path, issue).finally(() => { fixBtn.disabled = false; });
+            });
+            li.appendChild(fixBtn);
+        } else {
+            const none = document.createElement('span');
+            none.className = 'lint-no-fix';
+            none.textContent = 'No automatic fix';
+            li.appendChild(none);
+        }
+        return li;
+    }
+
+    /**
+     * Apply the fix for one issue. The file is re-read and re-checked first,
+     * so the changes always match the file as it is on disk.
+     * @param {string} path
+     * @param {object} issue - From lintTracks
+     */
+    async function fixLintIssue(path, issue) {
+        if (window.jobQueue.hasActiveJob(path, 'write')) return;
+        if (path === currentFilePath && !confirmDiscardPending()) return;
+        const name = path.split(/[\\/]/).pop();
+
+        let outcome;
+        try {
+            outcome = await window.jobQueue.enqueue({
+                path,
+                kind: 'write',
+                label: 'Fixing',
+                run: async () => {
+                    const before = await window.bridgeService.readMkvFile(path);
+                    const tracks = toTrackStates(before);
+                    const current = lintTracks(tracks).find(i => i.key === issue.key);
+                    if (!current || !current.fix) return { info: before, summary: null };
+                    const changes = buildTrackChanges(tracks, current.fix.tracks);
+                    const summary = summarizeEditResult(await window.bridgeService.applyMkvChanges(path, changes), changes.length);
+                    if (!summary.success) throw new Error(summary.details ? `${summary.message}: ${summary.details}` : summary.message);
+                    return { info: await window.bridgeService.readMkvFile(path), summary };
+                }
+            });
+        } catch (error) {
+            if (error instanceof JobCancelledError) return;
+            const message = error?.message || String(error);
+            setFileStatus(path, FileStatus.Error, message);
+            window.notifications.notify({ level: 'error', title: name, message: 'The fix could not be applied', details: message });
+            return;
+        }
+
+        recordFileInfo(path, outcome.info);
+        if (!outcome.summary) {
+            window.notifications.notify({ level: 'info', title: name, message: 'Nothing to fix any more; the file has changed since it was checked' });
+            return;
+        }
+        setFileStatus(path, FileStatus.Saved);
+        window.notifications.notify({
+            level: outcome.summary.level,
+            title: name,
+            message: `${issue.fix.label}: ${outcome.summary.message}`,
+            details: outcome.summary.details
+        });
+        if (path === currentFilePath) await refreshCurrentFileData();
+    }
+
+    renderLintRules();
+
+    // Track reports
+    let reportRunning = false;
+
+    function loadReportFormat() {
+        try {
+            const saved = window.localStorage.getItem(reportFormatKey);
+            if (saved in REPORT_FORMATS) return saved;
+        } catch {}
+        return ReportFormat.Csv;
+    }
+
+    function setReportMessage(text) {
+        if (reportMessageEl) reportMessageEl.textContent = text;
+    }
+
+    function openReportDialog() {
+        if (!reportDialog) return;
+        const count = getListedPaths().length;
+        if (!count) return;
+        if (reportTitleEl) reportTitleEl.textContent = `Export track report for ${count} file${count === 1 ? '' : 's'}`;
+        if (!reportRunning) setReportMessage('');
+        if (!reportDialog.open) {
+            if (typeof reportDialog.showModal === 'function') {
+                reportDialog.showModal();
+            } else {
+                reportDialog.setAttribute('open', '');
+            }
+        }
+    }
+
+    /**
+     * Read every listed file and download the report in the chosen format
+     */
+    async function runReport() {
+        if (reportRunning) return;
+        const paths = getListedPaths();
+        if (!paths.length) return;
+        const format = (reportFormatSelect && reportFormatSelect.value) || ReportFormat.Csv;
+
+        reportRunning = true;
+        if (runReportBtn) runReportBtn.disabled = true;
+        try {
+            setReportMessage(`Reading ${paths.length} file${paths.length === 1 ? '' : 's'}...`);
+            const files = await readTrackStates(paths, read => setReportMessage(`Read ${read} of ${paths.length}...`));
+            const rows = buildReportRows(files, disabledLintRules);
+            const { extension, mimeType } = REPORT_FORMATS[format];
+            downloadFile(formatReport(rows, format), `mkv-track-report.${extension}`, mimeType);
+
+            const failed = files.filter(f => f.error).length;
+            const withIssues = rows.filter(r => r.issues.length).length;
+            setReportMessage(`Exported ${rows.length} row${rows.length === 1 ? '' : 's'} from ${files.length} file${files.length === 1 ? '' : 's'}` +
+                (withIssues ? `; ${withIssues} with issues` : '') +
+                (failed ? `; ${failed} file${failed === 1 ? '' : 's'} could not be read` : ''));
+        } catch (error) {
+            setReportMessage(`Export failed: ${error?.message || error}`);
+        } finally {
+            reportRunning = false;
+            if (runReportBtn) runReportBtn.disabled = false;
+        }
+    }
+
+    if (reportFormatSelect) {
+        for (const [value, { label }] of Object.entries(REPORT_FORMATS)) reportFormatSelect.add(new Option(label, value));
+        reportFormatSelect.value = loadReportFormat();
+        reportFormatSelect.addEventListener('change', () => {
+            try { window.localStorage.setItem(reportFormatKey, reportFormatSelect.value); } catch {}
+        });
+    }
+    if (reportBtn) reportBtn.addEventListener('click', openReportDialog);
+    if (runReportBtn) runReportBtn.addEventListener('click', runReport);
+
+    // Header snapshot history
+    let historyPath = null; // file shown in the history dialog
+
+    async function openHistoryDialog() {
+        if (!historyDialog) return;
+        const path = currentFilePath || selectedPath;
+        if (!path) {
+            window.notifications.notify({ level: 'info', title: 'History', message: 'Open a file to see its header snapshots.' });
+            return;
+        }
+        historyPath = path;
+        if (historyTitleEl) historyTitleEl.textContent = `History of ${path.split(/[\\/]/).pop()}`;
+        if (!historyDialog.open) {
+            if (typeof historyDialog.showModal === 'function') {
+                historyDialog.showModal();
+            } else {
+                historyDialog.setAttribute('open', '');
+            }
+        }
+        await renderHistory();
+    }
+
+    /**
+     * List the snapshots of the history file with what restoring each one would change now
+     */
+    async function renderHistory() {
+        const path = historyPath;
+        if (!path || !historyListEl) return;
+        historyListEl.innerHTML = '';
+        if (historySummaryEl) historySummaryEl.textContent = 'Loading snapshots...';
+
+        let snapshots;
+        let info;
+        const currentXml = new Map(); // element -> MkvElementXml of the file as it is now
+        try {
+            [snapshots, info] = await Promise.all([
+                window.bridgeService.getHeaderSnapshots(path),
+                window.jobQueue.enqueue({ path, kind: 'read', label: 'Reading', run: () => window.bridgeService.readMkvFile(path) })
+            ]);
+            for (const element of new Set(snapshots.filter(s => s.element).map(s => s.element))) {
+                currentXml.set(element, await window.jobQueue.enqueue({
+                    path,
+                    kind: 'read',
+                    label: `Reading ${element}`,
+                    run: () => window.bridgeService.readMkvElementXml(path, element)
+                }));
+            }
+        } catch (error) {
+            if (historySummaryEl && path === historyPath) {
+                historySummaryEl.textContent = `The history could not be loaded: ${error?.message || error}`;
+            }
+            return;
+        }
+        if (path !== historyPath) return;
+        recordFileInfo(path, info);
+
+        if (historySummaryEl) {
+            const storage = window.appBridge.snapshots.isPersistent ? '' : ' Snapshots are kept until the app is closed.';
+            historySummaryEl.textContent = snapshots.length
+                ? `${snapshots.length} snapshot${snapshots.length === 1 ? '' : 's'}, newest first. ` +
+                    `Restoring writes the difference to the file as it is now, and is itself snapshotted.${storage}`
+                : `No snapshots yet. One is taken before every write to this file.${storage}`;
+        }
+        const tracks = toTrackStates(info);
+        for (const snapshot of snapshots) {
+            historyListEl.appendChild(snapshot.element
+                ? createXmlHistoryRow(path, snapshot, currentXml.get(snapshot.element))
+                : createHistoryRow(path, snapshot, info, tracks));
+        }
+    }
+
+    /**
+     * The header of a history row: when the snapshot was taken, whether restoring it changes anything, and a restore button
+     * @returns {object} { li, status, restoreBtn }
+     */
+    function createHistoryRowShell(path, snapshot) {
+        const li = document.createElement('li');
+        const header = document.createElement('div');
+        header.className = 'history-header';
+        const title = document.createElement('span');
+        title.className = 'history-time';
+        title.textContent = new Date(snapshot.takenAt).toLocaleString();
+        const status = document.createElement('span');
+        status.className = 'history-status';
+        const restoreBtn = document.createElement('button');
+        restoreBtn.type = 'button';
+        restoreBtn.textContent = 'Restore';
+        restoreBtn.addEventListener('click', () => {
+            restoreBtn.disabled = true;
+            restoreSnapshot(path, snapshot);
+        });
+        header.append(title, status, restoreBtn);
+        li.appendChild(header);
+        return { li, status, restoreBtn };
+    }
+
+    function appendHistoryDetails(li, summaryText, detailText) {
+        const details = document.createElement('details');
+        const summary = document.createElement('summary');
+        summary.textContent = summaryText;
+        const detail = document.createElement('div');
+        detail.className = 'batch-detail';
+        detail.textContent = detailText;
+        details.append(summary, detail);
+        li.appendChild(details);
+    }
+
+    /**
+     * A chapter or tag snapshot: restoring writes its XML back verbatim
+     * @param {object} current - MkvElementXml of the file as it is now
+     */
+    function createXmlHistoryRow(path, snapshot, current) {
+        const { li, status, restoreBtn } = createHistoryRowShell(path, snapshot);
+        const matches = !!current && current.IsValid !== false && (current.Xml || '') === snapshot.xml;
+        if (!current || current.IsValid === false) {
+            status.textContent = (current && current.ErrorMessage) || `The ${snapshot.element} could not be read`;
+            li.classList.add('unavailable');
+        } else {
+            status.textContent = matches ? 'Matches the file as it is now' : `Restores the ${snapshot.element} as they were`;
+        }
+        restoreBtn.disabled = matches || !current || current.IsValid === false;
+        appendHistoryDetails(li, `Taken before writing ${snapshot.summary}`,
+            snapshot.xml || `The file had no ${snapshot.element}.`);
+        return li;
+    }
+
+    function createHistoryRow(path, snapshot, info, tracks) {
+        const { li, status, restoreBtn } = createHistoryRowShell(path, snapshot);
+        const written = snapshot.changes || [];
+
+        let restoreChanges = [];
+        try {
+            restoreChanges = buildRestoreChanges(snapshot.header, info);
+            status.textContent = restoreChanges.length
+                ? `${restoreChanges.length} change${restoreChanges.length === 1 ? '' : 's'} to restore`
+                : 'Matches the file as it is now';
+        } catch (error) {
+            status.textContent = error.message;
+            li.classList.add('unavailable');
+        }
+        restoreBtn.disabled = !restoreChanges.length;
+
+        const lines = written.map(change => describeChange(change, snapshot.header.tracks));
+        const kept = snapshot.header.properties || [];
+        const notKept = written.filter(change => !isHeaderFieldChange(change) &&
+            !kept.some(p => p.section === change.Section && p.name === change.PropertyName));
+        if (notKept.length) {
+            lines.push('', 'Not restorable, the previous value could not be read:',
+                ...notKept.map(change => describeChange(change, snapshot.header.tracks)));
+        }
+        if (restoreChanges.length) {
+            lines.push('', 'Restoring writes:', ...restoreChanges.map(change => describeChange(change, tracks)));
+        }
+        appendHistoryDetails(li, `Taken before writing ${written.length} change${written.length === 1 ? '' : 's'}`, lines.join('\n'));
+        return li;
+    }
+
+    /**
+     * Write the reverse change set of a snapshot, computed against the file as it is on disk
+     * @param {string} path
+     * @param {object} snapshot
+     */
+    async function restoreSnapshot(path, snapshot) {
+        if (window.jobQueue.hasActiveJob(path, 'write')) return;
+        if (path === currentFilePath && !confirmDiscardPending()) {
+            await renderHistory();
+            return;
+        }
+        const name = path.split(/[\\/]/).pop();
+        const takenAt = new Date(snapshot.takenAt).toLocaleString();
+        try {
+            const summary = await window.jobQueue.enqueue({
+                path,
+                kind: 'write',
+                label: 'Restoring',
+                run: async () => {
+                    if (snapshot.element) {
+                        const current = await window.bridgeService.readMkvElementXml(path, snapshot.element);
+                        if (!current || current.IsValid === false) throw new Error((current && current.ErrorMessage) || `The ${snapshot.element} could not be read`);
+                        if ((current.Xml || '') === snapshot.xml) return null;
+                        const result = summarizeEditResult(await window.bridgeService.writeMkvElementXml(
+                            path, snapshot.element, snapshot.xml, `the ${snapshot.element} of the snapshot from ${takenAt}`), 1);
+                        if (!result.success) throw new Error(result.details ? `${result.message}: ${result.details}` : result.message);
+                        return result;
+                    }
+                    const changes = buildRestoreChanges(snapshot.header, await window.bridgeService.readMkvFile(path));
+                    if (!changes.length) return null;
+                    const result = summarizeEditResult(await window.bridgeService.applyMkvChanges(path, changes), changes.length);
+                    if (!result.success) throw new Error(result.details ? `${result.message}: ${result.details}` : result.message);
+                    return result;
+                }
+            });
+            if (summary) {
+                setFileStatus(path, FileStatus.Saved);
+                window.notifications.notify({
+                    level: summary.level,
+                    title: name,
+                    message: `Restored the snapshot from ${takenAt}: ${summary.message}`,
+                    details: summary.details
+                });
+            } else {
+                window.notifications.notify({ level: 'info', title: name, message: `The file already matches the snapshot from ${takenAt}` });
+            }
+        } catch (error) {
+            if (!(error instanceof JobCancelledError)) {
+                const message = error?.message || String(error);
+                setFileStatus(path, FileStatus.Error, message);
+                window.notifications.notify({ level: 'error', title: name, message: 'The snapshot could not be restored', details: message });
+            }
+        }
+        if (snapshot.element === 'chapters') rereadChapters(path);
+        if (snapshot.element === 'tags') rereadTags(path);
+        if (path === currentFilePath) await refreshCurrentFileData();
+        if (path === historyPath && historyDialog && historyDialog.open) await renderHistory();
+    }
+
+    if (historyBtn) historyBtn.addEventListener('click', openHistoryDialog);
+
+    // Track state management
+    let currentTracks = [];   // working copy, including unsaved edits
+    let loadedTracks = [];    // on-disk state from the last read
+    let loadedSegmentTitle = '';
+    let currentSegmentTitle = '';
+    let currentFilePath = null;
+    let loadedFingerprint = null; // size, mtime and header snapshot of the file as loaded
+    let loadedInfo = null;        // MkvFileInfo of the last read, whose HeaderValues the property editor shows
+
+    // Generic property editor state
+    let availableProperties = null;          // cached getAvailableMkvProperties() result
+    let availablePropertiesPromise = null;
+    const pendingPropertyChanges = new Map(); // propertyChangeKey -> MkvPropertyChange
+    const invalidPropertyValues = new Map();  // propertyChangeKey -> rejected raw input
+    const expandedTracks = new Set();         // sequential numbers of tracks with the editor open
+    let inspectedTrackSeq = null;             // track shown in the inspector
+
+    /**
+     * Load the mkvpropedit property list once and re-render the editors when it arrives
+     */
+    function ensureAvailableProperties() {
+        if (availableProperties || availablePropertiesPromise) return;
+        availablePropertiesPromise = window.bridgeService.getAvailableMkvProperties()
+            .then(list => {
+                availableProperties = Array.isArray(list) ? list : [];
+                renderTracksFromState();
+                renderSegmentEditor();
+            })
+            .catch(error => {
+                console.error('Failed to load available MKV properties:', error);
+                availablePropertiesPromise = null;
+            });
+    }
+
+    /**
+     * Available properties for an edit selector ('info' or 'track:N')
+     * @param {string} section
+     * @returns {Array}
+     */
+    function getPropertiesForSection(section) {
+        const kind = section.startsWith('track:') ? 'track' : section;
+        return (availableProperties || []).filter(p => p.Section === kind);
+    }
+
+    function resetPropertyEdits() {
+        pendingPropertyChanges.clear();
+        invalidPropertyValues.clear();
+        expandedTracks.clear();
+    }
+
+    /**
+     * Refresh the current file data from the backend
+     */
+    async function refreshCurrentFileData() {
+        if (!currentFilePath) return;
+        
+        try {
+            const info = await window.bridgeService.readMkvFile(currentFilePath);
+            renderTracks(info, currentFilePath);
+        } catch (error) {
+            console.error('Failed to refresh file data:', error);
+        }
+    }
+
+    function getPendingChanges() {
+        return buildSegmentChanges(loadedSegmentTitle, currentSegmentTitle)
+            .concat(buildTrackChanges(loadedTracks, currentTracks))
+            .concat(Array.from(pendingPropertyChanges.values()));
+    }
+
+    function hasPendingChanges() {
+        return getPendingChanges().length > 0 || invalidPropertyValues.size > 0;
+    }
+
+    /**
+     * Sync the Save/Discard buttons and the pending-changes counter
+     */
+    function updatePendingUI() {
+        const count = getPendingChanges().length;
+        const invalid = invalidPropertyValues.size;
+        const saving = !!currentFilePath && window.jobQueue.hasActiveJob(currentFilePath, 'write');
+        if (saveBtn) saveBtn.disabled = count === 0 || invalid > 0 || saving;
+        if (discardBtn) discardBtn.disabled = count === 0 && invalid === 0;
+        if (pendingStatusEl) {
+            if (invalid > 0) {
+                pendingStatusEl.textContent = `${invalid} invalid value${invalid === 1 ? '' : 's'}`;
+            } else {
+                pendingStatusEl.textContent = count === 0 ? '' : `${count} unsaved change${count === 1 ? '' : 's'}`;
+            }
+        }
+        updateDirtyMarkers();
+        updateChapterControls();
+        updateTagControls();
+        renderTrackInspector();
+        renderCommandPreview();
+        // The current file's badge shows whether it has unsaved edits
+        scheduleFileListRender();
+        scheduleWorkspaceSave();
+    }
+
+    /**
+     * Does a track have staged edits, either in the table or the property editor?
+     * @param {object} track - Working-copy track state
+     * @returns {boolean}
+     */
+    function isTrackDirty(track) {
+        const original = loadedTracks.find(t => t.sequentialTrackNumber === track.sequentialTrackNumber);
+        if (getChangedTrackFields(original, track).length) return true;
+        const prefix = propertyChangeKey(`track:${track.sequentialTrackNumber}`, '');
+        for (const key of pendingPropertyChanges.keys()) {
+            if (key.startsWith(prefix)) return true;
+        }
+        for (const key of invalidPropertyValues.keys()) {
+            if (key.startsWith(prefix)) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Toggle the dirty indicator on rendered track rows without rebuilding them
+     */
+    function updateDirtyMarkers() {
+        if (!tracksBody) return;
+        tracksBody.querySelectorAll('tr[data-seq]').forEach(tr => {
+            const track = currentTracks.find(t => String(t.sequentialTrackNumber) === tr.dataset.seq);
+            const dirty = !!track && isTrackDirty(track);
+            tr.classList.toggle('dirty', dirty);
+            tr.title = [track ? describeTrackDetails(track) : '', dirty ? 'Unsaved changes' : ''].filter(Boolean).join('\n');
+        });
+        if (segmentEditor) {
+            const prefix = propertyChangeKey('info', '');
+            const dirty = Array.from(pendingPropertyChanges.keys()).concat(Array.from(invalidPropertyValues.keys()))
+                .some(key => key.startsWith(prefix));
+            segmentEditor.classList.toggle('dirty', dirty);
+        }
+        if (segmentTitleBar) {
+            segmentTitleBar.classList.toggle('changed', (loadedSegmentTitle || '') !== (currentSegmentTitle || ''));
+        }
+    }
+
+    /**
+     * Ask before throwing away unsaved edits
+     * @returns {boolean} True if there is nothing pending or the user agreed to discard
+     */
+    function confirmDiscardPending() {
+        if (!hasPendingChanges() && !hasChapterEdits() && !hasTagEdits()) return true;
+        const name = currentFilePath ? currentFilePath.split(/[\\/]/).pop() : 'the current file';
+        return window.confirm(`You have unsaved changes to ${name}. Discard them?`);
+    }
+
+    /**
+     * Write all pending edits to the current file in a single mkvpropedit run
+     * @param {object} [options] - { skipConflictCheck } once the user has resolved a conflict
+     */
+    async function saveChanges(options = {}) {
+        if (!currentFilePath) return;
+        if (window.jobQueue.hasActiveJob(currentFilePath, 'write')) return;
+        const changes = getPendingChanges();
+        if (!changes.length) return;
+
+        const path = currentFilePath;
+        const fingerprint = loadedFingerprint;
+        const job = window.jobQueue.enqueue({
+            path,
+            kind: 'write',
+            label: 'Saving',
+            run: () => writeChanges(path, changes, fingerprint, options)
+        });
+        updatePendingUI();
+        try {
+            await job;
+        } catch {
+            // Reported by writeChanges and shown in the file list
+        }
+        updatePendingUI();
+    }
+
+    /**
+     * Save job body: check for outside edits, apply, report and re-read the file
+     */
+    async function writeChanges(path, changes, fingerprint, options) {
+        const name = path.split(/[\\/]/).pop();
+
+        // Re-read first so edits made by another tool are not silently overwritten
+        if (!options.skipConflictCheck) {
+            const diskInfo = await window.bridgeService.readMkvFile(path);
+            const reasons = compareFingerprints(fingerprint, createFileFingerprint(diskInfo));
+            if (reasons.length) {
+                if (currentFilePath === path) {
+                    openConflictDialog(diskInfo, reasons);
+                } else {
+                    window.notifications.notify({
+                        level: 'error',
+                        title: name,
+                        message: `Not saved: the file changed on disk since it was loaded (${reasons.join(', ')})`
+                    });
+                }
+                return null;
+            }
+        }
+
+        let summary;
+        try {
+            const result = await window.bridgeService.applyMkvChanges(path, changes);
+            summary = summarizeEditResult(result, changes.length);
+        } catch (error) {
+            summary = { success: false, level: 'error', message: 'The change set could not be sent', details: error?.message || String(error) };
+        }
+        window.notifications.notify({ level: summary.level, title: name, message: summary.message, details: summary.details });
+
+        // Re-read so the table reflects what is actually on disk. After a failure this reverts
+        // the edited rows; after a success, edits made while saving are carried over.
+        if (currentFilePath === path) {
+            try {
+                const info = await window.bridgeService.readMkvFile(path);
+                if (currentFilePath === path) {
+                    if (summary.success) rebaseOntoDisk(info, changes); else renderTracks(info, path);
+                }
+            } catch (error) {
+                console.error('Failed to refresh file data:', error);
+            }
+        }
+        if (summary.success) setFileStatus(path, FileStatus.Saved);
+        else setFileStatus(path, FileStatus.Error, summary.details ? `${summary.message}: ${summary.details}` : summary.message);
+        if (!summary.success) throw new Error(summary.message);
+        return summary;
+    }
+
+    // On-disk state found by the last conflict check
+    let conflictDiskInfo = null;
+
+    /**
+     * Show yours / on-disk / original side by side when the file changed since it was loaded
+     * @param {object} diskInfo - MkvFileInfo re-read before saving
+     * @param {Array<string>} reasons - What differs from the loaded fingerprint
+     */
+    function openConflictDialog(diskInfo, reasons) {
+        if (!conflictDialog) {
+            window.notifications.notify({
+                level: 'error',
+                title: currentFilePath.split(/[\\/]/).pop(),
+                message: `Not saved: the file changed on disk since it was loaded (${reasons.join(', ')})`
+            });
+            return;
+        }
+        conflictDiskInfo = diskInfo;
+        const diskTracks = toTrackStates(diskInfo);
+        const sameLayout = haveSameTrackLayout(loadedTracks, diskTracks);
+        const rows = sameLayout
+            ? buildConflictRows(
+                { title: loadedSegmentTitle, tracks: loadedTracks },
+                { title: diskInfo.SegmentTitle || '', tracks: diskTracks },
+                { title: currentSegmentTitle, tracks: currentTracks })
+            : [];
+
+        if (conflictSummaryEl) {
+            const name = currentFilePath.split(/[\\/]/).pop();
+            let text = `${name} was modified on disk after it was loaded (${reasons.join(', ')} changed).`;
+            if (!sameLayout) {
+                text += ' Its tracks were added, removed or reordered, so your edits cannot be carried over.';
+            } else if (!reasons.includes('track headers')) {
+                text += ' The track headers are unchanged.';
+            }
+            if (pendingPropertyChanges.size) {
+                text += ` ${pendingPropertyChanges.size} property editor change${pendingPropertyChanges.size === 1 ? '' : 's'} will be kept as they are.`;
+            }
+            conflictSummaryEl.textContent = text;
+        }
+
+        if (conflictTableEl) {
+            conflictTableEl.innerHTML = '';
+            if (rows.length) {
+                const head = conflictTableEl.createTHead().insertRow();
+                for (const title of ['', 'Field', 'Original', 'On disk', 'Yours']) {
+                    const th = document.createElement('th');
+                    th.textContent = title;
+                    head.appendChild(th);
+                }
+                const body = conflictTableEl.createTBody();
+                for (const row of rows) {
+                    const tr = body.insertRow();
+                    if (row.conflict) tr.className = 'conflict';
+                    for (const value of [row.label, row.field, row.original, row.disk, row.mine]) {
+                        tr.insertCell().textContent = value;
+                    }
+                    tr.cells[3].classList.toggle('changed', row.disk !== row.original);
+                    tr.cells[4].classList.toggle('changed', row.mine !== row.original);
+                }
+            }
+        }
+
+        if (conflictRebaseBtn) conflictRebaseBtn.disabled = !sameLayout;
+        if (conflictOverwriteBtn) conflictOverwriteBtn.disabled = !sameLayout;
+        if (typeof conflictDialog.showModal === 'function') {
+            conflictDialog.showModal();
+        } else {
+            conflictDialog.setAttribute('open', '');
+        }
+    }
+
+    function closeConflictDialog() {
+        if (!conflictDialog) return;
+        if (typeof conflictDialog.close === 'function') conflictDialog.close(); else conflictDialog.removeAttribute('open');
+    }
+
+    /**
+     * Load the on-disk state and re-apply the fields you edited on top of it
+     * @param {object} diskInfo - MkvFileInfo as read now
+     * @param {Array} [written] - Changes just saved; property editor changes among them are not kept
+     */
+    function rebaseOntoDisk(diskInfo, written = []) {
+        const mineTracks = currentTracks;
+        const originalTracks = loadedTracks;
+        const titleEdited = (loadedSegmentTitle || '') !== (currentSegmentTitle || '');
+        const myTitle = currentSegmentTitle;
+        const writtenChanges = new Set(written.map(change => JSON.stringify(change)));
+        const propertyChanges = new Map(Array.from(pendingPropertyChanges)
+            .filter(([, change]) => !writtenChanges.has(JSON.stringify(change))));
+        const invalidValues = new Map(invalidPropertyValues);
+        const expanded = new Set(expandedTracks);
+
+        renderTracks(diskInfo, currentFilePath);
+
+        currentTracks = currentTracks.map(track => {
+            const original = originalTracks.find(t => t.sequentialTrackNumber === track.sequentialTrackNumber);
+            const edited = mineTracks.find(t => t.sequentialTrackNumber === track.sequentialTrackNumber);
+            const rebased = { ...track };
+            for (const key of getChangedTrackFields(original, edited)) rebased[key] = edited[key];
+            return rebased;
+        });
+        if (titleEdited) currentSegmentTitle = myTitle;
+        propertyChanges.forEach((value, key) => pendingPropertyChanges.set(key, value));
+        invalidValues.forEach((value, key) => invalidPropertyValues.set(key, value));
+        expanded.forEach(seq => expandedTracks.add(seq));
+
+        renderTracksFromState();
+        renderSegmentTitle();
+        renderSegmentEditor();
+        updatePendingUI();
+    }
+
+    if (conflictRebaseBtn) {
+        conflictRebaseBtn.addEventListener('click', () => {
+            closeConflictDialog();
+            if (conflictDiskInfo) rebaseOntoDisk(conflictDiskInfo);
+        });
+    }
+    if (conflictOverwriteBtn) {
+        conflictOverwriteBtn.addEventListener('click', async () => {
+            closeConflictDialog();
+            if (!conflictDiskInfo) return;
+            rebaseOntoDisk(conflictDiskInfo);
+            await saveChanges({ skipConflictCheck: true });
+        });
+    }
+    if (conflictReloadBtn) {
+        conflictReloadBtn.addEventListener('click', () => {
+            closeConflictDialog();
+            if (conflictDiskInfo) renderTracks(conflictDiskInfo, currentFilePath);
+        });
+    }
+
+    /**
+     * Drop all pending edits and go back to the on-disk state
+     */
+    function discardChanges() {
+        currentTracks = loadedTracks.map(t => ({ ...t }));
+        currentSegmentTitle = loadedSegmentTitle;
+        pendingPropertyChanges.clear();
+        invalidPropertyValues.clear();
+        renderTracksFromState();
+        renderSegmentTitle();
+        renderSegmentEditor();
+        updatePendingUI();
+    }
+
+    /**
+     * Handle checkbox change with the flag exclusivity policy (staged until Save)
+     * @param {Event} event - Checkbox change event
+     * @param {number} sequentialTrackNumber - Sequential track number (1-based)
+     * @param {string} trackType - Track type ('video', 'audio', 'subtitle')
+     * @param {string} property - Property type ('enabled', 'default', 'forced')
+     */
+    function handleCheckboxChange(event, sequentialTrackNumber, trackType, property) {
+        const checkbox = event.target;
+        const newValue = checkbox.checked;
+
+        // Video tracks cannot be modified
+        if (trackType.toLowerCase() === 'video') {
+            checkbox.checked = !newValue; // Revert change
+            return;
+        }
+
+        setTrackFlag(sequentialTrackNumber, trackType, property, newValue);
+    }
+
+    /**
+     * Stage a flag value on the working copy, applying the configured exclusivity policy
+     * @param {number} sequentialTrackNumber - Sequential track number (1-based)
+     * @param {string} trackType - Track type ('audio', 'subtitle', ...)
+     * @param {string} property - Property type ('enabled', 'default', 'forced', ...)
+     * @param {boolean} newValue
+     */
+    function setTrackFlag(sequentialTrackNumber, trackType, property, newValue) {
+        currentTracks = applyFlagPolicy(currentTracks, sequentialTrackNumber, property, newValue, flagPolicy);
+
+        // Re-render to update checkbox states and dirty markers
+        renderTracksFromState();
+        updatePendingUI();
+    }
+
+    /**
+     * Render tracks table from current state
+     */
+    function renderTracksFromState() {
+        if (!tracksBody) return;
+        // Rows are rebuilt, so put focus back on the same cell afterwards (e.g. after Space toggled a flag)
+        const hadFocus = tracksBody.contains(document.activeElement);
+        tracksBody.innerHTML = '';
+
+        if (!Array.isArray(currentTracks) || currentTracks.length === 0) {
+            const tr = document.createElement('tr');
+            tr.className = 'placeholder';
+            const td = document.createElement('td');
+            td.colSpan = getTrackColumnCount();
+            td.textContent = 'No tracks found';
+            tr.appendChild(td);
+            tracksBody.appendChild(tr);
+            return;
+        }
+
+        for (const track of currentTracks) {
+            const tr = document.createElement('tr');
+            tr.dataset.seq = String(track.sequentialTrackNumber);
+            const original = loadedTracks.find(t => t.sequentialTrackNumber === track.sequentialTrackNumber);
+            const changedFields = getChangedTrackFields(original, track);
+            const expanded = expandedTracks.has(track.sequentialTrackNumber);
+
+            // Expand/collapse toggle for the property editor
+            const toggleTd = document.createElement('td');
+            toggleTd.className = 'col-expand';
+            const toggleBtn = document.createElement('button');
+            toggleBtn.type = 'button';
+            toggleBtn.className = 'expand-toggle';
+            toggleBtn.textContent = expanded ? '▾' : '▸';
+            toggleBtn.title = expanded ? 'Hide all properties' : 'Edit all properties';
+            toggleBtn.setAttribute('aria-expanded', String(expanded));
+            toggleBtn.setAttribute('aria-label', `All properties of ${describeTrackForLabel(track)}`);
+            toggleBtn.addEventListener('click', () => {
+                if (expandedTracks.has(track.sequentialTrackNumber)) {
+                    expandedTracks.delete(track.sequentialTrackNumber);
+                } else {
+                    expandedTracks.add(track.sequentialTrackNumber);
+                    ensureAvailableProperties();
+                }
+                renderTracksFromState();
+            });
+            toggleTd.appendChild(toggleBtn);
+            tr.appendChild(toggleTd);
+
+            // Create read-only text cells for ID and Type columns
+            const textCells = [track.trackNumber, track.trackType];
+            for (const val of textCells) {
+                const td = document.createElement('td');
+                td.textContent = val == null ? '' : String(val);
+                tr.appendChild(td);
+            }
+
+            // Editable language cells (IETF and legacy are kept in sync)
+            for (const td of buildLanguageCells(track)) {
+                tr.appendChild(td);
+            }
+            tr.appendChild(buildNameCell(track));
+            
+            // Create checkbox cells for the visible flag columns
+            visibleFlagColumns.forEach(property => {
+                const td = document.createElement('td');
+                td.className = 'col-flag';
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.checked = track[property] === true;
+                checkbox.setAttribute('aria-label', `${TRACK_FLAG_LABELS[property]} flag of ${describeTrackForLabel(track)}`);
+                
+                // Disable checkboxes for video tracks
+                if (track.trackType.toLowerCase() === 'video') {
+                    checkbox.disabled = true;
+                    checkbox.title = 'Video track properties cannot be modified';
+                } else {
+                    checkbox.disabled = false;
+                    checkbox.addEventListener('change', (e) => 
+                        handleCheckboxChange(e, track.sequentialTrackNumber, track.trackType, property)
+                    );
+                }
+                
+                if (changedFields.includes(property)) td.classList.add('changed');
+                td.appendChild(checkbox);
+                tr.appendChild(td);
+            });
+            
+            tracksBody.appendChild(tr);
+
+            if (expanded) {
+                const editorTr = document.createElement('tr');
+                editorTr.className = 'property-editor-row';
+                const editorTd = document.createElement('td');
+                editorTd.colSpan = getTrackColumnCount();
+                editorTd.appendChild(buildPropertyEditor(`track:${track.sequentialTrackNumber}`, track));
+                editorTr.appendChild(editorTd);
+                tracksBody.appendChild(editorTr);
+            }
+        }
+        updateDirtyMarkers();
+        renderTrackInspector();
+        updateTrackGridTabStops();
+        if (hadFocus && activeTrackCell) focusTrackCell(activeTrackCell.seq, activeTrackCell.column);
+    }
+
+    /**
+     * Show codec and stream details of the inspected track beside the table
+     */
+    function renderTrackInspector() {
+        if (!trackInspector) return;
+        tracksBody.querySelectorAll('tr[data-seq]').forEach(tr => {
+            tr.classList.toggle('inspected', tr.dataset.seq === String(inspectedTrackSeq));
+        });
+        trackInspector.classList.toggle('hidden', !currentTracks.length);
+        if (!currentTracks.length) return;
+
+        const track = currentTracks.find(t => t.sequentialTrackNumber === inspectedTrackSeq);
+        trackInspectorList.innerHTML = '';
+        if (trackInspectorHint) trackInspectorHint.classList.toggle('hidden', !!track);
+        if (!track) {
+            trackInspectorTitle.textContent = 'Track details';
+            return;
+        }
+        trackInspectorTitle.textContent = `Track ${track.trackNumber} (${track.trackType})`;
+        for (const [label, value] of getTrackDetailRows(track)) {
+            const dt = document.createElement('dt');
+            dt.textContent = label;
+            const dd = document.createElement('dd');
+            dd.textContent = value;
+            trackInspectorList.append(dt, dd);
+        }
+    }
+
+    /**
+     * @param {number} seq - Sequential track number
+     */
+    function inspectTrack(seq) {
+        if (inspectedTrackSeq === seq) return;
+        inspectedTrackSeq = seq;
+        renderTrackInspector();
+    }
+
+    if (tracksBody) {
+        // Clicking or tabbing into a row inspects its track
+        const inspectFromEvent = (e) => {
+            const tr = e.target && e.target.closest('tr[data-seq]');
+            if (tr) inspectTrack(Number(tr.dataset.seq));
+        };
+        tracksBody.addEventListener('click', inspectFromEvent);
+        tracksBody.addEventListener('focusin', inspectFromEvent);
+    }
+
+    // Grid-style keyboard movement in the tracks table: arrows move between cells, Space toggles
+    // a flag (its checkbox does that), and the table is a single Tab stop on the last focused cell.
+
+    /**
+     * What takes focus in a cell: its control, or the cell itself when it has none that is enabled
+     * @param {HTMLTableCellElement} td
+     * @returns {HTMLElement}
+     */
+    function getTrackCellTarget(td) {
+        return td.querySelector('input:not(:disabled), button:not(:disabled), select:not(:disabled)') || td;
+    }
+
+    function getTrackGridRows() {
+        return tracksBody ? Array.from(tracksBody.querySelectorAll('tr[data-seq]')) : [];
+    }
+
+    function updateTrackGridTabStops() {
+        const rows = getTrackGridRows();
+        if (!rows.length) return;
+        let current = null;
+        for (const tr of rows) {
+            for (const td of tr.cells) {
+                const target = getTrackCellTarget(td);
+                target.tabIndex = -1;
+                if (activeTrackCell && tr.dataset.seq === String(activeTrackCell.seq) && td.cellIndex === activeTrackCell.column) {
+                    current = target;
+                }
+            }
+        }
+        (current || getTrackCellTarget(rows[0].cells[0])).tabIndex = 0;
+    }
+
+    /**
+     * @param {number} seq - Sequential track number of the row
+     * @param {number} column - Cell index; clamped to the row
+     */
+    function focusTrackCell(seq, column) {
+        const tr = getTrackGridRows().find(row => row.dataset.seq === String(seq));
+        if (!tr || !tr.cells.length) return;
+        getTrackCellTarget(tr.cells[Math.max(0, Math.min(tr.cells.length - 1, column))]).focus();
+    }
+
+    function handleTrackGridKeydown(e) {
+        if (e.altKey || e.ctrlKey || e.metaKey) return;
+        const td = e.target.closest('td');
+        const tr = td && td.closest('tr[data-seq]');
+        if (!tr) return; // the property editor rows keep normal keys
+        const rows = getTrackGridRows();
+        const rowIndex = rows.indexOf(tr);
+        const input = e.target.matches('input[type="text"]') ? e.target : null;
+        // Text inputs keep Left/Right for the caret until it reaches an edge
+        const atStart = !input || (input.selectionStart === 0 && input.selectionEnd === 0);
+        const atEnd = !input || (input.selectionStart === input.value.length && input.selectionEnd === input.value.length);
+        let target = null;
+        switch (e.key) {
+            case 'ArrowUp': target = [rows[rowIndex - 1], td.cellIndex]; break;
+            case 'ArrowDown': target = [rows[rowIndex + 1], td.cellIndex]; break;
+            case 'ArrowLeft': if (atStart) target = [tr, td.cellIndex - 1]; break;
+            case 'ArrowRight': if (atEnd) target = [tr, td.cellIndex + 1]; break;
+            case 'Home': if (!input) target = [tr, 0]; break;
+            case 'End': if (!input) target = [tr, tr.cells.length - 1]; break;
+        }
+        if (!target) return;
+        e.preventDefault();
+        const [row, column] = target;
+        if (!row || column < 0 || column >= row.cells.length) return;
+        focusTrackCell(Number(row.dataset.seq), column);
+        // Like a spreadsheet: typing replaces the value of a text cell reached from the keyboard
+        if (document.activeElement.matches('input[type="text"]')) document.activeElement.select();
+    }
+
+    if (tracksBody) {
+        tracksBody.addEventListener('keydown', handleTrackGridKeydown);
+        tracksBody.addEventListener('focusin', (e) => {
+            const td = e.target.closest('td');
+            const tr = td && td.closest('tr[data-seq]');
+            if (!tr) return;
+            activeTrackCell = { seq: Number(tr.dataset.seq), column: td.cellIndex };
+            updateTrackGridTabStops();
+        });
+    }
+
+    /**
+     * Build the inline-editable IETF and legacy language cells for a track
+     * @param {object} track - Working-copy track state
+     * @returns {HTMLTableCellElement[]} [ietfCell, legacyCell]
+     */
+    function buildLanguageCells(track) {
+        const section = `track:${track.sequentialTrackNumber}`;
+        const columns = [
+            {
+                key: 'langIetf',
+                label: 'Language (IETF)',
+                list: 'bcp47-tags',
+                isValid: isValidLanguageTag,
+                normalize: canonicalizeLanguageTag,
+                error: 'Not a valid BCP 47 language tag (e.g. en, pt-BR, zh-Hant)'
+            },
+            {
+                key: 'langLegacy',
+                label: 'Language',
+                list: 'iso639-2-codes',
+                isValid: isValidLegacyLanguage,
+                normalize: normalizeLegacyLanguage,
+                error: 'Expected a three-letter ISO 639-2 code (e.g. eng, jpn, und)'
+            }
+        ];
+        const cells = {};
+
+        function invalidKey(key) {
+            return propertyChangeKey(section, TRACK_TEXT_PROPERTIES[key]);
+        }
+
+        function refreshCells() {
+            const original = loadedTracks.find(t => t.sequentialTrackNumber === track.sequentialTrackNumber);
+            const changed = getChangedTrackFields(original, track);
+            for (const column of columns) {
+                const { td, input } = cells[column.key];
+                const invalid = invalidPropertyValues.has(invalidKey(column.key));
+                td.classList.toggle('changed', changed.includes(column.key));
+                td.classList.toggle('invalid', invalid);
+                input.title = invalid ? column.error : '';
+                input.setAttribute('aria-invalid', String(invalid));
+            }
+        }
+
+        function setSibling(key, value) {
+            track[key] = value;
+            invalidPropertyValues.delete(invalidKey(key));
+            cells[key].input.value = value;
+        }
+
+        for (const column of columns) {
+            const td = document.createElement('td');
+            td.className = 'col-lang-cell';
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.className = 'cell-input';
+            input.setAttribute('list', column.list);
+            input.setAttribute('aria-label', `${column.label} for track ${track.trackNumber}`);
+            input.spellcheck = false;
+            const pendingInvalid = invalidPropertyValues.get(invalidKey(column.key));
+            input.value = pendingInvalid ?? (track[column.key] || '');
+
+            input.addEventListener('input', () => {
+                const raw = input.value;
+                if (!column.isValid(raw)) {
+                    invalidPropertyValues.set(invalidKey(column.key), raw);
+                } else {
+                    invalidPropertyValues.delete(invalidKey(column.key));
+                    const value = column.normalize(raw);
+                    track[column.key] = value;
+                    if (column.key === 'langIetf') {
+                        setSibling('langLegacy', deriveLegacyLanguage(value));
+                    } else if (deriveLegacyLanguage(track.langIetf) !== value) {
+                        setSibling('langIetf', deriveIetfFromLegacy(value));
+                    }
+                }
+                refreshCells();
+                updatePendingUI();
+            });
+            input.addEventListener('change', () => {
+                if (!invalidPropertyValues.has(invalidKey(column.key))) {
+                    input.value = track[column.key] || '';
+                }
+            });
+
+            td.appendChild(input);
+            cells[column.key] = { td, input };
+        }
+
+        refreshCells();
+        return columns.map(column => cells[column.key].td);
+    }
+
+    /**
+     * Build the inline-editable track name cell (an empty name is deleted on save)
+     * @param {object} track - Working-copy track state
+     * @returns {HTMLTableCellElement}
+     */
+    function buildNameCell(track) {
+        const td = document.createElement('td');
+        td.className = 'col-name-cell';
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'cell-input';
+        input.placeholder = '(no name)';
+        input.value = track.name || '';
+        input.setAttribute('aria-label', `Name for track ${track.trackNumber}`);
+
+        function refreshCell() {
+            const original = loadedTracks.find(t => t.sequentialTrackNumber === track.sequentialTrackNumber);
+            td.classList.toggle('changed', getChangedTrackFields(original, track).includes('name'));
+        }
+
+        input.addEventListener('input', () => {
+            track.name = input.value;
+            refreshCell();
+            updatePendingUI();
+        });
+
+        refreshCell();
+        td.appendChild(input);
+        return td;
+    }
+
+    /**
+     * Show the segment title field for the loaded file
+     */
+    function renderSegmentTitle() {
+        if (!segmentTitleBar || !segmentTitleInput) return;
+        segmentTitleBar.classList.toggle('hidden', !currentFilePath);
+        segmentTitleInput.value = currentSegmentTitle || '';
+    }
+
+    /**
+     * Render the segment (info) property editor above the tracks table
+     */
+    function renderSegmentEditor() {
+        if (!segmentEditor || !segmentPropertiesEl) return;
+        segmentPropertiesEl.innerHTML = '';
+        if (!currentFilePath) {
+            segmentEditor.classList.add('hidden');
+            return;
+        }
+        segmentEditor.classList.remove('hidden');
+        segmentPropertiesEl.appendChild(buildPropertyEditor('info', null));
+    }
+
+    /**
+     * Build the type-aware property editor for one section
+     * @param {string} section - mkvpropedit edit selector ('info' or 'track:N')
+     * @param {object|null} track - Working-copy track state for track sections
+     * @returns {HTMLElement}
+     */
+    function buildPropertyEditor(section, track) {
+        const grid = document.createElement('div');
+        grid.className = 'property-editor';
+        const properties = getPropertiesForSection(section);
+        if (!properties.length) {
+            const note = document.createElement('div');
+            note.className = 'property-editor-note';
+            note.textContent = availableProperties ? 'No editable properties' : 'Loading properties...';
+            grid.appendChild(note);
+            return grid;
+        }
+        for (const prop of properties) {
+            grid.appendChild(buildPropertyField(section, prop, track));
+        }
+        return grid;
+    }
+
+    /**
+     * Build a single editor field: an input matching the property type plus a Delete toggle
+     * @param {string} section - mkvpropedit edit selector
+     * @param {object} prop - MkvProperty from getAvailableMkvProperties
+     * @param {object|null} track - Working-copy track state for track sections
+     * @returns {HTMLElement}
+     */
+    function buildPropertyField(section, prop, track) {
+        const type = normalizePropertyType(prop.Type);
+        const key = propertyChangeKey(section, prop.Name);
+        const field = document.createElement('div');
+        field.className = 'property-field';
+
+        const inputId = `prop-${section.replace(/[^a-z0-9]/gi, '-')}-${prop.Name}`;
+        const label = document.createElement('label');
+        label.htmlFor = inputId;
+        label.textContent = prop.DisplayName || prop.Name;
+        label.title = [prop.Name, prop.Description].filter(Boolean).join(' - ');
+        field.appendChild(label);
+
+        // Fields shown as table columns stay bound to the track state so both views agree
+        const trackKey = track ? getTrackFieldForProperty(prop.Name) : null;
+        const flagKey = trackKey && trackKey in TRACK_FLAG_PROPERTIES ? trackKey : null;
+        const isSegmentTitle = !track && prop.Name === SEGMENT_TITLE_PROPERTY;
+        if ((trackKey && !flagKey) || isSegmentTitle) {
+            const value = document.createElement('span');
+            value.className = 'property-value';
+            value.id = inputId;
+            value.textContent = (isSegmentTitle ? currentSegmentTitle : track[trackKey]) || '';
+            field.appendChild(value);
+            const hint = document.createElement('span');
+            hint.className = 'property-hint';
+            hint.textContent = isSegmentTitle ? 'Edit above' : 'Edit in the table';
+            field.appendChild(hint);
+            return field;
+        }
+        if (flagKey) {
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.id = inputId;
+            checkbox.checked = track[flagKey] === true;
+            checkbox.disabled = track.trackType.toLowerCase() === 'video';
+            checkbox.addEventListener('change', () =>
+                setTrackFlag(track.sequentialTrackNumber, track.trackType, flagKey, checkbox.checked)
+            );
+            field.appendChild(checkbox);
+            const hint = document.createElement('span');
+            hint.className = 'property-hint';
+            hint.textContent = 'Also shown in the table';
+            field.appendChild(hint);
+            return field;
+        }
+
+        // null when the file does not set the property, undefined when mkvmerge does not report it
+        const current = getHeaderValue(loadedInfo, section, prop.Name);
+        const pending = pendingPropertyChanges.get(key);
+        let input;
+        if (type === MkvPropertyType.Boolean) {
+            input = document.createElement('input');
+            input.type = 'checkbox';
+            if (pending && pending.ChangeType === MkvChangeType.Set) {
+                input.checked = pending.NewValue === '1';
+            } else {
+                showCurrentValue();
+            }
+            input.addEventListener('change', () => {
+                const value = input.checked ? '1' : '0';
+                if (current !== undefined && current !== null && isTrueValue(current) === input.checked) {
+                    pendingPropertyChanges.delete(key);
+                } else {
+                    pendingPropertyChanges.set(key, {
+                        PropertyName: prop.Name,
+                        Section: section,
+                        ChangeType: MkvChangeType.Set,
+                        NewValue: value
+                    });
+                }
+                refreshFieldState();
+            });
+        } else {
+            input = document.createElement('input');
+            input.type = 'text';
+            input.placeholder = current === undefined ? 'unchanged' : 'not set';
+            if (type === MkvPropertyType.Integer || type === MkvPropertyType.UnsignedInteger) {
+                input.inputMode = 'numeric';
+            } else if (type === MkvPropertyType.Float) {
+                input.inputMode = 'decimal';
+            }
+            if (pending && pending.ChangeType === MkvChangeType.Set) {
+                input.value = pending.NewValue ?? '';
+            } else if (invalidPropertyValues.has(key)) {
+                input.value = invalidPropertyValues.get(key);
+                input.title = validatePropertyValue(type, input.value) || '';
+            } else if (!pending) {
+                showCurrentValue();
+            }
+            if (type === MkvPropertyType.Binary || type === MkvPropertyType.Unknown) {
+                input.disabled = true;
+                input.placeholder = 'not editable';
+            }
+            input.addEventListener('input', () => {
+                const value = input.value;
+                const error = value.trim() === '' ? null : validatePropertyValue(type, value);
+                invalidPropertyValues.delete(key);
+                if (value.trim() === '' || (current !== undefined && value.trim() === (current ?? ''))) {
+                    pendingPropertyChanges.delete(key);
+                } else if (error) {
+                    invalidPropertyValues.set(key, value);
+                    pendingPropertyChanges.delete(key);
+                } else {
+                    pendingPropertyChanges.set(key, {
+                        PropertyName: prop.Name,
+                        Section: section,
+                        ChangeType: MkvChangeType.Set,
+                        NewValue: type === MkvPropertyType.String ? value : value.trim()
+                    });
+                }
+                input.title = error || '';
+                refreshFieldState();
+            });
+            // A field cleared without typing a new value goes back to showing the value on disk
+            input.addEventListener('change', () => {
+                if (!pendingPropertyChanges.has(key) && !invalidPropertyValues.has(key)) showCurrentValue();
+            });
+        }
+        input.id = inputId;
+        field.appendChild(input);
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.type = 'button';
+        deleteBtn.className = 'property-delete';
+        const canDelete = prop.CanBeDeleted !== false && !prop.IsRequired;
+        deleteBtn.disabled = !canDelete;
+        if (!canDelete) deleteBtn.title = 'This property cannot be removed';
+        deleteBtn.addEventListener('click', () => {
+            const existing = pendingPropertyChanges.get(key);
+            if (existing && existing.ChangeType === MkvChangeType.Delete) {
+                pendingPropertyChanges.delete(key);
+                showCurrentValue();
+            } else {
+                invalidPropertyValues.delete(key);
+                pendingPropertyChanges.set(key, {
+                    PropertyName: prop.Name,
+                    Section: section,
+                    ChangeType: MkvChangeType.Delete
+                });
+                if (input.type === 'checkbox') {
+                    input.checked = false;
+                    input.indeterminate = true;
+                } else {
+                    input.value = '';
+                    input.title = '';
+                }
+            }
+            refreshFieldState();
+        });
+        field.appendChild(deleteBtn);
+
+        // Show the value the file has now, which a change would overwrite
+        function showCurrentValue() {
+            if (input.type === 'checkbox') {
+                input.checked = current !== undefined && current !== null && isTrueValue(current);
+                input.indeterminate = current === undefined || current === null; // unknown or left to the default
+            } else {
+                input.value = current ?? '';
+                input.title = '';
+            }
+        }
+
+        function refreshFieldState() {
+            const change = pendingPropertyChanges.get(key);
+            const deleted = !!change && change.ChangeType === MkvChangeType.Delete;
+            field.classList.toggle('pending', !!change);
+            field.classList.toggle('deleted', deleted);
+            field.classList.toggle('invalid', invalidPropertyValues.has(key));
+            if (type !== MkvPropertyType.Binary && type !== MkvPropertyType.Unknown) {
+                input.disabled = deleted;
+            }
+            deleteBtn.textContent = deleted ? 'Undo' : 'Delete';
+            updatePendingUI();
+        }
+
+        // Initial state without touching the Save button while the table is being built
+        const initial = pendingPropertyChanges.get(key);
+        const initiallyDeleted = !!initial && initial.ChangeType === MkvChangeType.Delete;
+        field.classList.toggle('pending', !!initial);
+        field.classList.toggle('deleted', initiallyDeleted);
+        field.classList.toggle('invalid', invalidPropertyValues.has(key));
+        if (initiallyDeleted) input.disabled = true;
+        deleteBtn.textContent = initiallyDeleted ? 'Undo' : 'Delete';
+
+        return field;
+    }
+
+    function renderTracks(info, filePath = getSelectedPath()) {
+        // Hide raw JSON display if visible
+        const resultDisplay = document.getElementById('result-display');
+        if (resultDisplay && !resultDisplay.classList.contains('hidden')) {
+            resultDisplay.classList.add('hidden');
+        }
+
+        if (!tracksBody) return;
+        
+        // Store current file path for applying changes
+        if (filePath !== currentFilePath) inspectedTrackSeq = null;
+        currentFilePath = filePath;
+        loadedFingerprint = createFileFingerprint(info);
+        loadedInfo = info;
+        recordFileInfo(filePath, info);
+        syncChapterEditor();
+        syncTagEditor();
+
+        const tracks = toTrackStates(info);
+        if (tracks.length === 0) {
+            currentTracks = [];
+            loadedTracks = [];
+            loadedSegmentTitle = currentSegmentTitle = (info && info.SegmentTitle) || '';
+            resetPropertyEdits();
+            renderTracksFromState();
+            renderSegmentTitle();
+            renderSegmentEditor();
+            updatePendingUI();
+            return;
+        }
+
+        loadedTracks = tracks;
+        currentTracks = loadedTracks.map(t => ({ ...t }));
+        loadedSegmentTitle = currentSegmentTitle = (info && info.SegmentTitle) || '';
+        resetPropertyEdits();
+        ensureAvailableProperties();
+
+        renderTracksFromState();
+        renderSegmentTitle();
+        renderSegmentEditor();
+        updatePendingUI();
+    }
 
-    // Wire up picker buttons and list rendering
-    const pickFileBtn = document.getElementById('btnSelectFiles');
-    const pickFolderBtn = document.getElementById('btnSelectFolder');
-    const selectedFilesUl = document.getElementById('fileList');
-    const selectedPathEl = document.getElementById('selected-file-path');
-    const tracksWrapper = document.getElementById('tracks-wrapper');
-    const tracksBody = document.getElementById('tracks-body');
-    const lastDirDiv = null; // lastDir not shown in the new layout
-    let selectedLi = null;   // track current selection in the list
-    let lastLoadedPath = null; // track last loaded details path
-    let loadSeq = 0;           // sequence to avoid race conditions
-    let loadDebounceId = 0;    // debounce timer id
+    // Chapter editor (the Chapters tab). mkvpropedit --chapters replaces the whole list,
+    // so chapter edits are written on their own, apart from the header edits of the Tracks tab.
 
-    function renderLastDir() { /* no-op in the two-panel layout */ }
+    function loadDetailsTab() {
+        try {
+            const stored = window.localStorage.getItem(detailsTabKey);
+            return stored === 'chapters' || stored === 'tags' ? stored : 'tracks';
+        } catch {
+            return 'tracks';
+        }
+    }
 
-    function renderFiles(items) {
-        selectedFilesUl.innerHTML = '';
-        // Clear selection and displayed path on each render
-        clearSelectionAndPath();
-        if (!Array.isArray(items) || !items.length) {
-            const li = document.createElement('li');
-            li.textContent = 'No files selected';
-            li.dataset.placeholder = 'true';
-            selectedFilesUl.appendChild(li);
+    function setDetailsTab(tab) {
+        detailsTab = tab;
+        try { window.localStorage.setItem(detailsTabKey, tab); } catch {}
+        renderDetailsTab();
+        syncChapterEditor();
+        syncTagEditor();
+    }
+
+    function renderDetailsTab() {
+        if (detailsEl) detailsEl.dataset.tab = detailsTab;
+        for (const [button, tab] of [[tracksTabBtn, 'tracks'], [chaptersTabBtn, 'chapters'], [tagsTabBtn, 'tags']]) {
+            if (!button) continue;
+            button.setAttribute('aria-selected', String(detailsTab === tab));
+            button.tabIndex = detailsTab === tab ? 0 : -1;
+        }
+    }
+
+    function cloneChapter(chapter) {
+        return { ...chapter, names: chapter.names.map(name => ({ ...name })) };
+    }
+
+    function hasChapterEdits() {
+        if (!chaptersLoaded) return false;
+        return invalidChapterInputs.size > 0 ||
+            JSON.stringify(fromChapterStates(currentChapters)) !== JSON.stringify(fromChapterStates(loadedChapters));
+    }
+
+    /**
+     * Follow the file on the Tracks tab, reading its chapters once the Chapters tab is shown
+     */
+    function syncChapterEditor() {
+        if (chapterFilePath !== currentFilePath) {
+            chapterFilePath = currentFilePath;
+            chaptersLoaded = false;
+            loadedChapters = [];
+            currentChapters = [];
+            chapterDuration = null;
+            chapterWarnings = [];
+            chapterError = '';
+            chapterNote = '';
+            invalidChapterInputs.clear();
+        }
+        if (detailsTab === 'chapters' && chapterFilePath && !chaptersLoaded && !chapterError && chapterLoadPath !== chapterFilePath) {
+            loadChapters(chapterFilePath);
+        }
+        renderChapters();
+    }
+
+    /**
+     * Forget the chapters read for a file after they were written from outside the editor, so they are read again
+     * @param {string} path
+     */
+    function rereadChapters(path) {
+        if (chapterFilePath !== path) return;
+        chapterFilePath = null;
+        syncChapterEditor();
+    }
+
+    function loadChapters(path) {
+        const name = path.split(/[\\/]/).pop();
+        chapterLoadPath = path;
+        window.jobQueue.enqueue({
+            path,
+            kind: 'read',
+            label: 'Reading chapters',
+            run: async () => {
+                try {
+                    const list = await window.bridgeService.readMkvChapters(path);
+                    if (!list || list.IsValid === false) throw new Error((list && list.ErrorMessage) || 'The chapters could not be read');
+                    // A workspace restore may have put back saved edits meanwhile
+                    if (chapterFilePath === path && !chaptersLoaded) setLoadedChapters(list);
+                    return list;
+                } catch (err) {
+                    if (chapterFilePath === path) chapterError = `Could not read the chapters: ${err?.message || err}`;
+                    window.notifications.notify({ level: 'error', title: name, message: 'Could not read the chapters', details: err?.message || String(err) });
+                    throw err;
+                } finally {
+                    if (chapterLoadPath === path) chapterLoadPath = null;
+                    if (chapterFilePath === path) renderChapters();
+                }
+            }
+        }).catch(() => {
+            // Failures are reported above; a cancelled read is tried again when the tab is shown
+            if (chapterLoadPath === path) {
+                chapterLoadPath = null;
+                renderChapters();
+            }
+        });
+    }
+
+    /**
+     * Take a freshly read MkvChapterList as both the on-disk state and the working copy
+     * @param {object} list - MkvChapterList
+     */
+    function setLoadedChapters(list) {
+        loadedChapters = toChapterStates(list.Chapters);
+        currentChapters = loadedChapters.map(cloneChapter);
+        chapterDuration = list.DurationNanoseconds ?? null;
+        chapterWarnings = list.Warnings || [];
+        chapterError = '';
+        invalidChapterInputs.clear();
+        chaptersLoaded = true;
+    }
+
+    function renderChapterPlaceholder(text) {
+        const tr = document.createElement('tr');
+        tr.className = 'placeholder';
+        const td = document.createElement('td');
+        td.colSpan = 6;
+        td.textContent = text;
+        tr.appendChild(td);
+        chaptersBody.appendChild(tr);
+    }
+
+    function renderChapters() {
+        if (!chaptersBody) return;
+        chaptersBody.innerHTML = '';
+        if (!chapterFilePath) {
+            renderChapterPlaceholder('No file selected');
+        } else if (!chaptersLoaded) {
+            renderChapterPlaceholder(chapterError ? 'The chapters could not be read' : 'Reading chapters...');
+        } else if (!currentChapters.length) {
+            renderChapterPlaceholder('No chapters. Add one, generate them at an interval or import a chapter file.');
+        } else {
+            currentChapters.forEach((chapter, index) => chaptersBody.appendChild(buildChapterRow(chapter, index)));
+        }
+        updateChapterControls();
+    }
+
+    /**
+     * @param {object} chapter - Working-copy chapter state
+     * @param {number} index - Position in start order
+     * @returns {HTMLTableRowElement}
+     */
+    function buildChapterRow(chapter, index) {
+        const tr = document.createElement('tr');
+        tr.dataset.key = String(chapter.key);
+        const original = loadedChapters.find(c => c.key === chapter.key);
+        tr.classList.toggle('dirty', !original);
+        const label = `chapter ${index + 1}`;
+
+        const numberTd = document.createElement('td');
+        numberTd.textContent = String(index + 1);
+        tr.appendChild(numberTd);
+
+        for (const field of ['start', 'end']) {
+            const td = document.createElement('td');
+            td.className = 'chapter-time-cell';
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.className = 'cell-input';
+            input.spellcheck = false;
+            input.placeholder = field === 'end' ? '(none)' : '';
+            input.setAttribute('aria-label', `${field === 'start' ? 'Start' : 'End'} of ${label}`);
+            const invalidKey = `${chapter.key}:${field}`;
+            input.value = invalidChapterInputs.get(invalidKey) ?? (chapter[field] === null ? '' : formatChapterTime(chapter[field]));
+
+            const refreshCell = () => {
+                const invalid = invalidChapterInputs.has(invalidKey);
+                td.classList.toggle('invalid', invalid);
+                td.classList.toggle('changed', !!original && original[field] !== chapter[field]);
+                input.setAttribute('aria-invalid', String(invalid));
+                input.title = invalid ? 'Expected a time such as 00:01:30.500, 1:30.5 or 90.5' : '';
+            };
+            input.addEventListener('input', () => {
+                const raw = input.value;
+                const value = field === 'end' && !raw.trim() ? null : parseChapterTime(raw);
+                if (value === null && !(field === 'end' && !raw.trim())) {
+                    invalidChapterInputs.set(invalidKey, raw);
+                } else {
+                    invalidChapterInputs.delete(invalidKey);
+                    chapter[field] = value;
+                }
+                refreshCell();
+                chaptersEdited();
+            });
+            // Keep the list in start order once a time is committed
+            input.addEventListener('change', () => {
+                if (invalidChapterInputs.has(invalidKey)) return;
+                const order = currentChapters.map(c => c.key).join();
+                currentChapters.sort((a, b) => a.start - b.start);
+                if (currentChapters.map(c => c.key).join() !== order) renderChapters();
+                else input.value = chapter[field] === null ? '' : formatChapterTime(chapter[field]);
+            });
+            refreshCell();
+            td.appendChild(input);
+            tr.appendChild(td);
+        }
+
+        const nameTd = document.createElement('td');
+        nameTd.className = 'col-name-cell';
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.className = 'cell-input chapter-name-input';
+        nameInput.placeholder = '(no name)';
+        nameInput.value = chapter.names[0]?.name || '';
+        nameInput.setAttribute('aria-label', `Name of ${label}`);
+        nameTd.appendChild(nameInput);
+        if (chapter.names.length > 1) {
+            // Only the first display string is edited; the others are written back unchanged
+            const others = document.createElement('span');
+            others.className = 'chapter-other-names';
+            others.textContent = `+${chapter.names.length - 1}`;
+            others.title = chapter.names.slice(1)
+                .map(n => `${n.name} (${n.languageIetf || n.language || 'no language'})`).join('\n');
+            nameTd.appendChild(others);
+        }
+
+        const languageTd = document.createElement('td');
+        languageTd.className = 'col-lang-cell';
+        const languageInput = document.createElement('input');
+        languageInput.type = 'text';
+        languageInput.className = 'cell-input';
+        languageInput.spellcheck = false;
+        languageInput.placeholder = '(unspecified)';
+        languageInput.setAttribute('list', 'bcp47-tags');
+        languageInput.setAttribute('aria-label', `Language of ${label}`);
+        const first = chapter.names[0];
+        languageInput.value = first ? (first.languageIetf || (first.language ? deriveIetfFromLegacy(first.language) : '')) : '';
+        languageTd.appendChild(languageInput);
+
+        const ensureName = () => {
+            if (!chapter.names.length) chapter.names.push({ name: '', language: null, languageIetf: null });
+            return chapter.names[0];
+        };
+        const refreshNameCells = () => {
+            const before = original?.names[0] || { name: '', language: null, languageIetf: null };
+            const after = chapter.names[0] || { name: '', language: null, languageIetf: null };
+            nameTd.classList.toggle('changed', !!original && before.name !== after.name);
+            languageTd.classList.toggle('changed', !!original &&
+                (before.language !== after.language || before.languageIetf !== after.languageIetf));
+        };
+        nameInput.addEventListener('input', () => {
+            ensureName().name = nameInput.value;
+            refreshNameCells();
+            chaptersEdited();
+        });
+        languageInput.addEventListener('input', () => {
+            const raw = languageInput.value.trim();
+            const invalid = !!raw && !isValidLanguageTag(raw);
+            languageTd.classList.toggle('invalid', invalid);
+            languageInput.setAttribute('aria-invalid', String(invalid));
+            languageInput.title = invalid ? 'Not a valid BCP 47 language tag (e.g. en, pt-BR, zh-Hant)' : '';
+            if (invalid) {
+                invalidChapterInputs.set(`${chapter.key}:language`, raw);
+            } else {
+                invalidChapterInputs.delete(`${chapter.key}:language`);
+                const name = ensureName();
+                name.languageIetf = raw ? canonicalizeLanguageTag(raw) : null;
+                name.language = raw ? deriveLegacyLanguage(raw) : null;
+            }
+            refreshNameCells();
+            chaptersEdited();
+        });
+        refreshNameCells();
+
+        const removeTd = document.createElement('td');
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'chapter-remove';
+        removeBtn.textContent = '✕';
+        removeBtn.title = 'Remove this chapter';
+        removeBtn.setAttribute('aria-label', `Remove ${label}`);
+        removeBtn.addEventListener('click', () => {
+            currentChapters = currentChapters.filter(c => c !== chapter);
+            for (const key of invalidChapterInputs.keys()) {
+                if (key.startsWith(`${chapter.key}:`)) invalidChapterInputs.delete(key);
+            }
+            chapterNote = '';
+            renderChapters();
+            scheduleFileListRender();
+        });
+        removeTd.appendChild(removeBtn);
+
+        tr.append(nameTd, languageTd, removeTd);
+        return tr;
+    }
+
+    /**
+     * Refresh what depends on the chapter edits without rebuilding the rows being typed in
+     */
+    function chaptersEdited() {
+        chapterNote = '';
+        updateChapterControls();
+        // The current file's badge shows whether it has unsaved edits
+        scheduleFileListRender();
+    }
+
+    function updateChapterControls() {
+        const ready = !!chapterFilePath && chaptersLoaded;
+        const writing = !!chapterFilePath && window.jobQueue.hasActiveJob(chapterFilePath, 'write');
+        const dirty = hasChapterEdits();
+        const invalid = invalidChapterInputs.size;
+        const problems = ready ? validateChapters(currentChapters) : [];
+
+        if (addChapterBtn) addChapterBtn.disabled = !ready || writing;
+        if (shiftChaptersBtn) shiftChaptersBtn.disabled = !ready || writing || !currentChapters.length;
+        if (generateChaptersBtn) generateChaptersBtn.disabled = !ready || writing || !chapterDuration;
+        if (importChaptersBtn) importChaptersBtn.disabled = !ready || writing;
+        if (exportChaptersXmlBtn) exportChaptersXmlBtn.disabled = !ready || !currentChapters.length || invalid > 0;
+        if (exportChaptersOgmBtn) exportChaptersOgmBtn.disabled = !ready || !currentChapters.length || invalid > 0;
+        if (revertChaptersBtn) revertChaptersBtn.disabled = !dirty || writing;
+        if (writeChaptersBtn) writeChaptersBtn.disabled = !dirty || invalid > 0 || problems.length > 0 || writing;
+        if (generateChaptersBtn) {
+            generateChaptersBtn.title = ready && !chapterDuration
+                ? 'The duration of this file is unknown'
+                : 'Replace the chapters with ones at this interval up to the end of the file';
+        }
+
+        if (chapterCountEl) {
+            chapterCountEl.textContent = ready ? `(${currentChapters.length})` : '';
+            chapterCountEl.classList.toggle('dirty', dirty);
+            chapterCountEl.title = dirty ? 'Unsaved chapter edits' : '';
+        }
+        // The workspace keeps the chapter edits too
+        scheduleWorkspaceSave();
+        if (chapterMessageEl) {
+            chapterMessageEl.textContent = [
+                chapterError,
+                invalid ? `${invalid} invalid value${invalid === 1 ? '' : 's'}.` : '',
+                ...problems.map(problem => `${problem}.`),
+                ...chapterWarnings,
+                chapterNote
+            ].filter(Boolean).join(' ');
+        }
+    }
+
+    function addChapter() {
+        const last = currentChapters[currentChapters.length - 1];
+        const start = last ? last.start + 60 * NS_PER_SECOND : 0;
+        const language = last?.names[0] || {};
+        const chapter = createChapterState(start, `Chapter ${String(currentChapters.length + 1).padStart(2, '0')}`,
+            language.language || null, language.languageIetf || null);
+        currentChapters.push(chapter);
+        chapterNote = '';
+        renderChapters();
+        scheduleFileListRender();
+        const input = chaptersBody && chaptersBody.querySelector(`tr[data-key="${chapter.key}"] .chapter-name-input`);
+        if (input) {
+            input.focus();
+            input.select();
+        }
+    }
+
+    function shiftAllChapters() {
+        if (!chapterShiftInput) return;
+        const offset = parseChapterTime(chapterShiftInput.value, true);
+        chapterShiftInput.setAttribute('aria-invalid', String(offset === null));
+        if (offset === null) {
+            chapterNote = 'Enter the offset as a time, e.g. 2.5 or -00:00:01.500.';
+            updateChapterControls();
+            return;
+        }
+        const clamped = currentChapters.filter(c => c.start + offset < 0).length;
+        currentChapters = shiftChapters(currentChapters, offset);
+        for (const key of invalidChapterInputs.keys()) {
+            if (!key.endsWith(':language')) invalidChapterInputs.delete(key);
+        }
+        renderChapters();
+        chapterNote = `Shifted ${currentChapters.length} chapter${currentChapters.length === 1 ? '' : 's'} by ${offset < 0 ? '-' : '+'}${formatChapterTime(Math.abs(offset))}.` +
+            (clamped === 1 ? ' 1 chapter would have started before the beginning and now starts at 00:00:00.000.' : '') +
+            (clamped > 1 ? ` ${clamped} chapters would have started before the beginning and now start at 00:00:00.000.` : '');
+        updateChapterControls();
+        scheduleFileListRender();
+    }
+
+    function generateChapterList() {
+        if (!chapterIntervalInput || !chapterDuration) return;
+        const interval = parseChapterTime(chapterIntervalInput.value);
+        const valid = interval !== null && interval >= NS_PER_SECOND;
+        chapterIntervalInput.setAttribute('aria-invalid', String(!valid));
+        if (!valid) {
+            chapterNote = 'Enter an interval of at least one second, e.g. 5:00.';
+            updateChapterControls();
+            return;
+        }
+        const generated = generateChapters(chapterDuration, interval, currentChapters[0]?.names[0]?.languageIetf || null);
+        if (currentChapters.length &&
+            !window.confirm(`Replace the ${currentChapters.length} chapter${currentChapters.length === 1 ? '' : 's'} with ${generated.length} generated ones?`)) {
+            return;
+        }
+        currentChapters = generated;
+        invalidChapterInputs.clear();
+        renderChapters();
+        chapterNote = `Generated ${generated.length} chapter${generated.length === 1 ? '' : 's'}, one every ${formatChapterTime(interval)}.`;
+        updateChapterControls();
+        scheduleFileListRender();
+    }
+
+    /**
+     * Replace the working copy with the chapters of an OGM or Matroska XML file
+     * @param {File} file - Chosen by the user
+     */
+    async function importChapters(file) {
+        let imported;
+        try {
+            imported = parseChapterFile(await file.text());
+        } catch (error) {
+            chapterNote = `Import failed: ${error.message}`;
+            updateChapterControls();
+            return;
+        }
+        if (currentChapters.length &&
+            !window.confirm(`Replace the ${currentChapters.length} chapter${currentChapters.length === 1 ? '' : 's'} with the ${imported.length} from ${file.name}?`)) {
+            return;
+        }
+        currentChapters = imported;
+        invalidChapterInputs.clear();
+        renderChapters();
+        chapterNote = `Imported ${imported.length} chapter${imported.length === 1 ? '' : 's'} from ${file.name}.`;
+        updateChapterControls();
+        scheduleFileListRender();
+    }
+
+    function exportChapters(format) {
+        const baseName = (chapterFilePath || 'chapters').split(/[\\/]/).pop().replace(/\.[^.]+$/, '');
+        if (format === 'xml') {
+            downloadFile(formatChapterXml(currentChapters), `${baseName}.chapters.xml`, 'application/xml');
+        } else {
+            downloadFile(formatOgmChapters(currentChapters), `${baseName}.chapters.txt`, 'text/plain');
+        }
+    }
+
+    function revertChapters() {
+        currentChapters = loadedChapters.map(cloneChapter);
+        invalidChapterInputs.clear();
+        chapterNote = '';
+        renderChapters();
+        scheduleFileListRender();
+    }
+
+    /**
+     * Replace the chapters in the file with the working copy
+     */
+    async function writeChapters() {
+        const path = chapterFilePath;
+        if (!path || !chaptersLoaded || window.jobQueue.hasActiveJob(path, 'write')) return;
+        if (!hasChapterEdits() || invalidChapterInputs.size || validateChapters(currentChapters).length) return;
+
+        const chapters = fromChapterStates(currentChapters);
+        const expected = fromChapterStates(loadedChapters);
+        const job = window.jobQueue.enqueue({
+            path,
+            kind: 'write',
+            label: 'Writing chapters',
+            run: () => writeChapterList(path, chapters, expected)
+        });
+        updatePendingUI();
+        try {
+            await job;
+        } catch {
+            // Reported by writeChapterList and shown in the file list
+        }
+        updatePendingUI();
+    }
+
+    /**
+     * Chapter write job body: check for outside edits, write, report and re-read the file
+     * @param {string} path
+     * @param {Array} chapters - MkvChapter list to write
+     * @param {Array} expected - MkvChapter list the edits started from
+     */
+    async function writeChapterList(path, chapters, expected) {
+        const name = path.split(/[\\/]/).pop();
+
+        // Re-read first so chapters edited by another tool are not silently overwritten
+        const disk = await window.bridgeService.readMkvChapters(path);
+        if (!disk || disk.IsValid === false) throw new Error((disk && disk.ErrorMessage) || 'The chapters could not be read');
+        if (JSON.stringify(fromChapterStates(toChapterStates(disk.Chapters))) !== JSON.stringify(expected) &&
+            !window.confirm(`The chapters of ${name} changed on disk since they were read. Replace them anyway?`)) {
+            window.notifications.notify({ level: 'warning', title: name, message: 'Chapters not written: they changed on disk since they were read' });
+            return null;
+        }
+
+        let summary;
+        try {
+            summary = summarizeEditResult(await window.bridgeService.applyMkvChapters(path, chapters), 1);
+        } catch (error) {
+            summary = { success: false, level: 'error', details: error?.message || String(error) };
+        }
+        const wrote = chapters.length ? `Wrote ${chapters.length} chapter${chapters.length === 1 ? '' : 's'}` : 'Removed the chapters';
+        summary.message = !summary.success
+            ? 'The chapters could not be written'
+            : summary.level === 'warning' ? `${wrote} with warnings` : wrote;
+        window.notifications.notify({ level: summary.level, title: name, message: summary.message, details: summary.details });
+
+        // The write changed the file's size and date, so the track editor takes the new state
+        // (keeping its edits), and the chapter editor the chapters as written
+        try {
+            if (currentFilePath === path && summary.success) rebaseOntoDisk(await window.bridgeService.readMkvFile(path));
+            if (chapterFilePath === path && summary.success) {
+                const list = await window.bridgeService.readMkvChapters(path);
+                if (chapterFilePath === path && list && list.IsValid !== false) {
+                    const editedMeanwhile = JSON.stringify(fromChapterStates(currentChapters)) !== JSON.stringify(chapters);
+                    const working = currentChapters;
+                    setLoadedChapters(list);
+                    if (editedMeanwhile) currentChapters = working;
+                    renderChapters();
+                }
+            }
+        } catch (error) {
+            console.error('Failed to refresh file data:', error);
+        }
+        if (summary.success) setFileStatus(path, FileStatus.Saved);
+        else setFileStatus(path, FileStatus.Error, summary.details ? `${summary.message}: ${summary.details}` : summary.message);
+        if (!summary.success) throw new Error(summary.message);
+        return summary;
+    }
+
+    renderDetailsTab();
+    const detailsTabButtons = [[tracksTabBtn, 'tracks'], [chaptersTabBtn, 'chapters'], [tagsTabBtn, 'tags']].filter(([button]) => button);
+    for (const [button, tab] of detailsTabButtons) {
+        button.addEventListener('click', () => setDetailsTab(tab));
+        button.addEventListener('keydown', (e) => {
+            if (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight') return;
+            e.preventDefault();
+            const index = detailsTabButtons.findIndex(([, t]) => t === detailsTab);
+            const step = e.key === 'ArrowRight' ? 1 : detailsTabButtons.length - 1;
+            const [next, nextTab] = detailsTabButtons[(index + step) % detailsTabButtons.length];
+            setDetailsTab(nextTab);
+            next.focus();
+        });
+    }
+    if (addChapterBtn) addChapterBtn.addEventListener('click', addChapter);
+    if (shiftChaptersBtn) shiftChaptersBtn.addEventListener('click', shiftAllChapters);
+    if (generateChaptersBtn) generateChaptersBtn.addEventListener('click', generateChapterList);
+    for (const [input, action] of [[chapterShiftInput, shiftAllChapters], [chapterIntervalInput, generateChapterList]]) {
+        if (!input) continue;
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                action();
+            }
+        });
+        input.addEventListener('input', () => input.removeAttribute('aria-invalid'));
+    }
+    if (exportChaptersXmlBtn) exportChaptersXmlBtn.addEventListener('click', () => exportChapters('xml'));
+    if (exportChaptersOgmBtn) exportChaptersOgmBtn.addEventListener('click', () => exportChapters('ogm'));
+    if (importChaptersBtn && chapterImportInput) {
+        importChaptersBtn.addEventListener('click', () => chapterImportInput.click());
+        chapterImportInput.addEventListener('change', () => {
+            const file = chapterImportInput.files && chapterImportInput.files[0];
+            if (file) importChapters(file);
+            chapterImportInput.value = '';
+        });
+    }
+    if (revertChaptersBtn) revertChaptersBtn.addEventListener('click', revertChapters);
+    if (writeChaptersBtn) writeChaptersBtn.addEventListener('click', writeChapters);
+
+    // Tag editor (the Tags tab). mkvpropedit --tags replaces the tags of one selector at a time
+    // (the global ones, or those of one track), so only the targets with edits are written.
+
+    function cloneSimpleTag(simple) {
+        return { ...simple, children: simple.children.map(cloneSimpleTag) };
+    }
+
+    function cloneTag(tag) {
+        return { ...tag, simpleTags: tag.simpleTags.map(cloneSimpleTag) };
+    }
+
+    /**
+     * Scopes whose tags differ from the ones read from disk
+     * @returns {string[]} Global first, then tracks in order
+     */
+    function changedTagScopes() {
+        if (!tagsLoaded) return [];
+        return sortTagScopes([...loadedTags, ...currentTags].map(tag => tag.scope))
+            .filter(scope => JSON.stringify(fromTagStates(currentTags, scope)) !== JSON.stringify(fromTagStates(loadedTags, scope)));
+    }
+
+    function hasTagEdits() {
+        return tagsLoaded && (invalidTagInputs.size > 0 || changedTagScopes().length > 0);
+    }
+
+    /**
+     * Follow the file on the Tracks tab, reading its tags once the Tags tab is shown
+     */
+    function syncTagEditor() {
+        if (tagFilePath !== currentFilePath) {
+            tagFilePath = currentFilePath;
+            tagsLoaded = false;
+            loadedTags = [];
+            currentTags = [];
+            tagScope = 'global';
+            tagWarnings = [];
+            tagError = '';
+            tagNote = '';
+            invalidTagInputs.clear();
+        }
+        if (detailsTab === 'tags' && tagFilePath && !tagsLoaded && !tagError && tagLoadPath !== tagFilePath) {
+            loadTags(tagFilePath);
+        }
+        renderTags();
+    }
+
+    /**
+     * Forget the tags read for a file after they were written from outside the editor, so they are read again
+     * @param {string} path
+     */
+    function rereadTags(path) {
+        if (tagFilePath !== path) return;
+        tagFilePath = null;
+        syncTagEditor();
+    }
+
+    function loadTags(path) {
+        const name = path.split(/[\\/]/).pop();
+        tagLoadPath = path;
+        window.jobQueue.enqueue({
+            path,
+            kind: 'read',
+            label: 'Reading tags',
+            run: async () => {
+                try {
+                    const list = await window.bridgeService.readMkvTags(path);
+                    if (!list || list.IsValid === false) throw new Error((list && list.ErrorMessage) || 'The tags could not be read');
+                    if (tagFilePath === path && !tagsLoaded) setLoadedTags(list);
+                    return list;
+                } catch (err) {
+                    if (tagFilePath === path) tagError = `Could not read the tags: ${err?.message || err}`;
+                    window.notifications.notify({ level: 'error', title: name, message: 'Could not read the tags', details: err?.message || String(err) });
+                    throw err;
+                } finally {
+                    if (tagLoadPath === path) tagLoadPath = null;
+                    if (tagFilePath === path) renderTags();
+                }
+            }
+        }).catch(() => {
+            // Failures are reported above; a cancelled read is tried again when the tab is shown
+            if (tagLoadPath === path) {
+                tagLoadPath = null;
+                renderTags();
+            }
+        });
+    }
+
+    /**
+     * Take a freshly read MkvTagList as both the on-disk state and the working copy
+     * @param {object} list - MkvTagList
+     */
+    function setLoadedTags(list) {
+        const { states, unmatched } = toTagStates(list.Tags, loadedTracks);
+        loadedTags = states;
+        currentTags = loadedTags.map(cloneTag);
+        tagWarnings = [...(list.Warnings || [])];
+        if (unmatched === 1) tagWarnings.push('1 tag is for a track this file does not have and is not shown.');
+        if (unmatched > 1) tagWarnings.push(`${unmatched} tags are for tracks this file does not have and are not shown.`);
+        tagError = '';
+        invalidTagInputs.clear();
+        tagsLoaded = true;
+    }
+
+    function trackOfTagScope(scope) {
+        const seq = Number(scope.slice('track:'.length));
+        return loadedTracks.find(t => t.sequentialTrackNumber === seq) || null;
+    }
+
+    function tagScopeLabel(scope) {
+        if (scope === 'global') return 'Global (whole file)';
+        const track = trackOfTagScope(scope);
+        if (!track) return scope.replace('track:', 'Track ');
+        const parts = [track.trackType];
+        if (!isUndeterminedLanguage(track)) parts.push(track.langIetf || track.langLegacy);
+        if (track.name) parts.push(`"${track.name}"`);
+        return `Track ${track.sequentialTrackNumber} (${parts.join(', ')})`;
+    }
+
+    function countSimpleTags(scope) {
+        return currentTags.filter(tag => tag.scope === scope).reduce((count, tag) => count + tag.simpleTags.length, 0);
+    }
+
+    function renderTagScopes() {
+        if (!tagScopeSelect) return;
+        const scopes = ['global', ...loadedTracks.map(t => `track:${t.sequentialTrackNumber}`)];
+        if (!scopes.includes(tagScope)) tagScope = 'global';
+        const changed = new Set(changedTagScopes());
+        const options = scopes.map(scope => [scope,
+            `${tagScopeLabel(scope)}${tagsLoaded ? ` (${countSimpleTags(scope)})` : ''}${changed.has(scope) ? ' *' : ''}`]);
+        // Rebuilt only when a label changes, so typing does not reset an open list
+        const signature = JSON.stringify(options);
+        if (tagScopeSelect.dataset.signature !== signature) {
+            tagScopeSelect.innerHTML = '';
+            for (const [scope, label] of options) {
+                const option = document.createElement('option');
+                option.value = scope;
+                option.textContent = label;
+                tagScopeSelect.appendChild(option);
+            }
+            tagScopeSelect.dataset.signature = signature;
+        }
+        tagScopeSelect.value = tagScope;
+    }
+
+    function renderTagPlaceholder(text) {
+        const tr = document.createElement('tr');
+        tr.className = 'placeholder';
+        const td = document.createElement('td');
+        td.colSpan = 4;
+        td.textContent = text;
+        tr.appendChild(td);
+        tagsBody.appendChild(tr);
+    }
+
+    function renderTags() {
+        if (!tagsBody) return;
+        tagsBody.innerHTML = '';
+        const groups = currentTags.filter(tag => tag.scope === tagScope && tag.simpleTags.length);
+        if (!tagFilePath) {
+            renderTagPlaceholder('No file selected');
+        } else if (!tagsLoaded) {
+            renderTagPlaceholder(tagError ? 'The tags could not be read' : 'Reading tags...');
+        } else if (!groups.length) {
+            renderTagPlaceholder(`No ${tagScope === 'global' ? 'global tags' : 'tags for this track'}. Add one or import a tag file.`);
+        } else {
+            let index = 0;
+            for (const tag of groups) {
+                tagsBody.appendChild(buildTagGroupRow(tag));
+                for (const simple of tag.simpleTags) tagsBody.appendChild(buildSimpleTagRow(tag, simple, index++));
+            }
+        }
+        updateTagControls();
+    }
+
+    /**
+     * Heading row naming the target level of the SimpleTags below it
+     * @param {object} tag - Tag state
+     * @returns {HTMLTableRowElement}
+     */
+    function buildTagGroupRow(tag) {
+        const level = tag.targetTypeValue ?? 50;
+        const tr = document.createElement('tr');
+        tr.className = 'tag-group';
+        const th = document.createElement('th');
+        th.colSpan = 4;
+        th.scope = 'rowgroup';
+        th.textContent = `${tag.targetType || TAG_TARGET_LEVELS[level] || 'Target'} (level ${level})`;
+        tr.appendChild(th);
+        return tr;
+    }
+
+    /**
+     * @param {object} tag - Working-copy tag state the SimpleTag belongs to
+     * @param {object} simple - Working-copy SimpleTag state
+     * @param {number} index - Position in the table
+     * @returns {HTMLTableRowElement}
+     */
+    function buildSimpleTagRow(tag, simple, index) {
+        const tr = document.createElement('tr');
+        tr.dataset.key = String(simple.key);
+        const original = loadedTags.flatMap(t => t.simpleTags).find(s => s.key === simple.key);
+        tr.classList.toggle('dirty', !original);
+        tr.classList.toggle('tag-statistics', isStatisticsTag(simple.name));
+        const label = `tag ${index + 1}`;
+
+        const nameTd = document.createElement('td');
+        nameTd.className = 'col-name-cell';
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.className = 'cell-input tag-name-input';
+        nameInput.spellcheck = false;
+        nameInput.placeholder = 'NAME';
+        nameInput.value = simple.name;
+        nameInput.setAttribute('list', 'matroska-tag-names');
+        nameInput.setAttribute('aria-label', `Name of ${label}`);
+        nameTd.appendChild(nameInput);
+        if (simple.children.length) {
+            // Nested SimpleTags are not edited; they are written back unchanged
+            const nested = document.createElement('span');
+            nested.className = 'chapter-other-names';
+            nested.textContent = `+${simple.children.length}`;
+            nested.title = simple.children.map(child => `${child.name}: ${child.value ?? ''}`).join('\n');
+            nameTd.appendChild(nested);
+        }
+
+        const valueTd = document.createElement('td');
+        const valueInput = document.createElement('input');
+        valueInput.type = 'text';
+        valueInput.className = 'cell-input';
+        valueInput.placeholder = '(empty)';
+        valueInput.value = simple.value ?? '';
+        valueInput.setAttribute('aria-label', `Value of ${label}`);
+        valueTd.appendChild(valueInput);
+
+        const languageTd = document.createElement('td');
+        languageTd.className = 'col-lang-cell';
+        const languageInput = document.createElement('input');
+        languageInput.type = 'text';
+        languageInput.className = 'cell-input';
+        languageInput.spellcheck = false;
+        languageInput.placeholder = '(unspecified)';
+        languageInput.setAttribute('list', 'bcp47-tags');
+        languageInput.setAttribute('aria-label', `Language of ${label}`);
+        languageInput.value = simple.languageIetf || (simple.language ? deriveIetfFromLegacy(simple.language) : '');
+        languageTd.appendChild(languageInput);
+
+        const refreshCells = () => {
+            const unnamed = !simple.name.trim();
+            nameTd.classList.toggle('invalid', unnamed);
+            nameInput.setAttribute('aria-invalid', String(unnamed));
+            nameTd.classList.toggle('changed', !!original && original.name !== simple.name);
+            valueTd.classList.toggle('changed', !!original && original.value !== simple.value);
+            languageTd.classList.toggle('changed', !!original &&
+                (original.language !== simple.language || original.languageIetf !== simple.languageIetf));
+            tr.classList.toggle('tag-statistics', isStatisticsTag(simple.name));
+        };
+        nameInput.addEventListener('input', () => {
+            simple.name = nameInput.value;
+            refreshCells();
+            tagsEdited();
+        });
+        valueInput.addEventListener('input', () => {
+            simple.value = valueInput.value || null;
+            refreshCells();
+            tagsEdited();
+        });
+        languageInput.addEventListener('input', () => {
+            const raw = languageInput.value.trim();
+            const invalid = !!raw && !isValidLanguageTag(raw);
+            languageTd.classList.toggle('invalid', invalid);
+            languageInput.setAttribute('aria-invalid', String(invalid));
+            languageInput.title = invalid ? 'Not a valid BCP 47 language tag (e.g. en, pt-BR, zh-Hant)' : '';
+            if (invalid) {
+                invalidTagInputs.set(`${simple.key}:language`, raw);
+            } else {
+                invalidTagInputs.delete(`${simple.key}:language`);
+                simple.languageIetf = raw ? canonicalizeLanguageTag(raw) : null;
+                simple.language = raw ? deriveLegacyLanguage(raw) : null;
+            }
+            refreshCells();
+            tagsEdited();
+        });
+        refreshCells();
+
+        const removeTd = document.createElement('td');
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'chapter-remove';
+        removeBtn.textContent = '✕';
+        removeBtn.title = 'Remove this tag';
+        removeBtn.setAttribute('aria-label', `Remove ${label}`);
+        removeBtn.addEventListener('click', () => {
+            tag.simpleTags = tag.simpleTags.filter(s => s !== simple);
+            invalidTagInputs.delete(`${simple.key}:language`);
+            tagNote = '';
+            renderTags();
+            scheduleFileListRender();
+        });
+        removeTd.appendChild(removeBtn);
+
+        tr.append(nameTd, valueTd, languageTd, removeTd);
+        return tr;
+    }
+
+    /**
+     * Refresh what depends on the tag edits without rebuilding the rows being typed in
+     */
+    function tagsEdited() {
+        tagNote = '';
+        updateTagControls();
+        // The current file's badge shows whether it has unsaved edits
+        scheduleFileListRender();
+    }
+
+    function updateTagControls() {
+        const ready = !!tagFilePath && tagsLoaded;
+        const writing = !!tagFilePath && window.jobQueue.hasActiveJob(tagFilePath, 'write');
+        const changed = changedTagScopes();
+        const dirty = hasTagEdits();
+        const invalid = invalidTagInputs.size;
+        const problems = ready ? validateTags(currentTags) : [];
+        const statistics = currentTags.some(tag => tag.simpleTags.some(simple => isStatisticsTag(simple.name)));
+
+        renderTagScopes();
+        if (tagScopeSelect) tagScopeSelect.disabled = !ready;
+        if (addTagBtn) addTagBtn.disabled = !ready || writing;
+        if (clearStatisticsTagsBtn) clearStatisticsTagsBtn.disabled = !ready || writing || !statistics;
+        if (importTagsBtn) importTagsBtn.disabled = !ready || writing;
+        if (exportTagsBtn) exportTagsBtn.disabled = !ready || invalid > 0 || !fromTagStates(currentTags).length;
+        if (revertTagsBtn) revertTagsBtn.disabled = !dirty || writing;
+        if (writeTagsBtn) writeTagsBtn.disabled = !changed.length || invalid > 0 || problems.length > 0 || writing;
+
+        if (tagCountEl) {
+            tagCountEl.textContent = ready ? `(${currentTags.reduce((count, tag) => count + tag.simpleTags.length, 0)})` : '';
+            tagCountEl.classList.toggle('dirty', dirty);
+            tagCountEl.title = dirty ? 'Unsaved tag edits' : '';
+        }
+        // The workspace keeps the tag edits too
+        scheduleWorkspaceSave();
+        if (tagMessageEl) {
+            tagMessageEl.textContent = [
+                tagError,
+                invalid ? `${invalid} invalid value${invalid === 1 ? '' : 's'}.` : '',
+                ...problems.map(problem => `${problem}.`),
+                ...tagWarnings,
+                tagNote
+            ].filter(Boolean).join(' ');
+        }
+    }
+
+    function addTag() {
+        // New SimpleTags join the tag of the scope's main level, or a new one
+        const scopeTags = currentTags.filter(tag => tag.scope === tagScope);
+        let tag = scopeTags.find(t => (t.targetTypeValue ?? 50) === 50) || scopeTags[0];
+        if (!tag) {
+            tag = createTagState(tagScope, trackOfTagScope(tagScope)?.details.uid || null);
+            currentTags.push(tag);
+        }
+        const simple = createSimpleTagState();
+        tag.simpleTags.push(simple);
+        tagNote = '';
+        renderTags();
+        scheduleFileListRender();
+        const input = tagsBody && tagsBody.querySelector(`tr[data-key="${simple.key}"] .tag-name-input`);
+        if (input) input.focus();
+    }
+
+    function clearStatistics() {
+        const { states, removed } = clearStatisticsTags(currentTags);
+        if (!removed) return;
+        currentTags = states;
+        const remaining = new Set(currentTags.flatMap(tag => tag.simpleTags.map(simple => `${simple.key}:language`)));
+        for (const key of invalidTagInputs.keys()) {
+            if (!remaining.has(key)) invalidTagInputs.delete(key);
+        }
+        tagNote = `Removed ${removed} statistics tag${removed === 1 ? '' : 's'}; Write Tags removes them from the file.`;
+        renderTags();
+        scheduleFileListRender();
+    }
+
+    /**
+     * Replace the tags of the targets a Matroska tag XML file has tags for. Tags without a
+     * TrackUID go to the target on show, those for a track of this file to that track.
+     * @param {File} file - Chosen by the user
+     */
+    async function importTags(file) {
+        let parsed;
+        try {
+            parsed = parseTagXml(await file.text());
+        } catch (error) {
+            tagNote = `Import failed: ${error.message}`;
+            updateTagControls();
             return;
         }
-        for (const item of items) {
-            const f = typeof item === 'string' ? item : item.FullPath;
-            const name = typeof item === 'string' ? (f.split(/[\\/]/).pop()) : item.FileName;
-            const li = document.createElement('li');
-            li.textContent = name || f;
-            li.dataset.fullpath = f;
-            li.title = f; // show full path on hover
-            selectedFilesUl.appendChild(li);
+        const selectedUid = tagScope === 'global' ? null : trackOfTagScope(tagScope)?.details.uid || null;
+        const { states, unmatched } = toTagStates(
+            parsed.tags.map(tag => tag.TrackUid ? tag : { ...tag, TrackUid: selectedUid }), loadedTracks);
+        const imported = states.reduce((count, tag) => count + tag.simpleTags.length, 0);
+        const left = parsed.skipped + unmatched;
+        const leftOut = left ? ` ${left} tag${left === 1 ? ' was' : 's were'} left out (binary values, other targets or tracks this file does not have).` : '';
+        if (!imported) {
+            tagNote = `${file.name} has no tags for this file.${leftOut}`;
+            updateTagControls();
+            return;
+        }
+        const scopes = sortTagScopes(states.map(tag => tag.scope));
+        const replaced = scopes.reduce((count, scope) => count + countSimpleTags(scope), 0);
+        if (replaced &&
+            !window.confirm(`Replace the tags of ${scopes.map(tagScopeLabel).join(', ')} with the ${imported} from ${file.name}?`)) {
+            return;
+        }
+        currentTags = currentTags.filter(tag => !scopes.includes(tag.scope)).concat(states);
+        const remaining = new Set(currentTags.flatMap(tag => tag.simpleTags.map(simple => `${simple.key}:language`)));
+        for (const key of invalidTagInputs.keys()) {
+            if (!remaining.has(key)) invalidTagInputs.delete(key);
         }
+        tagNote = `Imported ${imported} tag${imported === 1 ? '' : 's'} from ${file.name}.${leftOut}`;
+        renderTags();
+        scheduleFileListRender();
     }
 
-    function setSelectedLi(li) {
-        if (!li || li.dataset.placeholder === 'true') return;
-        if (selectedLi === li) return;
-        if (selectedLi) selectedLi.classList.remove('selected');
-        selectedLi = li;
-        selectedLi.classList.add('selected');
-        renderSelectedPath(selectedLi.dataset.fullpath || '');
+    function exportTags() {
+        const baseName = (tagFilePath || 'tags').split(/[\\/]/).pop().replace(/\.[^.]+$/, '');
+        downloadFile(formatTagXml(fromTagStates(currentTags)), `${baseName}.tags.xml`, 'application/xml');
     }
 
-    function getSelectedPath() {
-        return selectedLi && selectedLi.dataset.fullpath ? selectedLi.dataset.fullpath : null;
+    function revertTags() {
+        currentTags = loadedTags.map(cloneTag);
+        invalidTagInputs.clear();
+        tagNote = '';
+        renderTags();
+        scheduleFileListRender();
     }
 
-    function renderSelectedPath(path) {
-        if (!selectedPathEl) return;
-        const text = path || '';
-        selectedPathEl.textContent = text;
-        selectedPathEl.title = text;
-    }
+    /**
+     * Replace the tags of the changed targets in the file with the working copy
+     */
+    async function writeTags() {
+        const path = tagFilePath;
+        if (!path || !tagsLoaded || window.jobQueue.hasActiveJob(path, 'write')) return;
+        const changed = changedTagScopes();
+        if (!changed.length || invalidTagInputs.size || validateTags(currentTags).length) return;
 
-    function clearTracks() {
-        if (!tracksBody) return;
-        currentTracks = [];
-        currentFilePath = null;
-        tracksBody.innerHTML = '';
-        const tr = document.createElement('tr');
-        tr.className = 'placeholder';
-        const td = document.createElement('td');
-        td.colSpan = 7;
-        td.textContent = 'No file selected';
-        tr.appendChild(td);
-        tracksBody.appendChild(tr);
-        // Hide raw JSON panel if visible
-        const resultDisplay = document.getElementById('result-display');
-        if (resultDisplay && !resultDisplay.classList.contains('hidden')) {
-            resultDisplay.classList.add('hidden');
+        const scopes = changed.map(scope => ({ Selector: scope, Tags: fromTagStates(currentTags, scope) }));
+        const expected = changed.map(scope => fromTagStates(loadedTags, scope));
+        const tracks = loadedTracks;
+        const written = fromTagStates(currentTags);
+        const job = window.jobQueue.enqueue({
+            path,
+            kind: 'write',
+            label: 'Writing tags',
+            run: () => writeTagScopes(path, scopes, expected, tracks, written)
+        });
+        updatePendingUI();
+        try {
+            await job;
+        } catch {
+            // Reported by writeTagScopes and shown in the file list
         }
+        updatePendingUI();
     }
 
-    function clearSelectionAndPath() {
-        // Remove any existing selected highlight
-        if (selectedLi) {
-            selectedLi.classList.remove('selected');
+    /**
+     * Tag write job body: check for outside edits, write, report and re-read the file
+     * @param {string} path
+     * @param {Array} scopes - MkvTagScope list to write
+     * @param {Array} expected - MkvTag list of each scope the edits started from
+     * @param {Array} tracks - Track states the scopes were numbered against
+     * @param {Array} written - Every tag of the working copy, to tell later edits apart
+     */
+    async function writeTagScopes(path, scopes, expected, tracks, written) {
+        const name = path.split(/[\\/]/).pop();
+
+        // Re-read first so tags edited by another tool are not silently overwritten
+        const disk = await window.bridgeService.readMkvTags(path);
+        if (!disk || disk.IsValid === false) throw new Error((disk && disk.ErrorMessage) || 'The tags could not be read');
+        const onDisk = toTagStates(disk.Tags, tracks).states;
+        const outside = scopes.filter((scope, i) =>
+            JSON.stringify(fromTagStates(onDisk, scope.Selector)) !== JSON.stringify(expected[i]));
+        if (outside.length &&
+            !window.confirm(`The tags of ${name} (${outside.map(s => s.Selector).join(', ')}) changed on disk since they were read. Replace them anyway?`)) {
+            window.notifications.notify({ level: 'warning', title: name, message: 'Tags not written: they changed on disk since they were read' });
+            return null;
+        }
+        const removed = getRemovedHiddenTags(disk.HiddenTags, scopes.map(s => s.Selector), tracks);
+        if (removed.length &&
+            !window.confirm(`Writing these tags removes ${removed.length === 1 ? '1 tag' : `${removed.length} tags`} of ${name} the editor cannot show:\n` +
+                removed.map(hidden => `- ${hidden.Description}`).join('\n') +
+                '\n\nThe History dialog can restore them afterwards. Write anyway?')) {
+            window.notifications.notify({ level: 'warning', title: name, message: 'Tags not written: they would have removed tags the editor cannot show' });
+            return null;
         }
-        selectedLi = null;
-        lastLoadedPath = null;
-        renderSelectedPath('');
-    }
 
-    function requestLoadSelected(delayMs = 200) {
-        if (loadDebounceId) {
-            clearTimeout(loadDebounceId);
-            loadDebounceId = 0;
+        let summary;
+        try {
+            summary = summarizeEditResult(await window.bridgeService.applyMkvTags(path, scopes), 1);
+        } catch (error) {
+            summary = { success: false, level: 'error', details: error?.message || String(error) };
         }
-        loadDebounceId = setTimeout(loadSelectedInternal, delayMs);
-    }
+        const trackCount = scopes.filter(s => s.Selector !== 'global').length;
+        const wrote = 'Wrote ' + [
+            scopes.some(s => s.Selector === 'global') ? 'the global tags' : '',
+            trackCount ? `the tags of ${trackCount} track${trackCount === 1 ? '' : 's'}` : ''
+        ].filter(Boolean).join(' and ');
+        summary.message = !summary.success
+            ? 'The tags could not be written'
+            : summary.level === 'warning' ? `${wrote} with warnings` : wrote;
+        window.notifications.notify({ level: summary.level, title: name, message: summary.message, details: summary.details });
 
-    async function loadSelectedInternal() {
-        loadDebounceId = 0;
-        const path = getSelectedPath();
-        if (!path) return;
-        if (path === lastLoadedPath) return; // no-op if already loaded
-        const seq = ++loadSeq;
-        showLoading();
+        // As after a chapter write: the track editor takes the new file state, the tag editor the tags as written
         try {
-            const info = await window.bridgeService.readMkvFile(path);
-            if (seq !== loadSeq) return; // stale
-            renderTracks(info);
-            lastLoadedPath = path;
-        } catch (err) {
-            if (seq !== loadSeq) return; // stale
-            // On error, show JSON result for debugging
-            showResult({ error: err?.message || String(err), file: path });
-        } finally {
-            if (seq === loadSeq) hideLoading();
+            if (currentFilePath === path && summary.success) rebaseOntoDisk(await window.bridgeService.readMkvFile(path));
+            if (tagFilePath === path && summary.success) {
+                const list = await window.bridgeService.readMkvTags(path);
+                if (tagFilePath === path && list && list.IsValid !== false) {
+                    const editedMeanwhile = JSON.stringify(fromTagStates(currentTags)) !== JSON.stringify(written);
+                    const working = currentTags;
+                    setLoadedTags(list);
+                    if (editedMeanwhile) currentTags = working;
+                    renderTags();
+                }
+            }
+        } catch (error) {
+            console.error('Failed to refresh file data:', error);
         }
+        if (summary.success) setFileStatus(path, FileStatus.Saved);
+        else setFileStatus(path, FileStatus.Error, summary.details ? `${summary.message}: ${summary.details}` : summary.message);
+        if (!summary.success) throw new Error(summary.message);
+        return summary;
     }
 
-    async function handlePickFiles() {
-        const files = await window.bridgeService.pickMkvFiles();
-        if (Array.isArray(files) && files.length > 0) {
-            clearTracks();
-            clearSelectionAndPath();
-            renderFiles(files);
-            renderLastDir();
-        }
+    if (tagScopeSelect) {
+        tagScopeSelect.addEventListener('change', () => {
+            tagScope = tagScopeSelect.value;
+            tagNote = '';
+            renderTags();
+        });
+    }
+    if (addTagBtn) addTagBtn.addEventListener('click', addTag);
+    if (clearStatisticsTagsBtn) clearStatisticsTagsBtn.addEventListener('click', clearStatistics);
+    if (exportTagsBtn) exportTagsBtn.addEventListener('click', exportTags);
+    if (importTagsBtn && tagImportInput) {
+        importTagsBtn.addEventListener('click', () => tagImportInput.click());
+        tagImportInput.addEventListener('change', () => {
+            const file = tagImportInput.files && tagImportInput.files[0];
+            if (file) importTags(file);
+            tagImportInput.value = '';
+        });
     }
+    if (revertTagsBtn) revertTagsBtn.addEventListener('click', revertTags);
+    if (writeTagsBtn) writeTagsBtn.addEventListener('click', writeTags);
 
-    async function handlePickFolder() {
-        const files = await window.bridgeService.pickMkvFolder();
-        if (Array.isArray(files) && files.length > 0) {
-            clearTracks();
-            clearSelectionAndPath();
-            renderFiles(files);
-            renderLastDir();
+    // Workspaces (named file lists with their view settings and unsaved edits, persisted in browser storage).
+    // The open workspace is saved as you work and reopened on the next start.
+
+    function loadLastWorkspaceName() {
+        try {
+            return window.localStorage.getItem(lastWorkspaceKey) || DEFAULT_WORKSPACE_NAME;
+        } catch {
+            return DEFAULT_WORKSPACE_NAME;
         }
     }
 
-    if (pickFileBtn) pickFileBtn.addEventListener('click', handlePickFiles);
-    if (pickFolderBtn) pickFolderBtn.addEventListener('click', handlePickFolder);
+    /**
+     * @returns {object} Workspace name -> workspace
+     */
+    function loadWorkspaces() {
+        try {
+            const stored = JSON.parse(window.localStorage.getItem(workspacesKey) || '{}');
+            return stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {};
+        } catch {
+            return {};
+        }
+    }
 
-    // Event delegation for list interactions
-    if (selectedFilesUl) {
-        selectedFilesUl.addEventListener('click', (e) => {
-            const li = e.target && e.target.closest('li');
-            if (!li || !selectedFilesUl.contains(li)) return;
-            if (li.dataset.placeholder === 'true') return;
-            setSelectedLi(li);
-            // Debounced load on single-click (helps avoid double-load on double-click)
-            requestLoadSelected(200);
-        });
+    /**
+     * @param {object} workspaces - Workspace name -> workspace
+     * @returns {boolean} False when browser storage refused the write (usually because it is full)
+     */
+    function saveWorkspaces(workspaces) {
+        try {
+            window.localStorage.setItem(workspacesKey, JSON.stringify(workspaces));
+            return true;
+        } catch {
+            return false;
+        }
+    }
 
-        selectedFilesUl.addEventListener('dblclick', async (e) => {
-            const li = e.target && e.target.closest('li');
-            if (!li || !selectedFilesUl.contains(li)) return;
-            if (li.dataset.placeholder === 'true') return;
-            setSelectedLi(li);
-            // Immediate load on double-click
-            requestLoadSelected(0);
-        });
+    function setOpenWorkspaceName(name) {
+        workspaceName = name;
+        try { window.localStorage.setItem(lastWorkspaceKey, name); } catch {}
+        if (workspacesBtn) workspacesBtn.title = `Workspace: ${name}`;
     }
-    renderLastDir();
 
-    // Track state management
-    let currentTracks = [];
-    let currentFilePath = null;
+    /**
+     * The file list, view settings and unsaved edits as a workspace stores them. Read files
+     * keep a compact fingerprint so a restore can tell which changed in the meantime.
+     * @returns {object}
+     */
+    function captureWorkspace() {
+        const fingerprints = {};
+        for (const [path, info] of loadedInfos) fingerprints[path] = compactFingerprint(createFileFingerprint(info));
+        return {
+            savedAt: new Date().toISOString(),
+            files: fileEntries.map(entry => ({
+                FullPath: entry.path,
+                FileName: entry.name,
+                RelativeDirectory: entry.folder,
+                FileSize: entry.size,
+                LastModifiedUtc: Number.isFinite(entry.modified) ? new Date(entry.modified).toISOString() : null
+            })),
+            fingerprints,
+            selectedPath: getSelectedPath(),
+            fileSort,
+            fileFilter,
+            collapsedGroups: Array.from(collapsedGroups),
+            flagColumns: visibleFlagColumns,
+            edits: currentFilePath && (hasPendingChanges() || hasChapterEdits() || hasTagEdits()) ? {
+                path: currentFilePath,
+                fingerprint: loadedFingerprint,
+                segmentTitle: currentSegmentTitle,
+                tracks: currentTracks,
+                propertyChanges: Array.from(pendingPropertyChanges),
+                invalidValues: Array.from(invalidPropertyValues),
+                // The chapters and tags as read go along, so writing them later still spots outside changes
+                chapters: chapterFilePath === currentFilePath && hasChapterEdits() ? {
+                    loaded: fromChapterStates(loadedChapters),
+                    current: fromChapterStates(currentChapters),
+                    duration: chapterDuration,
+                    warnings: chapterWarnings
+                } : null,
+                tags: tagFilePath === currentFilePath && hasTagEdits() ? {
+                    loaded: fromTagStates(loadedTags),
+                    current: fromTagStates(currentTags),
+                    warnings: tagWarnings
+                } : null
+            } : null
+        };
+    }
 
     /**
-     * Refresh the current file data from the backend
+     * Store the open workspace now
      */
-    async function refreshCurrentFileData() {
-        if (!currentFilePath) return;
-        
-        try {
-            const info = await window.bridgeService.readMkvFile(currentFilePath);
-            renderTracks(info);
-        } catch (error) {
-            console.error('Failed to refresh file data:', error);
+    function saveOpenWorkspace() {
+        if (workspaceSaveTimer) {
+            clearTimeout(workspaceSaveTimer);
+            workspaceSaveTimer = 0;
+        }
+        if (!workspaceReady) return;
+        const workspaces = loadWorkspaces();
+        workspaces[workspaceName] = captureWorkspace();
+        if (saveWorkspaces(workspaces)) {
+            workspaceSaveFailed = false;
+            return;
         }
+        // Say so once rather than on every edit
+        if (!workspaceSaveFailed) {
+            window.notifications.notify({
+                level: 'warning',
+                title: 'Workspace',
+                message: `"${workspaceName}" could not be saved; browser storage is full`
+            });
+        }
+        workspaceSaveFailed = true;
+    }
+
+    function scheduleWorkspaceSave() {
+        if (!workspaceReady || workspaceSaveTimer) return;
+        workspaceSaveTimer = setTimeout(saveOpenWorkspace, WORKSPACE_SAVE_DELAY_MS);
     }
 
     /**
-     * Apply changes to MKV file immediately
-     * @param {number} sequentialTrackNumber - Sequential track number (1-based) for mkvpropedit
-     * @param {string} property - Property name ('flag-enabled', 'flag-default', 'flag-forced')
-     * @param {boolean} value - New value
+     * Replace the file list, view settings and edits with a stored workspace, then check its
+     * files against the disk
+     * @param {string} name
+     * @param {object} workspace - From captureWorkspace; an empty object opens an empty list
      */
-    async function applyTrackChange(sequentialTrackNumber, property, value) {
-        if (!currentFilePath) {
-            console.error('No file selected for applying changes');
-            return;
+    async function restoreWorkspace(name, workspace) {
+        const generation = ++workspaceGeneration;
+        // Keep autosave from storing a half-restored workspace
+        workspaceReady = false;
+        setOpenWorkspaceName(name);
+        stopFolderScan();
+
+        if (workspace.fileSort && workspace.fileSort.key in FILE_SORT_LABELS) {
+            fileSort = { key: workspace.fileSort.key, descending: !!workspace.fileSort.descending };
+            saveFileSort();
+            renderSortControls();
+        }
+        fileFilter = workspace.fileFilter || '';
+        if (fileFilterInput) fileFilterInput.value = fileFilter;
+        if (Array.isArray(workspace.flagColumns)) {
+            visibleFlagColumns = Object.keys(TRACK_FLAG_LABELS).filter(key => workspace.flagColumns.includes(key));
+            saveFlagColumns();
+            renderTrackHeader();
+            renderColumnPicker();
         }
+        clearTracks();
+        renderFiles(Array.isArray(workspace.files) ? workspace.files : []);
+        for (const folder of workspace.collapsedGroups || []) collapsedGroups.add(folder);
+        invalidateFileRows();
 
+        const edits = workspace.edits && fileEntriesByPath.has(workspace.edits.path) ? workspace.edits : null;
+        const checks = checkWorkspaceFiles(name, workspace, generation, edits ? edits.path : null);
+        const selected = edits ? edits.path : workspace.selectedPath;
         try {
-            const changes = [{
-                PropertyName: property,
-                Section: `track:${sequentialTrackNumber}`,
-                ChangeType: 0, // 0 = Set
-                NewValue: value ? '1' : '0'
-            }];
-
-            console.log('Applying change:', { sequentialTrackNumber, property, value, filePath: currentFilePath });
-            await window.bridgeService.applyMkvChanges(currentFilePath, changes);
-            console.log('✅ Change applied successfully');
-        } catch (error) {
-            console.error('❌ Failed to apply change:', error);
-            // Optionally revert UI state or show error message
-            throw error;
+            if (selected && fileEntriesByPath.has(selected)) {
+                setSelectedPath(selected);
+                if (edits) await restoreWorkspaceEdits(edits, generation); else requestLoadSelected(0);
+            }
+        } finally {
+            if (generation === workspaceGeneration) {
+                workspaceReady = true;
+                scheduleWorkspaceSave();
+            }
         }
+        await checks;
     }
 
     /**
-     * Handle checkbox change with mutual exclusion logic
-     * @param {Event} event - Checkbox change event
-     * @param {number} sequentialTrackNumber - Sequential track number (1-based)
-     * @param {string} trackType - Track type ('video', 'audio', 'subtitle')
-     * @param {string} property - Property type ('enabled', 'default', 'forced')
+     * Load the file the workspace had unsaved edits to and put them back on top of the header
+     * it had then. If the file changed since, the conflict dialog decides between disk and edits.
+     * @param {object} edits - captureWorkspace().edits
+     * @param {number} generation - Restore this belongs to
      */
-    async function handleCheckboxChange(event, sequentialTrackNumber, trackType, property) {
-        const checkbox = event.target;
-        const newValue = checkbox.checked;
-
-        // Video tracks cannot be modified
-        if (trackType.toLowerCase() === 'video') {
-            checkbox.checked = !newValue; // Revert change
+    async function restoreWorkspaceEdits(edits, generation) {
+        const path = edits.path;
+        const name = path.split(/[\\/]/).pop();
+        let info;
+        try {
+            info = await window.jobQueue.enqueue({
+                path,
+                kind: 'load',
+                label: 'Reading',
+                run: () => window.bridgeService.readMkvFile(path)
+            });
+        } catch (err) {
+            info = { IsValid: false, ErrorMessage: err?.message || String(err) };
+        }
+        if (generation !== workspaceGeneration || getSelectedPath() !== path) return;
+        if (!info || info.IsValid === false) {
+            const error = info?.ErrorMessage || 'File is not a valid MKV file';
+            setFileStatus(path, FileStatus.Error, error);
+            window.notifications.notify({
+                level: 'error',
+                title: name,
+                message: 'The unsaved edits of the workspace were not restored: the file could not be read',
+                details: error
+            });
             return;
         }
 
-        try {
-            // For audio/subtitle tracks, implement mutual exclusion
-            if (newValue) {
-                // If checking this box, uncheck all others of the same type and property
-                const propertyName = `flag-${property}`;
-                
-                // Find all tracks of the same type that have this property enabled
-                const tracksToDisable = currentTracks
-                    .filter(track => track.trackType === trackType && track.sequentialTrackNumber !== sequentialTrackNumber)
-                    .filter(track => track[property] === true);
+        renderTracks(info, path);
+        lastLoadedPath = path;
+        const saved = JSON.parse(edits.fingerprint.header);
+        loadedFingerprint = edits.fingerprint;
+        loadedTracks = saved.tracks;
+        loadedSegmentTitle = saved.title;
+        currentTracks = edits.tracks;
+        currentSegmentTitle = edits.segmentTitle;
+        for (const [key, change] of edits.propertyChanges || []) pendingPropertyChanges.set(key, change);
+        for (const [key, value] of edits.invalidValues || []) invalidPropertyValues.set(key, value);
+        if (edits.chapters) {
+            chapterFilePath = path;
+            setLoadedChapters({ Chapters: edits.chapters.loaded, DurationNanoseconds: edits.chapters.duration, Warnings: edits.chapters.warnings });
+            currentChapters = toChapterStates(edits.chapters.current);
+        }
+        if (edits.tags) {
+            tagFilePath = path;
+            setLoadedTags({ Tags: edits.tags.loaded, Warnings: edits.tags.warnings });
+            currentTags = toTagStates(edits.tags.current, loadedTracks).states;
+        }
+        renderTracksFromState();
+        renderSegmentTitle();
+        renderSegmentEditor();
+        renderChapters();
+        renderTags();
+        updatePendingUI();
 
-                // Disable other tracks first
-                for (const track of tracksToDisable) {
-                    await applyTrackChange(track.sequentialTrackNumber, propertyName, false);
-                    track[property] = false;
-                }
+        const reasons = compareFingerprints(edits.fingerprint, createFileFingerprint(info));
+        if (reasons.length) {
+            setFileStatus(path, FileStatus.Changed, `Changed since the workspace was saved: ${reasons.join(', ')}`);
+            openConflictDialog(info, reasons);
+        }
+    }
 
-                // Enable this track
-                await applyTrackChange(sequentialTrackNumber, propertyName, true);
-                
-                // Update local state
-                const currentTrack = currentTracks.find(t => t.sequentialTrackNumber === sequentialTrackNumber);
-                if (currentTrack) {
-                    currentTrack[property] = true;
+    /**
+     * Flag files of a restored workspace that are gone, or whose headers changed since it was saved
+     * @param {string} name - Workspace name, for the report
+     * @param {object} workspace
+     * @param {number} generation - Restore this belongs to
+     * @param {string|null} skipPath - File restoreWorkspaceEdits checks itself
+     */
+    async function checkWorkspaceFiles(name, workspace, generation, skipPath) {
+        const fingerprints = workspace.fingerprints || {};
+        const paths = fileEntries.map(entry => entry.path).filter(path => path !== skipPath);
+        let missing = 0;
+        let changed = 0;
+        await Promise.all(paths.map(path => window.jobQueue.enqueue({
+            path,
+            kind: 'read',
+            label: 'Checking',
+            run: async () => {
+                if (generation !== workspaceGeneration) return;
+                const exists = await window.bridgeService.isValidMkvFile(path);
+                if (generation !== workspaceGeneration) return;
+                if (!exists) {
+                    missing++;
+                    setFileStatus(path, FileStatus.Error, 'Missing, or no longer a valid Matroska file');
+                    return;
                 }
-            } else {
-                // Unchecking - just disable this track
-                const propertyName = `flag-${property}`;
-                await applyTrackChange(sequentialTrackNumber, propertyName, false);
-                
-                // Update local state
-                const currentTrack = currentTracks.find(t => t.sequentialTrackNumber === sequentialTrackNumber);
-                if (currentTrack) {
-                    currentTrack[property] = false;
+                if (!fingerprints[path]) return;
+                const info = await window.bridgeService.readMkvFile(path);
+                if (generation !== workspaceGeneration) return;
+                recordFileInfo(path, info);
+                const reasons = compareFingerprints(fingerprints[path], compactFingerprint(createFileFingerprint(info)));
+                if (reasons.length) {
+                    changed++;
+                    setFileStatus(path, FileStatus.Changed, `Changed since the workspace was saved: ${reasons.join(', ')}`);
                 }
             }
+        }).catch(() => {}))); // A failed check leaves the file as it was listed
 
-            // Re-render to update checkbox states
-            renderTracksFromState();
-            
-            // Also refresh the data from the file to ensure UI is in sync
-            await refreshCurrentFileData();
-
-        } catch (error) {
-            // Revert checkbox state on error
-            checkbox.checked = !newValue;
-            console.error('Failed to apply checkbox change:', error);
-        }
+        if (generation !== workspaceGeneration || !(missing || changed)) return;
+        const found = [];
+        if (missing) found.push(`${missing} file${missing === 1 ? ' is' : 's are'} missing`);
+        if (changed) found.push(`${changed} file${changed === 1 ? '' : 's'} changed on disk`);
+        window.notifications.notify({
+            level: 'warning',
+            title: name,
+            message: `Since the workspace was saved, ${found.join(' and ')}`,
+            details: 'Hover the status of a flagged file for details.'
+        });
     }
 
     /**
-     * Render tracks table from current state
+     * Reopen the workspace that was open when the app last closed
      */
-    function renderTracksFromState() {
-        if (!tracksBody) return;
-        tracksBody.innerHTML = '';
+    function restoreLastWorkspace() {
+        setOpenWorkspaceName(workspaceName);
+        const workspace = loadWorkspaces()[workspaceName];
+        if (workspace) {
+            restoreWorkspace(workspaceName, workspace);
+        } else {
+            workspaceReady = true;
+            scheduleWorkspaceSave();
+        }
+    }
 
-        if (!Array.isArray(currentTracks) || currentTracks.length === 0) {
-            const tr = document.createElement('tr');
-            tr.className = 'placeholder';
-            const td = document.createElement('td');
-            td.colSpan = 7;
-            td.textContent = 'No tracks found';
-            tr.appendChild(td);
-            tracksBody.appendChild(tr);
-            return;
+    function setWorkspaceMessage(text) {
+        if (workspaceMessageEl) workspaceMessageEl.textContent = text || '';
+    }
+
+    function openWorkspacesDialog() {
+        if (!workspacesDialog) return;
+        saveOpenWorkspace();
+        setWorkspaceMessage('');
+        if (workspaceNameInput) workspaceNameInput.value = '';
+        renderWorkspaceList();
+        if (typeof workspacesDialog.showModal === 'function') {
+            workspacesDialog.showModal();
+        } else {
+            workspacesDialog.setAttribute('open', '');
         }
+    }
 
-        for (const track of currentTracks) {
-            const tr = document.createElement('tr');
+    function closeWorkspacesDialog() {
+        if (!workspacesDialog) return;
+        if (typeof workspacesDialog.close === 'function') workspacesDialog.close(); else workspacesDialog.removeAttribute('open');
+    }
 
-            // Create text cells for ID, Type, and Language columns
-            const textCells = [track.trackNumber, track.trackType, track.langIetf, track.langLegacy];
-            for (const val of textCells) {
-                const td = document.createElement('td');
-                td.textContent = val == null ? '' : String(val);
-                tr.appendChild(td);
-            }
-            
-            // Create checkbox cells for boolean columns (Enabled, Default, Forced)
-            const properties = ['enabled', 'default', 'forced'];
-            properties.forEach(property => {
-                const td = document.createElement('td');
-                const checkbox = document.createElement('input');
-                checkbox.type = 'checkbox';
-                checkbox.checked = track[property] === true;
-                
-                // Disable checkboxes for video tracks
-                if (track.trackType.toLowerCase() === 'video') {
-                    checkbox.disabled = true;
-                    checkbox.title = 'Video track properties cannot be modified';
-                } else {
-                    checkbox.disabled = false;
-                    checkbox.addEventListener('change', (e) => 
-                        handleCheckboxChange(e, track.sequentialTrackNumber, track.trackType, property)
-                    );
-                }
-                
-                td.appendChild(checkbox);
-                tr.appendChild(td);
-            });
-            
-            tracksBody.appendChild(tr);
+    function renderWorkspaceList() {
+        if (!workspaceListEl) return;
+        workspaceListEl.innerHTML = '';
+        const workspaces = loadWorkspaces();
+        const names = Object.keys(workspaces).sort((a, b) => a.localeCompare(b));
+        if (!names.includes(workspaceName)) names.unshift(workspaceName);
+        for (const name of names) {
+            const workspace = workspaces[name] || {};
+            const open = name === workspaceName;
+            const li = document.createElement('li');
+            li.classList.toggle('open', open);
+
+            const title = document.createElement('span');
+            title.className = 'workspace-name';
+            title.textContent = open ? `${name} (open)` : name;
+            const status = document.createElement('span');
+            status.className = 'workspace-status';
+            const count = (workspace.files || []).length;
+            const parts = [`${count} file${count === 1 ? '' : 's'}`];
+            if (workspace.savedAt) parts.push(`saved ${new Date(workspace.savedAt).toLocaleString()}`);
+            if (workspace.edits) parts.push(`unsaved edits to ${workspace.edits.path.split(/[\\/]/).pop()}`);
+            status.textContent = parts.join(', ');
+
+            const openBtn = document.createElement('button');
+            openBtn.type = 'button';
+            openBtn.textContent = 'Open';
+            openBtn.disabled = open;
+            openBtn.addEventListener('click', () => switchWorkspace(name));
+            const deleteBtn = document.createElement('button');
+            deleteBtn.type = 'button';
+            deleteBtn.textContent = 'Delete';
+            deleteBtn.disabled = open;
+            deleteBtn.addEventListener('click', () => deleteWorkspace(name));
+
+            li.append(title, status, openBtn, deleteBtn);
+            workspaceListEl.appendChild(li);
         }
     }
 
-    function renderTracks(info) {
-        // Hide raw JSON display if visible
-        const resultDisplay = document.getElementById('result-display');
-        if (resultDisplay && !resultDisplay.classList.contains('hidden')) {
-            resultDisplay.classList.add('hidden');
+    /**
+     * Save the open workspace, then open another; nothing is lost, so there is nothing to confirm
+     * @param {string} name
+     */
+    function switchWorkspace(name) {
+        saveOpenWorkspace();
+        const workspace = loadWorkspaces()[name];
+        if (!workspace) return;
+        closeWorkspacesDialog();
+        restoreWorkspace(name, workspace);
+    }
+
+    function deleteWorkspace(name) {
+        if (!window.confirm(`Delete the workspace "${name}"?`)) return;
+        const workspaces = loadWorkspaces();
+        delete workspaces[name];
+        saveWorkspaces(workspaces);
+        renderWorkspaceList();
+        setWorkspaceMessage(`Deleted "${name}"`);
+    }
+
+    /**
+     * Name typed in the dialog, or null (with a message) when it cannot be used
+     * @returns {string|null}
+     */
+    function readWorkspaceName() {
+        const name = workspaceNameInput ? workspaceNameInput.value.trim() : '';
+        if (!name) {
+            setWorkspaceMessage('Enter a name for the workspace');
+            return null;
         }
+        return name;
+    }
 
-        if (!tracksBody) return;
-        
-        // Store current file path for applying changes
-        currentFilePath = getSelectedPath();
+    /**
+     * Store the open file list under a new name and keep working in it
+     */
+    function saveWorkspaceAs() {
+        const name = readWorkspaceName();
+        if (!name) return;
+        if (name !== workspaceName && loadWorkspaces()[name] && !window.confirm(`Replace the workspace "${name}"?`)) return;
+        setOpenWorkspaceName(name);
+        saveOpenWorkspace();
+        if (workspaceNameInput) workspaceNameInput.value = '';
+        renderWorkspaceList();
+        setWorkspaceMessage(`Saved as "${name}"`);
+    }
 
-        const tracks = (info && (info.Tracks || info.tracks)) || [];
-        if (!Array.isArray(tracks) || tracks.length === 0) {
-            currentTracks = [];
-            renderTracksFromState();
+    /**
+     * Save the open workspace and start an empty one
+     */
+    function createWorkspace() {
+        const name = readWorkspaceName();
+        if (!name) return;
+        if (name === workspaceName || loadWorkspaces()[name]) {
+            setWorkspaceMessage(`A workspace named "${name}" already exists`);
             return;
         }
+        saveOpenWorkspace();
+        closeWorkspacesDialog();
+        restoreWorkspace(name, {});
+    }
 
-        // Convert tracks to internal state format
-        currentTracks = tracks.map((t, index) => ({
-            trackNumber: t.TrackNumber ?? t.id ?? t.Id ?? '',
-            sequentialTrackNumber: index + 1, // Sequential numbering starting from 1
-            trackType: t.TrackType ?? t.type ?? t.Type ?? '',
-            langIetf: t.LanguageIetf ?? ((t.properties && t.properties.language_ietf) || ''),
-            langLegacy: t.LanguageLegacy ?? ((t.properties && t.properties.language) || ''),
-            enabled: t.IsEnabled ?? t.enabled ?? t.Enabled,
-            default: t.IsDefault ?? t.default ?? t.Default,
-            forced: t.IsForced ?? t.forced ?? t.Forced
-        }));
-
-        renderTracksFromState();
+    if (workspacesBtn) workspacesBtn.addEventListener('click', openWorkspacesDialog);
+    if (saveWorkspaceAsBtn) saveWorkspaceAsBtn.addEventListener('click', saveWorkspaceAs);
+    if (newWorkspaceBtn) newWorkspaceBtn.addEventListener('click', createWorkspace);
+    if (workspaceNameInput) {
+        workspaceNameInput.addEventListener('keydown', (event) => {
+            if (event.key !== 'Enter') return;
+            event.preventDefault();
+            saveWorkspaceAs();
+        });
     }
+    // Closing the window may not leave time for the delayed save
+    window.addEventListener('pagehide', saveOpenWorkspace);
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') saveOpenWorkspace();
+    });
+    window.appBridge.ready.then(restoreLastWorkspace);
 }
 
 // App initialization
 document.addEventListener('DOMContentLoaded', () => {
     console.log('DOM ready - Pure JavaScript frontend starting');
     
+    // The Blazor WebView script only loads inside the MAUI host
+    if (!window.appBridge.isInitialized && typeof window.Blazor === 'undefined') {
+        initializeStandaloneBridge();
+    }
+
     // Initialize the UI first
     initializeUI();
     
-    console.log('Waiting for .NET bridge initialization...');
+    if (!window.appBridge.isInitialized) {
+        console.log('Waiting for .NET bridge initialization...');
+    }
     console.log('Frontend ready - awaiting bridge connection');
 });
\ No newline at end of file
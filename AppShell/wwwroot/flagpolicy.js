@@ -0,0 +1,83 @@
+// Flag policies: which tracks lose a flag when it is set on another. Pure functions over track states, no DOM
+
+// How setting a flag on one track affects the other tracks
+const FlagPolicy = Object.freeze({
+    PerType: 'type',         // only one track of each type may have the flag
+    PerLanguage: 'language', // only one track per type and language may have the flag
+    Free: 'free'             // tracks are independent
+});
+
+const FLAG_POLICY_LABELS = {
+    [FlagPolicy.PerType]: 'Exclusive per track type',
+    [FlagPolicy.PerLanguage]: 'Exclusive per type and language',
+    [FlagPolicy.Free]: 'Free'
+};
+
+const DEFAULT_FLAG_POLICY = {
+    enabled: FlagPolicy.Free,
+    default: FlagPolicy.PerType,
+    forced: FlagPolicy.PerLanguage,
+    hearingImpaired: FlagPolicy.Free,
+    visualImpaired: FlagPolicy.Free,
+    commentary: FlagPolicy.Free,
+    original: FlagPolicy.Free,
+    textDescriptions: FlagPolicy.Free
+};
+
+/**
+ * Reduce a typed language (IETF tag or ISO 639-2 code) to a comparable ISO 639-2 code
+ * @param {string} language - e.g. 'ja', 'jpn', 'en-US', 'deu'
+ * @returns {string}
+ */
+function normalizeLanguageKey(language) {
+    const text = String(language || '').trim().toLowerCase();
+    const legacy = deriveLegacyLanguage(text);
+    return legacy !== 'und' ? legacy : (text || 'und');
+}
+
+/**
+ * Language used to group tracks for the per-language policy ('en' and 'eng' group together)
+ * @param {object} track - Track state
+ * @returns {string} ISO 639-2 code, 'und' when unknown
+ */
+function getTrackLanguageKey(track) {
+    const fromIetf = deriveLegacyLanguage(track.langIetf || '');
+    if (fromIetf !== 'und') return fromIetf;
+    return normalizeLanguageKey(track.langLegacy || 'und');
+}
+
+/**
+ * The group within which a policy keeps a flag on one track only
+ * @param {object} track - Track state
+ * @param {string} flag - Track state key ('default', 'forced', ...)
+ * @param {object} policy - Track state key -> FlagPolicy mode
+ * @returns {string|null} Group key, or null when the flag is free
+ */
+function getFlagPolicyGroup(track, flag, policy) {
+    const mode = (policy && policy[flag]) || FlagPolicy.Free;
+    if (mode === FlagPolicy.Free) return null;
+    return mode === FlagPolicy.PerLanguage ? `${track.trackType}:${getTrackLanguageKey(track)}` : track.trackType;
+}
+
+/**
+ * Set a flag on one track and clear it on the tracks the policy puts in the same group
+ * @param {Array} tracks - Track states (left untouched)
+ * @param {number} sequentialTrackNumber - Track being changed
+ * @param {string} flag - Track state key ('default', 'forced', ...)
+ * @param {boolean} value - New flag value
+ * @param {object} policy - Track state key -> FlagPolicy mode
+ * @returns {Array} New track states
+ */
+function applyFlagPolicy(tracks, sequentialTrackNumber, flag, value, policy) {
+    const target = tracks.find(t => t.sequentialTrackNumber === sequentialTrackNumber);
+    const mode = (policy && policy[flag]) || FlagPolicy.Free;
+    return tracks.map(track => {
+        if (track === target) return { ...track, [flag]: value };
+        if (!target || !value || mode === FlagPolicy.Free) return { ...track };
+        if (track.trackType !== target.trackType) return { ...track };
+        if (mode === FlagPolicy.PerLanguage && getTrackLanguageKey(track) !== getTrackLanguageKey(target)) {
+            return { ...track };
+        }
+        return { ...track, [flag]: false };
+    });
+}
@@ -0,0 +1,242 @@
+// Language data and BCP 47 helpers for track language editing
+
+/**
+ * ISO 639-1 languages with their ISO 639-2/B code (the legacy Matroska "language" element)
+ * Format: [ISO 639-1, ISO 639-2/B, English name]
+ */
+const ISO_639_1_LANGUAGES = [
+    ['aa', 'aar', 'Afar'], ['ab', 'abk', 'Abkhazian'], ['ae', 'ave', 'Avestan'], ['af', 'afr', 'Afrikaans'],
+    ['ak', 'aka', 'Akan'], ['am', 'amh', 'Amharic'], ['an', 'arg', 'Aragonese'], ['ar', 'ara', 'Arabic'],
+    ['as', 'asm', 'Assamese'], ['av', 'ava', 'Avaric'], ['ay', 'aym', 'Aymara'], ['az', 'aze', 'Azerbaijani'],
+    ['ba', 'bak', 'Bashkir'], ['be', 'bel', 'Belarusian'], ['bg', 'bul', 'Bulgarian'], ['bi', 'bis', 'Bislama'],
+    ['bm', 'bam', 'Bambara'], ['bn', 'ben', 'Bengali'], ['bo', 'tib', 'Tibetan'], ['br', 'bre', 'Breton'],
+    ['bs', 'bos', 'Bosnian'], ['ca', 'cat', 'Catalan'], ['ce', 'che', 'Chechen'], ['ch', 'cha', 'Chamorro'],
+    ['co', 'cos', 'Corsican'], ['cr', 'cre', 'Cree'], ['cs', 'cze', 'Czech'], ['cu', 'chu', 'Church Slavic'],
+    ['cv', 'chv', 'Chuvash'], ['cy', 'wel', 'Welsh'], ['da', 'dan', 'Danish'], ['de', 'ger', 'German'],
+    ['dv', 'div', 'Divehi'], ['dz', 'dzo', 'Dzongkha'], ['ee', 'ewe', 'Ewe'], ['el', 'gre', 'Greek'],
+    ['en', 'eng', 'English'], ['eo', 'epo', 'Esperanto'], ['es', 'spa', 'Spanish'], ['et', 'est', 'Estonian'],
+    ['eu', 'baq', 'Basque'], ['fa', 'per', 'Persian'], ['ff', 'ful', 'Fulah'], ['fi', 'fin', 'Finnish'],
+    ['fj', 'fij', 'Fijian'], ['fo', 'fao', 'Faroese'], ['fr', 'fre', 'French'], ['fy', 'fry', 'Western Frisian'],
+    ['ga', 'gle', 'Irish'], ['gd', 'gla', 'Scottish Gaelic'], ['gl', 'glg', 'Galician'], ['gn', 'grn', 'Guarani'],
+    ['gu', 'guj', 'Gujarati'], ['gv', 'glv', 'Manx'], ['ha', 'hau', 'Hausa'], ['he', 'heb', 'Hebrew'],
+    ['hi', 'hin', 'Hindi'], ['ho', 'hmo', 'Hiri Motu'], ['hr', 'hrv', 'Croatian'], ['ht', 'hat', 'Haitian'],
+    ['hu', 'hun', 'Hungarian'], ['hy', 'arm', 'Armenian'], ['hz', 'her', 'Herero'], ['ia', 'ina', 'Interlingua'],
+    ['id', 'ind', 'Indonesian'], ['ie', 'ile', 'Interlingue'], ['ig', 'ibo', 'Igbo'], ['ii', 'iii', 'Sichuan Yi'],
+    ['ik', 'ipk', 'Inupiaq'], ['io', 'ido', 'Ido'], ['is', 'ice', 'Icelandic'], ['it', 'ita', 'Italian'],
+    ['iu', 'iku', 'Inuktitut'], ['ja', 'jpn', 'Japanese'], ['jv', 'jav', 'Javanese'], ['ka', 'geo', 'Georgian'],
+    ['kg', 'kon', 'Kongo'], ['ki', 'kik', 'Kikuyu'], ['kj', 'kua', 'Kuanyama'], ['kk', 'kaz', 'Kazakh'],
+    ['kl', 'kal', 'Kalaallisut'], ['km', 'khm', 'Khmer'], ['kn', 'kan', 'Kannada'], ['ko', 'kor', 'Korean'],
+    ['kr', 'kau', 'Kanuri'], ['ks', 'kas', 'Kashmiri'], ['ku', 'kur', 'Kurdish'], ['kv', 'kom', 'Komi'],
+    ['kw', 'cor', 'Cornish'], ['ky', 'kir', 'Kirghiz'], ['la', 'lat', 'Latin'], ['lb', 'ltz', 'Luxembourgish'],
+    ['lg', 'lug', 'Ganda'], ['li', 'lim', 'Limburgan'], ['ln', 'lin', 'Lingala'], ['lo', 'lao', 'Lao'],
+    ['lt', 'lit', 'Lithuanian'], ['lu', 'lub', 'Luba-Katanga'], ['lv', 'lav', 'Latvian'], ['mg', 'mlg', 'Malagasy'],
+    ['mh', 'mah', 'Marshallese'], ['mi', 'mao', 'Maori'], ['mk', 'mac', 'Macedonian'], ['ml', 'mal', 'Malayalam'],
+    ['mn', 'mon', 'Mongolian'], ['mr', 'mar', 'Marathi'], ['ms', 'may', 'Malay'], ['mt', 'mlt', 'Maltese'],
+    ['my', 'bur', 'Burmese'], ['na', 'nau', 'Nauru'], ['nb', 'nob', 'Norwegian Bokmål'], ['nd', 'nde', 'North Ndebele'],
+    ['ne', 'nep', 'Nepali'], ['ng', 'ndo', 'Ndonga'], ['nl', 'dut', 'Dutch'], ['nn', 'nno', 'Norwegian Nynorsk'],
+    ['no', 'nor', 'Norwegian'], ['nr', 'nbl', 'South Ndebele'], ['nv', 'nav', 'Navajo'], ['ny', 'nya', 'Chichewa'],
+    ['oc', 'oci', 'Occitan'], ['oj', 'oji', 'Ojibwa'], ['om', 'orm', 'Oromo'], ['or', 'ori', 'Oriya'],
+    ['os', 'oss', 'Ossetian'], ['pa', 'pan', 'Panjabi'], ['pi', 'pli', 'Pali'], ['pl', 'pol', 'Polish'],
+    ['ps', 'pus', 'Pashto'], ['pt', 'por', 'Portuguese'], ['qu', 'que', 'Quechua'], ['rm', 'roh', 'Romansh'],
+    ['rn', 'run', 'Rundi'], ['ro', 'rum', 'Romanian'], ['ru', 'rus', 'Russian'], ['rw', 'kin', 'Kinyarwanda'],
+    ['sa', 'san', 'Sanskrit'], ['sc', 'srd', 'Sardinian'], ['sd', 'snd', 'Sindhi'], ['se', 'sme', 'Northern Sami'],
+    ['sg', 'sag', 'Sango'], ['si', 'sin', 'Sinhala'], ['sk', 'slo', 'Slovak'], ['sl', 'slv', 'Slovenian'],
+    ['sm', 'smo', 'Samoan'], ['sn', 'sna', 'Shona'], ['so', 'som', 'Somali'], ['sq', 'alb', 'Albanian'],
+    ['sr', 'srp', 'Serbian'], ['ss', 'ssw', 'Swati'], ['st', 'sot', 'Southern Sotho'], ['su', 'sun', 'Sundanese'],
+    ['sv', 'swe', 'Swedish'], ['sw', 'swa', 'Swahili'], ['ta', 'tam', 'Tamil'], ['te', 'tel', 'Telugu'],
+    ['tg', 'tgk', 'Tajik'], ['th', 'tha', 'Thai'], ['ti', 'tir', 'Tigrinya'], ['tk', 'tuk', 'Turkmen'],
+    ['tl', 'tgl', 'Tagalog'], ['tn', 'tsn', 'Tswana'], ['to', 'ton', 'Tonga'], ['tr', 'tur', 'Turkish'],
+    ['ts', 'tso', 'Tsonga'], ['tt', 'tat', 'Tatar'], ['tw', 'twi', 'Twi'], ['ty', 'tah', 'Tahitian'],
+    ['ug', 'uig', 'Uighur'], ['uk', 'ukr', 'Ukrainian'], ['ur', 'urd', 'Urdu'], ['uz', 'uzb', 'Uzbek'],
+    ['ve', 'ven', 'Venda'], ['vi', 'vie', 'Vietnamese'], ['vo', 'vol', 'Volapük'], ['wa', 'wln', 'Walloon'],
+    ['wo', 'wol', 'Wolof'], ['xh', 'xho', 'Xhosa'], ['yi', 'yid', 'Yiddish'], ['yo', 'yor', 'Yoruba'],
+    ['za', 'zha', 'Zhuang'], ['zh', 'chi', 'Chinese'], ['zu', 'zul', 'Zulu']
+];
+
+// ISO 639-2/T codes that differ from the bibliographic (B) form Matroska uses
+const ISO_639_2_T_TO_B = {
+    bod: 'tib', ces: 'cze', cym: 'wel', deu: 'ger', ell: 'gre', eus: 'baq', fas: 'per',
+    fra: 'fre', hye: 'arm', isl: 'ice', kat: 'geo', mkd: 'mac', mri: 'mao', msa: 'may',
+    mya: 'bur', nld: 'dut', ron: 'rum', slk: 'slo', sqi: 'alb', zho: 'chi'
+};
+
+// Three-letter tags without an ISO 639-1 form that still map onto a legacy code
+const SPECIAL_LEGACY_LANGUAGES = {
+    und: 'und', mul: 'mul', zxx: 'zxx', mis: 'mis', fil: 'fil', yue: 'chi', cmn: 'chi'
+};
+
+// Common regional and script tags offered in the autocomplete list
+const COMMON_LANGUAGE_TAGS = [
+    ['und', 'Undetermined'], ['zxx', 'No linguistic content'], ['mul', 'Multiple languages'],
+    ['en-US', 'English (United States)'], ['en-GB', 'English (United Kingdom)'], ['en-AU', 'English (Australia)'],
+    ['es-ES', 'Spanish (Spain)'], ['es-419', 'Spanish (Latin America)'], ['es-MX', 'Spanish (Mexico)'],
+    ['pt-BR', 'Portuguese (Brazil)'], ['pt-PT', 'Portuguese (Portugal)'],
+    ['fr-FR', 'French (France)'], ['fr-CA', 'French (Canada)'], ['de-DE', 'German (Germany)'],
+    ['de-AT', 'German (Austria)'], ['de-CH', 'German (Switzerland)'], ['nl-BE', 'Dutch (Belgium)'],
+    ['zh-Hans', 'Chinese (Simplified)'], ['zh-Hant', 'Chinese (Traditional)'], ['zh-CN', 'Chinese (China)'],
+    ['zh-TW', 'Chinese (Taiwan)'], ['zh-HK', 'Chinese (Hong Kong)'], ['yue', 'Cantonese'], ['cmn', 'Mandarin'],
+    ['sr-Latn', 'Serbian (Latin)'], ['sr-Cyrl', 'Serbian (Cyrillic)'], ['fil', 'Filipino'],
+    ['ja-JP', 'Japanese (Japan)'], ['ko-KR', 'Korean (South Korea)'], ['it-IT', 'Italian (Italy)'],
+    ['ru-RU', 'Russian (Russia)'], ['ar-SA', 'Arabic (Saudi Arabia)'], ['hi-IN', 'Hindi (India)']
+];
+
+// Irregular and regular grandfathered tags from RFC 5646
+const GRANDFATHERED_LANGUAGE_TAGS = [
+    'en-gb-oed', 'i-ami', 'i-bnn', 'i-default', 'i-enochian', 'i-hak', 'i-klingon', 'i-lux', 'i-mingo',
+    'i-navajo', 'i-pwn', 'i-tao', 'i-tay', 'i-tsu', 'sgn-be-fr', 'sgn-be-nl', 'sgn-ch-de',
+    'art-lojban', 'cel-gaulish', 'no-bok', 'no-nyn', 'zh-guoyu', 'zh-hakka', 'zh-min', 'zh-min-nan', 'zh-xiang'
+];
+
+// RFC 5646 langtag and privateuse productions (case-insensitive)
+const LANGUAGE_TAG_PATTERN = new RegExp(
+    '^(?:' +
+        '(?:[a-z]{2,3}(?:-[a-z]{3}){0,3}|[a-z]{4}|[a-z]{5,8})' + // language with optional extlang
+        '(?:-[a-z]{4})?' +                                     // script
+        '(?:-(?:[a-z]{2}|\\d{3}))?' +                          // region
+        '(?:-(?:[a-z\\d]{5,8}|\\d[a-z\\d]{3}))*' +             // variants
+        '(?:-[a-wyz\\d](?:-[a-z\\d]{2,8})+)*' +                // extensions
+        '(?:-x(?:-[a-z\\d]{1,8})+)?' +                         // private use suffix
+    '|x(?:-[a-z\\d]{1,8})+' +                                  // private use only
+    ')$',
+    'i'
+);
+
+const ISO_639_1_TO_2B = new Map(ISO_639_1_LANGUAGES.map(([two, three]) => [two, three]));
+const ISO_639_2B_TO_1 = new Map(ISO_639_1_LANGUAGES.map(([two, three]) => [three, two]));
+
+/**
+ * Check a tag against the BCP 47 (RFC 5646) syntax
+ * @param {string} tag - e.g. 'en', 'pt-BR', 'zh-Hant-TW'
+ * @returns {boolean}
+ */
+function isValidLanguageTag(tag) {
+    if (typeof tag !== 'string') return false;
+    const text = tag.trim();
+    if (!text) return false;
+    if (GRANDFATHERED_LANGUAGE_TAGS.includes(text.toLowerCase())) return true;
+    if (!LANGUAGE_TAG_PATTERN.test(text)) return false;
+
+    // Variants and extension singletons must not repeat
+    const subtags = text.toLowerCase().split('-');
+    const seenVariants = new Set();
+    const seenSingletons = new Set();
+    for (let i = 1; i < subtags.length; i++) {
+        const subtag = subtags[i];
+        if (subtag === 'x') break;
+        if (subtag.length === 1) {
+            if (seenSingletons.has(subtag)) return false;
+            seenSingletons.add(subtag);
+            continue;
+        }
+        if (seenSingletons.size) continue; // extension payload
+        if (subtag.length >= 5 || /^\d[a-z\d]{3}$/.test(subtag)) {
+            if (seenVariants.has(subtag)) return false;
+            seenVariants.add(subtag);
+        }
+    }
+    return true;
+}
+
+/**
+ * Apply the recommended BCP 47 casing (language lower, Script title, REGION upper)
+ * @param {string} tag - A syntactically valid tag
+ * @returns {string}
+ */
+function canonicalizeLanguageTag(tag) {
+    const subtags = String(tag || '').trim().split('-');
+    let afterSingleton = false;
+    return subtags.map((subtag, index) => {
+        const lower = subtag.toLowerCase();
+        if (index === 0 || afterSingleton) return lower;
+        if (lower.length === 1) {
+            afterSingleton = true;
+            return lower;
+        }
+        if (lower.length === 4 && /^[a-z]{4}$/.test(lower)) {
+            return lower.charAt(0).toUpperCase() + lower.slice(1);
+        }
+        if (lower.length === 2 && /^[a-z]{2}$/.test(lower)) return lower.toUpperCase();
+        return lower;
+    }).join('-');
+}
+
+/**
+ * Check a legacy Matroska language code (three-letter ISO 639-2)
+ * @param {string} code
+ * @returns {boolean}
+ */
+function isValidLegacyLanguage(code) {
+    return typeof code === 'string' && /^[a-z]{3}$/i.test(code.trim());
+}
+
+/**
+ * Bring a legacy code into the form Matroska stores: lower case, ISO 639-2/B rather than /T
+ * @param {string} code - e.g. 'deu', 'GER', 'haw'
+ * @returns {string} e.g. 'ger', 'ger', 'haw'
+ */
+function normalizeLegacyLanguage(code) {
+    const lower = String(code || '').trim().toLowerCase();
+    return ISO_639_2_T_TO_B[lower] || lower;
+}
+
+/**
+ * Derive the ISO 639-2/B legacy code that matches an IETF tag
+ * @param {string} tag - BCP 47 language tag
+ * @returns {string} Legacy code; a three-letter primary subtag without a mapping is kept as it is,
+ *   'und' only when the tag has no three-letter equivalent at all
+ */
+function deriveLegacyLanguage(tag) {
+    if (!isValidLanguageTag(tag)) return 'und';
+    const primary = tag.trim().toLowerCase().split('-')[0];
+    if (primary.length === 2) return ISO_639_1_TO_2B.get(primary) || 'und';
+    if (primary.length === 3) return SPECIAL_LEGACY_LANGUAGES[primary] || normalizeLegacyLanguage(primary);
+    return 'und';
+}
+
+/**
+ * Derive the simplest IETF tag for a legacy ISO 639-2 code
+ * @param {string} code - Legacy language code (B or T form)
+ * @returns {string}
+ */
+function deriveIetfFromLegacy(code) {
+    const bibliographic = normalizeLegacyLanguage(code);
+    return ISO_639_2B_TO_1.get(bibliographic) || bibliographic || 'und';
+}
+
+/**
+ * Guess a language from a track name that spells it out (e.g. "English Commentary")
+ * @param {string} name - Track name
+ * @returns {string|null} ISO 639-1 code of the longest language name found as a whole word
+ */
+function findLanguageInName(name) {
+    const text = ` ${String(name || '').toLowerCase().replace(/[^\p{L}]+/gu, ' ')} `;
+    let best = null;
+    for (const [two, , languageName] of ISO_639_1_LANGUAGES) {
+        const words = languageName.toLowerCase().replace(/[^\p{L}]+/gu, ' ').trim();
+        if (text.includes(` ${words} `) && (!best || words.length > best.words.length)) best = { two, words };
+    }
+    return best ? best.two : null;
+}
+
+/**
+ * Autocomplete entries for the IETF language column
+ * @returns {Array<{value: string, label: string}>}
+ */
+function getLanguageTagSuggestions() {
+    return ISO_639_1_LANGUAGES.map(([two, , name]) => ({ value: two, label: name }))
+        .concat(COMMON_LANGUAGE_TAGS.map(([tag, name]) => ({ value: tag, label: name })));
+}
+
+/**
+ * Autocomplete entries for the legacy language column
+ * @returns {Array<{value: string, label: string}>}
+ */
+function getLegacyLanguageSuggestions() {
+    return ISO_639_1_LANGUAGES.map(([, three, name]) => ({ value: three, label: name }))
+        .concat([
+            { value: 'und', label: 'Undetermined' },
+            { value: 'mul', label: 'Multiple languages' },
+            { value: 'zxx', label: 'No linguistic content' },
+            { value: 'fil', label: 'Filipino' }
+        ]);
+}
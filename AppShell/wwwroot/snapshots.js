@@ -0,0 +1,125 @@
+// Header snapshots: the header state of a file taken before each write, so edits can be rolled back.
+// Chapter and tag writes store the element's XML as mkvextract wrote it instead.
+
+const SNAPSHOT_DB_NAME = 'mkvtool';
+const SNAPSHOT_STORE_NAME = 'headerSnapshots';
+
+// Oldest snapshots of a file are dropped beyond this many
+const SNAPSHOTS_PER_FILE = 50;
+
+/**
+ * Resolve with the result of an IndexedDB request
+ * @param {IDBRequest} request
+ * @returns {Promise<any>}
+ */
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Resolve once a transaction has committed
+ * @param {IDBTransaction} transaction
+ * @returns {Promise<void>}
+ */
+function transactionToPromise(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+}
+
+/**
+ * Snapshots per file path, in IndexedDB. Where IndexedDB is unavailable they are
+ * kept in memory and last for the browser session only.
+ * A snapshot is { id, path, takenAt (ISO date), changes, header: { title, tracks, properties } },
+ * or { id, path, takenAt, element: 'chapters' | 'tags', summary, xml } for an XML element.
+ */
+class HeaderSnapshotStore {
+    /**
+     * @param {IDBFactory|null} [indexedDb] - Defaults to window.indexedDB
+     */
+    constructor(indexedDb = window.indexedDB) {
+        this.indexedDb = indexedDb || null;
+        this.dbPromise = null;
+        this.memory = [];
+        this.nextMemoryId = 1;
+    }
+
+    /**
+     * Do snapshots survive a restart?
+     * @returns {boolean}
+     */
+    get isPersistent() {
+        return !!this.indexedDb;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            const request = this.indexedDb.open(SNAPSHOT_DB_NAME, 1);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(SNAPSHOT_STORE_NAME, { keyPath: 'id', autoIncrement: true });
+                store.createIndex('path', 'path');
+            };
+            this.dbPromise = requestToPromise(request);
+            // A failed open is retried on the next call
+            this.dbPromise.catch(() => { this.dbPromise = null; });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Store a snapshot and drop the oldest ones of its file beyond SNAPSHOTS_PER_FILE
+     * @param {object} snapshot - Snapshot without an id
+     * @returns {Promise<object>} The stored snapshot, with its id
+     */
+    async add(snapshot) {
+        if (!this.indexedDb) {
+            const stored = { ...snapshot, id: this.nextMemoryId++ };
+            this.memory.push(stored);
+            const forPath = this.memory.filter(s => s.path === snapshot.path);
+            const dropped = new Set(forPath.slice(0, Math.max(0, forPath.length - SNAPSHOTS_PER_FILE)));
+            this.memory = this.memory.filter(s => !dropped.has(s));
+            return stored;
+        }
+
+        const db = await this.open();
+        const transaction = db.transaction(SNAPSHOT_STORE_NAME, 'readwrite');
+        const done = transactionToPromise(transaction);
+        let id;
+        try {
+            const store = transaction.objectStore(SNAPSHOT_STORE_NAME);
+            id = await requestToPromise(store.add(snapshot));
+            const keys = await requestToPromise(store.index('path').getAllKeys(snapshot.path));
+            keys.sort((a, b) => a - b)
+                .slice(0, Math.max(0, keys.length - SNAPSHOTS_PER_FILE))
+                .forEach(key => store.delete(key));
+        } catch (error) {
+            // The failed request aborts the transaction too; report the request's error only
+            done.catch(() => {});
+            throw error;
+        }
+        await done;
+        return { ...snapshot, id };
+    }
+
+    /**
+     * Snapshots of one file, newest first
+     * @param {string} path
+     * @returns {Promise<Array>}
+     */
+    async list(path) {
+        let snapshots;
+        if (!this.indexedDb) {
+            snapshots = this.memory.filter(s => s.path === path);
+        } else {
+            const db = await this.open();
+            const transaction = db.transaction(SNAPSHOT_STORE_NAME, 'readonly');
+            snapshots = await requestToPromise(transaction.objectStore(SNAPSHOT_STORE_NAME).index('path').getAll(path));
+        }
+        return snapshots.slice().sort((a, b) => b.id - a.id);
+    }
+}
@@ -0,0 +1,681 @@
+// Bridge transports - how AppBridge reaches a backend
+//
+// Every transport exposes invoke(method, ...args) and resolves to exactly what the
+// [JSInvokable] method of the same name in JsBridgeService returns (JSON strings for
+// most methods, a boolean for IsValidMkvFileAsync), so AppBridge does not care which
+// one it talks to.
+
+/**
+ * .NET JSInterop transport used inside the MAUI Blazor WebView
+ */
+class DotNetBridgeTransport {
+    /**
+     * @param {object} dotNetBridgeService - .NET object reference for JSInterop
+     */
+    constructor(dotNetBridgeService) {
+        this.name = 'dotnet';
+        this.dotNetBridgeService = dotNetBridgeService;
+    }
+
+    invoke(method, ...args) {
+        return this.dotNetBridgeService.invokeMethodAsync(method, ...args);
+    }
+}
+
+/**
+ * HTTP/JSON transport for a backend served over the network
+ *
+ * Each call is POSTed to `${baseUrl}/${method}` with the arguments as a JSON array body;
+ * the response body is the JSON-encoded return value of the bridge method.
+ */
+class HttpBridgeTransport {
+    /**
+     * @param {string} baseUrl - e.g. 'http://localhost:5000/api/bridge'
+     */
+    constructor(baseUrl) {
+        this.name = 'http';
+        this.baseUrl = String(baseUrl || '').replace(/\/+$/, '');
+    }
+
+    async invoke(method, ...args) {
+        const response = await fetch(`${this.baseUrl}/${encodeURIComponent(method)}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(args)
+        });
+        if (!response.ok) {
+            throw new Error(`${method} failed: HTTP ${response.status} ${response.statusText}`.trim());
+        }
+        return response.json();
+    }
+}
+
+/**
+ * In-memory transport holding fake MkvFileInfo documents
+ *
+ * Changes are applied to the stored documents, so reads after a save reflect the edit.
+ * Lets the frontend run in a plain browser and be exercised headlessly.
+ */
+class MockBridgeTransport {
+    /**
+     * @param {Array} files - MkvFileInfo-shaped documents (FilePath, Tracks, SegmentTitle, ...)
+     * @param {object} options - { properties: MkvProperty list, chapters: MkvChapter lists by path, tags: MkvTag lists by path,
+     *   hiddenTags: MkvHiddenTag lists by path, latency: ms per call }
+     */
+    constructor(files = createMockMkvFiles(), options = {}) {
+        this.name = 'mock';
+        this.files = new Map();
+        for (const file of files) {
+            this.files.set(file.FilePath, JSON.parse(JSON.stringify(file)));
+        }
+        this.chapters = new Map(Object.entries(JSON.parse(JSON.stringify(options.chapters || createMockChapters()))));
+        this.tags = new Map(Object.entries(JSON.parse(JSON.stringify(options.tags || createMockTags(files)))));
+        this.hiddenTags = new Map(Object.entries(JSON.parse(JSON.stringify(options.hiddenTags || {}))));
+        this.properties = options.properties || MOCK_MKV_PROPERTIES;
+        this.latency = options.latency || 0;
+        this.scans = new Map();
+        this.nextScanId = 1;
+        this.nextDropId = 1;
+    }
+
+    async invoke(method, ...args) {
+        if (this.latency) await new Promise(resolve => setTimeout(resolve, this.latency));
+        switch (method) {
+            case 'GetAvailableMkvPropertiesAsync':
+                return JSON.stringify(this.properties);
+            case 'PickMkvFilesAsync':
+            case 'PickMkvFolderAsync':
+                return JSON.stringify(Array.from(this.files.values()).map(file => ({
+                    FullPath: file.FilePath,
+                    FileName: file.FilePath.split(/[\\/]/).pop(),
+                    FileSize: file.FileSize,
+                    LastModifiedUtc: file.LastModifiedUtc
+                })));
+            case 'ReadMkvFileAsync':
+                return JSON.stringify(this.readFile(args[0]));
+            case 'IsValidMkvFileAsync':
+                return this.files.has(args[0]);
+            case 'ApplyMkvChangesAsync':
+                return JSON.stringify(this.applyChanges(args[0], JSON.parse(args[1] || '[]')));
+            case 'ReadMkvChaptersAsync':
+                return JSON.stringify(this.readChapters(args[0]));
+            case 'ApplyMkvChaptersAsync':
+                return JSON.stringify(this.applyChapters(args[0], JSON.parse(args[1] || '[]')));
+            case 'ReadMkvElementXmlAsync':
+                return JSON.stringify(this.readElementXml(args[0], args[1]));
+            case 'WriteMkvElementXmlAsync':
+                return JSON.stringify(this.writeElementXml(args[0], args[1], args[2] || ''));
+            case 'ReadMkvTagsAsync':
+                return JSON.stringify(this.readTags(args[0]));
+            case 'ApplyMkvTagsAsync':
+                return JSON.stringify(this.applyTags(args[0], JSON.parse(args[1] || '[]')));
+            case 'GetMkvPropEditArgumentsAsync':
+                return JSON.stringify(this.buildEditArguments(args[0], JSON.parse(args[1] || '[]')));
+            case 'StartFolderScanAsync':
+                return JSON.stringify(this.startScan(JSON.parse(args[0] || '{}'), args[1]));
+            case 'CreateDropTokenAsync':
+                return `mock-drop-${this.nextDropId++}`;
+            case 'ResolveDroppedItemsAsync':
+                return JSON.stringify(this.resolveDropped(JSON.parse(args[1] || '[]'), JSON.parse(args[2] || '{}')));
+            case 'ReadFolderScanAsync':
+                return JSON.stringify(this.readScan(args[0]));
+            case 'CancelFolderScanAsync':
+                this.scans.delete(args[0]);
+                return undefined;
+            default:
+                throw new Error(`Mock bridge does not implement ${method}`);
+        }
+    }
+
+    readFile(filePath) {
+        const file = this.files.get(filePath);
+        if (!file) {
+            return { FilePath: filePath, Properties: [], Tracks: [], IsValid: false, ErrorMessage: 'File is not a valid MKV file' };
+        }
+        return file;
+    }
+
+    /**
+     * Chapters of a mock file; every mock file runs MOCK_DURATION_NS
+     * @returns {object} MkvChapterList
+     */
+    readChapters(filePath) {
+        if (!this.files.has(filePath)) {
+            return { FilePath: filePath, Chapters: [], IsValid: false, ErrorMessage: 'File is not a valid MKV file', Warnings: [] };
+        }
+        return {
+            FilePath: filePath,
+            Chapters: this.chapters.get(filePath) || [],
+            DurationNanoseconds: MOCK_DURATION_NS,
+            IsValid: true,
+            ErrorMessage: null,
+            Warnings: []
+        };
+    }
+
+    /**
+     * Replace the chapters of a mock file like mkvpropedit --chapters
+     * @returns {object} MkvEditResult
+     */
+    applyChapters(filePath, chapters) {
+        const file = this.files.get(filePath);
+        if (!file) return { Success: false, ErrorMessage: `The file '${filePath}' does not exist.`, Warnings: [], ExitCode: 2 };
+        const sorted = chapters.slice().sort((a, b) => a.StartNanoseconds - b.StartNanoseconds);
+        if (sorted.length) this.chapters.set(filePath, sorted); else this.chapters.delete(filePath);
+        file.LastModifiedUtc = new Date().toISOString();
+        return { Success: true, Warnings: [], ExitCode: 0 };
+    }
+
+    /**
+     * Chapters or tags of a mock file as Matroska XML, formatted by the page's own XML writers.
+     * Hidden tags are not part of it.
+     * @param {string} element - 'chapters' or 'tags'
+     * @returns {object} MkvElementXml
+     */
+    readElementXml(filePath, element) {
+        if (!this.files.has(filePath)) {
+            return { FilePath: filePath, Xml: '', IsValid: false, ErrorMessage: 'File is not a valid MKV file' };
+        }
+        let xml;
+        if (element === 'chapters') {
+            const chapters = this.chapters.get(filePath) || [];
+            xml = chapters.length ? formatChapterXml(toChapterStates(chapters)) : '';
+        } else if (element === 'tags') {
+            const tags = this.tags.get(filePath) || [];
+            xml = tags.length ? formatTagXml(tags) : '';
+        } else {
+            return { FilePath: filePath, Xml: '', IsValid: false, ErrorMessage: `Unknown element: ${element}` };
+        }
+        return { FilePath: filePath, Xml: xml, IsValid: true, ErrorMessage: null };
+    }
+
+    /**
+     * Replace the chapters or all tags of a mock file with Matroska XML
+     * @returns {object} MkvEditResult
+     */
+    writeElementXml(filePath, element, xml) {
+        if (element === 'chapters') return this.applyChapters(filePath, xml.trim() ? fromChapterStates(parseChapterXml(xml)) : []);
+        if (element !== 'tags') return { Success: false, ErrorMessage: `Unknown element: ${element}`, Warnings: [], ExitCode: 2 };
+        const file = this.files.get(filePath);
+        if (!file) return { Success: false, ErrorMessage: `The file '${filePath}' does not exist.`, Warnings: [], ExitCode: 2 };
+        const tags = xml.trim() ? parseTagXml(xml).tags : [];
+        if (tags.length) this.tags.set(filePath, tags); else this.tags.delete(filePath);
+        this.hiddenTags.delete(filePath);
+        file.LastModifiedUtc = new Date().toISOString();
+        return { Success: true, Warnings: [], ExitCode: 0 };
+    }
+
+    /**
+     * Tags of a mock file
+     * @returns {object} MkvTagList
+     */
+    readTags(filePath) {
+        if (!this.files.has(filePath)) {
+            return { FilePath: filePath, Tags: [], IsValid: false, ErrorMessage: 'File is not a valid MKV file', Warnings: [] };
+        }
+        const hiddenTags = this.hiddenTags.get(filePath) || [];
+        return {
+            FilePath: filePath,
+            Tags: this.tags.get(filePath) || [],
+            IsValid: true,
+            ErrorMessage: null,
+            Warnings: hiddenTags.length ? [`${hiddenTags.length} tags are not shown.`] : [],
+            HiddenTags: hiddenTags
+        };
+    }
+
+    /**
+     * Replace the tags of each scope like mkvpropedit --tags global: / track:N:
+     * @param {Array} scopes - MkvTagScope list
+     * @returns {object} MkvEditResult
+     */
+    applyTags(filePath, scopes) {
+        const file = this.files.get(filePath);
+        if (!file) return { Success: false, ErrorMessage: `The file '${filePath}' does not exist.`, Warnings: [], ExitCode: 2 };
+        let tags = this.tags.get(filePath) || [];
+        for (const scope of scopes) {
+            let trackUid = null;
+            if (scope.Selector !== 'global') {
+                const track = file.Tracks[Number(scope.Selector.replace(/^track:/, '')) - 1];
+                if (!track) return { Success: false, ErrorMessage: `No track corresponds to the selector '${scope.Selector}'.`, Warnings: [], ExitCode: 2 };
+                trackUid = track.TrackUid;
+            }
+            tags = tags.filter(tag => (tag.TrackUid || null) !== trackUid)
+                .concat(scope.Tags.map(tag => ({ ...tag, TrackUid: trackUid })));
+            this.hiddenTags.set(filePath, (this.hiddenTags.get(filePath) || []).filter(hidden => (hidden.TrackUid || null) !== trackUid));
+        }
+        if (tags.length) this.tags.set(filePath, tags); else this.tags.delete(filePath);
+        file.LastModifiedUtc = new Date().toISOString();
+        return { Success: true, Warnings: [], ExitCode: 0 };
+    }
+
+    /**
+     * Scan a folder, or "pick" the one holding every mock file, and queue the matches like FolderScanService
+     * @param {object} options - FolderScanOptions
+     * @param {string|null} [folderPath] - Folder to scan instead of the picked one
+     * @returns {object} FolderScanStarted
+     */
+    startScan(options, folderPath = null) {
+        let paths = Array.from(this.files.keys()).sort((a, b) => a.localeCompare(b));
+        let rootPath = folderPath ? folderPath.replace(/\/+$/, '') : null;
+        if (rootPath) paths = paths.filter(path => path.startsWith(rootPath + '/'));
+        if (!paths.length) return null;
+        if (!rootPath) {
+            const directories = paths.map(path => path.split('/').slice(0, -1));
+            let common = directories[0];
+            for (const parts of directories) {
+                let i = 0;
+                while (i < common.length && i < parts.length && common[i] === parts[i]) i++;
+                common = common.slice(0, i);
+            }
+            rootPath = common.join('/') || '/';
+        }
+
+        const extensions = (options.Extensions && options.Extensions.length ? options.Extensions : ['.mkv', '.mka', '.mks', '.webm'])
+            .map(ext => (ext.startsWith('.') ? ext : '.' + ext).toLowerCase());
+        const includes = (options.Include || []).filter(p => p.trim()).map(parseScanPattern);
+        const excludes = (options.Exclude || []).filter(p => p.trim()).map(parseScanPattern);
+
+        const items = [];
+        for (const path of paths) {
+            const relative = path.slice(rootPath.length).replace(/^\/+/, '');
+            const folders = relative.split('/').slice(0, -1);
+            const name = relative.split('/').pop();
+            if (options.MaxDepth != null && folders.length > options.MaxDepth) continue;
+            if (!extensions.includes(name.slice(name.lastIndexOf('.')).toLowerCase())) continue;
+            const inFolder = pattern => pattern.directoryOnly &&
+                folders.some((folder, i) => pattern.matches(folders.slice(0, i + 1).join('/'), folder));
+            if (excludes.some(inFolder)) continue;
+            const files = pattern => !pattern.directoryOnly && pattern.matches(relative, name);
+            if (includes.length && !includes.some(pattern => inFolder(pattern) || files(pattern))) continue;
+            if (excludes.some(files)) continue;
+            const file = this.files.get(path);
+            items.push({
+                FullPath: path,
+                FileName: name,
+                RelativeDirectory: folders.join('/'),
+                FileSize: file.FileSize,
+                LastModifiedUtc: file.LastModifiedUtc
+            });
+        }
+
+        const scanId = `mock-scan-${this.nextScanId++}`;
+        this.scans.set(scanId, items);
+        return { ScanId: scanId, RootPath: rootPath };
+    }
+
+    /**
+     * Resolve dropped names like JsBridgeService.ResolveDroppedItemsAsync. Browsers only
+     * report names, so a name matches a mock file or folder by full path or by its last segment.
+     * @param {Array<string>} names - Dropped names or paths
+     * @param {object} options - FolderScanOptions; its Extensions select the files to keep
+     * @returns {object} DroppedItems
+     */
+    resolveDropped(names, options) {
+        const extensions = (options.Extensions && options.Extensions.length ? options.Extensions : ['.mkv', '.mka', '.mks', '.webm'])
+            .map(ext => (ext.startsWith('.') ? ext : '.' + ext).toLowerCase());
+        const paths = Array.from(this.files.keys());
+        const folders = new Set();
+        for (const path of paths) {
+            const parts = path.split('/');
+            for (let i = 2; i < parts.length; i++) folders.add(parts.slice(0, i).join('/'));
+        }
+        const lastSegment = path => path.split(/[\\/]/).pop();
+
+        const result = { Files: [], Folders: [], Skipped: 0, Unresolved: 0 };
+        for (const name of new Set(names)) {
+            const folder = folders.has(name) ? name : Array.from(folders).find(f => lastSegment(f) === name);
+            const path = this.files.has(name) ? name : paths.find(p => lastSegment(p) === name);
+            if (folder) {
+                result.Folders.push(folder);
+            } else if (path) {
+                const file = this.files.get(path);
+                result.Files.push({ FullPath: path, FileName: lastSegment(path), FileSize: file.FileSize, LastModifiedUtc: file.LastModifiedUtc });
+            } else if (name.includes('.') && !extensions.includes(name.slice(name.lastIndexOf('.')).toLowerCase())) {
+                result.Skipped++;
+            } else {
+                result.Unresolved++;
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Hand out queued scan results a couple at a time so callers see a scan in progress
+     * @returns {object} FolderScanBatch
+     */
+    readScan(scanId) {
+        const pending = this.scans.get(scanId);
+        if (!pending) return { Items: [], IsComplete: true, ErrorMessage: 'The scan was cancelled or has already finished' };
+        const items = pending.splice(0, 2);
+        if (!pending.length) this.scans.delete(scanId);
+        return { Items: items, IsComplete: !pending.length, ErrorMessage: null };
+    }
+
+    /**
+     * Same argument list as MkvService.BuildEditArguments
+     * @returns {Array<string>}
+     */
+    buildEditArguments(filePath, changes) {
+        const sections = new Map();
+        for (const change of changes) {
+            if (!sections.has(change.Section)) sections.set(change.Section, []);
+            sections.get(change.Section).push(change);
+        }
+        const ordered = Array.from(sections.entries())
+            .sort(([a], [b]) => (a === 'info' ? 0 : 1) - (b === 'info' ? 0 : 1));
+
+        const args = [filePath];
+        for (const [section, sectionChanges] of ordered) {
+            if (section !== 'info') args.push('--edit', section);
+            for (const change of sectionChanges) {
+                if (change.ChangeType === 1) args.push('--delete', change.PropertyName);
+                else args.push(change.ChangeType === 2 ? '--add' : '--set', `${change.PropertyName}=${change.NewValue ?? ''}`);
+            }
+        }
+        return args;
+    }
+
+    /**
+     * Apply MkvPropertyChange objects the way mkvpropedit would
+     * @returns {object} MkvEditResult
+     */
+    applyChanges(filePath, changes) {
+        const file = this.files.get(filePath);
+        if (!file) return { Success: false, ErrorMessage: `The file '${filePath}' does not exist.`, Warnings: [], ExitCode: 2 };
+
+        // Validate everything first so a failing call leaves the document untouched, like mkvpropedit
+        for (const change of changes) {
+            const track = /^track:(\d+)$/.exec(change.Section || '');
+            if (change.Section !== 'info' && !(track && file.Tracks[Number(track[1]) - 1])) {
+                return {
+                    Success: false,
+                    ErrorMessage: `Error: No track corresponding to the edit specification '${change.Section}' was found.`,
+                    Warnings: [],
+                    ExitCode: 2
+                };
+            }
+        }
+
+        const warnings = [];
+        for (const change of changes) {
+            const target = change.Section === 'info'
+                ? file
+                : file.Tracks[Number(change.Section.slice('track:'.length)) - 1];
+            const fields = MOCK_PROPERTY_FIELDS[change.Section === 'info' ? 'info' : 'track'][change.PropertyName];
+            if (!fields && target.HeaderValues && change.PropertyName in target.HeaderValues) {
+                target.HeaderValues[change.PropertyName] = change.ChangeType === 1 ? null : change.NewValue;
+                continue;
+            }
+            if (!fields) {
+                warnings.push(`Warning: The mock backend does not model the property '${change.PropertyName}'; it was ignored.`);
+                continue;
+            }
+            const value = change.ChangeType === 1 ? null : change.NewValue;
+            for (const field of fields) {
+                target[field] = field.startsWith('Is') ? value === '1' || value === 'true' : value;
+            }
+        }
+        if (changes.length) file.LastModifiedUtc = new Date().toISOString();
+        return { Success: true, Warnings: warnings, ExitCode: warnings.length ? 1 : 0 };
+    }
+}
+
+/**
+ * Compile a scan glob the way FolderScanService does: a trailing "/" matches folders,
+ * a "/" elsewhere matches the relative path, otherwise the file or folder name
+ * @param {string} pattern - e.g. '*sample*', 'Extras/', 'Season 01/NC?.mkv'
+ * @returns {{directoryOnly: boolean, matches: function(string, string): boolean}}
+ */
+function parseScanPattern(pattern) {
+    let text = pattern.trim().replace(/\\/g, '/');
+    const directoryOnly = text.endsWith('/');
+    text = text.replace(/\/+$/, '');
+    const matchesPath = text.includes('/');
+    text = text.replace(/^\/+/, '');
+    const source = text
+        .split(/(\*\*\/|\*\*|\*|\?)/)
+        .map(part => ({ '**/': '(?:.*/)?', '**': '.*', '*': '[^/]*', '?': '[^/]' }[part]
+            ?? part.replace(/[.+^${}()|[\]\\]/g, '\\$&')))
+        .join('');
+    const regex = new RegExp(`^${source}$`, 'i');
+    return {
+        directoryOnly,
+        matches: (relativePath, name) => regex.test(matchesPath ? relativePath : name)
+    };
+}
+
+// Which MkvFileInfo / MkvTrackInfo fields each property maps to in the mock
+const MOCK_PROPERTY_FIELDS = {
+    info: { 'title': ['SegmentTitle'] },
+    track: {
+        'name': ['Name'],
+        'language': ['Language', 'LanguageLegacy'],
+        'language-ietf': ['LanguageIetf'],
+        'flag-enabled': ['IsEnabled'],
+        'flag-default': ['IsDefault'],
+        'flag-forced': ['IsForced'],
+        'flag-hearing-impaired': ['IsHearingImpaired'],
+        'flag-visual-impaired': ['IsVisualImpaired'],
+        'flag-commentary': ['IsCommentary'],
+        'flag-original': ['IsOriginal'],
+        'flag-text-descriptions': ['IsTextDescriptions']
+    }
+};
+
+// Subset of `mkvpropedit --list-property-names` in the shape MkvService returns
+const MOCK_MKV_PROPERTIES = [
+    ['title', 1, 'info', 'Title'],
+    ['date', 2, 'info', 'Date'],
+    ['name', 1, 'track', 'Name'],
+    ['language', 1, 'track', 'Language'],
+    ['language-ietf', 1, 'track', 'Language IETF'],
+    ['flag-enabled', 0, 'track', 'Enabled flag'],
+    ['flag-default', 0, 'track', 'Default flag'],
+    ['flag-forced', 0, 'track', 'Forced display flag'],
+    ['flag-hearing-impaired', 0, 'track', 'Hearing impaired flag'],
+    ['flag-visual-impaired', 0, 'track', 'Visual impaired flag'],
+    ['flag-commentary', 0, 'track', 'Commentary flag'],
+    ['flag-original', 0, 'track', 'Original language flag'],
+    ['flag-text-descriptions', 0, 'track', 'Text descriptions flag'],
+    ['pixel-width', 3, 'track', 'Video pixel width'],
+    ['pixel-height', 3, 'track', 'Video pixel height'],
+    ['display-width', 3, 'track', 'Video display width'],
+    ['display-height', 3, 'track', 'Video display height']
+].map(([name, type, section, description]) => ({
+    Name: name,
+    DisplayName: name.split('-').map(word => word[0].toUpperCase() + word.slice(1)).join(' '),
+    CurrentValue: null,
+    Type: type,
+    Section: section,
+    Description: description,
+    IsRequired: false,
+    CanBeDeleted: true
+}));
+
+// Typical codec details per track type; the English dub gets AAC below
+const MOCK_STREAM_DETAILS = {
+    video: { Codec: 'HEVC/H.265/MPEG-H', CodecId: 'V_MPEGH/ISO/HEVC', PixelDimensions: '1920x1080', DisplayDimensions: '1920x1080' },
+    audio: { Codec: 'FLAC', CodecId: 'A_FLAC', AudioChannels: 2, AudioSamplingFrequency: 48000, AudioBitsPerSample: 24 },
+    subtitles: { Codec: 'SubStationAlpha', CodecId: 'S_TEXT/ASS' }
+};
+
+/**
+ * HeaderValues of a mock track, taken from its stream details the way MkvService takes them from mkvmerge -J
+ * @param {object} track - MkvTrackInfo
+ * @returns {object} Value by mkvpropedit property name, null where the track has none
+ */
+function mockTrackHeaderValues(track) {
+    const [pixelWidth, pixelHeight] = track.PixelDimensions ? track.PixelDimensions.split('x') : [null, null];
+    const [displayWidth, displayHeight] = track.DisplayDimensions ? track.DisplayDimensions.split('x') : [null, null];
+    const text = value => (value === null || value === undefined ? null : String(value));
+    return {
+        'codec-id': text(track.CodecId),
+        'codec-delay': null,
+        'default-duration': track.TrackType === 'video' ? '41708333' : null,
+        'pixel-width': pixelWidth,
+        'pixel-height': pixelHeight,
+        'display-width': displayWidth,
+        'display-height': displayHeight,
+        'display-unit': null,
+        'stereo-mode': null,
+        'sampling-frequency': text(track.AudioSamplingFrequency),
+        'channels': text(track.AudioChannels),
+        'bit-depth': text(track.AudioBitsPerSample)
+    };
+}
+
+// Running time of every mock file (24 minutes)
+const MOCK_DURATION_NS = 24 * 60 * 1e9;
+
+/**
+ * Chapters of the mock episodes: the usual opening / part A / part B / ending / preview split
+ * @returns {object} MkvChapter lists by file path
+ */
+function createMockChapters() {
+    const chapter = (seconds, name, uid) => ({
+        StartNanoseconds: seconds * 1e9,
+        EndNanoseconds: null,
+        Names: [{ Name: name, Language: 'eng', LanguageIetf: 'en' }],
+        ChapterUid: uid
+    });
+    const episode = number => [
+        chapter(0, 'Opening', `${number}001`),
+        chapter(90, 'Part A', `${number}002`),
+        chapter(690.5, 'Part B', `${number}003`),
+        chapter(1290, 'Ending', `${number}004`),
+        chapter(1380, 'Preview', `${number}005`)
+    ];
+    return {
+        '/mock/Series/Season 01/Series - S01E01.mkv': episode(1),
+        '/mock/Series/Season 01/Series - S01E02.mkv': episode(2),
+        // Imported from OGM: no languages or UIDs
+        '/mock/Series/Season 01/Series - S01E03.mkv': [0, 95, 700].map((seconds, i) => ({
+            StartNanoseconds: seconds * 1e9,
+            EndNanoseconds: null,
+            Names: [{ Name: `Chapter 0${i + 1}`, Language: null, LanguageIetf: null }],
+            ChapterUid: null
+        }))
+    };
+}
+
+/**
+ * Tags of the mock episodes: a title and release date, and the statistics mkvmerge writes for each track
+ * @param {Array} files - MkvFileInfo documents
+ * @returns {object} MkvTag lists by file path
+ */
+function createMockTags(files) {
+    const simple = (name, value) => ({ Name: name, Value: value, Language: null, LanguageIetf: null, IsDefault: true, Children: [] });
+    const tags = {};
+    for (const file of files) {
+        tags[file.FilePath] = [
+            {
+                SimpleTags: [simple('TITLE', file.SegmentTitle || ''), simple('DATE_RELEASED', (file.LastModifiedUtc || '').slice(0, 10))],
+                TrackUid: null,
+                TargetTypeValue: 50,
+                TargetType: 'EPISODE'
+            },
+            ...(file.Tracks || []).map(track => ({
+                SimpleTags: [
+                    simple('BPS', track.TrackType === 'video' ? '4500000' : '96000'),
+                    simple('DURATION', '00:24:00.000000000'),
+                    simple('NUMBER_OF_FRAMES', track.TrackType === 'video' ? '34526' : '67500'),
+                    simple('_STATISTICS_WRITING_APP', "mkvmerge v80.0 ('Roundabout') 64-bit"),
+                    simple('_STATISTICS_TAGS', 'BPS DURATION NUMBER_OF_FRAMES')
+                ],
+                TrackUid: track.TrackUid,
+                TargetTypeValue: null,
+                TargetType: null
+            }))
+        ];
+    }
+    return tags;
+}
+
+/**
+ * Build a small fake library: a few episodes with typical anime/TV track layouts
+ * @returns {Array} MkvFileInfo documents
+ */
+function createMockMkvFiles() {
+    let nextUid = 1;
+    const track = (number, type, languageIetf, languageLegacy, name, flags = {}) => {
+        const info = {
+            ...MOCK_STREAM_DETAILS[type],
+            // Real UIDs are random 64-bit numbers, which is why they travel as text
+            TrackUid: String(9007199254740993n + BigInt(nextUid++) * 7919n),
+            TrackNumber: number,
+            TrackType: type,
+            Name: name,
+            Language: languageLegacy,
+            LanguageIetf: languageIetf,
+            LanguageLegacy: languageLegacy,
+            IsDefault: false,
+            IsEnabled: true,
+            IsForced: false,
+            IsHearingImpaired: false,
+            IsVisualImpaired: false,
+            IsCommentary: false,
+            IsOriginal: false,
+            IsTextDescriptions: false,
+            ...flags
+        };
+        return { ...info, HeaderValues: mockTrackHeaderValues(info) };
+    };
+    const episode = (number, tracks) => ({
+        FilePath: `/mock/Series/Season 01/Series - S01E0${number}.mkv`,
+        Properties: [],
+        Tracks: tracks,
+        SegmentTitle: `Episode ${number}`,
+        HeaderValues: { 'date': `2024-01-0${number}T19:00:00Z`, 'muxing-application': 'libebml v1.4.5 + libmatroska v1.7.1', 'writing-application': 'mkvmerge v83.0' },
+        IsValid: true,
+        ErrorMessage: null,
+        FileSize: 350000000 + number * 1048576,
+        LastModifiedUtc: '2024-01-0' + number + 'T20:00:00Z'
+    });
+
+    return [
+        episode(1, [
+            track(0, 'video', 'und', 'und', null, { IsDefault: true }),
+            track(1, 'audio', 'ja', 'jpn', 'Japanese', { IsDefault: true, IsOriginal: true }),
+            track(2, 'audio', 'en', 'eng', 'English', { Codec: 'AAC', CodecId: 'A_AAC', AudioChannels: 6, AudioBitsPerSample: null }),
+            track(3, 'subtitles', 'en', 'eng', 'Signs & Songs', { IsForced: true }),
+            track(4, 'subtitles', 'en', 'eng', 'Full Subtitles', { IsDefault: true })
+        ]),
+        episode(2, [
+            track(0, 'video', 'und', 'und', null, { IsDefault: true }),
+            track(1, 'audio', 'ja', 'jpn', 'Japanese'),
+            track(2, 'audio', 'en', 'eng', 'English', { IsDefault: true, Codec: 'AAC', CodecId: 'A_AAC', AudioBitsPerSample: null }),
+            track(3, 'subtitles', 'en', 'eng', 'Full Subtitles', { IsDefault: true })
+        ]),
+        episode(3, [
+            track(0, 'video', 'und', 'und', null, { IsDefault: true }),
+            track(1, 'audio', 'ja', 'jpn', null, { IsDefault: true }),
+            track(2, 'audio', 'en', 'eng', 'Commentary', { IsCommentary: true, Codec: 'Opus', CodecId: 'A_OPUS', AudioBitsPerSample: null }),
+            track(3, 'subtitles', 'und', 'und', null, { IsDefault: true }),
+            track(4, 'subtitles', 'de', 'ger', 'Deutsch', { IsHearingImpaired: true })
+        ]),
+        // Nested and non-.mkv files for folder scans
+        {
+            ...episode(1, [track(0, 'video', 'und', 'und', null, { IsDefault: true })]),
+            FilePath: '/mock/Series/Season 01/Series - S01E01 sample.mkv',
+            SegmentTitle: 'Episode 1 (sample)',
+            FileSize: 20971520
+        },
+        {
+            ...episode(1, [
+                track(0, 'video', 'und', 'und', null, { IsDefault: true }),
+                track(1, 'audio', 'ja', 'jpn', null, { IsDefault: true })
+            ]),
+            FilePath: '/mock/Series/Season 01/Extras/Series - NCOP.mkv',
+            SegmentTitle: 'Creditless Opening'
+        },
+        {
+            ...episode(4, [
+                track(0, 'video', 'und', 'und', null, { IsDefault: true }),
+                track(1, 'audio', 'ja', 'jpn', 'Japanese', { IsDefault: true, IsOriginal: true })
+            ]),
+            FilePath: '/mock/Series/Season 02/Series - S02E01.webm',
+            SegmentTitle: 'Episode 1'
+        }
+    ];
+}
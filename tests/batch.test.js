@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load-scripts');
+
+// The page scripts only touch the DOM once it has loaded, which never happens here
+const run = loadScripts(['languages.js', 'flagpolicy.js', 'transports.js', 'snapshots.js', 'app.js'], {
+    document: { addEventListener() {} },
+    console: { log() {}, info() {}, warn() {}, error: console.error }
+});
+const applyBatchOperations = run('applyBatchOperations');
+const BatchAction = run('BatchAction');
+const DEFAULT_FLAG_POLICY = run('DEFAULT_FLAG_POLICY');
+
+function track(sequentialTrackNumber, trackType, langIetf, name, flags = {}) {
+    return {
+        sequentialTrackNumber, trackNumber: sequentialTrackNumber - 1, trackType, langIetf, langLegacy: '', name,
+        default: false, forced: false, commentary: false, ...flags
+    };
+}
+
+const tracks = [
+    track(1, 'video', 'und', ''),
+    track(2, 'audio', 'en', 'English'),
+    track(3, 'subtitles', 'en', 'Signs & Songs'),
+    track(4, 'subtitles', 'en', 'Full'),
+    track(5, 'subtitles', 'de', 'Deutsch')
+];
+
+const flagOn = (flag, match) => ({ action: BatchAction.FlagOn, flag, match });
+
+test('an exclusive flag goes to the first matched track of each group, and the preview says so', () => {
+    const notes = [];
+    const result = applyBatchOperations(tracks, [flagOn('forced', { trackType: 'subtitles', language: 'en' })], DEFAULT_FLAG_POLICY, notes);
+    assert.deepEqual(result.map(t => t.forced), [false, false, true, false, false]);
+    assert.equal(notes.length, 1);
+    assert.match(notes[0], /^Track 3 \(subtitles\) also matches, but only Track 2 \(subtitles\) gets Forced/);
+});
+
+test('each policy group gets its own first match', () => {
+    const notes = [];
+    const result = applyBatchOperations(tracks, [flagOn('forced', { trackType: 'subtitles' })], DEFAULT_FLAG_POLICY, notes);
+    assert.deepEqual(result.map(t => t.forced), [false, false, true, false, true]);
+    assert.equal(notes.length, 1);
+});
+
+test('free flags are set on every matched track without notes', () => {
+    const notes = [];
+    const result = applyBatchOperations(tracks, [flagOn('commentary', { trackType: 'subtitles' })], DEFAULT_FLAG_POLICY, notes);
+    assert.deepEqual(result.map(t => t.commentary), [false, false, true, true, true]);
+    assert.equal(notes.length, 0);
+});
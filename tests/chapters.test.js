@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load-scripts');
+const { DOMParser } = require('./xml-dom');
+
+// The page scripts only touch the DOM once it has loaded, which never happens here
+const run = loadScripts(['languages.js', 'flagpolicy.js', 'transports.js', 'snapshots.js', 'app.js'], {
+    document: { addEventListener() {} },
+    console: { log() {}, info() {}, warn() {}, error: console.error },
+    DOMParser
+});
+const parseChapterTime = run('parseChapterTime');
+const formatChapterTime = run('formatChapterTime');
+const parseOgmChapters = run('parseOgmChapters');
+const formatOgmChapters = run('formatOgmChapters');
+const parseChapterXml = run('parseChapterXml');
+const formatChapterXml = run('formatChapterXml');
+
+const S = 1e9;
+
+// States made inside the script context have its prototypes, so compare plain copies without the row keys
+const plain = states => [...states].map(({ key, ...rest }) => JSON.parse(JSON.stringify(rest)));
+
+test('chapter times parse in every accepted form', () => {
+    assert.equal(parseChapterTime('01:02:03.5'), 3723.5 * S);
+    assert.equal(parseChapterTime('02:03'), 123 * S);
+    assert.equal(parseChapterTime('90'), 90 * S);
+    assert.equal(parseChapterTime(' 00:00:01.000000001 '), S + 1);
+    assert.equal(parseChapterTime('75:00'), 75 * 60 * S, 'minutes are not capped without an hour field');
+});
+
+test('minutes and seconds stop at 59 where a larger field follows', () => {
+    assert.equal(parseChapterTime('00:59:59.999'), 3599.999 * S);
+    assert.equal(parseChapterTime('00:60:00'), null);
+    assert.equal(parseChapterTime('00:00:60'), null);
+    assert.equal(parseChapterTime('01:60'), null);
+});
+
+test('malformed times and unwanted signs are rejected', () => {
+    assert.equal(parseChapterTime(''), null);
+    assert.equal(parseChapterTime('1:2:3:4'), null);
+    assert.equal(parseChapterTime('00:00:01.1234567890'), null, 'more than nine decimals');
+    assert.equal(parseChapterTime('-5'), null);
+    assert.equal(parseChapterTime('-00:00:05', true), -5 * S);
+    assert.equal(parseChapterTime('+1.5', true), 1.5 * S);
+});
+
+test('chapter times format to milliseconds, or nanoseconds when needed, and parse back', () => {
+    assert.equal(formatChapterTime(0), '00:00:00.000');
+    assert.equal(formatChapterTime(3723.5 * S), '01:02:03.500');
+    assert.equal(formatChapterTime(S + 1), '00:00:01.000000001');
+    assert.equal(formatChapterTime(100 * 3600 * S), '100:00:00.000');
+    for (const ns of [0, 1, 999999999, 690.5 * S, 3599.999 * S, 36000 * S + 123456789]) {
+        assert.equal(parseChapterTime(formatChapterTime(ns)), ns);
+    }
+});
+
+test('OGM chapters parse in time order, with names', () => {
+    const states = parseOgmChapters('\uFEFFCHAPTER02=00:01:30.000\r\nCHAPTER02NAME=Part A\nCHAPTER01=00:00:00.000\nCHAPTER01NAME=Opening\n\n');
+    assert.deepEqual([...states].map(s => [s.start, s.end, s.names[0].name]), [[0, null, 'Opening'], [90 * S, null, 'Part A']]);
+});
+
+test('OGM chapters reject unknown lines, bad times and names without a time', () => {
+    assert.throws(() => parseOgmChapters('CHAPTER01=00:00:00.000\nTITLE=x'), /Line 2 is not an OGM chapter line/);
+    assert.throws(() => parseOgmChapters('CHAPTER01=00:61:00.000'), /Line 1 has no valid time/);
+    assert.throws(() => parseOgmChapters('CHAPTER03NAME=Ending'), /CHAPTER03 has a name but no time/);
+});
+
+test('OGM chapters round-trip at millisecond precision', () => {
+    const text = 'CHAPTER01=00:00:00.000\nCHAPTER01NAME=Opening\nCHAPTER02=00:11:30.500\nCHAPTER02NAME=Part = B\n';
+    assert.equal(formatOgmChapters(parseOgmChapters(text)), text);
+});
+
+test('chapter XML round-trips names, languages, end times and UIDs, escaping markup', () => {
+    const xml = formatChapterXml([
+        { key: 1, start: 90 * S, end: null, names: [{ name: 'Part A', language: 'eng', languageIetf: 'en' }], uid: '2' },
+        {
+            key: 2, start: 0, end: 90 * S + 1,
+            names: [{ name: 'Tom & Jerry <Intro>', language: null, languageIetf: null }, { name: 'Vorspann', language: 'ger', languageIetf: 'de' }],
+            uid: '1'
+        }
+    ]);
+    assert.match(xml, /<ChapterString>Tom &amp; Jerry &lt;Intro&gt;<\/ChapterString>/);
+    assert.deepEqual(plain(parseChapterXml(xml)), [
+        {
+            start: 0, end: 90 * S + 1, uid: '1',
+            names: [{ name: 'Tom & Jerry <Intro>', language: null, languageIetf: null }, { name: 'Vorspann', language: 'ger', languageIetf: 'de' }]
+        },
+        { start: 90 * S, end: null, uid: '2', names: [{ name: 'Part A', language: 'eng', languageIetf: 'en' }] }
+    ]);
+});
+
+test('chapter XML reads the top-level chapters of the first edition only', () => {
+    const states = parseChapterXml(`<Chapters>
+  <EditionEntry>
+    <ChapterAtom><ChapterTimeStart>00:00:05.000000000</ChapterTimeStart>
+      <ChapterAtom><ChapterTimeStart>00:00:06.000000000</ChapterTimeStart></ChapterAtom>
+    </ChapterAtom>
+  </EditionEntry>
+  <EditionEntry><ChapterAtom><ChapterTimeStart>00:00:07.000000000</ChapterTimeStart></ChapterAtom></EditionEntry>
+</Chapters>`);
+    assert.deepEqual([...states].map(s => s.start), [5 * S]);
+    assert.deepEqual([...parseChapterXml('<Chapters/>')], []);
+});
+
+test('chapter XML with bad times or another root is rejected', () => {
+    assert.throws(() => parseChapterXml('<Tags><Tag/></Tags>'), /Not a Matroska chapter XML file/);
+    assert.throws(() => parseChapterXml('<Chapters><EditionEntry>'), /Not a Matroska chapter XML file/);
+    assert.throws(() => parseChapterXml('<Chapters><EditionEntry><ChapterAtom/></EditionEntry></Chapters>'), /no valid ChapterTimeStart/);
+    assert.throws(() => parseChapterXml(
+        '<Chapters><EditionEntry><ChapterAtom><ChapterTimeStart>00:00:00</ChapterTimeStart>' +
+        '<ChapterTimeEnd>00:00:99</ChapterTimeEnd></ChapterAtom></EditionEntry></Chapters>'), /invalid ChapterTimeEnd/);
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load-scripts');
+
+const run = loadScripts(['languages.js', 'flagpolicy.js']);
+const applyFlagPolicy = run('applyFlagPolicy');
+const getFlagPolicyGroup = run('getFlagPolicyGroup');
+const FlagPolicy = run('FlagPolicy');
+const DEFAULT_FLAG_POLICY = run('DEFAULT_FLAG_POLICY');
+
+function track(sequentialTrackNumber, trackType, langIetf, flags = {}) {
+    return { sequentialTrackNumber, trackType, langIetf, langLegacy: '', default: false, forced: false, commentary: false, ...flags };
+}
+
+const tracks = [
+    track(1, 'video', 'und', { default: true }),
+    track(2, 'audio', 'ja', { default: true }),
+    track(3, 'audio', 'en'),
+    track(4, 'subtitles', 'en', { default: true, forced: true }),
+    track(5, 'subtitles', 'en'),
+    { ...track(6, 'subtitles', ''), langLegacy: 'eng' },
+    track(7, 'subtitles', 'de', { forced: true })
+];
+
+const flags = (result, flag) => result.map(t => t[flag]);
+
+test('per-type: setting a flag clears it on the other tracks of that type only', () => {
+    const result = applyFlagPolicy(tracks, 3, 'default', true, DEFAULT_FLAG_POLICY);
+    assert.deepEqual(flags(result, 'default'), [true, false, true, true, false, false, false]);
+});
+
+test('per-language: setting a flag clears it within the same type and language only', () => {
+    const result = applyFlagPolicy(tracks, 5, 'forced', true, DEFAULT_FLAG_POLICY);
+    assert.deepEqual(flags(result, 'forced'), [false, false, false, false, true, false, true]);
+});
+
+test('per-language: IETF and ISO 639-2 codes of one language group together', () => {
+    const result = applyFlagPolicy(tracks, 6, 'forced', true, DEFAULT_FLAG_POLICY);
+    assert.deepEqual(flags(result, 'forced'), [false, false, false, false, false, true, true]);
+});
+
+test('free: other tracks keep the flag', () => {
+    const withCommentary = tracks.map(t => ({ ...t, commentary: t.trackType === 'audio' }));
+    const result = applyFlagPolicy(withCommentary, 2, 'commentary', true, DEFAULT_FLAG_POLICY);
+    assert.deepEqual(flags(result, 'commentary'), [false, true, true, false, false, false, false]);
+});
+
+test('a flag without a policy entry is free', () => {
+    const result = applyFlagPolicy(tracks, 5, 'default', true, {});
+    assert.deepEqual(flags(result, 'default'), [true, true, false, true, true, false, false]);
+});
+
+test('clearing a flag leaves the other tracks alone', () => {
+    const policy = { default: FlagPolicy.PerType };
+    const result = applyFlagPolicy(tracks, 4, 'default', false, policy);
+    assert.deepEqual(flags(result, 'default'), [true, true, false, false, false, false, false]);
+});
+
+test('the input tracks are not modified', () => {
+    const before = JSON.stringify(tracks);
+    const result = applyFlagPolicy(tracks, 3, 'default', true, DEFAULT_FLAG_POLICY);
+    assert.equal(JSON.stringify(tracks), before);
+    assert.ok(result.every((t, i) => t !== tracks[i]));
+});
+
+test('an unknown track changes nothing', () => {
+    const result = applyFlagPolicy(tracks, 99, 'default', true, DEFAULT_FLAG_POLICY);
+    assert.equal(JSON.stringify(result), JSON.stringify(tracks));
+});
+
+test('policy groups: per type, per type and language, none for free flags', () => {
+    assert.equal(getFlagPolicyGroup(tracks[3], 'default', DEFAULT_FLAG_POLICY), 'subtitles');
+    assert.equal(getFlagPolicyGroup(tracks[3], 'forced', DEFAULT_FLAG_POLICY), 'subtitles:eng');
+    assert.equal(getFlagPolicyGroup(tracks[5], 'forced', DEFAULT_FLAG_POLICY), 'subtitles:eng');
+    assert.equal(getFlagPolicyGroup(tracks[3], 'commentary', DEFAULT_FLAG_POLICY), null);
+});
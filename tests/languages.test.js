@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load-scripts');
+
+const run = loadScripts(['languages.js']);
+const deriveLegacyLanguage = run('deriveLegacyLanguage');
+const deriveIetfFromLegacy = run('deriveIetfFromLegacy');
+const normalizeLegacyLanguage = run('normalizeLegacyLanguage');
+
+test('legacy codes are derived from ISO 639-1 tags, with their subtags ignored', () => {
+    assert.equal(deriveLegacyLanguage('en'), 'eng');
+    assert.equal(deriveLegacyLanguage('pt-BR'), 'por');
+    assert.equal(deriveLegacyLanguage('zh-Hant-TW'), 'chi');
+    assert.equal(deriveLegacyLanguage('de'), 'ger');
+});
+
+test('a three-letter tag without an ISO 639-1 form keeps its own code instead of becoming und', () => {
+    assert.equal(deriveLegacyLanguage('haw'), 'haw');
+    assert.equal(deriveLegacyLanguage('chr'), 'chr');
+    assert.equal(deriveLegacyLanguage('ast-ES'), 'ast');
+    assert.equal(deriveLegacyLanguage('yue'), 'chi');
+    assert.equal(deriveLegacyLanguage('und'), 'und');
+});
+
+test('three-letter tags in ISO 639-2/T form map to the /B code', () => {
+    assert.equal(deriveLegacyLanguage('deu'), 'ger');
+    assert.equal(deriveLegacyLanguage('fra-CA'), 'fre');
+});
+
+test('tags without a three-letter equivalent derive und', () => {
+    assert.equal(deriveLegacyLanguage('x-klingon'), 'und');
+    assert.equal(deriveLegacyLanguage('not a tag'), 'und');
+    assert.equal(deriveLegacyLanguage(''), 'und');
+});
+
+test('typed legacy codes are stored lower case in their /B form', () => {
+    assert.equal(normalizeLegacyLanguage('deu'), 'ger');
+    assert.equal(normalizeLegacyLanguage(' ZHO '), 'chi');
+    assert.equal(normalizeLegacyLanguage('eng'), 'eng');
+    assert.equal(normalizeLegacyLanguage('haw'), 'haw');
+});
+
+test('IETF tags derived from legacy codes use ISO 639-1 where there is one', () => {
+    assert.equal(deriveIetfFromLegacy('ger'), 'de');
+    assert.equal(deriveIetfFromLegacy('deu'), 'de');
+    assert.equal(deriveIetfFromLegacy('haw'), 'haw');
+    assert.equal(deriveIetfFromLegacy(''), 'und');
+});
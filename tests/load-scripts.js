@@ -0,0 +1,25 @@
+// Loads wwwroot scripts the way index.html does, as classic scripts sharing one global scope
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const WWWROOT = path.join(__dirname, '..', 'AppShell', 'wwwroot');
+
+/**
+ * Run scripts in order in a fresh context
+ * @param {string[]} names - File names under wwwroot
+ * @param {object} [globals] - Extra globals, e.g. a document stand-in; window is the context itself unless given
+ * @returns {function(string): any} Evaluates an expression in the context, e.g. a top-level const
+ */
+function loadScripts(names, globals = {}) {
+    const context = vm.createContext({ console, setTimeout, clearTimeout, ...globals });
+    if (!('window' in globals)) context.window = context;
+    for (const name of names) {
+        const source = fs.readFileSync(path.join(WWWROOT, name), 'utf8').replace(/^\uFEFF/, '');
+        vm.runInContext(source, context, { filename: name });
+    }
+    return expression => vm.runInContext(expression, context);
+}
+
+module.exports = { loadScripts };
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load-scripts');
+
+// The page scripts only touch the DOM once it has loaded, which never happens here
+const run = loadScripts(['languages.js', 'flagpolicy.js', 'transports.js', 'snapshots.js', 'app.js'], {
+    document: { addEventListener() {} },
+    console: { log() {}, info() {}, warn() {}, error: console.error }
+});
+const quoteCsvField = run('quoteCsvField');
+const escapeMarkdownCell = run('escapeMarkdownCell');
+const formatMarkdownReport = run('formatMarkdownReport');
+
+test('CSV fields are quoted per RFC 4180', () => {
+    assert.equal(quoteCsvField('plain'), 'plain');
+    assert.equal(quoteCsvField('a, b'), '"a, b"');
+    assert.equal(quoteCsvField('say "hi"'), '"say ""hi"""');
+    assert.equal(quoteCsvField(null), '');
+    assert.equal(quoteCsvField(3), '3');
+});
+
+test('CSV text a spreadsheet would run as a formula is prefixed with a quote', () => {
+    assert.equal(quoteCsvField('=HYPERLINK("http://x")'), '"\'=HYPERLINK(""http://x"")"');
+    assert.equal(quoteCsvField('+1'), "'+1");
+    assert.equal(quoteCsvField('-cmd'), "'-cmd");
+    assert.equal(quoteCsvField('@SUM(A1)'), "'@SUM(A1)");
+    assert.equal(quoteCsvField('Signs - Songs'), 'Signs - Songs');
+});
+
+test('Markdown cells escape pipes, backslashes and angle brackets', () => {
+    assert.equal(escapeMarkdownCell('a | b'), 'a \\| b');
+    assert.equal(escapeMarkdownCell('C:\\Videos'), 'C:\\\\Videos');
+    assert.equal(escapeMarkdownCell('<img src=x onerror=alert(1)>'), '\\<img src=x onerror=alert(1)\\>');
+    assert.equal(escapeMarkdownCell('two\nlines'), 'two<br>lines');
+});
+
+test('the Markdown report joins issues with <br> as its only raw HTML', () => {
+    const report = formatMarkdownReport([{
+        path: '/m/a.mkv', trackId: 2, track: 2, type: 'subtitles', languageIetf: 'en', language: 'eng',
+        name: '<b>Full</b>', codec: 'ASS', flags: null, issues: ['First <issue>', 'Second'], error: ''
+    }], new Date(0));
+    const row = report.split('\n').find(line => line.startsWith('| /m/a.mkv'));
+    assert.equal(row, '| /m/a.mkv | 2 | subtitles | en | eng | \\<b\\>Full\\</b\\> | ASS |  | First \\<issue\\><br>Second |');
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('node:child_process');
+const { loadScripts } = require('./load-scripts');
+
+const run = loadScripts(['languages.js', 'flagpolicy.js', 'transports.js', 'snapshots.js', 'app.js'], {
+    document: { addEventListener() {} },
+    console: { log() {}, info() {}, warn() {}, error: console.error }
+});
+const quotePosixArgument = run('quotePosixArgument');
+const quotePowerShellArgument = run('quotePowerShellArgument');
+
+const awkwardNames = [
+    "Tom's Movie.mkv",
+    '$HOME $(rm -rf x) `id`.mkv',
+    'name="a b"; echo & | > < *.mkv',
+    '100% \\ back\\slash\n2nd line.mkv',
+    '‘curly’ ‚low‛ quotes.mkv',
+    ''
+];
+
+test('plain arguments are left unquoted', () => {
+    assert.equal(quotePosixArgument('--edit'), '--edit');
+    assert.equal(quotePosixArgument('/media/Show/S01E01.mkv'), '/media/Show/S01E01.mkv');
+    assert.equal(quotePosixArgument('flag-default=1'), 'flag-default=1');
+    assert.equal(quotePowerShellArgument('C:\\Videos\\a.mkv'), 'C:\\Videos\\a.mkv');
+    assert.equal(quotePowerShellArgument('track:v1'), 'track:v1');
+});
+
+test('POSIX quoting closes the quotes around each single quote', () => {
+    assert.equal(quotePosixArgument("Tom's Movie.mkv"), "'Tom'\\''s Movie.mkv'");
+    assert.equal(quotePosixArgument('$HOME.mkv'), "'$HOME.mkv'");
+    assert.equal(quotePosixArgument(''), "''");
+});
+
+test('PowerShell quoting doubles straight and typographic single quotes', () => {
+    assert.equal(quotePowerShellArgument("Tom's Movie.mkv"), "'Tom''s Movie.mkv'");
+    assert.equal(quotePowerShellArgument('$env:TEMP\\a.mkv'), "'$env:TEMP\\a.mkv'");
+    assert.equal(quotePowerShellArgument('‘a’ ‚b‛'), "'‘‘a’’ ‚‚b‛‛'");
+    assert.equal(quotePowerShellArgument('a@b,c'), "'a@b,c'", '@ and , are PowerShell syntax');
+    assert.equal(quotePowerShellArgument(''), "''");
+});
+
+test('POSIX-quoted names reach the command unchanged', { skip: process.platform === 'win32' && 'needs sh' }, () => {
+    for (const name of awkwardNames) {
+        const output = execFileSync('sh', ['-c', `printf '%s' ${quotePosixArgument(name)}`], { encoding: 'utf8' });
+        assert.equal(output, name);
+    }
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load-scripts');
+
+// The page scripts only touch the DOM once it has loaded, which never happens here
+const document = { addEventListener() {} };
+const silent = { log() {}, info() {}, warn() {}, error: console.error };
+
+function loadApp() {
+    const run = loadScripts(['languages.js', 'flagpolicy.js', 'transports.js', 'snapshots.js', 'app.js'], { document, console: silent });
+    const transport = run('new MockBridgeTransport()');
+    run('window.appBridge').initialize(transport);
+    return { run, bridge: run('window.appBridge'), transport };
+}
+
+test('a file is read, edited and saved through the mock transport', async () => {
+    const { run, bridge, transport } = loadApp();
+    const toTrackStates = run('toTrackStates');
+    const buildTrackChanges = run('buildTrackChanges');
+    const applyFlagPolicy = run('applyFlagPolicy');
+    const path = Array.from(transport.files.keys()).find(p => p.endsWith('S01E01.mkv'));
+
+    const info = await bridge.readMkvFile(path);
+    assert.notEqual(info.IsValid, false);
+    const loaded = toTrackStates(info);
+    const audio = loaded.filter(t => t.trackType === 'audio');
+    assert.ok(audio.length > 1, 'the mock episode has several audio tracks');
+
+    const target = audio.find(t => !t.default);
+    let edited = applyFlagPolicy(loaded, target.sequentialTrackNumber, 'default', true, run('DEFAULT_FLAG_POLICY'));
+    edited = edited.map(t => t.sequentialTrackNumber === target.sequentialTrackNumber ? { ...t, name: 'Renamed' } : t);
+    const changes = buildTrackChanges(loaded, edited);
+    assert.ok(changes.length >= 3, 'name, the new default and the cleared one');
+
+    const result = await bridge.applyMkvChanges(path, changes);
+    assert.equal(result.Success, true);
+
+    const saved = toTrackStates(await bridge.readMkvFile(path));
+    const savedTarget = saved.find(t => t.sequentialTrackNumber === target.sequentialTrackNumber);
+    assert.equal(savedTarget.name, 'Renamed');
+    assert.equal(savedTarget.default, true);
+    // Arrays made inside the script context have that context's prototypes, so compare copies
+    assert.deepEqual([...saved.filter(t => t.trackType === 'audio' && t.default).map(t => t.sequentialTrackNumber)], [target.sequentialTrackNumber]);
+    assert.equal(buildTrackChanges(saved, edited).length, 0, 'nothing is left to save');
+
+    const snapshots = await bridge.getHeaderSnapshots(path);
+    assert.equal(snapshots.length, 1);
+    assert.equal(snapshots[0].header.tracks.find(t => t.sequentialTrackNumber === target.sequentialTrackNumber).name, target.name);
+});
+
+test('a property editor change is snapshotted and restored', async () => {
+    const { run, bridge, transport } = loadApp();
+    const buildRestoreChanges = run('buildRestoreChanges');
+    const path = Array.from(transport.files.keys()).find(p => p.endsWith('S01E02.mkv'));
+    const displayWidth = info => info.Tracks[0].HeaderValues['display-width'];
+
+    const before = await bridge.readMkvFile(path);
+    assert.equal(displayWidth(before), '1920');
+    const result = await bridge.applyMkvChanges(path, [
+        { PropertyName: 'display-width', Section: 'track:1', ChangeType: 0, NewValue: '1440' },
+        { PropertyName: 'display-unit', Section: 'track:1', ChangeType: 0, NewValue: '3' }
+    ]);
+    assert.equal(result.Success, true);
+    assert.equal(displayWidth(await bridge.readMkvFile(path)), '1440');
+
+    const [snapshot] = await bridge.getHeaderSnapshots(path);
+    assert.deepEqual({ ...snapshot.header.properties[0] }, { section: 'track:1', name: 'display-width', value: '1920' });
+    assert.deepEqual({ ...snapshot.header.properties[1] }, { section: 'track:1', name: 'display-unit', value: null });
+
+    const restore = buildRestoreChanges(snapshot.header, await bridge.readMkvFile(path));
+    assert.deepEqual([...restore].map(change => ({ ...change })), [
+        { PropertyName: 'display-width', Section: 'track:1', ChangeType: 0, NewValue: '1920' },
+        { PropertyName: 'display-unit', Section: 'track:1', ChangeType: 1 }
+    ]);
+    assert.equal((await bridge.applyMkvChanges(path, restore)).Success, true);
+    const restored = await bridge.readMkvFile(path);
+    assert.equal(displayWidth(restored), '1920');
+    assert.equal(restored.Tracks[0].HeaderValues['display-unit'], null);
+    assert.equal(buildRestoreChanges(snapshot.header, restored).length, 0);
+});
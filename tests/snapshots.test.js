@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load-scripts');
+
+const run = loadScripts(['snapshots.js'], { window: {} });
+const HeaderSnapshotStore = run('HeaderSnapshotStore');
+const SNAPSHOTS_PER_FILE = run('SNAPSHOTS_PER_FILE');
+
+/**
+ * Just enough of IndexedDB for an add whose request fails, after which the transaction aborts
+ */
+function createFailingIndexedDb(error) {
+    const later = callback => setTimeout(callback, 0);
+    const transaction = {
+        objectStore: () => ({
+            add() {
+                const request = {};
+                later(() => {
+                    request.error = error;
+                    request.onerror();
+                    later(() => {
+                        transaction.error = error;
+                        transaction.onabort();
+                    });
+                });
+                return request;
+            }
+        })
+    };
+    const db = { transaction: () => transaction };
+    return {
+        open() {
+            const request = {};
+            later(() => {
+                request.result = db;
+                request.onsuccess();
+            });
+            return request;
+        }
+    };
+}
+
+test('a failed add rejects once, without an unhandled rejection from the aborted transaction', async () => {
+    const unhandled = [];
+    const onUnhandled = reason => unhandled.push(reason);
+    process.on('unhandledRejection', onUnhandled);
+    try {
+        const error = new Error('QuotaExceededError');
+        const store = new HeaderSnapshotStore(createFailingIndexedDb(error));
+        await assert.rejects(store.add({ path: '/a.mkv', takenAt: '', changes: [], header: {} }), error);
+        await new Promise(resolve => setTimeout(resolve, 20));
+        assert.deepEqual(unhandled, []);
+    } finally {
+        process.off('unhandledRejection', onUnhandled);
+    }
+});
+
+test('without IndexedDB, snapshots are kept in memory up to the per-file limit, newest first', async () => {
+    const store = new HeaderSnapshotStore(null);
+    assert.equal(store.isPersistent, false);
+    for (let i = 0; i < SNAPSHOTS_PER_FILE + 2; i++) await store.add({ path: '/a.mkv', takenAt: String(i) });
+    await store.add({ path: '/b.mkv', takenAt: 'b' });
+    const list = await store.list('/a.mkv');
+    assert.equal(list.length, SNAPSHOTS_PER_FILE);
+    assert.equal(list[0].takenAt, String(SNAPSHOTS_PER_FILE + 1));
+    assert.equal(list[list.length - 1].takenAt, '2');
+    assert.equal((await store.list('/b.mkv')).length, 1);
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load-scripts');
+const { DOMParser } = require('./xml-dom');
+
+const run = loadScripts(['languages.js', 'flagpolicy.js', 'transports.js', 'snapshots.js', 'app.js'], {
+    document: { addEventListener() {} },
+    console: { log() {}, info() {}, warn() {}, error: console.error },
+    DOMParser
+});
+const parseTagXml = run('parseTagXml');
+const formatTagXml = run('formatTagXml');
+const clearStatisticsTags = run('clearStatisticsTags');
+const createSimpleTagState = run('createSimpleTagState');
+
+// Plain copies, since objects made in the script context have its prototypes
+const plain = value => JSON.parse(JSON.stringify(value));
+
+const simple = (Name, Value, extra = {}) => ({ Name, Value, Language: null, LanguageIetf: null, IsDefault: true, Children: [], ...extra });
+
+test('tag XML keeps global and single-track tags and counts the ones it cannot edit', () => {
+    const { tags, skipped } = parseTagXml(`<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE Tags SYSTEM "matroskatags.dtd">
+<Tags>
+  <Tag>
+    <Targets><TargetTypeValue>50</TargetTypeValue><TargetType>MOVIE</TargetType></Targets>
+    <Simple><Name>TITLE</Name><String>Tom &amp; Jerry</String><TagLanguage>eng</TagLanguage>
+      <Simple><Name>SUBTITLE</Name><String>Part 1</String></Simple>
+    </Simple>
+    <Simple><Name>COVER</Name><Binary>00FF</Binary></Simple>
+  </Tag>
+  <Tag><Targets><TrackUID>123</TrackUID></Targets><Simple><Name>TITLE</Name><String>Deutsch</String><TagLanguageIETF>de</TagLanguageIETF><DefaultLanguage>0</DefaultLanguage></Simple></Tag>
+  <Tag><Targets><TrackUID>1</TrackUID><TrackUID>2</TrackUID></Targets><Simple><Name>A</Name></Simple></Tag>
+  <Tag><Targets><ChapterUID>7</ChapterUID></Targets><Simple><Name>B</Name></Simple></Tag>
+  <Tag><Simple><Name>ENCODER</Name></Simple></Tag>
+</Tags>`);
+    assert.equal(skipped, 3, 'the binary simple, the two-track tag and the chapter tag');
+    assert.deepEqual(plain(tags), [
+        {
+            SimpleTags: [simple('TITLE', 'Tom & Jerry', { Language: 'eng', Children: [simple('SUBTITLE', 'Part 1')] })],
+            TrackUid: null, TargetTypeValue: 50, TargetType: 'MOVIE'
+        },
+        {
+            SimpleTags: [simple('TITLE', 'Deutsch', { LanguageIetf: 'de', IsDefault: false })],
+            TrackUid: '123', TargetTypeValue: null, TargetType: null
+        },
+        { SimpleTags: [simple('ENCODER', null)], TrackUid: null, TargetTypeValue: null, TargetType: null }
+    ]);
+});
+
+test('tag XML with another root or broken markup is rejected', () => {
+    assert.throws(() => parseTagXml('<Chapters/>'), /Not a Matroska tag XML file/);
+    assert.throws(() => parseTagXml('<Tags><Tag>'), /Not a Matroska tag XML file/);
+});
+
+test('tag XML round-trips through formatTagXml', () => {
+    const tags = [
+        {
+            SimpleTags: [simple('TITLE', '<b>Bold</b> & more', { Language: 'ger', LanguageIetf: 'de-AT', IsDefault: false, Children: [simple('URL', '')] })],
+            TrackUid: '18446744073709551615', TargetTypeValue: 30, TargetType: 'TRACK'
+        },
+        { SimpleTags: [simple('COMMENT', 'x'), simple('EMPTY', null)], TrackUid: null, TargetTypeValue: null, TargetType: null }
+    ];
+    const xml = formatTagXml(tags);
+    assert.match(xml, /<String>&lt;b&gt;Bold&lt;\/b&gt; &amp; more<\/String>/);
+    assert.deepEqual(plain(parseTagXml(xml)), { tags, skipped: 0 });
+});
+
+test('clearing statistics removes the mkvmerge statistics tags and nothing else', () => {
+    const tag = (key, ...names) => ({
+        key, scope: 'track:1', trackUid: '1', targetTypeValue: 50, targetType: null,
+        simpleTags: names.map(name => createSimpleTagState(name, '1'))
+    });
+    const { states, removed } = clearStatisticsTags([
+        tag(1, 'BPS', 'TITLE', 'DURATION-eng', 'NUMBER_OF_FRAMES', 'NUMBER_OF_BYTES'),
+        tag(2, '_STATISTICS_WRITING_APP', '_STATISTICS_TAGS', 'BPS-ger'),
+        tag(3, 'DURATION-english', 'BPSX', 'bps')
+    ]);
+    assert.equal(removed, 7);
+    assert.deepEqual([...states].map(s => [s.key, [...s.simpleTags].map(t => t.name)]), [
+        [1, ['TITLE']],
+        [3, ['DURATION-english', 'BPSX', 'bps']]
+    ]);
+});
@@ -0,0 +1,77 @@
+// Just enough of DOMParser for the Matroska chapter and tag XML the page reads: elements, text and
+// entities. Malformed input yields a parsererror document, as in a browser.
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+class XmlElement {
+    constructor(nodeName) {
+        this.nodeName = nodeName;
+        this.childNodes = []; // XmlElement or string
+    }
+
+    get children() {
+        return this.childNodes.filter(node => node instanceof XmlElement);
+    }
+
+    get textContent() {
+        return this.childNodes.map(node => (typeof node === 'string' ? node : node.textContent)).join('');
+    }
+
+    getElementsByTagName(name) {
+        return this.children.flatMap(c => (c.nodeName === name ? [c] : []).concat(c.getElementsByTagName(name)));
+    }
+}
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (entity, name) => {
+        if (name[0] === '#') return String.fromCodePoint(parseInt(name.slice(name[1] === 'x' ? 2 : 1), name[1] === 'x' ? 16 : 10));
+        if (!(name in ENTITIES)) throw new Error(`Unknown entity ${entity}`);
+        return ENTITIES[name];
+    });
+}
+
+function createDocument(root) {
+    return { documentElement: root, getElementsByTagName: name => (root.nodeName === name ? [root] : []).concat(root.getElementsByTagName(name)) };
+}
+
+function parse(text) {
+    const body = text.replace(/<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<!--[\s\S]*?-->/g, '');
+    const stack = [];
+    let root = null;
+    const token = /<(\/?)([A-Za-z_][\w.-]*)(?:\s+[^<>]*?)?(\/?)>|([^<]+)|(<)/g;
+    let match;
+    while ((match = token.exec(body))) {
+        const [, closing, name, selfClosing, content, stray] = match;
+        if (stray) throw new Error('Unexpected <');
+        if (content !== undefined) {
+            if (stack.length) stack[stack.length - 1].childNodes.push(decodeEntities(content));
+            else if (content.trim()) throw new Error('Text outside the root element');
+            continue;
+        }
+        if (closing) {
+            if (!stack.length || stack.pop().nodeName !== name) throw new Error(`Mismatched </${name}>`);
+            continue;
+        }
+        const element = new XmlElement(name);
+        if (stack.length) stack[stack.length - 1].childNodes.push(element);
+        else if (root) throw new Error('Several root elements');
+        else root = element;
+        if (!selfClosing) stack.push(element);
+    }
+    if (!root || stack.length) throw new Error('Unclosed element');
+    return root;
+}
+
+class DOMParser {
+    parseFromString(text) {
+        try {
+            return createDocument(parse(String(text)));
+        } catch (error) {
+            const root = new XmlElement('parsererror');
+            root.childNodes.push(error.message);
+            return createDocument(root);
+        }
+    }
+}
+
+module.exports = { DOMParser };